@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+
+// ── Signed session tokens ─────────────────────────────────────────────────────
+// Tokens are `<base64url(payload)>.<base64url(hmac)>` signed with AUTH_SECRET.
+// Access tokens are short-lived and sent on every request; refresh tokens live
+// longer and can only be exchanged for a new token pair at /api/auth/refresh.
+
+const ACCESS_TTL_MS = 60 * 60 * 1000; // 1 hour
+const REFRESH_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+const SECRET = process.env.AUTH_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.AUTH_SECRET) {
+  console.warn('[Auth] AUTH_SECRET not set — using a random secret, tokens will not survive a restart.');
+}
+
+const hmac = (body) => crypto.createHmac('sha256', SECRET).update(body).digest('base64url');
+
+const sign = (payload) => {
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${body}.${hmac(body)}`;
+};
+
+// Returns the payload if the token is well-formed, correctly signed, of the
+// expected type and not expired — otherwise null.
+const verifyToken = (token, type = 'access') => {
+  if (typeof token !== 'string') return null;
+  const [body, sig] = token.split('.');
+  if (!body || !sig) return null;
+  const expected = Buffer.from(hmac(body));
+  const actual = Buffer.from(sig);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+  try {
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    if (payload.type !== type || !payload.sub) return null;
+    if (typeof payload.exp !== 'number' || payload.exp < Date.now()) return null;
+    return payload;
+  } catch {
+    return null;
+  }
+};
+
+// Issues a fresh access + refresh token pair for a username.
+const issueTokens = (username) => {
+  const now = Date.now();
+  const expiresAt = now + ACCESS_TTL_MS;
+  return {
+    token: sign({ sub: username, type: 'access', iat: now, exp: expiresAt }),
+    refreshToken: sign({ sub: username, type: 'refresh', iat: now, exp: now + REFRESH_TTL_MS }),
+    expiresAt,
+  };
+};
+
+// Express middleware — rejects requests without a valid `Authorization: Bearer`
+// access token and exposes the caller as req.username.
+const requireAuth = (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+  const payload = verifyToken(token, 'access');
+  if (!payload) return res.status(401).json({ error: 'Not authenticated' });
+  req.username = payload.sub;
+  next();
+};
+
+module.exports = { issueTokens, verifyToken, requireAuth };
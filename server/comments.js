@@ -0,0 +1,47 @@
+// ── Comment classification ────────────────────────────────────────────────────
+// Labels YouTube comments with the provider's text model for the
+// analyze_comments chat tool: sentiment, a score in [-1, 1] and what kind of
+// comment it is. The browser has a lexicon classifier of its own and only asks
+// here when REACT_APP_SENTIMENT=remote.
+
+const BATCH_SIZE = 40;
+
+const SENTIMENTS = ['positive', 'neutral', 'negative'];
+const KINDS = ['question', 'request', 'praise', 'criticism', 'other'];
+
+const classifyPrompt = (texts) => `Classify each YouTube comment below. Reply with ONLY a JSON array with one object per comment, in the same order:
+{ "i": comment number, "sentiment": ${SENTIMENTS.map((s) => `"${s}"`).join(' | ')}, "score": -1 (very negative) to 1 (very positive), "kind": ${KINDS.map((k) => `"${k}"`).join(' | ')} }
+"question" asks the creator something; "request" asks for a future video or change; sarcasm counts as negative.
+
+${texts.map((t, i) => `${i + 1}. ${String(t).replace(/\s+/g, ' ').slice(0, 500)}`).join('\n')}`;
+
+// Model item → { sentiment, score, kind }. Missing or malformed items come
+// back neutral so one bad line doesn't sink the batch.
+function normalizeLabel(raw = {}) {
+  const score = Math.max(-1, Math.min(1, Number(raw.score) || 0));
+  const sentiment = SENTIMENTS.includes(raw.sentiment)
+    ? raw.sentiment
+    : score > 0.1 ? 'positive' : score < -0.1 ? 'negative' : 'neutral';
+  return { sentiment, score: +score.toFixed(2), kind: KINDS.includes(raw.kind) ? raw.kind : 'other' };
+}
+
+// First [...] in the reply → one label per text, matched by "i" when present.
+function parseLabels(text, count) {
+  const match = String(text || '').match(/\[[\s\S]*\]/);
+  if (!match) throw new Error('Model did not return a JSON array');
+  const items = JSON.parse(match[0]);
+  const byIndex = new Map(items.map((item, k) => [Number(item?.i) || k + 1, item]));
+  return Array.from({ length: count }, (_, k) => normalizeLabel(byIndex.get(k + 1)));
+}
+
+// texts → [{ sentiment, score, kind }], one per text, in order.
+async function classifyComments(llm, texts) {
+  const labels = [];
+  for (let i = 0; i < texts.length; i += BATCH_SIZE) {
+    const batch = texts.slice(i, i + BATCH_SIZE);
+    labels.push(...parseLabels(await llm.generateText({ prompt: classifyPrompt(batch), json: true }), batch.length));
+  }
+  return labels;
+}
+
+module.exports = { classifyComments, normalizeLabel, parseLabels };
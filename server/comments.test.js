@@ -0,0 +1,40 @@
+// Run with `npm run test:server`. Uses a fake provider; no model is called.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { classifyComments, normalizeLabel, parseLabels } = require('./comments');
+
+test('normalizeLabel clamps the score and derives a missing sentiment from it', () => {
+  assert.deepEqual(normalizeLabel({ sentiment: 'negative', score: -3, kind: 'criticism' }), {
+    sentiment: 'negative',
+    score: -1,
+    kind: 'criticism',
+  });
+  assert.deepEqual(normalizeLabel({ score: 0.6, kind: 'joke' }), { sentiment: 'positive', score: 0.6, kind: 'other' });
+  assert.deepEqual(normalizeLabel(undefined), { sentiment: 'neutral', score: 0, kind: 'other' });
+});
+
+test('parseLabels matches items by number and fills gaps with neutral', () => {
+  const reply = '```json\n[{"i": 2, "sentiment": "positive", "score": 0.9, "kind": "praise"}]\n```';
+  const labels = parseLabels(reply, 3);
+  assert.equal(labels.length, 3);
+  assert.equal(labels[0].sentiment, 'neutral');
+  assert.equal(labels[1].kind, 'praise');
+  assert.throws(() => parseLabels('no idea', 1), /JSON array/);
+});
+
+test('classifyComments batches long lists and keeps the order', async () => {
+  const prompts = [];
+  const llm = {
+    generateText: async ({ prompt }) => {
+      prompts.push(prompt);
+      const count = prompt.split('\n').filter((l) => /^\d+\. /.test(l)).length;
+      return JSON.stringify(Array.from({ length: count }, (_, k) => ({ i: k + 1, score: prompts.length === 1 ? 1 : -1 })));
+    },
+  };
+  const labels = await classifyComments(llm, Array.from({ length: 45 }, (_, i) => `comment ${i}`));
+  assert.equal(prompts.length, 2);
+  assert.equal(labels.length, 45);
+  assert.equal(labels[39].sentiment, 'positive');
+  assert.equal(labels[40].sentiment, 'negative');
+});
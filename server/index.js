@@ -1,8 +1,12 @@
 require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
 const express = require('express');
 const { MongoClient, ObjectId } = require('mongodb');
 const bcrypt = require('bcryptjs');
 const cors = require('cors');
+const { issueTokens, verifyToken, requireAuth } = require('./auth');
+const { createProvider } = require('./llm');
 
 const app = express();
 app.use(cors());
@@ -13,12 +17,24 @@ const DB = 'chatapp';
 
 let db;
 
+const llm = createProvider();
+console.log(`LLM provider: ${llm.name}`);
+
 async function connect() {
   const client = await MongoClient.connect(URI);
   db = client.db(DB);
   console.log('MongoDB connected');
 }
 
+// Returns the session if it exists and belongs to `username`, otherwise null —
+// callers answer 404 either way so session ids can't be probed.
+async function findOwnedSession(id, username, projection) {
+  if (!ObjectId.isValid(id)) return null;
+  return db
+    .collection('sessions')
+    .findOne({ _id: new ObjectId(id), username }, projection ? { projection } : undefined);
+}
+
 app.get('/', (req, res) => {
   res.send(`
     <html>
@@ -37,7 +53,9 @@ app.get('/api/status', async (req, res) => {
   try {
     const usersCount = await db.collection('users').countDocuments();
     const sessionsCount = await db.collection('sessions').countDocuments();
-    res.json({ usersCount, sessionsCount });
+    const datasetsCount = await db.collection('datasets').countDocuments();
+    const channelsCount = await db.collection('channels').countDocuments();
+    res.json({ usersCount, sessionsCount, datasetsCount, channelsCount, llmProvider: llm.name });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -83,23 +101,39 @@ app.post('/api/users/login', async (req, res) => {
       username: name,
       firstName: user.firstName || '',
       lastName: user.lastName || '',
+      ...issueTokens(name),
     });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
+app.post('/api/auth/refresh', async (req, res) => {
+  try {
+    const payload = verifyToken(req.body?.refreshToken, 'refresh');
+    if (!payload) return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    const user = await db.collection('users').findOne({ username: payload.sub });
+    if (!user) return res.status(401).json({ error: 'User not found' });
+    res.json(issueTokens(payload.sub));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // ── Sessions ─────────────────────────────────────────────────────────────────
 
-app.get('/api/sessions', async (req, res) => {
+app.get('/api/sessions', requireAuth, async (req, res) => {
   try {
-    const { username } = req.query;
-    if (!username) return res.status(400).json({ error: 'username required' });
     const sessions = await db
       .collection('sessions')
-      .find({ username })
+      .find({ username: req.username })
       .sort({ createdAt: -1 })
       .toArray();
+    const datasets = await db
+      .collection('datasets')
+      .find({ username: req.username }, { projection: DATASET_META })
+      .sort({ createdAt: 1 })
+      .toArray();
     res.json(
       sessions.map((s) => ({
         id: s._id.toString(),
@@ -107,6 +141,9 @@ app.get('/api/sessions', async (req, res) => {
         title: s.title || null,
         createdAt: s.createdAt,
         messageCount: (s.messages || []).length,
+        datasets: datasets
+          .filter((d) => d.sessionId === s._id.toString())
+          .map(datasetSummary),
       }))
     );
   } catch (err) {
@@ -114,13 +151,11 @@ app.get('/api/sessions', async (req, res) => {
   }
 });
 
-app.post('/api/sessions', async (req, res) => {
+app.post('/api/sessions', requireAuth, async (req, res) => {
   try {
-    const { username, agent } = req.body;
-    if (!username) return res.status(400).json({ error: 'username required' });
-    const { title } = req.body;
+    const { agent, title } = req.body;
     const result = await db.collection('sessions').insertOne({
-      username,
+      username: req.username,
       agent: agent || null,
       title: title || null,
       createdAt: new Date().toISOString(),
@@ -132,22 +167,118 @@ app.post('/api/sessions', async (req, res) => {
   }
 });
 
-app.delete('/api/sessions/:id', async (req, res) => {
+app.delete('/api/sessions/:id', requireAuth, async (req, res) => {
   try {
-    await db.collection('sessions').deleteOne({ _id: new ObjectId(req.params.id) });
+    if (!ObjectId.isValid(req.params.id)) return res.status(404).json({ error: 'Session not found' });
+    const result = await db
+      .collection('sessions')
+      .deleteOne({ _id: new ObjectId(req.params.id), username: req.username });
+    if (!result.deletedCount) return res.status(404).json({ error: 'Session not found' });
+    await db.collection('datasets').deleteMany({ sessionId: req.params.id, username: req.username });
     res.json({ ok: true });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-app.patch('/api/sessions/:id/title', async (req, res) => {
+app.patch('/api/sessions/:id/title', requireAuth, async (req, res) => {
   try {
     const { title } = req.body;
-    await db.collection('sessions').updateOne(
-      { _id: new ObjectId(req.params.id) },
+    if (!ObjectId.isValid(req.params.id)) return res.status(404).json({ error: 'Session not found' });
+    const result = await db.collection('sessions').updateOne(
+      { _id: new ObjectId(req.params.id), username: req.username },
       { $set: { title } }
     );
+    if (!result.matchedCount) return res.status(404).json({ error: 'Session not found' });
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── Datasets ─────────────────────────────────────────────────────────────────
+// CSV / JSON files dropped into a chat are stored per session so reopening the
+// session restores them. `content` is the raw file text; list routes never
+// return it. `size` is the content's length in bytes, like MAX_DATASET_BYTES.
+
+const DATASET_KINDS = ['csv', 'json'];
+const DATASET_META = { content: 0 };
+// Content is stored inline, so it has to stay well under both the JSON body
+// limit above and MongoDB's 16 MB document limit. Keep in sync with mongoApi.js.
+const MAX_DATASET_BYTES = 8 * 1024 * 1024;
+
+const datasetSummary = (d) => ({
+  id: d._id.toString(),
+  sessionId: d.sessionId,
+  name: d.name,
+  kind: d.kind,
+  size: d.size,
+  createdAt: d.createdAt,
+});
+
+app.get('/api/sessions/:id/datasets', requireAuth, async (req, res) => {
+  try {
+    const session = await findOwnedSession(req.params.id, req.username, { _id: 1 });
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+    const datasets = await db
+      .collection('datasets')
+      .find({ sessionId: req.params.id, username: req.username }, { projection: DATASET_META })
+      .sort({ createdAt: 1 })
+      .toArray();
+    res.json(datasets.map(datasetSummary));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/sessions/:id/datasets', requireAuth, async (req, res) => {
+  try {
+    const { name, kind, content } = req.body;
+    if (!name || !DATASET_KINDS.includes(kind) || typeof content !== 'string')
+      return res.status(400).json({ error: `name, kind (${DATASET_KINDS.join('|')}) and content required` });
+    if (Buffer.byteLength(content) > MAX_DATASET_BYTES)
+      return res.status(413).json({ error: `Datasets are limited to ${MAX_DATASET_BYTES / 1024 / 1024} MB` });
+    const session = await findOwnedSession(req.params.id, req.username, { _id: 1 });
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+    const doc = {
+      sessionId: req.params.id,
+      username: req.username,
+      name: String(name),
+      kind,
+      size: Buffer.byteLength(content),
+      content,
+      createdAt: new Date().toISOString(),
+    };
+    const result = await db.collection('datasets').insertOne(doc);
+    res.json(datasetSummary({ ...doc, _id: result.insertedId }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/datasets/:id', requireAuth, async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) return res.status(404).json({ error: 'Dataset not found' });
+    const doc = await db
+      .collection('datasets')
+      .findOne({ _id: new ObjectId(req.params.id), username: req.username });
+    if (!doc) return res.status(404).json({ error: 'Dataset not found' });
+    const content = doc.channelId
+      ? JSON.stringify(await loadChannelVideos(doc.channelId))
+      : doc.content;
+    res.json({ ...datasetSummary(doc), content });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete('/api/datasets/:id', requireAuth, async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) return res.status(404).json({ error: 'Dataset not found' });
+    const result = await db
+      .collection('datasets')
+      .deleteOne({ _id: new ObjectId(req.params.id), username: req.username });
+    if (!result.deletedCount) return res.status(404).json({ error: 'Dataset not found' });
     res.json({ ok: true });
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -156,7 +287,7 @@ app.patch('/api/sessions/:id/title', async (req, res) => {
 
 // ── Messages ─────────────────────────────────────────────────────────────────
 
-app.post('/api/messages', async (req, res) => {
+app.post('/api/messages', requireAuth, async (req, res) => {
   try {
     const { session_id, role, content, imageData, charts, toolCalls, videoCard } = req.body;
     if (!session_id || !role || content === undefined)
@@ -172,24 +303,25 @@ app.post('/api/messages', async (req, res) => {
       ...(toolCalls?.length && { toolCalls }),
       ...(videoCard && { videoCard }),
     };
-    await db.collection('sessions').updateOne(
-      { _id: new ObjectId(session_id) },
+    if (!ObjectId.isValid(session_id)) return res.status(404).json({ error: 'Session not found' });
+    const result = await db.collection('sessions').updateOne(
+      { _id: new ObjectId(session_id), username: req.username },
       { $push: { messages: msg } }
     );
+    if (!result.matchedCount) return res.status(404).json({ error: 'Session not found' });
     res.json({ ok: true });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-app.get('/api/messages', async (req, res) => {
+app.get('/api/messages', requireAuth, async (req, res) => {
   try {
     const { session_id } = req.query;
     if (!session_id) return res.status(400).json({ error: 'session_id required' });
-    const doc = await db
-      .collection('sessions')
-      .findOne({ _id: new ObjectId(session_id) });
-    const raw = doc?.messages || [];
+    const doc = await findOwnedSession(session_id, req.username);
+    if (!doc) return res.status(404).json({ error: 'Session not found' });
+    const raw = doc.messages || [];
     const msgs = raw.map((m, i) => {
       const arr = m.imageData
         ? Array.isArray(m.imageData)
@@ -215,276 +347,573 @@ app.get('/api/messages', async (req, res) => {
   }
 });
 
-// ── Image generation (Gemini 2.5 Flash Image) ─────────────────────────────────
+// ── Chat ─────────────────────────────────────────────────────────────────────
+// The browser never sees an API key: it posts chat history here and either
+// reads an SSE stream (/api/chat/stream) or drives a function-calling loop one
+// round at a time (/api/chat/tools), executing the tools itself in between.
+// The model behind both is whatever LLM_PROVIDER selects (see server/llm).
 
-const { GoogleGenAI } = require('@google/genai');
-const genAI_img = new GoogleGenAI({ apiKey: process.env.REACT_APP_GEMINI_API_KEY || '' });
+const PROMPT_PATH = path.join(__dirname, '..', 'public', 'prompt_chat.txt');
 
-app.post('/api/generate-image', async (req, res) => {
-  const { prompt, anchorImages = [] } = req.body;
-  if (!prompt) return res.status(400).json({ error: 'prompt is required' });
+// Read on every request so edits to prompt_chat.txt apply to the next message.
+function loadSystemPrompt() {
+  try {
+    return fs.readFileSync(PROMPT_PATH, 'utf8').trim();
+  } catch {
+    return '';
+  }
+}
+
+// Streaming chat with either Google Search grounding or code execution.
+// SSE events:
+//   { type: 'text', text }           — streaming text chunks
+//   { type: 'fullResponse', parts }  — when code was executed; replaces streamed text
+//   { type: 'grounding', data }      — Google Search metadata
+//   { type: 'done' } / { type: 'error', message }
+app.post('/api/chat/stream', requireAuth, async (req, res) => {
+  const { history = [], message, imageParts = [], useCodeExecution = false } = req.body;
+  if (typeof message !== 'string') return res.status(400).json({ error: 'message required' });
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+
+  let closed = false;
+  res.on('close', () => { closed = true; });
+  const send = (data) => {
+    if (!closed) res.write(`data: ${JSON.stringify(data)}\n\n`);
+  };
 
   try {
-    const contents = [
-      ...anchorImages.map((img) => ({
-        inlineData: { mimeType: img.mimeType || 'image/png', data: img.data },
-      })),
-      { text: prompt },
-    ];
+    const stream = llm.streamChat({
+      history,
+      message,
+      imageParts,
+      useCodeExecution,
+      systemInstruction: loadSystemPrompt(),
+    });
+    for await (const event of stream) {
+      if (closed) break;
+      send(event);
+    }
+    send({ type: 'done' });
+    res.end();
+  } catch (err) {
+    console.error('[Chat stream error]', err.message);
+    send({ type: 'error', message: err.message });
+    res.end();
+  }
+});
 
-    const result = await genAI_img.models.generateContent({
-      model: 'gemini-2.5-flash-image',
-      contents,
-      config: { responseModalities: ['TEXT', 'IMAGE'] },
+// One round of function calling. The client sends the prior chat history plus
+// the turns of the current exchange (its message, then alternating model
+// functionCall / user functionResponse turns) and gets back either
+//   { functionCall: { name, args }, content } — run the tool, append both turns, call again
+//   { text }                                  — final answer
+app.post('/api/chat/tools', requireAuth, async (req, res) => {
+  try {
+    const { history = [], turns, toolDeclarations } = req.body;
+    if (!Array.isArray(turns) || !turns.length)
+      return res.status(400).json({ error: 'turns required' });
+    if (!Array.isArray(toolDeclarations) || !toolDeclarations.length)
+      return res.status(400).json({ error: 'toolDeclarations required' });
+
+    const result = await llm.callTools({
+      history,
+      turns,
+      toolDeclarations,
+      systemInstruction: loadSystemPrompt(),
     });
+    res.json(result);
+  } catch (err) {
+    console.error('[Chat tools error]', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    const parts = result.candidates?.[0]?.content?.parts || [];
-    const imagePart = parts.find((p) => p.inlineData?.mimeType?.startsWith('image/'));
+// ── Image generation ──────────────────────────────────────────────────────────
 
-    if (!imagePart) {
-      const textPart = parts.find((p) => p.text);
-      return res.status(500).json({
-        error: textPart?.text || 'No image was generated. Try a different prompt.',
-      });
-    }
+app.post('/api/generate-image', requireAuth, async (req, res) => {
+  const { prompt, anchorImages = [] } = req.body;
+  if (!prompt) return res.status(400).json({ error: 'prompt is required' });
 
-    res.json({ mimeType: imagePart.inlineData.mimeType, data: imagePart.inlineData.data });
+  try {
+    res.json(await llm.generateImage({ prompt, anchorImages }));
   } catch (err) {
     console.error('[Image generation error]', err.message);
     res.status(500).json({ error: err.message });
   }
 });
 
-// ── YouTube Channel Download (SSE) ────────────────────────────────────────────
+// ── Embeddings ────────────────────────────────────────────────────────────────
+// Used by the chat's content index when REACT_APP_EMBEDDER=remote. The client
+// batches its passages; providers without embedTexts answer 501 and the
+// client falls back to its local TF-IDF index.
 
-app.post('/api/youtube/channel', async (req, res) => {
-  const { url, maxVideos = 10 } = req.body;
+const MAX_EMBED_BATCH = 100;
 
-  if (!url) {
-    return res.status(400).json({ error: 'url required' });
+app.post('/api/embed', requireAuth, async (req, res) => {
+  const { texts, taskType } = req.body;
+  if (!Array.isArray(texts) || !texts.length || texts.some((t) => typeof t !== 'string'))
+    return res.status(400).json({ error: 'texts must be a non-empty array of strings' });
+  if (texts.length > MAX_EMBED_BATCH)
+    return res.status(400).json({ error: `At most ${MAX_EMBED_BATCH} texts per request` });
+  if (!llm.embedTexts)
+    return res.status(501).json({ error: `The ${llm.name} provider does not support embeddings` });
+
+  try {
+    res.json({ vectors: await llm.embedTexts({ texts, taskType }) });
+  } catch (err) {
+    console.error('[Embedding error]', err.message);
+    res.status(500).json({ error: err.message });
   }
+});
 
-  // Set up SSE headers
-  res.setHeader('Content-Type', 'text/event-stream');
-  res.setHeader('Cache-Control', 'no-cache');
-  res.setHeader('Connection', 'keep-alive');
-  res.setHeader('X-Accel-Buffering', 'no');
-  res.flushHeaders();
+// ── Thumbnail analysis ────────────────────────────────────────────────────────
+// The analyze_thumbnails chat tool posts { videos: [{ video_id, thumbnail }] }
+// and gets vision-model features back per video (see server/thumbnails.js).
+// Per-video failures come back as { video_id, error } rather than failing the
+// whole batch.
 
-  const send = (data) => {
-    res.write(`data: ${JSON.stringify(data)}\n\n`);
+const { createThumbnailAnalyzer } = require('./thumbnails');
+
+const MAX_THUMBNAIL_BATCH = 50;
+
+app.post('/api/thumbnails/analyze', requireAuth, async (req, res) => {
+  const { videos } = req.body;
+  if (!Array.isArray(videos) || !videos.length || videos.some((v) => typeof v?.thumbnail !== 'string'))
+    return res.status(400).json({ error: 'videos must be a non-empty array of { video_id, thumbnail }' });
+  if (videos.length > MAX_THUMBNAIL_BATCH)
+    return res.status(400).json({ error: `At most ${MAX_THUMBNAIL_BATCH} thumbnails per request` });
+  if (!llm.analyzeImage)
+    return res.status(501).json({ error: `The ${llm.name} provider does not support image analysis` });
+
+  try {
+    const analyzer = createThumbnailAnalyzer({ collection: db.collection('thumbnail_features'), llm });
+    res.json({ results: await analyzer.analyze(videos) });
+  } catch (err) {
+    console.error('[Thumbnail analysis error]', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── Comment classification ────────────────────────────────────────────────────
+// Used by the analyze_comments chat tool when REACT_APP_SENTIMENT=remote.
+// Providers without generateText answer 501 and the client falls back to its
+// local sentiment lexicon.
+
+const { classifyComments } = require('./comments');
+
+const MAX_CLASSIFY_BATCH = 500;
+
+app.post('/api/comments/classify', requireAuth, async (req, res) => {
+  const { texts } = req.body;
+  if (!Array.isArray(texts) || !texts.length || texts.some((t) => typeof t !== 'string'))
+    return res.status(400).json({ error: 'texts must be a non-empty array of strings' });
+  if (texts.length > MAX_CLASSIFY_BATCH)
+    return res.status(400).json({ error: `At most ${MAX_CLASSIFY_BATCH} comments per request` });
+  if (!llm.generateText)
+    return res.status(501).json({ error: `The ${llm.name} provider does not support text classification` });
+
+  try {
+    res.json({ labels: await classifyComments(llm, texts) });
+  } catch (err) {
+    console.error('[Comment classification error]', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── Channel library ──────────────────────────────────────────────────────────
+// Every YouTube download is saved as a named, versioned snapshot: one `channels`
+// document per snapshot plus one `channel_videos` document per video (keeps
+// large channels clear of MongoDB's 16 MB document limit).
+
+const channelSummary = (c) => ({
+  id: c._id.toString(),
+  name: c.name,
+  version: c.version,
+  url: c.url,
+  source: c.source || 'videos',
+  videoCount: c.videoCount,
+  createdAt: c.createdAt,
+});
+
+async function saveChannelSnapshot(username, { name, url, source, videos }) {
+  const last = await db
+    .collection('channels')
+    .find({ username, name })
+    .sort({ version: -1 })
+    .limit(1)
+    .next();
+  const doc = {
+    username,
+    name,
+    url,
+    source,
+    version: (last?.version || 0) + 1,
+    videoCount: videos.length,
+    createdAt: new Date().toISOString(),
   };
+  const { insertedId } = await db.collection('channels').insertOne(doc);
+  if (videos.length) {
+    await db
+      .collection('channel_videos')
+      .insertMany(videos.map((v, index) => ({ ...v, channelId: insertedId.toString(), index })));
+  }
+  return channelSummary({ ...doc, _id: insertedId });
+}
+
+async function loadChannelVideos(channelId) {
+  return db
+    .collection('channel_videos')
+    .find({ channelId }, { projection: { _id: 0, channelId: 0, index: 0 } })
+    .sort({ index: 1 })
+    .toArray();
+}
+
+async function findOwnedChannel(id, username) {
+  if (!ObjectId.isValid(id)) return null;
+  return db.collection('channels').findOne({ _id: new ObjectId(id), username });
+}
+
+app.get('/api/channels', requireAuth, async (req, res) => {
+  try {
+    const channels = await db
+      .collection('channels')
+      .find({ username: req.username })
+      .sort({ name: 1, version: -1 })
+      .toArray();
+    res.json(channels.map(channelSummary));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
+app.get('/api/channels/:id', requireAuth, async (req, res) => {
   try {
-    const ytdl = require('@distube/ytdl-core');
+    const channel = await findOwnedChannel(req.params.id, req.username);
+    if (!channel) return res.status(404).json({ error: 'Channel not found' });
+    res.json({ ...channelSummary(channel), videos: await loadChannelVideos(req.params.id) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    // Normalize channel URL and append /videos
-    const channelBase = url.replace(/\/+$/, '');
-    const channelUrl = channelBase.endsWith('/videos')
-      ? channelBase
-      : `${channelBase}/videos`;
+app.delete('/api/channels/:id', requireAuth, async (req, res) => {
+  try {
+    const channel = await findOwnedChannel(req.params.id, req.username);
+    if (!channel) return res.status(404).json({ error: 'Channel not found' });
+    await db.collection('channels').deleteOne({ _id: channel._id });
+    await db.collection('channel_videos').deleteMany({ channelId: req.params.id });
+    await db.collection('datasets').deleteMany({ channelId: req.params.id, username: req.username });
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    const pageResponse = await fetch(channelUrl, {
-      headers: {
-        'User-Agent':
-          'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36',
-        'Accept-Language': 'en-US,en;q=0.9',
-        Accept: 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-      },
+// Starts a new chat session with the snapshot attached as its JSON dataset.
+// The dataset references the snapshot instead of copying the videos.
+app.post('/api/channels/:id/analyze', requireAuth, async (req, res) => {
+  try {
+    const channel = await findOwnedChannel(req.params.id, req.username);
+    if (!channel) return res.status(404).json({ error: 'Channel not found' });
+    const now = new Date().toISOString();
+    const session = await db.collection('sessions').insertOne({
+      username: req.username,
+      agent: 'assistant',
+      title: `${channel.name} · v${channel.version}`,
+      createdAt: now,
+      messages: [],
+    });
+    const sessionId = session.insertedId.toString();
+    await db.collection('datasets').insertOne({
+      sessionId,
+      username: req.username,
+      name: `${channel.name}-v${channel.version}.json`,
+      kind: 'json',
+      channelId: req.params.id,
+      size: Buffer.byteLength(JSON.stringify(await loadChannelVideos(req.params.id))),
+      createdAt: now,
     });
+    res.json({ sessionId });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    if (!pageResponse.ok) {
-      throw new Error(`Failed to fetch channel page: HTTP ${pageResponse.status}`);
-    }
+// ── YouTube channel download jobs ─────────────────────────────────────────────
+// Downloads run as background jobs (see jobs.js) so they survive closed tabs and
+// server restarts. Job params:
+//   mode "download" (default): scrape a source and save a new snapshot. `source`
+//   is a channel tab ("videos", "shorts", "streams"), "playlist" or "video"
+//   (see resolveSource in youtube/parse.js); it is auto-detected from the URL if omitted.
+//   mode "refresh": re-fetch stats for every video of a saved snapshot, append a
+//   metrics snapshot to each video's metrics_history, add uploads published
+//   since, and save the result as the next version of that snapshot.
+// Each finished video is written to `job_videos` right away; a resumed or
+// retried job skips those and only scrapes what is left.
+
+const {
+  SOURCES,
+  parseLanguageList,
+  parseCommentLimit,
+  resolveSource,
+  defaultSnapshotName,
+  fetchSourceRenderers,
+  scrapeVideo,
+  refreshVideo,
+} = require('./youtube');
+const { createJobQueue, FINAL_STATUSES } = require('./jobs');
+
+const JOB_CONCURRENCY = Math.max(1, Number(process.env.YOUTUBE_JOB_CONCURRENCY) || 2);
+
+let jobs;
+
+const jobSummary = (j) => ({
+  id: j._id.toString(),
+  status: j.status,
+  params: j.params,
+  progress: j.progress || null,
+  result: j.result || null,
+  error: j.error || null,
+  createdAt: j.createdAt,
+  updatedAt: j.updatedAt,
+  finishedAt: j.finishedAt || null,
+});
+
+async function runChannelJob(job, { isCancelled, progress }) {
+  const jobId = job._id.toString();
+  const { mode, url, source, name, maxVideos, channelId, transcriptLanguages, maxComments = 0 } = job.params;
+  const stop = () => {
+    if (isCancelled()) throw new Error('Cancelled');
+  };
 
-    const html = await pageResponse.text();
+  const base = mode === 'refresh' ? await findOwnedChannel(channelId, job.username) : null;
+  if (mode === 'refresh' && !base) throw new Error('Channel not found');
+
+  const existing = base ? await loadChannelVideos(base._id.toString()) : [];
+  const known = new Set(existing.map((v) => v.video_id));
+  const saved = await db
+    .collection('job_videos')
+    .find({ jobId }, { projection: { video_id: 1 } })
+    .toArray();
+  const done = new Set(saved.map((v) => v.video_id));
+
+  await progress({ phase: 'listing', page: 0, found: 0, current: 0, total: 0, percent: 0 });
+  // A refresh of a channel tab only adds uploads newer than the snapshot, so
+  // listing stops at the first video it already has. Playlists aren't in
+  // upload order, so there known videos are skipped instead.
+  const isKnown = (vr) => known.has(vr.videoId);
+  const fresh = await fetchSourceRenderers(url, {
+    source,
+    limit: maxVideos,
+    until: base && source !== 'playlist' ? isKnown : undefined,
+    skip: base && source === 'playlist' ? isKnown : undefined,
+    onPage: async ({ page, found }) => {
+      stop();
+      await progress({ phase: 'listing', page, found, current: 0, total: 0, percent: 0 });
+    },
+  });
 
-    // Extract ytInitialData JSON from the page
-    let ytData;
-    const match =
-      html.match(/var ytInitialData\s*=\s*(\{.+?\});\s*<\/script>/s) ||
-      html.match(/ytInitialData\s*=\s*(\{.+?\});\s*(?:var |<\/script>)/s);
+  const work = [
+    ...fresh.map((vr) => ({ id: vr.videoId, run: () => scrapeVideo(vr, { transcriptLanguages, maxComments }) })),
+    ...existing.map((v) => ({ id: v.video_id, run: () => refreshVideo(v, base.createdAt, { maxComments }) })),
+  ];
+  const total = work.length;
+  let current = work.filter((w) => done.has(w.id)).length;
+
+  for (const [index, item] of work.entries()) {
+    if (done.has(item.id)) continue;
+    stop();
+    const video = await item.run();
+    await db.collection('job_videos').insertOne({ ...video, jobId, index });
+    current++;
+    await progress({ phase: 'videos', current, total, percent: Math.round((current / total) * 100) });
+  }
+  stop();
+
+  const videos = await db
+    .collection('job_videos')
+    .find({ jobId }, { projection: { _id: 0, jobId: 0, index: 0 } })
+    .sort({ index: 1 })
+    .toArray();
+  const snapshot = await saveChannelSnapshot(job.username, { name, url, source, videos });
+  await db.collection('job_videos').deleteMany({ jobId });
+  return { snapshot, added: fresh.length, refreshed: existing.length };
+}
 
-    if (!match) {
-      throw new Error(
-        'Could not extract ytInitialData. The channel may not exist or YouTube blocked the request.'
-      );
-    }
+async function findOwnedJob(id, username) {
+  if (!ObjectId.isValid(id)) return null;
+  return db.collection('jobs').findOne({ _id: new ObjectId(id), username });
+}
 
-    try {
-      ytData = JSON.parse(match[1]);
-    } catch {
-      throw new Error('Failed to parse ytInitialData JSON.');
+app.post('/api/youtube/jobs', requireAuth, async (req, res) => {
+  try {
+    const { url, maxVideos = 10, name, mode = 'download', channelId, source, transcriptLanguages, maxComments } =
+      req.body;
+    let params;
+    if (mode === 'refresh') {
+      const base = await findOwnedChannel(channelId, req.username);
+      if (!base) return res.status(404).json({ error: 'Channel not found' });
+      params = {
+        mode,
+        channelId,
+        name: base.name,
+        url: base.url,
+        source: base.source || 'videos',
+        maxVideos: Math.max(1, Number(maxVideos) || 10),
+        transcriptLanguages: parseLanguageList(transcriptLanguages),
+        maxComments: parseCommentLimit(maxComments),
+      };
+    } else {
+      if (!url) return res.status(400).json({ error: 'url required' });
+      if (source && source !== 'auto' && !SOURCES.includes(source)) {
+        return res.status(400).json({ error: `source must be one of: auto, ${SOURCES.join(', ')}` });
+      }
+      let resolved;
+      try {
+        resolved = resolveSource(url, source);
+      } catch (err) {
+        return res.status(400).json({ error: err.message });
+      }
+      params = {
+        mode: 'download',
+        url,
+        source: resolved.source,
+        name: String(name || '').trim() || defaultSnapshotName(url, resolved.source),
+        maxVideos: resolved.source === 'video' ? 1 : Math.max(1, Number(maxVideos) || 10),
+        transcriptLanguages: parseLanguageList(transcriptLanguages),
+        maxComments: parseCommentLimit(maxComments),
+      };
     }
+    const now = new Date().toISOString();
+    const doc = { username: req.username, params, status: 'queued', progress: null, createdAt: now, updatedAt: now };
+    const { insertedId } = await db.collection('jobs').insertOne(doc);
+    jobs.enqueue(insertedId);
+    res.json(jobSummary({ ...doc, _id: insertedId }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    // Navigate to video renderers
-    const tabs =
-      ytData?.contents?.twoColumnBrowseResultsRenderer?.tabs || [];
+app.get('/api/youtube/jobs', requireAuth, async (req, res) => {
+  try {
+    const list = await db
+      .collection('jobs')
+      .find({ username: req.username })
+      .sort({ createdAt: -1 })
+      .limit(50)
+      .toArray();
+    res.json(list.map(jobSummary));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    let videoRenderers = [];
+app.get('/api/youtube/jobs/:id', requireAuth, async (req, res) => {
+  try {
+    const job = await findOwnedJob(req.params.id, req.username);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    res.json(jobSummary(job));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    for (const tab of tabs) {
-      const tabR = tab?.tabRenderer;
-      if (!tabR) continue;
+// SSE — sends the job's current state, then every update until it finishes.
+// Clients can (re)attach at any time; the job keeps running without them.
+// Events: { type: 'job', job } / { type: 'error', message }
+app.get('/api/youtube/jobs/:id/events', requireAuth, async (req, res) => {
+  const job = await findOwnedJob(req.params.id, req.username).catch(() => null);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
 
-      // Modern layout: richGridRenderer
-      const richGrid = tabR?.content?.richGridRenderer;
-      if (richGrid?.contents?.length) {
-        videoRenderers = richGrid.contents
-          .filter((c) => c?.richItemRenderer?.content?.videoRenderer)
-          .map((c) => c.richItemRenderer.content.videoRenderer);
-        if (videoRenderers.length) break;
-      }
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
 
-      // Older layout: sectionListRenderer
-      const sectionList = tabR?.content?.sectionListRenderer;
-      if (sectionList) {
-        for (const section of sectionList.contents || []) {
-          const items =
-            section?.itemSectionRenderer?.contents?.[0]?.gridRenderer?.items || [];
-          videoRenderers = items
-            .filter((it) => it?.gridVideoRenderer)
-            .map((it) => it.gridVideoRenderer);
-          if (videoRenderers.length) break;
-        }
-        if (videoRenderers.length) break;
-      }
+  // An update can land after the stream has ended (final status or closed tab)
+  const send = (j) => {
+    if (res.writableEnded) return;
+    res.write(`data: ${JSON.stringify({ type: 'job', job: jobSummary(j) })}\n\n`);
+    if (FINAL_STATUSES.includes(j.status)) {
+      unsubscribe();
+      res.end();
     }
-
-    if (!videoRenderers.length) {
-      throw new Error(
-        'No videos found. Make sure the URL points to a public YouTube channel (e.g. https://www.youtube.com/@channelname).'
-      );
+  };
+  const unsubscribe = jobs.subscribe(job._id, send);
+  req.on('close', unsubscribe);
+  // Re-read after subscribing so an update landing in between isn't missed
+  try {
+    send((await db.collection('jobs').findOne({ _id: job._id })) || job);
+  } catch (err) {
+    unsubscribe();
+    if (!res.writableEnded) {
+      res.write(`data: ${JSON.stringify({ type: 'error', message: err.message })}\n\n`);
+      res.end();
     }
+  }
+});
 
-    const limit = Math.min(videoRenderers.length, Math.max(1, Number(maxVideos) || 10));
-    const videos = [];
-
-    for (let i = 0; i < limit; i++) {
-      const vr = videoRenderers[i];
-      const videoId = vr?.videoId;
-      if (!videoId) continue;
-
-      send({ type: 'progress', current: i + 1, total: limit, percent: Math.round(((i + 1) / limit) * 100) });
-
-      // Basic metadata from ytInitialData
-      const title = vr?.title?.runs?.[0]?.text || vr?.title?.simpleText || '';
-      const thumbnailUrl =
-        vr?.thumbnail?.thumbnails?.slice(-1)[0]?.url || '';
-      const duration = vr?.lengthText?.simpleText || '';
-      const publishedTimeText = vr?.publishedTimeText?.simpleText || '';
-      const viewCountText =
-        vr?.viewCountText?.simpleText || vr?.shortViewCountText?.simpleText || '';
-
-      const videoData = {
-        video_id: videoId,
-        title,
-        video_url: `https://www.youtube.com/watch?v=${videoId}`,
-        thumbnail: thumbnailUrl,
-        duration,
-        published_time_text: publishedTimeText,
-        view_count_text: viewCountText,
-        description: '',
-        release_date: '',
-        view_count: null,
-        like_count: null,
-        comment_count: null,
-        transcript: '',
-      };
-
-      // Enrich with ytdl info (getInfo for comment count + richer data + captions)
-      try {
-        const info = await ytdl.getInfo(
-          `https://www.youtube.com/watch?v=${videoId}`
-        );
-        const details = info.videoDetails;
-        videoData.title = details.title || title;
-        videoData.description = (details.shortDescription || '').slice(0, 1000);
-        videoData.release_date = details.publishDate || '';
-        videoData.view_count = details.viewCount ? parseInt(details.viewCount, 10) : null;
-        videoData.like_count = details.likes != null ? parseInt(details.likes, 10) : null;
-        videoData.thumbnail = details.thumbnails?.slice(-1)[0]?.url || thumbnailUrl;
-
-        // comment_count: path 1 — player_response.videoDetails.commentCount
-        const ccRaw = info.player_response?.videoDetails?.commentCount;
-        if (ccRaw != null) {
-          videoData.comment_count = parseInt(ccRaw, 10);
-        } else {
-          // path 2 — engagement panels in the next response
-          const panels = info.response?.engagementPanels || [];
-          for (const panel of panels) {
-            const hdr =
-              panel?.engagementPanelSectionListRenderer?.header
-                ?.engagementPanelTitleHeaderRenderer;
-            const countText = hdr?.contextualInfo?.runs?.[0]?.text;
-            if (countText) {
-              const n = parseInt(countText.replace(/,/g, ''), 10);
-              if (!isNaN(n)) { videoData.comment_count = n; break; }
-            }
-          }
-        }
-
-        // Transcript: use yt-dlp (most reliable — bypasses YouTube bot detection)
-        try {
-          const { execFile } = require('child_process');
-          const os = require('os');
-          const path = require('path');
-          const fs = require('fs');
-          const tmpBase = path.join(os.tmpdir(), `yt_sub_${videoId}`);
-          await new Promise((resolve) => {
-            execFile(
-              'yt-dlp',
-              [
-                '--skip-download',
-                '--write-auto-sub',
-                '--sub-lang', 'en',
-                '--sub-format', 'json3',
-                '-o', tmpBase,
-                `https://www.youtube.com/watch?v=${videoId}`,
-              ],
-              { timeout: 20000 },
-              (err) => resolve(err)
-            );
-          });
-          const subFile = `${tmpBase}.en.json3`;
-          if (fs.existsSync(subFile)) {
-            const json = JSON.parse(fs.readFileSync(subFile, 'utf8'));
-            const text = (json.events || [])
-              .flatMap((e) => (e.segs || []).map((s) => s.utf8))
-              .filter(Boolean)
-              .join(' ')
-              .replace(/\n/g, ' ')
-              .replace(/\s+/g, ' ')
-              .trim()
-              .slice(0, 5000);
-            if (text) videoData.transcript = text;
-            fs.unlinkSync(subFile);
-          }
-        } catch {
-          // transcript not available — keep empty
-        }
-      } catch (e) {
-        console.warn(`[YouTube] ytdl info failed for ${videoId}:`, e.message);
-      }
+app.post('/api/youtube/jobs/:id/cancel', requireAuth, async (req, res) => {
+  try {
+    const job = await findOwnedJob(req.params.id, req.username);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    if (FINAL_STATUSES.includes(job.status)) return res.status(409).json({ error: `Job already ${job.status}` });
+    await jobs.cancel(job._id);
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-      videos.push(videoData);
+app.post('/api/youtube/jobs/:id/retry', requireAuth, async (req, res) => {
+  try {
+    const job = await findOwnedJob(req.params.id, req.username);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    if (!['failed', 'cancelled'].includes(job.status)) {
+      return res.status(409).json({ error: 'Only failed or cancelled jobs can be retried' });
     }
+    await jobs.retry(job._id);
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    send({ type: 'done', videos });
-    res.end();
+app.delete('/api/youtube/jobs/:id', requireAuth, async (req, res) => {
+  try {
+    const job = await findOwnedJob(req.params.id, req.username);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    if (!FINAL_STATUSES.includes(job.status)) return res.status(409).json({ error: 'Cancel the job first' });
+    await db.collection('jobs').deleteOne({ _id: job._id });
+    await db.collection('job_videos').deleteMany({ jobId: req.params.id });
+    res.json({ ok: true });
   } catch (err) {
-    console.error('[YouTube endpoint error]', err.message);
-    send({ type: 'error', message: err.message });
-    res.end();
+    res.status(500).json({ error: err.message });
   }
 });
 
+// Bodies over the express.json limit get a JSON error like every other route
+// instead of Express's HTML page.
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.too.large') return res.status(413).json({ error: 'Request body too large' });
+  next(err);
+});
+
 // ─────────────────────────────────────────────────────────────────────────────
 
 const PORT = process.env.PORT || 3001;
 
 connect()
-  .then(() => {
+  .then(async () => {
+    jobs = createJobQueue({ collection: db.collection('jobs'), concurrency: JOB_CONCURRENCY, runJob: runChannelJob });
+    const resumed = await jobs.resumeInterrupted();
+    if (resumed) console.log(`Resumed ${resumed} interrupted download job(s)`);
     app.listen(PORT, () => console.log(`Server on http://localhost:${PORT}`));
   })
   .catch((err) => {
@@ -0,0 +1,114 @@
+// ── Background job queue ──────────────────────────────────────────────────────
+// Runs long tasks outside the request that started them. Job state lives in a
+// MongoDB collection so progress survives reloads and restarts; the queue
+// itself only tracks which jobs are waiting, running, and who is listening.
+//
+// Job document:
+//   { _id, username, params, status, progress, result, error,
+//     createdAt, updatedAt, startedAt, finishedAt }
+// status: 'queued' → 'running' → 'done' | 'failed' | 'cancelled'
+//
+// runJob(job, { isCancelled, progress }) does the work and resolves to the
+// job's result. It should check isCancelled() between steps and throw to stop.
+
+const ACTIVE_STATUSES = ['queued', 'running'];
+const FINAL_STATUSES = ['done', 'failed', 'cancelled'];
+
+function createJobQueue({ collection, concurrency = 2, runJob }) {
+  const pending = []; // job ids waiting for a slot
+  const running = new Map(); // job id → { cancelled }
+  const listeners = new Map(); // job id → Set<fn(job)>
+
+  const publish = (job) => {
+    for (const fn of listeners.get(job._id.toString()) || []) fn(job);
+  };
+
+  const update = async (id, patch) => {
+    const job = await collection.findOneAndUpdate(
+      { _id: id },
+      { $set: { ...patch, updatedAt: new Date().toISOString() } },
+      { returnDocument: 'after' }
+    );
+    if (job) publish(job);
+    return job;
+  };
+
+  const start = async (id) => {
+    const key = id.toString();
+    const control = { cancelled: false };
+    running.set(key, control);
+    try {
+      const job = await update(id, { status: 'running', error: null, startedAt: new Date().toISOString() });
+      const result = await runJob(job, {
+        isCancelled: () => control.cancelled,
+        progress: (progress) => update(id, { progress }),
+      });
+      await update(id, { status: 'done', result, finishedAt: new Date().toISOString() });
+    } catch (err) {
+      await update(
+        id,
+        control.cancelled
+          ? { status: 'cancelled', finishedAt: new Date().toISOString() }
+          : { status: 'failed', error: err.message, finishedAt: new Date().toISOString() }
+      ).catch((e) => console.error('[Jobs] could not record failure:', e.message));
+      if (!control.cancelled) console.error(`[Jobs] ${key} failed:`, err.message);
+    } finally {
+      running.delete(key);
+      pump();
+    }
+  };
+
+  const pump = () => {
+    while (running.size < concurrency && pending.length) start(pending.shift());
+  };
+
+  return {
+    // Queues an existing job document (by _id) to run.
+    enqueue(id) {
+      pending.push(id);
+      pump();
+    },
+
+    // Re-queues jobs that were waiting or running when the server stopped.
+    async resumeInterrupted() {
+      const jobs = await collection
+        .find({ status: { $in: ACTIVE_STATUSES } })
+        .sort({ createdAt: 1 })
+        .toArray();
+      for (const job of jobs) {
+        await update(job._id, { status: 'queued' });
+        this.enqueue(job._id);
+      }
+      return jobs.length;
+    },
+
+    async cancel(id) {
+      const key = id.toString();
+      if (running.has(key)) {
+        running.get(key).cancelled = true; // runJob stops at its next check
+        return;
+      }
+      const idx = pending.findIndex((p) => p.toString() === key);
+      if (idx !== -1) pending.splice(idx, 1);
+      await update(id, { status: 'cancelled', finishedAt: new Date().toISOString() });
+    },
+
+    async retry(id) {
+      await update(id, { status: 'queued', error: null, finishedAt: null });
+      this.enqueue(id);
+    },
+
+    // Calls fn with the job document after every change. Returns unsubscribe.
+    subscribe(id, fn) {
+      const key = id.toString();
+      if (!listeners.has(key)) listeners.set(key, new Set());
+      listeners.get(key).add(fn);
+      return () => {
+        listeners.get(key)?.delete(fn);
+        if (!listeners.get(key)?.size) listeners.delete(key);
+      };
+    },
+  };
+}
+
+module.exports = { createJobQueue, ACTIVE_STATUSES, FINAL_STATUSES };
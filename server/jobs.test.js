@@ -0,0 +1,178 @@
+// Run with `npm run test:server`. Uses an in-memory collection; no database.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createJobQueue } = require('./jobs');
+
+// The slice of a MongoDB collection the queue uses.
+const fakeCollection = (docs = []) => {
+  const byId = new Map(docs.map((d) => [d._id, { ...d }]));
+  return {
+    docs: byId,
+    async findOneAndUpdate({ _id }, { $set }) {
+      const doc = byId.get(_id);
+      if (!doc) return null;
+      Object.assign(doc, $set);
+      return { ...doc };
+    },
+    find({ status }) {
+      const found = [...byId.values()].filter((d) => status.$in.includes(d.status));
+      return {
+        sort: ({ createdAt }) => ({
+          toArray: async () => found.sort((a, b) => a.createdAt.localeCompare(b.createdAt) * createdAt),
+        }),
+      };
+    },
+  };
+};
+
+const jobDocs = (...ids) => ids.map((_id, i) => ({ _id, status: 'queued', createdAt: `2026-01-0${i + 1}` }));
+
+// A promise plus its resolve/reject, so a test decides when a job finishes.
+const deferred = () => {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+};
+
+const settle = async (check) => {
+  for (let i = 0; i < 100 && !check(); i++) await new Promise((r) => setImmediate(r));
+  assert.ok(check(), 'condition not reached');
+};
+
+test('runs at most `concurrency` jobs at once, in queue order', async () => {
+  const collection = fakeCollection(jobDocs('a', 'b', 'c', 'd'));
+  const gates = {};
+  const started = [];
+  const queue = createJobQueue({
+    collection,
+    concurrency: 2,
+    runJob: (job) => {
+      started.push(job._id);
+      gates[job._id] = deferred();
+      return gates[job._id].promise;
+    },
+  });
+  ['a', 'b', 'c', 'd'].forEach((id) => queue.enqueue(id));
+
+  await settle(() => started.length === 2);
+  assert.deepEqual(started, ['a', 'b']);
+  assert.equal(collection.docs.get('c').status, 'queued');
+
+  gates.b.resolve({ saved: 'b' });
+  await settle(() => started.length === 3);
+  assert.deepEqual(started, ['a', 'b', 'c']);
+  assert.deepEqual(collection.docs.get('b').result, { saved: 'b' });
+  assert.equal(collection.docs.get('b').status, 'done');
+
+  gates.a.resolve(1);
+  gates.c.resolve(2);
+  await settle(() => started.length === 4);
+  gates.d.resolve(3);
+  await settle(() => collection.docs.get('d').status === 'done');
+  assert.ok(collection.docs.get('d').finishedAt);
+});
+
+test('cancel drops a queued job and stops a running one at its next check', async () => {
+  const collection = fakeCollection(jobDocs('running', 'waiting'));
+  const step = deferred();
+  const started = [];
+  const queue = createJobQueue({
+    collection,
+    concurrency: 1,
+    runJob: async (job, { isCancelled }) => {
+      started.push(job._id);
+      await step.promise;
+      if (isCancelled()) throw new Error('cancelled');
+      return 'finished';
+    },
+  });
+  queue.enqueue('running');
+  queue.enqueue('waiting');
+  await settle(() => started.length === 1);
+
+  await queue.cancel('waiting');
+  assert.equal(collection.docs.get('waiting').status, 'cancelled');
+
+  await queue.cancel('running');
+  assert.equal(collection.docs.get('running').status, 'running'); // until runJob checks
+  step.resolve();
+  await settle(() => collection.docs.get('running').status === 'cancelled');
+  assert.equal(collection.docs.get('running').error, null); // not recorded as a failure
+  assert.deepEqual(started, ['running']);
+});
+
+test('a failed job records its error and can be retried', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const collection = fakeCollection(jobDocs('flaky'));
+  let attempts = 0;
+  const queue = createJobQueue({
+    collection,
+    runJob: async () => {
+      attempts++;
+      if (attempts === 1) throw new Error('network down');
+      return { ok: true };
+    },
+  });
+
+  queue.enqueue('flaky');
+  await settle(() => collection.docs.get('flaky').status === 'failed');
+  assert.equal(collection.docs.get('flaky').error, 'network down');
+
+  await queue.retry('flaky');
+  await settle(() => collection.docs.get('flaky').status === 'done');
+  assert.equal(collection.docs.get('flaky').error, null);
+  assert.deepEqual(collection.docs.get('flaky').result, { ok: true });
+  assert.equal(attempts, 2);
+});
+
+test('resumeInterrupted re-queues waiting and running jobs, oldest first', async () => {
+  const collection = fakeCollection([
+    { _id: 'newer', status: 'queued', createdAt: '2026-01-03' },
+    { _id: 'older', status: 'running', createdAt: '2026-01-01' },
+    { _id: 'finished', status: 'done', createdAt: '2026-01-02' },
+  ]);
+  const started = [];
+  const queue = createJobQueue({
+    collection,
+    concurrency: 1,
+    runJob: async (job) => {
+      started.push(job._id);
+      return null;
+    },
+  });
+
+  assert.equal(await queue.resumeInterrupted(), 2);
+  await settle(() => started.length === 2);
+  assert.deepEqual(started, ['older', 'newer']);
+  await settle(() => collection.docs.get('newer').status === 'done');
+  assert.equal(collection.docs.get('finished').status, 'done');
+});
+
+test('subscribers see every update until they unsubscribe', async () => {
+  const collection = fakeCollection(jobDocs('job'));
+  const step = deferred();
+  const queue = createJobQueue({
+    collection,
+    runJob: async (job, { progress }) => {
+      await progress({ done: 1, total: 2 });
+      await step.promise;
+      return 'ok';
+    },
+  });
+  const seen = [];
+  const unsubscribe = queue.subscribe('job', (j) => seen.push(j.status));
+  queue.enqueue('job');
+  await settle(() => seen.length === 2);
+  assert.deepEqual(seen, ['running', 'running']);
+
+  unsubscribe();
+  unsubscribe(); // safe to call twice
+  step.resolve();
+  await settle(() => collection.docs.get('job').status === 'done');
+  assert.equal(seen.length, 2);
+});
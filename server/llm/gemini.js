@@ -0,0 +1,162 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { GoogleGenAI } = require('@google/genai');
+
+// ── Gemini provider ───────────────────────────────────────────────────────────
+// Chat and function calling use @google/generative-ai; image generation uses
+// @google/genai (the older SDK does not return image parts).
+
+const CHAT_MODEL = process.env.GEMINI_CHAT_MODEL || 'gemini-2.5-flash-lite';
+const IMAGE_MODEL = process.env.GEMINI_IMAGE_MODEL || 'gemini-2.5-flash-image';
+const EMBED_MODEL = process.env.GEMINI_EMBED_MODEL || 'text-embedding-004';
+const VISION_MODEL = process.env.GEMINI_VISION_MODEL || CHAT_MODEL;
+
+// Gemini has no system role in startChat history, so the system prompt is sent
+// as an instruction/acknowledgement pair ahead of the conversation.
+const buildChatHistory = (history = [], systemInstruction = '') => {
+  const baseHistory = history.map((m) => ({
+    role: m.role === 'user' ? 'user' : 'model',
+    parts: [{ text: m.content || '' }],
+  }));
+  return systemInstruction
+    ? [
+        {
+          role: 'user',
+          parts: [{ text: `Follow these instructions in every response:\n\n${systemInstruction}` }],
+        },
+        { role: 'model', parts: [{ text: "Got it! I'll follow those instructions." }] },
+        ...baseHistory,
+      ]
+    : baseHistory;
+};
+
+const toInlineParts = (imageParts = []) =>
+  imageParts.map((img) => ({
+    inlineData: { mimeType: img.mimeType || 'image/png', data: img.data },
+  }));
+
+// Maps raw response parts to the structured parts the chat UI renders.
+const toStructuredParts = (allParts) =>
+  allParts
+    .map((p) => {
+      if (p.text) return { type: 'text', text: p.text };
+      if (p.executableCode)
+        return {
+          type: 'code',
+          language: p.executableCode.language || 'PYTHON',
+          code: p.executableCode.code,
+        };
+      if (p.codeExecutionResult)
+        return {
+          type: 'result',
+          outcome: p.codeExecutionResult.outcome,
+          output: p.codeExecutionResult.output,
+        };
+      if (p.inlineData)
+        return { type: 'image', mimeType: p.inlineData.mimeType, data: p.inlineData.data };
+      return null;
+    })
+    .filter(Boolean);
+
+function createGeminiProvider({ apiKey }) {
+  const genAI = new GoogleGenerativeAI(apiKey || '');
+  const genAI_img = new GoogleGenAI({ apiKey: apiKey || '' });
+
+  return {
+    name: 'gemini',
+
+    async *streamChat({ history, message, imageParts, useCodeExecution, systemInstruction }) {
+      // Gemini does not support both tools simultaneously.
+      const tools = useCodeExecution ? [{ codeExecution: {} }] : [{ googleSearch: {} }];
+      const model = genAI.getGenerativeModel({ model: CHAT_MODEL, tools });
+      const chat = model.startChat({ history: buildChatHistory(history, systemInstruction) });
+
+      const result = await chat.sendMessageStream([{ text: message }, ...toInlineParts(imageParts)]);
+
+      for await (const chunk of result.stream) {
+        const chunkParts = chunk.candidates?.[0]?.content?.parts || [];
+        for (const part of chunkParts) {
+          if (part.text) yield { type: 'text', text: part.text };
+        }
+      }
+
+      const response = await result.response;
+      const allParts = response.candidates?.[0]?.content?.parts || [];
+
+      const hasCodeExecution = allParts.some(
+        (p) =>
+          p.executableCode ||
+          p.codeExecutionResult ||
+          (p.inlineData && p.inlineData.mimeType?.startsWith('image/'))
+      );
+      if (hasCodeExecution) yield { type: 'fullResponse', parts: toStructuredParts(allParts) };
+
+      const grounding = response.candidates?.[0]?.groundingMetadata;
+      if (grounding) yield { type: 'grounding', data: grounding };
+    },
+
+    async callTools({ history, turns, toolDeclarations, systemInstruction }) {
+      const model = genAI.getGenerativeModel({
+        model: CHAT_MODEL,
+        tools: [{ functionDeclarations: toolDeclarations }],
+      });
+      const { response } = await model.generateContent({
+        contents: [...buildChatHistory(history, systemInstruction), ...turns],
+      });
+
+      const content = response.candidates?.[0]?.content;
+      const funcCall = content?.parts?.find((p) => p.functionCall);
+      if (funcCall) {
+        const { name, args } = funcCall.functionCall;
+        return { functionCall: { name, args: args || {} }, content };
+      }
+      return { text: response.text() };
+    },
+
+    async generateImage({ prompt, anchorImages = [] }) {
+      const result = await genAI_img.models.generateContent({
+        model: IMAGE_MODEL,
+        contents: [...toInlineParts(anchorImages), { text: prompt }],
+        config: { responseModalities: ['TEXT', 'IMAGE'] },
+      });
+
+      const parts = result.candidates?.[0]?.content?.parts || [];
+      const imagePart = parts.find((p) => p.inlineData?.mimeType?.startsWith('image/'));
+      if (!imagePart) {
+        const textPart = parts.find((p) => p.text);
+        throw new Error(textPart?.text || 'No image was generated. Try a different prompt.');
+      }
+      return { mimeType: imagePart.inlineData.mimeType, data: imagePart.inlineData.data };
+    },
+
+    // taskType: 'RETRIEVAL_DOCUMENT' for indexed passages, 'RETRIEVAL_QUERY' for searches
+    async embedTexts({ texts, taskType = 'RETRIEVAL_DOCUMENT' }) {
+      const model = genAI.getGenerativeModel({ model: EMBED_MODEL });
+      const { embeddings } = await model.batchEmbedContents({
+        requests: texts.map((text) => ({ content: { role: 'user', parts: [{ text }] }, taskType })),
+      });
+      return embeddings.map((e) => e.values);
+    },
+
+    // json: ask for application/json output (the reply is still returned as text)
+    async generateText({ prompt, json = false }) {
+      const model = genAI.getGenerativeModel({
+        model: CHAT_MODEL,
+        ...(json && { generationConfig: { responseMimeType: 'application/json' } }),
+      });
+      const { response } = await model.generateContent(prompt);
+      return response.text();
+    },
+
+    // json: as for generateText
+    async analyzeImage({ image, prompt, json = false }) {
+      const model = genAI.getGenerativeModel({
+        model: VISION_MODEL,
+        ...(json && { generationConfig: { responseMimeType: 'application/json' } }),
+      });
+      const { response } = await model.generateContent([...toInlineParts([image]), { text: prompt }]);
+      return response.text();
+    },
+  };
+}
+
+module.exports = { createGeminiProvider };
@@ -0,0 +1,38 @@
+const { createGeminiProvider } = require('./gemini');
+const { createMockProvider } = require('./mock');
+
+// ── LLM provider layer ────────────────────────────────────────────────────────
+// Every model call in server/index.js goes through a provider object:
+//
+//   name
+//   streamChat({ history, message, imageParts, useCodeExecution, systemInstruction })
+//     → async iterable of { type: 'text' | 'fullResponse' | 'grounding', … }
+//   callTools({ history, turns, toolDeclarations, systemInstruction })
+//     → { functionCall: { name, args }, content } | { text }
+//   generateImage({ prompt, anchorImages }) → { mimeType, data }
+//   embedTexts({ texts, taskType }) → number[][]   (optional; one vector per text)
+//   analyzeImage({ image, prompt, json }) → string  (optional; vision model reply)
+//   generateText({ prompt, json }) → string          (optional; one-shot completion)
+//
+// LLM_PROVIDER selects the implementation: "gemini" (default) or "mock".
+
+const PROVIDERS = {
+  gemini: () =>
+    createGeminiProvider({
+      apiKey: process.env.GEMINI_API_KEY || process.env.REACT_APP_GEMINI_API_KEY,
+    }),
+  mock: () =>
+    createMockProvider(
+      process.env.MOCK_LLM_SCRIPT ? { scriptPath: process.env.MOCK_LLM_SCRIPT } : undefined
+    ),
+};
+
+function createProvider(name = process.env.LLM_PROVIDER || 'gemini') {
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown LLM_PROVIDER "${name}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return factory();
+}
+
+module.exports = { createProvider };
@@ -0,0 +1,133 @@
+const fs = require('fs');
+const path = require('path');
+
+// ── Scripted mock provider ────────────────────────────────────────────────────
+// Deterministic stand-in for Gemini so the whole chat flow runs without network
+// access or an API key. Replies come from a JSON script (default
+// mock-script.json, override with MOCK_LLM_SCRIPT):
+//
+//   rules[]   { match, toolCalls?, reply } — first rule whose regex matches the
+//             user message (and whose tools are all declared) wins. Tool calls
+//             are replayed one per round, then `reply` is returned.
+//             "{{results}}" in a reply expands to the tool results as JSON.
+//   fallback  reply when no rule matches ("{{message}}" expands to the message)
+//   code      canned code-execution part for useCodeExecution requests
+
+const DEFAULT_SCRIPT = path.join(__dirname, 'mock-script.json');
+
+const loadScript = (scriptPath) => JSON.parse(fs.readFileSync(scriptPath, 'utf8'));
+
+// The user's own text, minus the [User: …] / [CSV …] context prefixes the chat
+// UI prepends, which would otherwise match almost every rule.
+const stripContext = (text) => {
+  const sections = text.split('\n---\n');
+  return sections[sections.length - 1].replace(/^\[User: [^\]]*\]\s*/, '').trim();
+};
+
+const messageText = (turns) =>
+  stripContext((turns[0]?.parts || []).map((p) => p.text || '').join('\n'));
+
+const fill = (template, vars) =>
+  template.replace(/\{\{(\w+)\}\}/g, (_, key) => (key in vars ? vars[key] : ''));
+
+// Small SVG with the prompt written on it — enough to exercise the image UI.
+const mockImage = (prompt) => {
+  const label = prompt.replace(/[<>&"]/g, '').slice(0, 60);
+  const svg =
+    '<svg xmlns="http://www.w3.org/2000/svg" width="512" height="288">' +
+    '<rect width="100%" height="100%" fill="#6366f1"/>' +
+    `<text x="50%" y="50%" fill="#fff" font-family="sans-serif" font-size="18" text-anchor="middle">${label}</text>` +
+    '</svg>';
+  return { mimeType: 'image/svg+xml', data: Buffer.from(svg).toString('base64') };
+};
+
+// Thumbnail features derived from a hash of the image bytes: the same image
+// always gets the same answer, different images get different ones.
+const mockImageFeatures = (data) => {
+  let h = 0;
+  for (let i = 0; i < data.length; i += 7) h = (h * 31 + data.charCodeAt(i)) >>> 0;
+  const pick = (list, shift) => list[(h >>> shift) % list.length];
+  const faceCount = (h >>> 2) % 3;
+  return JSON.stringify({
+    face_count: faceCount,
+    face_emotion: faceCount ? pick(['happy', 'surprised', 'shocked', 'serious'], 4) : 'none',
+    text_overlay: pick(['', 'YOU WON\'T BELIEVE THIS', 'Full review', 'NEW!', 'How it works'], 7),
+    dominant_colors: [pick(['red', 'yellow', 'blue', 'black', 'white'], 10), pick(['green', 'orange', 'gray'], 13)],
+    brightness: pick(['dark', 'medium', 'bright'], 16),
+    style: pick(['talking head', 'reaction', 'product', 'screenshot'], 18),
+    has_arrow_or_circle: ((h >>> 21) & 1) === 1,
+    clickbait_score: (h >>> 23) % 11,
+  });
+};
+
+function createMockProvider({ scriptPath = DEFAULT_SCRIPT } = {}) {
+  const script = loadScript(scriptPath);
+  const rules = (script.rules || []).map((r) => ({ ...r, re: new RegExp(r.match, 'i') }));
+
+  const findRule = (message, declaredNames, withTools) =>
+    rules.find(
+      (r) =>
+        r.re.test(message) &&
+        (withTools
+          ? (r.toolCalls || []).every((c) => declaredNames.includes(c.name))
+          : !r.toolCalls?.length)
+    );
+
+  return {
+    name: 'mock',
+
+    async *streamChat({ message: raw, useCodeExecution }) {
+      const message = stripContext(raw);
+      const rule = findRule(message, [], false);
+      const text = rule ? rule.reply : fill(script.fallback || '', { message: message.slice(0, 120) });
+
+      for (const word of text.split(/(?<=\s)/)) yield { type: 'text', text: word };
+
+      if (useCodeExecution && script.code) {
+        yield {
+          type: 'fullResponse',
+          parts: [
+            { type: 'text', text },
+            { type: 'code', language: script.code.language, code: script.code.code },
+            { type: 'result', outcome: 'OUTCOME_OK', output: script.code.output },
+          ],
+        };
+      }
+    },
+
+    async callTools({ turns, toolDeclarations }) {
+      const message = messageText(turns);
+      const declaredNames = toolDeclarations.map((t) => t.name);
+      const rule = findRule(message, declaredNames, true);
+
+      const results = turns
+        .flatMap((t) => t.parts || [])
+        .filter((p) => p.functionResponse)
+        .map((p) => ({ name: p.functionResponse.name, result: p.functionResponse.response?.result }));
+
+      const next = rule?.toolCalls?.[results.length];
+      if (next) {
+        const functionCall = { name: next.name, args: next.args || {} };
+        return { functionCall, content: { role: 'model', parts: [{ functionCall }] } };
+      }
+
+      const template = rule ? rule.reply : script.fallback || '';
+      return {
+        text: fill(template, {
+          message: message.slice(0, 120),
+          results: JSON.stringify(results.length === 1 ? results[0].result : results, null, 2),
+        }),
+      };
+    },
+
+    async generateImage({ prompt }) {
+      return mockImage(prompt);
+    },
+
+    async analyzeImage({ image }) {
+      return mockImageFeatures(image.data || '');
+    },
+  };
+}
+
+module.exports = { createMockProvider };
@@ -0,0 +1,119 @@
+// Run with `npm run test:server`. Drives the mock provider from a temporary script.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMockProvider } = require('./mock');
+
+const SCRIPT = {
+  rules: [
+    {
+      match: '\\bcompare\\b',
+      toolCalls: [
+        { name: 'compute_stats_json', args: { field: 'view_count' } },
+        { name: 'compute_stats_json', args: { field: 'like_count' } },
+      ],
+      reply: 'Both:\n{{results}}',
+    },
+    {
+      match: '\\bstats\\b',
+      toolCalls: [{ name: 'compute_stats_json', args: { field: 'view_count' } }],
+      reply: 'Stats: {{results}}',
+    },
+    { match: '\\bplay\\b', toolCalls: [{ name: 'play_video' }], reply: 'Playing.' },
+    { match: '\\bhello\\b', reply: 'Hi there.' },
+  ],
+  fallback: 'Mock response to: "{{message}}"',
+  code: { language: 'PYTHON', code: "print('x')", output: 'x\n' },
+};
+
+const STATS_TOOL = [{ name: 'compute_stats_json' }];
+
+const scriptFile = (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mock-llm-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'script.json');
+  fs.writeFileSync(file, JSON.stringify(SCRIPT));
+  return file;
+};
+
+// The opening turn as the chat UI sends it, context prefix included.
+const userTurn = (text) => ({ role: 'user', parts: [{ text: `[User: alice]\n\n${text}` }] });
+
+const respond = (name, result) => ({ role: 'user', parts: [{ functionResponse: { name, response: { result } } }] });
+
+test('a scripted tool call round-trips into the final reply', async (t) => {
+  const llm = createMockProvider({ scriptPath: scriptFile(t) });
+  const turns = [userTurn('show me the stats')];
+
+  const first = await llm.callTools({ turns, toolDeclarations: STATS_TOOL });
+  assert.deepEqual(first.functionCall, { name: 'compute_stats_json', args: { field: 'view_count' } });
+  assert.deepEqual(first.content, { role: 'model', parts: [{ functionCall: first.functionCall }] });
+
+  turns.push(first.content, respond('compute_stats_json', { mean: 42 }));
+  const second = await llm.callTools({ turns, toolDeclarations: STATS_TOOL });
+  assert.equal(second.functionCall, undefined);
+  assert.equal(second.text, `Stats: ${JSON.stringify({ mean: 42 }, null, 2)}`);
+});
+
+test('once the scripted calls run out every further round gets the reply', async (t) => {
+  const llm = createMockProvider({ scriptPath: scriptFile(t) });
+  const turns = [userTurn('compare views and likes')];
+
+  for (const field of ['view_count', 'like_count']) {
+    const { functionCall, content } = await llm.callTools({ turns, toolDeclarations: STATS_TOOL });
+    assert.equal(functionCall.args.field, field);
+    turns.push(content, respond(functionCall.name, { field }));
+  }
+
+  const expected = `Both:\n${JSON.stringify(
+    [
+      { name: 'compute_stats_json', result: { field: 'view_count' } },
+      { name: 'compute_stats_json', result: { field: 'like_count' } },
+    ],
+    null,
+    2
+  )}`;
+  assert.equal((await llm.callTools({ turns, toolDeclarations: STATS_TOOL })).text, expected);
+
+  // An extra, unscripted response doesn't restart the script
+  turns.push(respond('compute_stats_json', { field: 'extra' }));
+  const extra = await llm.callTools({ turns, toolDeclarations: STATS_TOOL });
+  assert.equal(extra.functionCall, undefined);
+  assert.match(extra.text, /^Both:/);
+});
+
+test('rules needing undeclared tools are skipped; no match falls back', async (t) => {
+  const llm = createMockProvider({ scriptPath: scriptFile(t) });
+
+  const noTool = await llm.callTools({ turns: [userTurn('play the stats video')], toolDeclarations: STATS_TOOL });
+  assert.equal(noTool.functionCall.name, 'compute_stats_json');
+
+  const fallback = await llm.callTools({ turns: [userTurn('play something')], toolDeclarations: STATS_TOOL });
+  assert.equal(fallback.text, 'Mock response to: "play something"');
+
+  // A rule without tool calls answers straight away
+  const hello = await llm.callTools({ turns: [userTurn('hello')], toolDeclarations: STATS_TOOL });
+  assert.deepEqual(hello, { text: 'Hi there.' });
+});
+
+test('streamChat streams the reply and adds the code parts on request', async (t) => {
+  const llm = createMockProvider({ scriptPath: scriptFile(t) });
+  const collect = async (args) => {
+    const events = [];
+    for await (const e of llm.streamChat(args)) events.push(e);
+    return events;
+  };
+
+  const plain = await collect({ message: '[User: alice]\n\nhello' });
+  assert.equal(plain.map((e) => e.text).join(''), 'Hi there.');
+  assert.ok(plain.every((e) => e.type === 'text'));
+
+  const withCode = await collect({ message: 'hello', useCodeExecution: true });
+  const full = withCode[withCode.length - 1];
+  assert.equal(full.type, 'fullResponse');
+  assert.deepEqual(full.parts.map((p) => p.type), ['text', 'code', 'result']);
+  assert.equal(full.parts[2].output, 'x\n');
+});
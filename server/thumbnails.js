@@ -0,0 +1,129 @@
+// ── Thumbnail analysis ────────────────────────────────────────────────────────
+// Fetches video thumbnails server-side (the browser can't read i.ytimg.com
+// pixels cross-origin) and asks the provider's vision model to describe each
+// one as a fixed set of features. Results are cached per thumbnail URL in a
+// MongoDB collection, so re-running an analysis only pays for new thumbnails.
+//
+// Cache document: { url, version, features, model, createdAt }
+// Bump FEATURE_VERSION whenever the prompt or feature set changes.
+
+const FEATURE_VERSION = 1;
+const MAX_IMAGE_BYTES = 2 * 1024 * 1024;
+const CONCURRENCY = 4;
+// Only YouTube's image hosts are fetched: the URL comes from the client, and
+// anything else would let it make the server request internal addresses.
+const THUMBNAIL_HOSTS = ['i.ytimg.com', 'i9.ytimg.com', 'yt3.ggpht.com'];
+
+const EMOTIONS = ['none', 'neutral', 'happy', 'excited', 'surprised', 'shocked', 'angry', 'sad', 'serious'];
+const BRIGHTNESS = ['dark', 'medium', 'bright'];
+const STYLES = ['talking head', 'reaction', 'product', 'screenshot', 'illustration', 'scene', 'text only', 'other'];
+
+const FEATURE_PROMPT = `You are analysing a YouTube video thumbnail. Reply with ONLY a JSON object with these keys:
+{
+  "face_count": number of clearly visible human faces (0 if none),
+  "face_emotion": the most prominent face's expression, one of ${EMOTIONS.map((e) => `"${e}"`).join(', ')} ("none" if no face),
+  "text_overlay": the words written on the thumbnail, verbatim ("" if none),
+  "dominant_colors": up to 3 dominant colours as lowercase basic names (e.g. "red", "yellow", "black"), most dominant first,
+  "brightness": one of ${BRIGHTNESS.map((b) => `"${b}"`).join(', ')},
+  "style": one of ${STYLES.map((s) => `"${s}"`).join(', ')},
+  "has_arrow_or_circle": true if arrows, circles or outlines point at something,
+  "clickbait_score": 0 (plain, descriptive) to 10 (extreme clickbait: shock faces, all caps, arrows, exaggerated claims)
+}`;
+
+const clampInt = (v, min, max) => {
+  const n = Math.round(Number(v));
+  return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : min;
+};
+
+const oneOf = (v, allowed, fallback) => {
+  const s = String(v || '').toLowerCase().trim();
+  return allowed.includes(s) ? s : fallback;
+};
+
+// Model output → the exact feature shape the chat tools rely on. Unknown or
+// malformed values fall back to neutral defaults instead of failing.
+function normalizeFeatures(raw = {}) {
+  const text = String(raw.text_overlay || '').replace(/\s+/g, ' ').trim();
+  const faceCount = clampInt(raw.face_count, 0, 20);
+  return {
+    face_count: faceCount,
+    face_emotion: faceCount ? oneOf(raw.face_emotion, EMOTIONS, 'neutral') : 'none',
+    text_overlay: text,
+    text_words: text ? text.split(' ').length : 0,
+    dominant_colors: (Array.isArray(raw.dominant_colors) ? raw.dominant_colors : [])
+      .map((c) => String(c).toLowerCase().trim())
+      .filter(Boolean)
+      .slice(0, 3),
+    brightness: oneOf(raw.brightness, BRIGHTNESS, 'medium'),
+    style: oneOf(raw.style, STYLES, 'other'),
+    has_arrow_or_circle: raw.has_arrow_or_circle === true || raw.has_arrow_or_circle === 'true',
+    clickbait_score: clampInt(raw.clickbait_score, 0, 10),
+  };
+}
+
+// First {...} in the reply — models sometimes wrap JSON in a code fence.
+function parseFeatureReply(text) {
+  const match = String(text || '').match(/\{[\s\S]*\}/);
+  if (!match) throw new Error('Vision model did not return JSON');
+  return normalizeFeatures(JSON.parse(match[0]));
+}
+
+function isThumbnailUrl(url) {
+  try {
+    const { protocol, hostname, port } = new URL(url);
+    return protocol === 'https:' && !port && THUMBNAIL_HOSTS.includes(hostname);
+  } catch {
+    return false;
+  }
+}
+
+async function fetchImage(url, fetchImpl) {
+  if (!isThumbnailUrl(url)) throw new Error('Not a YouTube thumbnail URL');
+  const res = await fetchImpl(url);
+  if (!res.ok) throw new Error(`Thumbnail fetch failed: HTTP ${res.status}`);
+  const mimeType = (res.headers.get('content-type') || '').split(';')[0];
+  if (!mimeType.startsWith('image/')) throw new Error(`Not an image: ${mimeType || 'unknown type'}`);
+  const buffer = Buffer.from(await res.arrayBuffer());
+  if (buffer.length > MAX_IMAGE_BYTES) throw new Error('Thumbnail is larger than 2 MB');
+  return { mimeType, data: buffer.toString('base64') };
+}
+
+// analyze(videos) → [{ video_id, features, cached } | { video_id, error }]
+// in the order given. videos: [{ video_id, thumbnail }].
+function createThumbnailAnalyzer({ collection, llm, fetchImpl = fetch }) {
+  const analyzeOne = async ({ video_id, thumbnail }) => {
+    if (!thumbnail) return { video_id, error: 'No thumbnail URL' };
+    try {
+      const cached = await collection.findOne({ url: thumbnail, version: FEATURE_VERSION });
+      if (cached) return { video_id, features: cached.features, cached: true };
+
+      const image = await fetchImage(thumbnail, fetchImpl);
+      const features = parseFeatureReply(await llm.analyzeImage({ image, prompt: FEATURE_PROMPT, json: true }));
+      await collection.updateOne(
+        { url: thumbnail, version: FEATURE_VERSION },
+        { $set: { features, model: llm.name, createdAt: new Date().toISOString() } },
+        { upsert: true }
+      );
+      return { video_id, features, cached: false };
+    } catch (err) {
+      return { video_id, error: err.message };
+    }
+  };
+
+  return {
+    async analyze(videos) {
+      const results = new Array(videos.length);
+      let next = 0;
+      const worker = async () => {
+        while (next < videos.length) {
+          const i = next++;
+          results[i] = await analyzeOne(videos[i]);
+        }
+      };
+      await Promise.all(Array.from({ length: Math.min(CONCURRENCY, videos.length) }, worker));
+      return results;
+    },
+  };
+}
+
+module.exports = { createThumbnailAnalyzer, isThumbnailUrl, normalizeFeatures, parseFeatureReply, FEATURE_PROMPT };
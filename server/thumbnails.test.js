@@ -0,0 +1,128 @@
+// Run with `npm run test:server`. The analyzer is exercised against an
+// in-memory collection and a fake fetch, so no network or MongoDB is needed.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createThumbnailAnalyzer, isThumbnailUrl, normalizeFeatures, parseFeatureReply } = require('./thumbnails');
+
+// ── Feature normalisation ─────────────────────────────────────────────────────
+
+test('normalizeFeatures clamps numbers and maps unknown labels to defaults', () => {
+  const f = normalizeFeatures({
+    face_count: '2.6',
+    face_emotion: 'Shocked',
+    text_overlay: '  I  TRIED   IT ',
+    dominant_colors: ['Red', '', 'YELLOW', 'black', 'white'],
+    brightness: 'neon',
+    style: 'Reaction',
+    has_arrow_or_circle: 'true',
+    clickbait_score: 42,
+  });
+  assert.deepEqual(f, {
+    face_count: 3,
+    face_emotion: 'shocked',
+    text_overlay: 'I TRIED IT',
+    text_words: 3,
+    dominant_colors: ['red', 'yellow', 'black'],
+    brightness: 'medium',
+    style: 'reaction',
+    has_arrow_or_circle: true,
+    clickbait_score: 10,
+  });
+});
+
+test('normalizeFeatures: no face means no emotion, missing fields get defaults', () => {
+  const f = normalizeFeatures({ face_count: 0, face_emotion: 'happy' });
+  assert.equal(f.face_emotion, 'none');
+  assert.equal(f.text_words, 0);
+  assert.deepEqual(f.dominant_colors, []);
+  assert.equal(f.has_arrow_or_circle, false);
+  assert.equal(f.clickbait_score, 0);
+});
+
+test('parseFeatureReply accepts fenced JSON and rejects prose', () => {
+  assert.equal(parseFeatureReply('```json\n{"face_count": 1}\n```').face_count, 1);
+  assert.throws(() => parseFeatureReply('I cannot see an image.'), /did not return JSON/);
+});
+
+// ── Analyzer ──────────────────────────────────────────────────────────────────
+
+const memoryCollection = () => {
+  const docs = new Map();
+  const key = (q) => `${q.url}@${q.version}`;
+  return {
+    docs,
+    findOne: async (q) => docs.get(key(q)) || null,
+    updateOne: async (q, { $set }) => docs.set(key(q), { ...q, ...$set }),
+  };
+};
+
+const imageResponse = (type = 'image/jpeg') => ({
+  ok: true,
+  status: 200,
+  headers: { get: () => type },
+  arrayBuffer: async () => new Uint8Array([1, 2, 3]).buffer,
+});
+
+test('analyzer caches per URL and reports per-video errors', async () => {
+  const collection = memoryCollection();
+  const fetched = [];
+  let calls = 0;
+  const analyzer = createThumbnailAnalyzer({
+    collection,
+    llm: {
+      name: 'fake',
+      analyzeImage: async () => {
+        calls += 1;
+        return '{"face_count": 1, "clickbait_score": 7}';
+      },
+    },
+    fetchImpl: async (url) => {
+      fetched.push(url);
+      return url.endsWith('.html') ? imageResponse('text/html') : imageResponse();
+    },
+  });
+
+  const first = await analyzer.analyze([
+    { video_id: 'a', thumbnail: 'https://i.ytimg.com/vi/a/hq.jpg' },
+    { video_id: 'b', thumbnail: 'https://i.ytimg.com/vi/b/page.html' },
+    { video_id: 'c' },
+  ]);
+  assert.equal(first[0].features.clickbait_score, 7);
+  assert.equal(first[0].cached, false);
+  assert.match(first[1].error, /Not an image/);
+  assert.equal(first[2].error, 'No thumbnail URL');
+
+  const second = await analyzer.analyze([{ video_id: 'a', thumbnail: 'https://i.ytimg.com/vi/a/hq.jpg' }]);
+  assert.equal(second[0].cached, true);
+  assert.equal(calls, 1);
+  assert.equal(fetched.length, 2);
+});
+
+test('only https YouTube image hosts are fetched', async () => {
+  assert.ok(isThumbnailUrl('https://i.ytimg.com/vi/a/hqdefault.jpg'));
+  assert.ok(isThumbnailUrl('https://yt3.ggpht.com/abc=s88'));
+  for (const url of [
+    'http://i.ytimg.com/vi/a/hq.jpg',
+    'https://i.ytimg.com:8443/vi/a/hq.jpg',
+    'https://i.ytimg.com.evil.test/a.jpg',
+    'http://169.254.169.254/latest/meta-data/',
+    'http://localhost:27017/',
+    'not a url',
+  ]) {
+    assert.equal(isThumbnailUrl(url), false, url);
+  }
+
+  const fetched = [];
+  const analyzer = createThumbnailAnalyzer({
+    collection: memoryCollection(),
+    llm: { name: 'fake', analyzeImage: async () => '{}' },
+    fetchImpl: async (url) => {
+      fetched.push(url);
+      return imageResponse();
+    },
+  });
+  const [result] = await analyzer.analyze([{ video_id: 'x', thumbnail: 'http://169.254.169.254/latest/meta-data/' }]);
+  assert.deepEqual(result, { video_id: 'x', error: 'Not a YouTube thumbnail URL' });
+  assert.deepEqual(fetched, []);
+});
@@ -0,0 +1,277 @@
+const { execFile } = require('child_process');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const ytdl = require('@distube/ytdl-core');
+const {
+  watchUrl,
+  SOURCES,
+  TAB_CONTENT_TYPES,
+  resolveSource,
+  defaultSnapshotName,
+  parseListingHtml,
+  parseContinuationPage,
+  rendererToVideo,
+  videoDetailsFromInfo,
+  transcriptSegments,
+  flattenTranscript,
+  pickSubtitleFile,
+  parseLanguageList,
+  MAX_COMMENTS,
+  parseCommentLimit,
+  extractInitialData,
+  extractInnertubeConfig,
+  commentsContinuation,
+  parseCommentsPage,
+} = require('./parse');
+
+// ── YouTube scraping ──────────────────────────────────────────────────────────
+// Channel listings come from the ytInitialData blob embedded in the channel
+// page, with later pages from the innertube browse API; per-video stats from
+// ytdl-core; transcripts from yt-dlp; top comments (optional) from the watch
+// page and the innertube next API. This module does the fetching; turning
+// YouTube's markup into records is left to the pure functions in parse.js.
+
+const BROWSER_HEADERS = {
+  'User-Agent':
+    'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36',
+  'Accept-Language': 'en-US,en;q=0.9',
+  Accept: 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+};
+
+// Safety net against endless continuation chains (~30 videos per page)
+const MAX_PAGES = 200;
+
+// POSTs to an innertube endpoint ("browse", "next") as the web client.
+async function innertube(config, endpoint, body) {
+  return fetch(
+    `https://www.youtube.com/youtubei/v1/${endpoint}?key=${config.apiKey}&prettyPrint=false`,
+    {
+      method: 'POST',
+      headers: {
+        ...BROWSER_HEADERS,
+        'Content-Type': 'application/json',
+        'X-YouTube-Client-Name': '1',
+        'X-YouTube-Client-Version': config.clientVersion,
+        ...(config.visitorData && { 'X-Goog-Visitor-Id': config.visitorData }),
+      },
+      body: JSON.stringify({
+        context: {
+          client: { clientName: 'WEB', clientVersion: config.clientVersion, hl: 'en', gl: 'US' },
+        },
+        ...body,
+      }),
+    }
+  );
+}
+
+async function fetchContinuation(config, token) {
+  const res = await innertube(config, 'browse', { continuation: token });
+  if (!res.ok) throw new Error(`Failed to fetch the next page of videos: HTTP ${res.status}`);
+  return parseContinuationPage(await res.json());
+}
+
+// Returns video renderers for a source (see resolveSource), newest first for
+// channel tabs, following continuation tokens past the first page until
+// `limit` videos are collected or `until(renderer)` returns true (that
+// renderer is excluded). Renderers for which `skip(renderer)` is true are left
+// out without counting towards the limit. onPage({ page, found }) is awaited
+// after each page — throw from it to stop.
+async function fetchSourceRenderers(url, { source, limit = Infinity, until, skip, onPage } = {}) {
+  const resolved = resolveSource(url, source);
+
+  if (resolved.source === 'video') {
+    const vr = { videoId: resolved.videoId, ...(resolved.isShort && { contentType: 'short' }) };
+    const renderers = until?.(vr) || skip?.(vr) ? [] : [vr];
+    await onPage?.({ page: 1, found: renderers.length });
+    return renderers;
+  }
+
+  const pageResponse = await fetch(resolved.pageUrl, { headers: BROWSER_HEADERS });
+
+  if (!pageResponse.ok) {
+    throw new Error(`Failed to fetch ${resolved.source === 'playlist' ? 'playlist' : 'channel'} page: HTTP ${pageResponse.status}`);
+  }
+
+  let { renderers: pageRenderers, continuation, config } = parseListingHtml(await pageResponse.text());
+
+  if (!pageRenderers.length) {
+    throw new Error(
+      resolved.source === 'playlist'
+        ? 'No videos found. Make sure the playlist is public.'
+        : `No videos found on the /${resolved.source} tab. Make sure the URL points to a public YouTube channel (e.g. https://www.youtube.com/@channelname).`
+    );
+  }
+
+  const renderers = [];
+  const seen = new Set();
+  for (let page = 1; ; page++) {
+    let reachedEnd = false;
+    for (const vr of pageRenderers) {
+      if (seen.has(vr.videoId)) continue;
+      seen.add(vr.videoId);
+      if (until?.(vr)) {
+        reachedEnd = true;
+        break;
+      }
+      if (skip?.(vr)) continue;
+      const contentType = vr.contentType || TAB_CONTENT_TYPES[resolved.source];
+      renderers.push(contentType ? { ...vr, contentType } : vr);
+      if (renderers.length >= limit) {
+        reachedEnd = true;
+        break;
+      }
+    }
+    await onPage?.({ page, found: renderers.length });
+    if (reachedEnd || !continuation || !config || page >= MAX_PAGES) break;
+    ({ renderers: pageRenderers, continuation } = await fetchContinuation(config, continuation));
+  }
+
+  return renderers;
+}
+
+// Fetches details via ytdl and returns the fields to merge into a video record.
+async function fetchVideoDetails(videoId) {
+  return videoDetailsFromInfo(await ytdl.getInfo(watchUrl(videoId)));
+}
+
+// Transcript via yt-dlp (most reliable — bypasses YouTube bot detection), in
+// the first of `languages` that has captions — uploaded ones win over
+// auto-generated. Resolves to null when none are available.
+async function fetchTranscript(videoId, languages = ['en']) {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'yt_sub_'));
+  try {
+    await new Promise((resolve) => {
+      execFile(
+        'yt-dlp',
+        [
+          '--skip-download',
+          '--write-subs',
+          '--write-auto-subs',
+          '--sub-langs', languages.map((l) => `${l}(-.*)?`).join(','),
+          '--sub-format', 'json3',
+          '-o', path.join(dir, 'sub'),
+          watchUrl(videoId),
+        ],
+        { timeout: 30000 },
+        (err) => resolve(err)
+      );
+    });
+    const picked = pickSubtitleFile(await fs.promises.readdir(dir), languages);
+    if (!picked) return null;
+    const json = JSON.parse(await fs.promises.readFile(path.join(dir, picked.file), 'utf8'));
+    const segments = transcriptSegments(json);
+    if (!segments.length) return null;
+    return { text: flattenTranscript(json), segments, language: picked.language };
+  } catch {
+    // transcript not available — keep empty
+    return null;
+  } finally {
+    fs.promises.rm(dir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+// ~20 top-level comments per page; the cap leaves room for short pages
+const MAX_COMMENT_PAGES = Math.ceil(MAX_COMMENTS / 10);
+
+// Top comments (YouTube's default "Top comments" order), at most `limit`.
+// Resolves to [] when the video has comments turned off.
+async function fetchComments(videoId, limit) {
+  const page = await fetch(watchUrl(videoId), { headers: BROWSER_HEADERS });
+  if (!page.ok) throw new Error(`Failed to fetch watch page: HTTP ${page.status}`);
+  const html = await page.text();
+  const config = extractInnertubeConfig(html);
+  let token = commentsContinuation(extractInitialData(html));
+
+  const comments = [];
+  for (let i = 0; token && config && comments.length < limit && i < MAX_COMMENT_PAGES; i++) {
+    const res = await innertube(config, 'next', { continuation: token });
+    if (!res.ok) throw new Error(`Failed to fetch comments: HTTP ${res.status}`);
+    const parsed = parseCommentsPage(await res.json());
+    comments.push(...parsed.comments);
+    token = parsed.continuation;
+  }
+  return comments.slice(0, limit);
+}
+
+// Sets comments / comments_fetched_at on a record; a failed download leaves
+// whatever comments it already had.
+async function attachComments(video, limit) {
+  try {
+    video.comments = await fetchComments(video.video_id, limit);
+    video.comments_fetched_at = new Date().toISOString();
+  } catch (e) {
+    console.warn(`[YouTube] comments failed for ${video.video_id}:`, e.message);
+  }
+}
+
+// Point-in-time stats, appended to each video's metrics_history.
+const metricsSnapshot = (video) => ({
+  fetched_at: new Date().toISOString(),
+  view_count: video.view_count,
+  like_count: video.like_count,
+  comment_count: video.comment_count,
+});
+
+// Full record for a video seen for the first time. `transcriptLanguages` is
+// the caption language preference, e.g. ['es', 'en']; `maxComments` > 0 also
+// downloads that many top comments.
+async function scrapeVideo(vr, { transcriptLanguages, maxComments = 0 } = {}) {
+  const videoData = rendererToVideo(vr);
+  try {
+    const details = await fetchVideoDetails(videoData.video_id);
+    Object.assign(videoData, details, {
+      title: details.title || videoData.title,
+      thumbnail: details.thumbnail || videoData.thumbnail,
+      // The listing knows about Shorts; ytdl only knows live vs not
+      content_type: videoData.content_type || details.content_type,
+    });
+    const transcript = await fetchTranscript(videoData.video_id, transcriptLanguages);
+    if (transcript) {
+      videoData.transcript = transcript.text;
+      videoData.transcript_segments = transcript.segments;
+      videoData.transcript_language = transcript.language;
+    }
+  } catch (e) {
+    console.warn(`[YouTube] ytdl info failed for ${videoData.video_id}:`, e.message);
+  }
+  if (maxComments) await attachComments(videoData, maxComments);
+  videoData.content_type ||= 'video';
+  videoData.metrics_history = videoData.view_count != null ? [metricsSnapshot(videoData)] : [];
+  return videoData;
+}
+
+// Re-fetches only the stats of a known video and records a metrics snapshot
+// (plus fresh top comments when `maxComments` > 0). `baselineAt` dates the
+// stored stats of videos saved before history tracking.
+async function refreshVideo(video, baselineAt, { maxComments = 0 } = {}) {
+  // Snapshots from before content types were recorded only ever held the /videos tab
+  const updated = { ...video, content_type: video.content_type || 'video' };
+  try {
+    const { view_count, like_count, comment_count } = await fetchVideoDetails(video.video_id);
+    Object.assign(updated, { view_count, like_count, comment_count });
+  } catch (e) {
+    console.warn(`[YouTube] stats refresh failed for ${video.video_id}:`, e.message);
+    return updated; // keep the previous history untouched
+  }
+  // Videos saved before history tracking start from their stored stats
+  const history = video.metrics_history?.length
+    ? video.metrics_history
+    : video.view_count != null
+      ? [{ fetched_at: baselineAt, view_count: video.view_count, like_count: video.like_count, comment_count: video.comment_count }]
+      : [];
+  updated.metrics_history = [...history, metricsSnapshot(updated)];
+  if (maxComments) await attachComments(updated, maxComments);
+  return updated;
+}
+
+module.exports = {
+  SOURCES,
+  parseLanguageList,
+  parseCommentLimit,
+  resolveSource,
+  defaultSnapshotName,
+  fetchSourceRenderers,
+  scrapeVideo,
+  refreshVideo,
+};
@@ -0,0 +1,421 @@
+// ── YouTube markup parsing ────────────────────────────────────────────────────
+// Pure functions from YouTube's page HTML / innertube JSON / ytdl info to
+// normalized records. No network access, so they can be tested against saved
+// fixtures (see parse.test.js) — when YouTube changes its markup, add a
+// fixture of the new shape and make it pass.
+
+const watchUrl = (videoId) => `https://www.youtube.com/watch?v=${videoId}`;
+
+// Where a download can come from. Channel tabs are appended to the channel URL;
+// "playlist" and "video" take a playlist or watch URL instead.
+const SOURCES = ['videos', 'shorts', 'streams', 'playlist', 'video'];
+
+// content_type recorded for videos listed on each channel tab
+const TAB_CONTENT_TYPES = { videos: 'video', shorts: 'short', streams: 'live' };
+
+// Works out what a URL points at. `source` wins when given; otherwise a
+// `list=` parameter means a playlist, a video id means a single video, and a
+// channel URL ending in /shorts or /streams selects that tab.
+function resolveSource(url, source) {
+  const raw = String(url || '').trim();
+  const videoId = raw.match(/(?:[?&]v=|youtu\.be\/|\/shorts\/|\/live\/)([\w-]{11})/)?.[1];
+  const listId = raw.match(/[?&]list=([\w-]+)/)?.[1];
+  const tab = raw.match(/\/(videos|shorts|streams)\/?(?:[?#].*)?$/)?.[1];
+  const kind = SOURCES.includes(source)
+    ? source
+    : listId ? 'playlist' : videoId ? 'video' : tab || 'videos';
+
+  if (kind === 'playlist') {
+    if (!listId) throw new Error('Playlist URLs need a list= parameter, e.g. https://www.youtube.com/playlist?list=PL…');
+    return { source: kind, listId, pageUrl: `https://www.youtube.com/playlist?list=${listId}` };
+  }
+  if (kind === 'video') {
+    if (!videoId) throw new Error('Could not find a video id in that URL.');
+    return { source: kind, videoId, isShort: /\/shorts\//.test(raw) };
+  }
+  // Normalize channel URL and append the tab
+  const channelBase = raw
+    .replace(/[?#].*$/, '')
+    .replace(/\/+$/, '')
+    .replace(/\/(videos|shorts|streams|featured|playlists)$/, '');
+  return { source: kind, pageUrl: `${channelBase}/${kind}` };
+}
+
+// Default library name: the channel handle, suffixed for non-default sources.
+// "https://www.youtube.com/@veritasium/shorts" → "veritasium-shorts"
+function defaultSnapshotName(url, source) {
+  const resolved = resolveSource(url, source);
+  if (resolved.source === 'playlist') return `playlist-${resolved.listId}`;
+  if (resolved.source === 'video') return `video-${resolved.videoId}`;
+  const m = String(url).match(/youtube\.com\/(?:@|c\/|channel\/|user\/)?([^/?#]+)/i);
+  const handle = (m ? m[1] : String(url)).replace(/^@/, '').trim() || 'channel';
+  return resolved.source === 'videos' ? handle : `${handle}-${resolved.source === 'streams' ? 'live' : 'shorts'}`;
+}
+
+// Brings the different listing item shapes down to videoRenderer's fields
+// (videoId, title, thumbnail, lengthText, viewCountText…) plus contentType
+// when the item itself says what it is.
+function normalizeItem(item) {
+  const content = item?.richItemRenderer?.content || item;
+
+  const vr = content?.videoRenderer || content?.gridVideoRenderer || content?.playlistVideoRenderer;
+  if (vr?.videoId) {
+    return vr.navigationEndpoint?.reelWatchEndpoint ? { ...vr, contentType: 'short' } : vr;
+  }
+
+  // Shorts tab, older layout
+  const reel = content?.reelItemRenderer;
+  if (reel?.videoId) {
+    return {
+      videoId: reel.videoId,
+      title: { simpleText: reel.headline?.simpleText || '' },
+      thumbnail: reel.thumbnail,
+      viewCountText: reel.viewCountText,
+      contentType: 'short',
+    };
+  }
+
+  // Shorts tab, current layout
+  const lockup = content?.shortsLockupViewModel;
+  const lockupId = lockup?.onTap?.innertubeCommand?.reelWatchEndpoint?.videoId;
+  if (lockupId) {
+    return {
+      videoId: lockupId,
+      title: { simpleText: lockup.overlayMetadata?.primaryText?.content || '' },
+      thumbnail: { thumbnails: lockup.thumbnail?.sources || [] },
+      viewCountText: { simpleText: lockup.overlayMetadata?.secondaryText?.content || '' },
+      contentType: 'short',
+    };
+  }
+  return null;
+}
+
+// Splits a list of listing items into video renderers and the continuation
+// token for the next page, if any.
+function parseGridItems(items = []) {
+  const renderers = [];
+  let continuation = null;
+  for (const item of items) {
+    const vr = normalizeItem(item);
+    if (vr) renderers.push(vr);
+    const token =
+      item?.continuationItemRenderer?.continuationEndpoint?.continuationCommand?.token;
+    if (token) continuation = token;
+  }
+  return { renderers, continuation };
+}
+
+// First page of a channel tab or playlist from ytInitialData.
+function parseInitialPage(ytData) {
+  const tabs =
+    ytData?.contents?.twoColumnBrowseResultsRenderer?.tabs || [];
+
+  for (const tab of tabs) {
+    const tabR = tab?.tabRenderer;
+    if (!tabR) continue;
+
+    // Modern layout: richGridRenderer
+    const richGrid = tabR?.content?.richGridRenderer;
+    if (richGrid?.contents?.length) {
+      const page = parseGridItems(richGrid.contents);
+      if (page.renderers.length) return page;
+    }
+
+    // Older layout: sectionListRenderer
+    const sectionList = tabR?.content?.sectionListRenderer;
+    if (sectionList) {
+      for (const section of sectionList.contents || []) {
+        const first = section?.itemSectionRenderer?.contents?.[0];
+        const grid = first?.gridRenderer;
+        const page = parseGridItems(grid?.items || first?.playlistVideoListRenderer?.contents);
+        page.continuation ||= grid?.continuations?.[0]?.nextContinuationData?.continuation || null;
+        if (page.renderers.length) return page;
+      }
+    }
+  }
+  return { renderers: [], continuation: null };
+}
+
+// Items appended by a browse-API continuation response.
+function parseContinuationPage(data) {
+  const items = (data?.onResponseReceivedActions || []).flatMap(
+    (a) =>
+      a?.appendContinuationItemsAction?.continuationItems ||
+      a?.reloadContinuationItemsCommand?.continuationItems ||
+      []
+  );
+  return parseGridItems(items);
+}
+
+// Innertube settings the page embeds in ytcfg — needed to call the browse API.
+function extractInnertubeConfig(html) {
+  const apiKey = html.match(/"INNERTUBE_API_KEY"\s*:\s*"([^"]+)"/)?.[1];
+  const clientVersion = html.match(/"INNERTUBE_CLIENT_VERSION"\s*:\s*"([^"]+)"/)?.[1];
+  const visitorData = html.match(/"VISITOR_DATA"\s*:\s*"([^"]+)"/)?.[1];
+  return apiKey && clientVersion ? { apiKey, clientVersion, visitorData } : null;
+}
+
+// Pulls the ytInitialData JSON out of a channel or playlist page.
+function extractInitialData(html) {
+  const match =
+    html.match(/var ytInitialData\s*=\s*(\{.+?\});\s*<\/script>/s) ||
+    html.match(/ytInitialData\s*=\s*(\{.+?\});\s*(?:var |<\/script>)/s);
+
+  if (!match) {
+    throw new Error(
+      'Could not extract ytInitialData. The channel may not exist or YouTube blocked the request.'
+    );
+  }
+
+  try {
+    return JSON.parse(match[1]);
+  } catch {
+    throw new Error('Failed to parse ytInitialData JSON.');
+  }
+}
+
+// Everything needed from a channel tab or playlist page: the first page of
+// renderers, the continuation token for the next one, and the innertube config
+// to request it with.
+function parseListingHtml(html) {
+  return { ...parseInitialPage(extractInitialData(html)), config: extractInnertubeConfig(html) };
+}
+
+// Basic metadata available from the listing alone.
+function rendererToVideo(vr) {
+  const videoId = vr.videoId;
+  return {
+    video_id: videoId,
+    title: vr?.title?.runs?.map((r) => r.text).join('') || vr?.title?.simpleText || '',
+    video_url: watchUrl(videoId),
+    thumbnail: vr?.thumbnail?.thumbnails?.slice(-1)[0]?.url || '',
+    duration: vr?.lengthText?.simpleText || '',
+    published_time_text: vr?.publishedTimeText?.simpleText || '',
+    view_count_text:
+      vr?.viewCountText?.simpleText || vr?.shortViewCountText?.simpleText || '',
+    description: '',
+    release_date: '',
+    view_count: null,
+    like_count: null,
+    comment_count: null,
+    transcript: '',
+    transcript_segments: [],
+    transcript_language: '',
+    content_type: vr.contentType || '',
+  };
+}
+
+function extractCommentCount(info) {
+  // path 1 — player_response.videoDetails.commentCount
+  const ccRaw = info.player_response?.videoDetails?.commentCount;
+  if (ccRaw != null) return parseInt(ccRaw, 10);
+
+  // path 2 — engagement panels in the next response
+  const panels = info.response?.engagementPanels || [];
+  for (const panel of panels) {
+    const hdr =
+      panel?.engagementPanelSectionListRenderer?.header
+        ?.engagementPanelTitleHeaderRenderer;
+    const countText = hdr?.contextualInfo?.runs?.[0]?.text;
+    if (countText) {
+      const n = parseInt(countText.replace(/,/g, ''), 10);
+      if (!isNaN(n)) return n;
+    }
+  }
+  return null;
+}
+
+// Video record fields from a ytdl getInfo() result.
+function videoDetailsFromInfo(info) {
+  const details = info.videoDetails;
+  return {
+    title: details.title,
+    description: (details.shortDescription || '').slice(0, 1000),
+    release_date: details.publishDate || '',
+    view_count: details.viewCount ? parseInt(details.viewCount, 10) : null,
+    like_count: details.likes != null ? parseInt(details.likes, 10) : null,
+    comment_count: extractCommentCount(info),
+    thumbnail: details.thumbnails?.slice(-1)[0]?.url,
+    content_type: details.isLiveContent ? 'live' : 'video',
+  };
+}
+
+// Timed caption lines from a yt-dlp json3 subtitle file, in seconds:
+// [{ start, duration, text }]. Events without text (window setup, the line
+// breaks auto-captions append) are dropped.
+function transcriptSegments(json) {
+  const seconds = (ms) => Math.round((ms || 0) / 100) / 10;
+  return (json.events || [])
+    .filter((e) => e.segs)
+    .map((e) => ({
+      start: seconds(e.tStartMs),
+      duration: seconds(e.dDurationMs),
+      text: e.segs
+        .map((s) => s.utf8 || '')
+        .join('')
+        .replace(/\s+/g, ' ')
+        .trim(),
+    }))
+    .filter((seg) => seg.text);
+}
+
+// Plain transcript text from a yt-dlp json3 subtitle file.
+function flattenTranscript(json) {
+  return transcriptSegments(json)
+    .map((seg) => seg.text)
+    .join(' ');
+}
+
+// Picks the subtitle file for the most preferred language among the ones
+// yt-dlp wrote ("<name>.<lang>.json3"). "en" also matches regional and
+// original-track variants such as "en-US" or "en-orig".
+function pickSubtitleFile(files, languages) {
+  const available = files
+    .map((file) => ({ file, language: file.match(/\.([\w-]+)\.json3$/)?.[1] }))
+    .filter((f) => f.language);
+  for (const wanted of languages) {
+    const match =
+      available.find((f) => f.language === wanted) ||
+      available.find((f) => f.language.startsWith(`${wanted}-`));
+    if (match) return match;
+  }
+  return null;
+}
+
+// "es, en" → ['es', 'en']. Falls back to English for empty or malformed input.
+function parseLanguageList(value) {
+  const list = (Array.isArray(value) ? value : String(value || '').split(/[\s,]+/))
+    .map((l) => String(l).trim())
+    .filter((l) => /^[a-zA-Z]{2,3}(-[a-zA-Z0-9]+)*$/.test(l));
+  return list.length ? [...new Set(list)] : ['en'];
+}
+
+// ── Comments ──────────────────────────────────────────────────────────────────
+// Top comments come from the innertube `next` API: the watch page carries the
+// continuation token for the comment section, each page returns comment
+// threads plus the token for the next one. Current responses keep the comment
+// text in frameworkUpdates entity payloads referenced by key; older ones
+// inline a commentRenderer — both are read.
+
+// Upper bound for the per-video comment download
+const MAX_COMMENTS = 100;
+
+// Requested comments per video: 0 (off) … MAX_COMMENTS.
+function parseCommentLimit(value) {
+  const n = Math.round(Number(value));
+  return Number.isFinite(n) ? Math.min(MAX_COMMENTS, Math.max(0, n)) : 0;
+}
+
+// "1.2K" → 1200, "3M" → 3000000, "15" → 15; "" (no likes yet) → 0.
+function parseCompactCount(text) {
+  const clean = String(text ?? '').replace(/,/g, '').trim();
+  if (!clean) return 0;
+  const m = clean.match(/^([\d.]+)\s*([KMB])?/i);
+  if (!m) return null;
+  return Math.round(parseFloat(m[1]) * ({ K: 1e3, M: 1e6, B: 1e9 }[m[2]?.toUpperCase()] || 1));
+}
+
+const continuationToken = (item) =>
+  item?.continuationItemRenderer?.continuationEndpoint?.continuationCommand?.token ||
+  item?.continuationItemRenderer?.button?.buttonRenderer?.command?.continuationCommand?.token ||
+  null;
+
+// Token for the first page of top comments, from a watch page's ytInitialData.
+// null when comments are turned off.
+function commentsContinuation(ytData) {
+  const sections = ytData?.contents?.twoColumnWatchNextResults?.results?.results?.contents || [];
+  const section = sections.find((s) => s.itemSectionRenderer?.sectionIdentifier === 'comment-item-section');
+  const panel = (ytData?.engagementPanels || []).find(
+    (p) => p.engagementPanelSectionListRenderer?.panelIdentifier === 'engagement-panel-comments-section'
+  );
+  const panelItems =
+    panel?.engagementPanelSectionListRenderer?.content?.sectionListRenderer?.contents?.[0]?.itemSectionRenderer
+      ?.contents || [];
+  return continuationToken(section?.itemSectionRenderer?.contents?.[0]) || continuationToken(panelItems[0]);
+}
+
+const runsText = (t) => t?.runs?.map((r) => r.text).join('') ?? t?.simpleText ?? '';
+
+function legacyComment(c, thread) {
+  return {
+    comment_id: c.commentId,
+    author: runsText(c.authorText),
+    text: runsText(c.contentText),
+    like_count: parseCompactCount(runsText(c.voteCount)),
+    reply_count: c.replyCount ?? 0,
+    published_time_text: runsText(c.publishedTimeText),
+    is_pinned: !!c.pinnedCommentBadge || thread.renderingPriority === 'RENDERING_PRIORITY_PINNED_COMMENT',
+    by_creator: !!c.authorIsChannelOwner,
+  };
+}
+
+function entityComment(e, thread) {
+  return {
+    comment_id: e.properties?.commentId,
+    author: e.author?.displayName || '',
+    text: e.properties?.content?.content || '',
+    like_count: parseCompactCount(e.toolbar?.likeCountNotliked),
+    reply_count: parseCompactCount(e.toolbar?.replyCount) ?? 0,
+    published_time_text: e.properties?.publishedTime || '',
+    is_pinned: thread.renderingPriority === 'RENDERING_PRIORITY_PINNED_COMMENT',
+    by_creator: !!e.author?.isCreator,
+  };
+}
+
+// One page of a `next` comments response → { comments, continuation }.
+// Replies are not followed; only top-level comments are returned.
+function parseCommentsPage(data) {
+  const items = (data?.onResponseReceivedEndpoints || []).flatMap(
+    (a) =>
+      a?.reloadContinuationItemsCommand?.continuationItems ||
+      a?.appendContinuationItemsAction?.continuationItems ||
+      []
+  );
+  const entities = new Map(
+    (data?.frameworkUpdates?.entityBatchUpdate?.mutations || [])
+      .filter((m) => m.payload?.commentEntityPayload)
+      .map((m) => [m.entityKey, m.payload.commentEntityPayload])
+  );
+
+  const comments = [];
+  let continuation = null;
+  for (const item of items) {
+    const thread = item.commentThreadRenderer;
+    if (thread?.comment?.commentRenderer) {
+      comments.push(legacyComment(thread.comment.commentRenderer, thread));
+    } else if (thread?.commentViewModel) {
+      const key = thread.commentViewModel.commentViewModel?.commentKey;
+      if (entities.has(key)) comments.push(entityComment(entities.get(key), thread));
+    } else if (item.continuationItemRenderer) {
+      continuation = continuationToken(item);
+    }
+  }
+  return { comments: comments.filter((c) => c.text), continuation };
+}
+
+module.exports = {
+  watchUrl,
+  SOURCES,
+  TAB_CONTENT_TYPES,
+  resolveSource,
+  defaultSnapshotName,
+  extractInitialData,
+  extractInnertubeConfig,
+  normalizeItem,
+  parseGridItems,
+  parseInitialPage,
+  parseContinuationPage,
+  parseListingHtml,
+  rendererToVideo,
+  extractCommentCount,
+  videoDetailsFromInfo,
+  transcriptSegments,
+  flattenTranscript,
+  pickSubtitleFile,
+  parseLanguageList,
+  MAX_COMMENTS,
+  parseCommentLimit,
+  parseCompactCount,
+  commentsContinuation,
+  parseCommentsPage,
+};
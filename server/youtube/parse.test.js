@@ -0,0 +1,294 @@
+// Run with `npm run test:server`. Fixtures are trimmed copies of real YouTube
+// responses; when the markup changes, save a new one next to them.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const {
+  resolveSource,
+  defaultSnapshotName,
+  extractInitialData,
+  parseListingHtml,
+  parseContinuationPage,
+  rendererToVideo,
+  extractCommentCount,
+  videoDetailsFromInfo,
+  transcriptSegments,
+  flattenTranscript,
+  pickSubtitleFile,
+  parseLanguageList,
+  parseCommentLimit,
+  parseCompactCount,
+  commentsContinuation,
+  parseCommentsPage,
+} = require('./parse');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, '__fixtures__', name), 'utf8');
+const jsonFixture = (name) => JSON.parse(fixture(name));
+
+// ── Listing pages ─────────────────────────────────────────────────────────────
+
+test('rich grid layout: videos, continuation token and innertube config', () => {
+  const { renderers, continuation, config } = parseListingHtml(fixture('channel-rich-grid.html'));
+
+  assert.deepEqual(
+    renderers.map((vr) => vr.videoId),
+    ['aaaaaaaaaa1', 'aaaaaaaaaa2', 'aaaaaaaaaa1']
+  );
+  assert.equal(continuation, '4qmFsgKrCBIYVUNIbmZTM1RL');
+  assert.deepEqual(config, {
+    apiKey: 'AIzaSyFIXTUREKEY',
+    clientVersion: '2.20240411.01.00',
+    visitorData: 'CgtGSVhUVVJFVklT',
+  });
+
+  assert.deepEqual(rendererToVideo(renderers[0]), {
+    video_id: 'aaaaaaaaaa1',
+    title: 'Why Is the Sky Blue? (Really)',
+    video_url: 'https://www.youtube.com/watch?v=aaaaaaaaaa1',
+    thumbnail: 'https://i.ytimg.com/vi/aaaaaaaaaa1/hqdefault.jpg?sqp=b',
+    duration: '12:04',
+    published_time_text: '3 days ago',
+    view_count_text: '1,234,567 views',
+    description: '',
+    release_date: '',
+    view_count: null,
+    like_count: null,
+    comment_count: null,
+    transcript: '',
+    transcript_segments: [],
+    transcript_language: '',
+    content_type: '',
+  });
+});
+
+test('section list layout: grid videos and the older continuation field', () => {
+  const { renderers, continuation } = parseListingHtml(fixture('channel-section-list.html'));
+
+  assert.deepEqual(
+    renderers.map(rendererToVideo).map((v) => [v.video_id, v.title, v.duration]),
+    [
+      ['bbbbbbbbbb1', 'Building a Telescope From Scratch', '34:10'],
+      ['bbbbbbbbbb2', 'Mirror Grinding, Part 2', '18:02'],
+    ]
+  );
+  assert.equal(continuation, 'EpcDEgRHRklYVFVSRS1HUklE');
+});
+
+test('shorts tab: lockup view models and reel items become shorts', () => {
+  const { renderers, continuation } = parseListingHtml(fixture('channel-shorts.html'));
+  const videos = renderers.map(rendererToVideo);
+
+  assert.deepEqual(
+    videos.map((v) => [v.video_id, v.title, v.view_count_text, v.content_type]),
+    [
+      ['ccccccccc01', 'Liquid nitrogen vs. a balloon', '2.1M views', 'short'],
+      ['ccccccccc02', 'Can you hear this frequency?', '830K views', 'short'],
+    ]
+  );
+  assert.equal(videos[0].thumbnail, 'https://i.ytimg.com/vi/ccccccccc01/oardefault.jpg');
+  assert.equal(continuation, '4qmFsgKrCBIYU0hPUlRT');
+});
+
+test('playlist page: playlist items, shorts flagged by their endpoint', () => {
+  const { renderers, continuation } = parseListingHtml(fixture('playlist.html'));
+
+  assert.deepEqual(
+    renderers.map((vr) => [vr.videoId, vr.contentType]),
+    [
+      ['ddddddddd01', undefined],
+      ['ddddddddd02', undefined],
+      ['ddddddddd03', 'short'],
+    ]
+  );
+  assert.equal(rendererToVideo(renderers[1]).title, 'Lecture 2: Vectors');
+  assert.equal(continuation, '4qmFsgJhEiRWTFBMZml4dHVyZQ');
+});
+
+test('browse API continuation response', () => {
+  const { renderers, continuation } = parseContinuationPage(jsonFixture('browse-continuation.json'));
+
+  assert.deepEqual(
+    renderers.map((vr) => vr.videoId),
+    ['aaaaaaaaaa3', 'aaaaaaaaaa4']
+  );
+  assert.equal(continuation, '4qmFsgKrCBIYVUNIbmZTM1RLUEFHRTM');
+});
+
+test('pages without ytInitialData or without videos', () => {
+  assert.throws(() => extractInitialData('<html><body>consent.youtube.com</body></html>'), /Could not extract ytInitialData/);
+  assert.throws(() => extractInitialData('<script>var ytInitialData = {not json};</script>'), /Failed to parse/);
+
+  const empty = parseListingHtml('<script>var ytInitialData = {"contents":{}};</script>');
+  assert.deepEqual(empty.renderers, []);
+  assert.equal(empty.continuation, null);
+  assert.equal(empty.config, null);
+});
+
+// ── Video details ─────────────────────────────────────────────────────────────
+
+test('ytdl info: stats, description and comment count from the player response', () => {
+  const info = jsonFixture('ytdl-info-comment-count.json');
+
+  assert.deepEqual(videoDetailsFromInfo(info), {
+    title: 'Why Is the Sky Blue? (Really)',
+    description: 'Rayleigh scattering explained.\n\nSources below.',
+    release_date: '2024-04-08T09:00:00-07:00',
+    view_count: 1234567,
+    like_count: 45678,
+    comment_count: 3210,
+    thumbnail: 'https://i.ytimg.com/vi/aaaaaaaaaa1/maxresdefault.jpg',
+    content_type: 'video',
+  });
+});
+
+test('ytdl info: comment count falls back to the engagement panels', () => {
+  const info = jsonFixture('ytdl-info-engagement-panel.json');
+
+  assert.equal(extractCommentCount(info), 1024);
+  const details = videoDetailsFromInfo(info);
+  assert.equal(details.content_type, 'live');
+  assert.equal(details.like_count, null);
+});
+
+test('ytdl info: no comment count anywhere', () => {
+  assert.equal(extractCommentCount({ player_response: {}, response: {} }), null);
+});
+
+test('json3 transcript keeps timed segments', () => {
+  assert.deepEqual(transcriptSegments(jsonFixture('transcript.en.json3')), [
+    { start: 0.1, duration: 3.9, text: 'so why is the sky' },
+    { start: 2.2, duration: 3, text: "blue? it's scattering" },
+  ]);
+});
+
+test('json3 transcript flattens to single-spaced text', () => {
+  assert.equal(
+    flattenTranscript(jsonFixture('transcript.en.json3')),
+    "so why is the sky blue? it's scattering"
+  );
+  assert.equal(flattenTranscript({}), '');
+});
+
+test('subtitle file follows the language preference', () => {
+  const files = ['sub.de.json3', 'sub.en-orig.json3', 'sub.es-419.json3', 'sub.info.json'];
+
+  assert.deepEqual(pickSubtitleFile(files, ['es', 'en']), { file: 'sub.es-419.json3', language: 'es-419' });
+  assert.deepEqual(pickSubtitleFile(files, ['fr', 'en']), { file: 'sub.en-orig.json3', language: 'en-orig' });
+  assert.deepEqual(pickSubtitleFile(files, ['de']), { file: 'sub.de.json3', language: 'de' });
+  assert.equal(pickSubtitleFile(files, ['fr']), null);
+});
+
+test('language lists', () => {
+  assert.deepEqual(parseLanguageList('es, en'), ['es', 'en']);
+  assert.deepEqual(parseLanguageList(['pt-BR', 'pt-BR']), ['pt-BR']);
+  assert.deepEqual(parseLanguageList(''), ['en']);
+  assert.deepEqual(parseLanguageList('--exec=sh'), ['en']);
+});
+
+// ── Comments ──────────────────────────────────────────────────────────────────
+
+test('comment page: entity payloads joined to threads, continuation token kept', () => {
+  const { comments, continuation } = parseCommentsPage(jsonFixture('next-comments.json'));
+  assert.equal(comments.length, 3); // the empty comment is dropped
+  assert.deepEqual(comments[0], {
+    comment_id: 'Ugz1',
+    author: '@physicsgirl',
+    text: 'Thanks for watching! Part 2 is coming next month.',
+    like_count: 312,
+    reply_count: 24,
+    published_time_text: '2 weeks ago',
+    is_pinned: true,
+    by_creator: true,
+  });
+  assert.equal(comments[1].like_count, 1200);
+  assert.equal(comments[2].reply_count, 0);
+  assert.match(continuation, /^Eg0SC2Rrd1FJY3ZqTTJZ/);
+});
+
+test('comment page: legacy commentRenderer threads', () => {
+  const data = {
+    onResponseReceivedEndpoints: [
+      {
+        appendContinuationItemsAction: {
+          continuationItems: [
+            {
+              commentThreadRenderer: {
+                comment: {
+                  commentRenderer: {
+                    commentId: 'Ugx9',
+                    authorText: { simpleText: '@old' },
+                    contentText: { runs: [{ text: 'Great ' }, { text: 'video' }] },
+                    voteCount: { simpleText: '3.4K' },
+                    replyCount: 5,
+                    publishedTimeText: { runs: [{ text: '3 years ago' }] },
+                  },
+                },
+              },
+            },
+          ],
+        },
+      },
+    ],
+  };
+  const { comments, continuation } = parseCommentsPage(data);
+  assert.equal(comments[0].text, 'Great video');
+  assert.equal(comments[0].like_count, 3400);
+  assert.equal(continuation, null);
+});
+
+test('comment section token from the watch page, null when comments are off', () => {
+  const token = 'EgYSBGFhYWE%3D';
+  const watch = {
+    contents: {
+      twoColumnWatchNextResults: {
+        results: {
+          results: {
+            contents: [
+              { videoPrimaryInfoRenderer: {} },
+              {
+                itemSectionRenderer: {
+                  sectionIdentifier: 'comment-item-section',
+                  contents: [{ continuationItemRenderer: { continuationEndpoint: { continuationCommand: { token } } } }],
+                },
+              },
+            ],
+          },
+        },
+      },
+    },
+  };
+  assert.equal(commentsContinuation(watch), token);
+  assert.equal(commentsContinuation({ contents: {} }), null);
+});
+
+test('comment counts and limits', () => {
+  assert.equal(parseCompactCount('12'), 12);
+  assert.equal(parseCompactCount('1,024'), 1024);
+  assert.equal(parseCompactCount('2.5M'), 2500000);
+  assert.equal(parseCompactCount(''), 0);
+  assert.equal(parseCommentLimit('20'), 20);
+  assert.equal(parseCommentLimit(500), 100);
+  assert.equal(parseCommentLimit(undefined), 0);
+});
+
+// ── Sources ───────────────────────────────────────────────────────────────────
+
+test('sources are detected from the URL unless given', () => {
+  const cases = [
+    ['https://www.youtube.com/@veritasium', undefined, 'videos', 'veritasium'],
+    ['https://www.youtube.com/@veritasium/shorts', undefined, 'shorts', 'veritasium-shorts'],
+    ['https://www.youtube.com/@veritasium/videos', 'streams', 'streams', 'veritasium-live'],
+    ['https://www.youtube.com/playlist?list=PLfixture', undefined, 'playlist', 'playlist-PLfixture'],
+    ['https://youtu.be/aaaaaaaaaa1', undefined, 'video', 'video-aaaaaaaaaa1'],
+    ['https://www.youtube.com/watch?v=aaaaaaaaaa1&list=PLfixture', 'video', 'video', 'video-aaaaaaaaaa1'],
+  ];
+  for (const [url, source, expected, name] of cases) {
+    assert.equal(resolveSource(url, source).source, expected, url);
+    assert.equal(defaultSnapshotName(url, source), name, url);
+  }
+  assert.equal(resolveSource('https://www.youtube.com/@veritasium/shorts/').pageUrl, 'https://www.youtube.com/@veritasium/shorts');
+  assert.equal(resolveSource('https://www.youtube.com/shorts/ccccccccc01').isShort, true);
+  assert.throws(() => resolveSource('https://www.youtube.com/@veritasium', 'playlist'), /list=/);
+});
@@ -1,4 +1,5 @@
-import { useState } from 'react';
+import { useState, useEffect, useCallback } from 'react';
+import { hasAuth, clearAuth, setAuthExpiredHandler } from './services/mongoApi';
 import Auth from './components/Auth';
 import Chat from './components/Chat';
 import YouTubeDownload from './components/YouTubeDownload';
@@ -7,7 +8,7 @@ import './App.css';
 function App() {
   const [user, setUser] = useState(() => {
     const stored = localStorage.getItem('chatapp_user');
-    if (!stored) return null;
+    if (!stored || !hasAuth()) return null;
     try {
       const parsed = JSON.parse(stored);
       if (typeof parsed === 'string') return { username: parsed, firstName: '', lastName: '' };
@@ -18,6 +19,8 @@ function App() {
   });
 
   const [activeTab, setActiveTab] = useState('chat');
+  // Session the Chat tab should open next (set by "Analyze in Chat")
+  const [openSessionId, setOpenSessionId] = useState(null);
 
   const handleLogin = (userObj) => {
     localStorage.setItem('chatapp_user', JSON.stringify(userObj));
@@ -25,11 +28,31 @@ function App() {
     setActiveTab('chat');
   };
 
-  const handleLogout = () => {
+  const handleAnalyzeChannel = (sessionId) => {
+    setOpenSessionId(sessionId);
+    setActiveTab('chat');
+  };
+
+  // Clicking the open tab does nothing: clearing openSessionId would make Chat
+  // reload as a new chat.
+  const switchTab = (tab) => {
+    if (tab === activeTab) return;
+    setOpenSessionId(null);
+    setActiveTab(tab);
+  };
+
+  const handleLogout = useCallback(() => {
     localStorage.removeItem('chatapp_user');
+    clearAuth();
     setUser(null);
     setActiveTab('chat');
-  };
+  }, []);
+
+  // Drop back to the login screen once the refresh token is rejected
+  useEffect(() => {
+    setAuthExpiredHandler(handleLogout);
+    return () => setAuthExpiredHandler(null);
+  }, [handleLogout]);
 
   if (!user) {
     return <Auth onLogin={handleLogin} />;
@@ -40,13 +63,13 @@ function App() {
       <div className="app-tab-bar">
         <button
           className={`tab-btn${activeTab === 'chat' ? ' active' : ''}`}
-          onClick={() => setActiveTab('chat')}
+          onClick={() => switchTab('chat')}
         >
           Chat
         </button>
         <button
           className={`tab-btn${activeTab === 'youtube' ? ' active' : ''}`}
-          onClick={() => setActiveTab('youtube')}
+          onClick={() => switchTab('youtube')}
         >
           YouTube Channel Download
         </button>
@@ -61,10 +84,11 @@ function App() {
             username={user.username}
             firstName={user.firstName || ''}
             lastName={user.lastName || ''}
+            initialSessionId={openSessionId}
             onLogout={handleLogout}
           />
         )}
-        {activeTab === 'youtube' && <YouTubeDownload />}
+        {activeTab === 'youtube' && <YouTubeDownload onAnalyze={handleAnalyzeChannel} />}
       </div>
     </>
   );
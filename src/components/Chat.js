@@ -1,26 +1,90 @@
-import { useState, useEffect, useRef } from 'react';
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
 import { streamChat, chatWithTools, generateImage, CODE_KEYWORDS } from '../services/gemini';
-import { parseCsvToRows, executeTool, computeDatasetSummary, enrichWithEngagement, buildSlimCsv } from '../services/csvTools';
-import { CSV_TOOL_DECLARATIONS } from '../services/csvTools';
-import { JSON_DATA_TOOL_DECLARATIONS, JSON_TOOL_NAMES, executeJsonTool } from '../services/jsonTools';
+import {
+  CSV_TOOL_DECLARATIONS,
+  applyProfile,
+  buildSlimCsv,
+  computeDatasetSummary,
+  csvToolDeclarations,
+  executeTool,
+} from '../services/csvTools';
+import { toCsv } from '../services/csvParser';
+import { TABLE_ACCEPT, isTextFormat, tableFormat } from '../services/tableReader';
+import {
+  JSON_DATA_TOOL_DECLARATIONS,
+  JSON_TOOL_NAMES,
+  executeJsonTool,
+  searchChannelContent,
+  analyzeChannelThumbnails,
+  analyzeChannelComments,
+  contentTypeSummary,
+  enrichChannelJson,
+  channelLabelFromFile,
+  labelChannel,
+} from '../services/jsonTools';
+import { buildContentIndex } from '../services/rag';
 import {
   getSessions,
   createSession,
   deleteSession,
   saveMessage,
   loadMessages,
+  saveDataset,
+  listDatasets,
+  loadDataset,
+  errorMessage,
 } from '../services/mongoApi';
 import EngagementChart from './EngagementChart';
 import VideoCard from './VideoCard';
 import TimeSeriesChart, { downloadChartAsPng } from './TimeSeriesChart';
 import './Chat.css';
 
+// ── Tools both datasets declare ───────────────────────────────────────────────
+// compare_keyword_engagement exists for the CSV and for channel JSON. Gemini
+// rejects duplicate function names, so with both loaded they go out as one
+// declaration with both parameter sets plus `dataset`, which the executor
+// routes on.
+
+const CSV_TOOL_NAMES = CSV_TOOL_DECLARATIONS.map((t) => t.name);
+
+const mergeToolDeclarations = (csvTools, jsonTools) => {
+  const csvByName = Object.fromEntries(csvTools.map((t) => [t.name, t]));
+  const shared = jsonTools.filter((t) => csvByName[t.name]).map((t) => t.name);
+  return [
+    ...csvTools.filter((t) => !shared.includes(t.name)),
+    ...jsonTools.map((t) => {
+      if (!shared.includes(t.name)) return t;
+      const csv = csvByName[t.name];
+      return {
+        ...t,
+        description: `${t.description} Also works on the uploaded CSV: pass dataset "csv" and the CSV parameters.`,
+        parameters: {
+          ...t.parameters,
+          properties: {
+            dataset: {
+              type: 'STRING',
+              description: '"channel" (default) for the loaded YouTube channel data, "csv" for the uploaded CSV.',
+            },
+            ...csv.parameters.properties,
+            ...t.parameters.properties,
+          },
+          required: t.parameters.required.filter((p) => csv.parameters.required.includes(p)),
+        },
+      };
+    }),
+  ];
+};
+
 // ── play_video intent detection (client-side fallback) ────────────────────────
 
 const detectPlayVideoArgs = (text) => {
   const t = text.toLowerCase();
+  if (/views?.?per.?day|daily.?views|fastest.?growing/i.test(t)) return { criteria: 'fastest growing' };
+  if (/(most|highest|best).?engag/i.test(t)) return { criteria: 'most engaging' };
+  if (/longest/i.test(t)) return { criteria: 'longest' };
+  if (/shortest/i.test(t)) return { criteria: 'shortest' };
   if (/most.?view|most.?watch|most.?popular|most.?play/i.test(t)) return { criteria: 'most viewed' };
   if (/most.?lik/i.test(t)) return { criteria: 'most liked' };
   if (/most.?comment/i.test(t)) return { criteria: 'most commented' };
@@ -39,6 +103,10 @@ const detectPlayVideoArgs = (text) => {
 
 const detectStatsField = (text) => {
   const t = text.toLowerCase();
+  if (/views?.?per.?day|daily.?views/i.test(t)) return 'views_per_day';
+  if (/engagement|like.?rate/i.test(t)) return 'like_rate';
+  if (/comment.?rate/i.test(t)) return 'comment_rate';
+  if (/duration|length|how long/i.test(t)) return 'duration_seconds';
   if (/\blik/i.test(t) && !/dislik/i.test(t)) return 'like_count';
   if (/\bcomment/i.test(t)) return 'comment_count';
   return 'view_count';
@@ -58,17 +126,33 @@ const toBase64 = (str) => {
   return btoa(binary);
 };
 
-const parseCSV = (text) => {
-  const lines = text.split('\n').filter((l) => l.trim());
-  if (!lines.length) return null;
-  const headers = lines[0].split(',').map((h) => h.trim().replace(/^"|"$/g, ''));
-  const rowCount = lines.length - 1;
-  const preview = lines.slice(0, 6).join('\n');
-  const raw = text.length > 500000 ? text.slice(0, 500000) : text;
-  const base64 = toBase64(raw);
-  const truncated = text.length > 500000;
-  return { headers, rowCount, preview, base64, truncated };
-};
+const fileToBase64 = (file) =>
+  new Promise((resolve, reject) => {
+    const r = new FileReader();
+    r.onload = () => resolve(r.result.split(',')[1]);
+    r.onerror = reject;
+    r.readAsDataURL(file);
+  });
+
+const fileToText = (file) =>
+  new Promise((resolve, reject) => {
+    const r = new FileReader();
+    r.onload = () => resolve(r.result);
+    r.onerror = reject;
+    r.readAsText(file);
+  });
+
+// The CSV chip's context: what the next message tells Gemini about the file
+// and, for Python, the raw text as base64.
+const csvContextFor = (table, text) => ({
+  headers: table.headers,
+  rowCount: table.rows.length,
+  delimiter: table.delimiter,
+  errors: table.errors,
+  errorCount: table.errorCount,
+  base64: toBase64(text.length > 500000 ? text.slice(0, 500000) : text),
+  truncated: text.length > 500000,
+});
 
 const messageText = (m) => {
   if (m.parts) return m.parts.filter((p) => p.type === 'text').map((p) => p.text).join('\n');
@@ -133,7 +217,7 @@ function StructuredParts({ parts }) {
 
 // ── Main component ────────────────────────────────────────────────────────────
 
-export default function Chat({ username, firstName, lastName, onLogout }) {
+export default function Chat({ username, firstName, lastName, initialSessionId, onLogout }) {
   const [sessions, setSessions] = useState([]);
   const [activeSessionId, setActiveSessionId] = useState(null);
   const [messages, setMessages] = useState([]);
@@ -144,9 +228,12 @@ export default function Chat({ username, firstName, lastName, onLogout }) {
   const [sessionCsvHeaders, setSessionCsvHeaders] = useState(null);
   const [csvDataSummary, setCsvDataSummary] = useState(null);
   const [sessionSlimCsv, setSessionSlimCsv] = useState(null);
-  // JSON channel data
-  const [jsonData, setJsonData] = useState(null);
-  const [jsonFileName, setJsonFileName] = useState(null);
+  // JSON channel data — one { label, fileName, data } per loaded channel
+  const [channels, setChannels] = useState([]);
+  // Passages of the loaded JSON indexed for search_channel_content
+  const [contentIndexInfo, setContentIndexInfo] = useState(null);
+  // Why the last dataset couldn't be saved with the session (null when it was)
+  const [datasetWarning, setDatasetWarning] = useState(null);
   // Enlarged modal
   const [enlargedItem, setEnlargedItem] = useState(null);
   const [streaming, setStreaming] = useState(false);
@@ -159,20 +246,21 @@ export default function Chat({ username, firstName, lastName, onLogout }) {
   const fileInputRef = useRef(null);
   const justCreatedSessionRef = useRef(false);
   const enlargedChartRef = useRef(null);
+  // Datasets loaded before the session exists — uploaded once it is created
+  const pendingDatasetsRef = useRef([]);
+  // Session whose datasets are being restored (guards against stale loads)
+  const restoringSessionRef = useRef(null);
+  // Promise of the content index for the current jsonData (null when none)
+  const contentIndexRef = useRef(null);
+
+  // Every loaded channel's videos in one array, each tagged with its channel
+  // label — what the JSON tools receive.
+  const jsonData = useMemo(() => (channels.length ? channels.flatMap((c) => c.data) : null), [channels]);
 
   // Display name: first name if available, else username
   const displayName = firstName || username;
   const fullName = [firstName, lastName].filter(Boolean).join(' ') || username;
 
-  useEffect(() => {
-    const init = async () => {
-      const list = await getSessions(username);
-      setSessions(list);
-      setActiveSessionId('new');
-    };
-    init();
-  }, [username]);
-
   useEffect(() => {
     if (!activeSessionId || activeSessionId === 'new') {
       setMessages([]);
@@ -202,6 +290,28 @@ export default function Chat({ username, firstName, lastName, onLogout }) {
     window.__channelJson = jsonData;
   }, [jsonData]);
 
+  // Index titles, descriptions and transcripts whenever a channel JSON loads.
+  // Tool calls await the promise, so a question asked mid-build still works.
+  useEffect(() => {
+    setContentIndexInfo(null);
+    if (!jsonData) {
+      contentIndexRef.current = null;
+      return;
+    }
+    let stale = false;
+    const building = buildContentIndex(jsonData).catch((err) => {
+      console.error('[Content index]', err.message);
+      return null;
+    });
+    contentIndexRef.current = building;
+    building.then((index) => {
+      if (!stale) setContentIndexInfo({ passages: index ? index.chunks.length : 0 });
+    });
+    return () => {
+      stale = true;
+    };
+  }, [jsonData]);
+
   // Close modal on Escape
   useEffect(() => {
     if (!enlargedItem) return;
@@ -212,16 +322,24 @@ export default function Chat({ username, firstName, lastName, onLogout }) {
 
   // ── Session management ──────────────────────────────────────────────────────
 
+  const clearDatasets = useCallback(() => {
+    setCsvContext(null);
+    setSessionCsvRows(null);
+    setSessionCsvHeaders(null);
+    setCsvDataSummary(null);
+    setSessionSlimCsv(null);
+    setChannels([]);
+    setDatasetWarning(null);
+    pendingDatasetsRef.current = [];
+  }, []);
+
   const handleNewChat = () => {
+    restoringSessionRef.current = null;
     setActiveSessionId('new');
     setMessages([]);
     setInput('');
     setImages([]);
-    setCsvContext(null);
-    setSessionCsvRows(null);
-    setSessionCsvHeaders(null);
-    setJsonData(null);
-    setJsonFileName(null);
+    clearDatasets();
   };
 
   const handleSelectSession = (sessionId) => {
@@ -229,11 +347,8 @@ export default function Chat({ username, firstName, lastName, onLogout }) {
     setActiveSessionId(sessionId);
     setInput('');
     setImages([]);
-    setCsvContext(null);
-    setSessionCsvRows(null);
-    setSessionCsvHeaders(null);
-    setJsonData(null);
-    setJsonFileName(null);
+    clearDatasets();
+    restoreDatasets(sessionId);
   };
 
   const handleDeleteSession = async (sessionId, e) => {
@@ -243,68 +358,180 @@ export default function Chat({ username, firstName, lastName, onLogout }) {
     const remaining = sessions.filter((s) => s.id !== sessionId);
     setSessions(remaining);
     if (activeSessionId === sessionId) {
-      setActiveSessionId(remaining.length > 0 ? remaining[0].id : 'new');
+      const nextId = remaining.length > 0 ? remaining[0].id : 'new';
+      setActiveSessionId(nextId);
       setMessages([]);
+      clearDatasets();
+      if (nextId !== 'new') restoreDatasets(nextId);
+    }
+  };
+
+  // ── Dataset persistence ─────────────────────────────────────────────────────
+
+  const addSessionDataset = (sessionId, dataset) =>
+    setSessions((prev) =>
+      prev.map((s) =>
+        s.id === sessionId ? { ...s, datasets: [...(s.datasets || []), dataset] } : s
+      )
+    );
+
+  // Saves one dataset; a failure stays visible above the input because the
+  // file is still loaded but won't come back when the session is reopened.
+  const saveSessionDataset = async (sessionId, { name, kind, content }) => {
+    try {
+      addSessionDataset(sessionId, await saveDataset(sessionId, name, kind, content));
+    } catch (err) {
+      console.warn('[Datasets] save failed:', err.message);
+      setDatasetWarning(`${name} won't be saved with this chat: ${errorMessage(err)}`);
+    }
+  };
+
+  // Stores an uploaded file with the session, or queues it until the first
+  // message creates the session.
+  const persistDataset = async (name, kind, content) => {
+    if (!activeSessionId || activeSessionId === 'new') {
+      pendingDatasetsRef.current.push({ name, kind, content });
+      return;
+    }
+    await saveSessionDataset(activeSessionId, { name, kind, content });
+  };
+
+  const flushPendingDatasets = async (sessionId) => {
+    const pending = pendingDatasetsRef.current;
+    pendingDatasetsRef.current = [];
+    for (const dataset of pending) await saveSessionDataset(sessionId, dataset);
+  };
+
+  const handleOpenDataset = async (dataset, e) => {
+    e.stopPropagation();
+    if (dataset.sessionId !== activeSessionId) return handleSelectSession(dataset.sessionId);
+    try {
+      const full = await loadDataset(dataset.id);
+      if (full.kind === 'csv') applyTable(full.name, { text: full.content }, { attach: false });
+      else applyJsonText(full.name, full.content);
+    } catch (err) {
+      console.warn('[Datasets] load failed:', err.message);
     }
   };
 
   // ── File handling ───────────────────────────────────────────────────────────
 
-  const fileToBase64 = (file) =>
-    new Promise((resolve, reject) => {
-      const r = new FileReader();
-      r.onload = () => resolve(r.result.split(',')[1]);
-      r.onerror = reject;
-      r.readAsDataURL(file);
-    });
+  // Loads a dataset into the session state: CSV text, or an upload in any
+  // format tableReader reads ({ file, format, sheet }). `attach` shows the CSV
+  // chip so the next message carries the full-file context (fresh uploads
+  // only). Resolves to { table, text } — text is the CSV to save with the
+  // session: the original for CSV / TSV, converted from the table otherwise —
+  // or null if nothing could be read.
+  const applyTable = useCallback(async (name, source, { attach = true } = {}) => {
+    // Imported lazily: the launcher uses import.meta, which Jest can't parse
+    // when App.test.js loads this component
+    const { readTableInWorker } = await import('../services/tableWorker');
+    let table;
+    try {
+      table = await readTableInWorker(source);
+    } catch (err) {
+      console.warn(`[Dataset] could not read ${name}:`, err.message);
+      return null;
+    }
+    if (!table.headers.length) return null;
+    if (table.errorCount) console.warn(`[Dataset] ${name}: ${table.errorCount} malformed rows`, table.errors);
+    const text =
+      source.text ?? (isTextFormat(source.format) ? await fileToText(source.file) : toCsv(table.headers, table.rows));
+    if (attach) {
+      setCsvContext({
+        name,
+        ...csvContextFor(table, text),
+        // Multi-sheet workbooks keep the file so the chip can switch sheets
+        ...(table.sheets?.length > 1 && { file: source.file, sheets: table.sheets, sheet: table.sheet }),
+      });
+    }
+    const { rows, headers } = applyProfile(table.rows, table.headers);
+    setSessionCsvHeaders(headers);
+    setSessionCsvRows(rows);
+    setCsvDataSummary(computeDatasetSummary(rows, headers, table));
+    setSessionSlimCsv(buildSlimCsv(rows, headers));
+    return { table, text };
+  }, []);
+
+  // Reads an upload and saves it with the session (a workbook under its sheet's name).
+  const loadTableFile = async (file) => {
+    const loaded = await applyTable(file.name, { file, format: tableFormat(file) });
+    if (!loaded) return;
+    const { table, text } = loaded;
+    await persistDataset(table.sheets?.length > 1 ? `${file.name} · ${table.sheet}` : file.name, 'csv', text);
+  };
 
-  const fileToText = (file) =>
-    new Promise((resolve, reject) => {
-      const r = new FileReader();
-      r.onload = () => resolve(r.result);
-      r.onerror = reject;
-      r.readAsText(file);
-    });
+  // Shows another sheet of the attached workbook. Only re-reads the table: the
+  // sheet saved on upload stays the session's dataset.
+  const switchSheet = (sheet) => {
+    const { file } = csvContext;
+    applyTable(file.name, { file, format: tableFormat(file), sheet });
+  };
 
-  const processJsonFile = async (file) => {
+  // Adds a channel JSON to the session, replacing an earlier load of the
+  // same channel (e.g. an older snapshot version).
+  const applyJsonText = useCallback((name, text) => {
     try {
-      const text = await fileToText(file);
       const parsed = JSON.parse(text);
-      const data = Array.isArray(parsed) ? parsed : [parsed];
-      setJsonData(data);
-      setJsonFileName(file.name);
-      window.__channelJson = data;
+      const label = channelLabelFromFile(name);
+      const data = labelChannel(enrichChannelJson(Array.isArray(parsed) ? parsed : [parsed]), label);
+      setChannels((prev) => [...prev.filter((c) => c.label !== label), { label, fileName: name, data }]);
+      return true;
     } catch {
       // Invalid JSON — ignore
+      return false;
     }
-  };
+  }, []);
 
-  const handleDrop = async (e) => {
-    e.preventDefault();
-    setDragOver(false);
-    const files = [...e.dataTransfer.files];
+  // Reloads the most recent CSV and the most recent JSON of each channel
+  // attached to a session.
+  const restoreDatasets = useCallback(async (sessionId) => {
+    restoringSessionRef.current = sessionId;
+    try {
+      const list = await listDatasets(sessionId);
+      const csv = list.filter((d) => d.kind === 'csv').pop();
+      const json = new Map(list.filter((d) => d.kind === 'json').map((d) => [channelLabelFromFile(d.name), d]));
+      const latest = [csv, ...json.values()].filter(Boolean);
+      for (const meta of latest) {
+        const dataset = await loadDataset(meta.id);
+        if (restoringSessionRef.current !== sessionId) return;
+        if (dataset.kind === 'csv') await applyTable(dataset.name, { text: dataset.content }, { attach: false });
+        else applyJsonText(dataset.name, dataset.content);
+      }
+    } catch (err) {
+      console.warn('[Datasets] restore failed:', err.message);
+    }
+  }, [applyTable, applyJsonText]);
 
-    const csvFiles = files.filter((f) => f.name.endsWith('.csv') || f.type === 'text/csv');
+  // Loads the session list and opens initialSessionId ("Analyze in Chat")
+  // with its datasets, or a new chat. Whatever was open before is reset the
+  // way handleNewChat does, so nothing carries over into the next session.
+  // Declared here because it lists restoreDatasets.
+  useEffect(() => {
+    restoringSessionRef.current = null;
+    setMessages([]);
+    setInput('');
+    setImages([]);
+    clearDatasets();
+    const init = async () => {
+      const list = await getSessions();
+      setSessions(list);
+      setActiveSessionId(initialSessionId || 'new');
+      if (initialSessionId) restoreDatasets(initialSessionId);
+    };
+    init();
+  }, [username, initialSessionId, clearDatasets, restoreDatasets]);
+
+  const handleFiles = async (files) => {
+    const tableFiles = files.filter(tableFormat);
     const jsonFiles = files.filter((f) => f.name.endsWith('.json') || f.type === 'application/json');
     const imageFiles = files.filter((f) => f.type.startsWith('image/'));
 
-    if (csvFiles.length > 0) {
-      const file = csvFiles[0];
-      const text = await fileToText(file);
-      const parsed = parseCSV(text);
-      if (parsed) {
-        setCsvContext({ name: file.name, ...parsed });
-        const raw = parseCsvToRows(text);
-        const { rows, headers } = enrichWithEngagement(raw.rows, raw.headers);
-        setSessionCsvHeaders(headers);
-        setSessionCsvRows(rows);
-        setCsvDataSummary(computeDatasetSummary(rows, headers));
-        setSessionSlimCsv(buildSlimCsv(rows, headers));
-      }
-    }
+    if (tableFiles.length > 0) await loadTableFile(tableFiles[0]);
 
-    if (jsonFiles.length > 0) {
-      await processJsonFile(jsonFiles[0]);
+    for (const file of jsonFiles) {
+      const text = await fileToText(file);
+      if (applyJsonText(file.name, text)) await persistDataset(file.name, 'json', text);
     }
 
     if (imageFiles.length > 0) {
@@ -319,42 +546,16 @@ export default function Chat({ username, firstName, lastName, onLogout }) {
     }
   };
 
+  const handleDrop = async (e) => {
+    e.preventDefault();
+    setDragOver(false);
+    await handleFiles([...e.dataTransfer.files]);
+  };
+
   const handleFileSelect = async (e) => {
     const files = [...e.target.files];
     e.target.value = '';
-
-    const csvFiles = files.filter((f) => f.name.endsWith('.csv') || f.type === 'text/csv');
-    const jsonFiles = files.filter((f) => f.name.endsWith('.json') || f.type === 'application/json');
-    const imageFiles = files.filter((f) => f.type.startsWith('image/'));
-
-    if (csvFiles.length > 0) {
-      const text = await fileToText(csvFiles[0]);
-      const parsed = parseCSV(text);
-      if (parsed) {
-        setCsvContext({ name: csvFiles[0].name, ...parsed });
-        const raw = parseCsvToRows(text);
-        const { rows, headers } = enrichWithEngagement(raw.rows, raw.headers);
-        setSessionCsvHeaders(headers);
-        setSessionCsvRows(rows);
-        setCsvDataSummary(computeDatasetSummary(rows, headers));
-        setSessionSlimCsv(buildSlimCsv(rows, headers));
-      }
-    }
-
-    if (jsonFiles.length > 0) {
-      await processJsonFile(jsonFiles[0]);
-    }
-
-    if (imageFiles.length > 0) {
-      const newImages = await Promise.all(
-        imageFiles.map(async (f) => ({
-          data: await fileToBase64(f),
-          mimeType: f.type,
-          name: f.name,
-        }))
-      );
-      setImages((prev) => [...prev, ...newImages]);
-    }
+    await handleFiles(files);
   };
 
   // ── Stop generation ─────────────────────────────────────────────────────────
@@ -393,29 +594,38 @@ export default function Chat({ username, firstName, lastName, onLogout }) {
     let sessionId = activeSessionId;
     if (sessionId === 'new') {
       const title = chatTitle();
-      const { id } = await createSession(username, 'assistant', title);
+      const { id } = await createSession('assistant', title);
       sessionId = id;
       justCreatedSessionRef.current = true;
       setActiveSessionId(id);
-      setSessions((prev) => [{ id, agent: 'assistant', title, createdAt: new Date().toISOString(), messageCount: 0 }, ...prev]);
+      setSessions((prev) => [{ id, agent: 'assistant', title, createdAt: new Date().toISOString(), messageCount: 0, datasets: [] }, ...prev]);
+      await flushPendingDatasets(id);
     }
 
     // ── Routing intent ─────────────────────────────────────────────────────
-    const PYTHON_ONLY_KEYWORDS = /\b(regression|scatter|histogram|seaborn|matplotlib|numpy|time.?series|heatmap|box.?plot|violin|distribut|linear.?model|logistic|forecast|trend.?line)\b/i;
+    // Regression, correlation and trend lines are answered by the fit_regression /
+    // compute_correlation tools, so they no longer force Python.
+    const PYTHON_ONLY_KEYWORDS = /\b(scatter|histogram|seaborn|matplotlib|numpy|time.?series|heatmap|box.?plot|violin|distribut|logistic|forecast)\b/i;
     const IMAGE_GEN_RE = /\b(generate|create|draw|paint|render|make|sketch|design)\b.*\b(image|photo|picture|illustration|artwork|thumbnail|logo|banner|poster|icon|visual)\b|\b(image|photo|picture|thumbnail)\b.*\b(generat|creat|draw|paint|render|make|sketch)\b|\b(generate|create|make|draw|render|sketch|design)\s+(an?\s+)?(image|photo|picture|thumbnail|illustration|artwork|logo|banner|poster|icon|visual)\b/i;
+    // "what makes a thumbnail work?" would otherwise read as image generation
+    const THUMBNAIL_ANALYSIS_RE = /\b(thumbnails?|titles?)\b.*\b(analy[sz]\w*|compar\w*|perform\w*|correlat\w*|views?|clickbait|work\w*)\b|\b(analy[sz]\w*|compar\w*|what makes)\b.*\bthumbnails?\b/i;
     const wantPythonOnly = PYTHON_ONLY_KEYWORDS.test(text) && !jsonData;
     const wantCode = CODE_KEYWORDS.test(text) && !!sessionCsvRows && !jsonData;
     // Detect image gen in the frontend — never rely on the chat model to call it
-    const wantsImageGen = IMAGE_GEN_RE.test(text) || (images.length > 0 && /\b(generat|draw|paint|creat|render|make|sketch|transform|style)\b/i.test(text));
+    const wantsThumbnailAnalysis = !!jsonData && THUMBNAIL_ANALYSIS_RE.test(text);
+    const wantsImageGen =
+      !wantsThumbnailAnalysis &&
+      (IMAGE_GEN_RE.test(text) || (images.length > 0 && /\b(generat|draw|paint|creat|render|make|sketch|transform|style)\b/i.test(text)));
     const capturedCsv = csvContext;
 
     // generateImage is handled directly (not via function-calling) so it is NOT in allTools.
     // gemini-2.5-flash-lite refuses to call it as a function tool; we bypass that by detecting
     // image-gen intent ourselves and calling generateImage() directly in the try block below.
-    const allTools = [
-      ...(sessionCsvRows ? CSV_TOOL_DECLARATIONS : []),
-      ...(jsonData ? JSON_DATA_TOOL_DECLARATIONS : []),
-    ];
+    const csvTools = sessionCsvRows ? csvToolDeclarations(sessionCsvHeaders) : [];
+    const allTools =
+      sessionCsvRows && jsonData
+        ? mergeToolDeclarations(csvTools, JSON_DATA_TOOL_DECLARATIONS)
+        : [...csvTools, ...(jsonData ? JSON_DATA_TOOL_DECLARATIONS : [])];
     const useTools = allTools.length > 0 && !wantPythonOnly && !wantCode && !capturedCsv && !wantsImageGen;
     const useCodeExecution = wantPythonOnly || wantCode;
 
@@ -429,10 +639,17 @@ export default function Chat({ username, firstName, lastName, onLogout }) {
 
     // JSON context block — full block only on first message, brief tag on subsequent ones
     const jsonAlreadyIntroduced = messages.some((m) => m.role === 'model' && m.content);
+    const channelList = channels.map((c) => `${c.label} (${c.data.length} videos)`).join(', ');
+    const multiChannelNote =
+      channels.length > 1
+        ? '\nSeveral channels are loaded — pass channel (a label above) to the JSON tools, or call compare_channels to compare them.'
+        : '';
     const jsonContextBlock = jsonData
       ? jsonAlreadyIntroduced
-        ? `\n\n[Active dataset: "${jsonFileName}" | ${jsonData.length} videos]`
-        : `\n\n[YouTube Channel JSON: "${jsonFileName}" | ${jsonData.length} videos]\nFields: ${Object.keys(jsonData[0] || {}).join(', ')}\nFirst video preview:\n${JSON.stringify(jsonData[0], null, 2).slice(0, 400)}`
+        ? `\n\n[Channels: ${channelList}]${multiChannelNote}`
+        : `\n\n[Channels: ${channelList}]\n[YouTube Channel JSON: ${jsonData.length} videos (${contentTypeSummary(jsonData)})]\nFields: ${Object.keys(jsonData[0] || {}).join(', ')}\nFirst video preview:\n${JSON.stringify(jsonData[0], null, 2).slice(0, 400)}` +
+          '\nTitles, descriptions and transcripts of every video are indexed — call search_channel_content for questions about what the videos say.' +
+          multiChannelNote
       : '';
 
     const needsBase64 = !!capturedCsv && wantPythonOnly;
@@ -446,7 +663,7 @@ ${sessionSummary}${slimCsvBlock}
 IMPORTANT — to load the full data in Python use this exact pattern:
 \`\`\`python
 import pandas as pd, io, base64
-df = pd.read_csv(io.BytesIO(base64.b64decode("${capturedCsv.base64}")))
+df = pd.read_csv(io.BytesIO(base64.b64decode("${capturedCsv.base64}")), sep=${JSON.stringify(capturedCsv.delimiter)}, encoding="utf-8-sig")
 \`\`\`
 
 ---
@@ -478,7 +695,7 @@ ${sessionSummary}${slimCsvBlock}
       timestamp: new Date().toISOString(),
       images: [...images],
       csvName: capturedCsv?.name || null,
-      jsonName: jsonData && !capturedCsv ? jsonFileName : null,
+      jsonName: jsonData && !capturedCsv ? channels.map((c) => c.fileName).join(', ') : null,
     };
 
     setMessages((m) => [...m, userMsg]);
@@ -536,6 +753,18 @@ ${sessionSummary}${slimCsvBlock}
             if (toolName === 'generateImage') {
               return generateImage(args.prompt + (args.style ? ` Style: ${args.style}` : ''), capturedImages);
             }
+            if (toolName === 'search_channel_content') {
+              return searchChannelContent(await contentIndexRef.current, args);
+            }
+            if (toolName === 'analyze_thumbnails') {
+              return analyzeChannelThumbnails(jsonData, args);
+            }
+            if (toolName === 'analyze_comments') {
+              return analyzeChannelComments(jsonData, args);
+            }
+            if (CSV_TOOL_NAMES.includes(toolName) && (!jsonData || args.dataset === 'csv')) {
+              return executeTool(toolName, args, sessionCsvRows);
+            }
             if (JSON_TOOL_NAMES.includes(toolName)) {
               return executeJsonTool(toolName, args, jsonData);
             }
@@ -651,7 +880,7 @@ ${sessionSummary}${slimCsvBlock}
 
   // Download a generated image
   const downloadGeneratedImage = (chart) => {
-    const ext = chart.mimeType?.split('/')[1] || 'png';
+    const ext = chart.mimeType?.split('/')[1]?.replace(/\+.*$/, '') || 'png';
     const slug = (chart.prompt || 'generated-image')
       .toLowerCase()
       .replace(/[^a-z0-9]+/g, '-')
@@ -699,6 +928,20 @@ ${sessionSummary}${slimCsvBlock}
               <div className="sidebar-session-info">
                 <span className="sidebar-session-title">{session.title}</span>
                 <span className="sidebar-session-date">{formatDate(session.createdAt)}</span>
+                {session.datasets?.length > 0 && (
+                  <div className="sidebar-session-datasets">
+                    {session.datasets.map((d) => (
+                      <button
+                        key={d.id}
+                        className="sidebar-dataset"
+                        onClick={(e) => handleOpenDataset(d, e)}
+                        title={`Load ${d.name}`}
+                      >
+                        {d.kind === 'csv' ? '📄' : '📊'} {d.name}
+                      </button>
+                    ))}
+                  </div>
+                )}
               </div>
               <div
                 className="sidebar-session-menu"
@@ -793,8 +1036,14 @@ ${sessionSummary}${slimCsvBlock}
               </div>
 
               {/* Video card */}
-              {m.videoCard && (
-                <VideoCard {...m.videoCard} />
+              {m.videoCard?._videoType === 'youtube_list' ? (
+                <div className="video-card-list">
+                  {m.videoCard.videos.map((v, vi) => (
+                    <VideoCard key={`${v.videoId}-${vi}`} {...v} />
+                  ))}
+                </div>
+              ) : (
+                m.videoCard && <VideoCard {...m.videoCard} />
               )}
 
               {/* Charts: engagement, timeseries, generated images */}
@@ -808,7 +1057,7 @@ ${sessionSummary}${slimCsvBlock}
                     />
                   );
                 }
-                if (['timeseries', 'timeseries_line', 'ranking', 'scatter', 'histogram'].includes(chart._chartType)) {
+                if (['timeseries', 'timeseries_line', 'ranking', 'scatter', 'histogram', 'category_bar', 'calendar_heatmap', 'outliers', 'multi_line', 'feature_compare'].includes(chart._chartType)) {
                   return (
                     <TimeSeriesChart
                       key={ci}
@@ -816,6 +1065,13 @@ ${sessionSummary}${slimCsvBlock}
                       metric={chart.metric}
                       chartType={chart._chartType}
                       yMetric={chart.yMetric}
+                      fitLine={chart.fitLine}
+                      series={chart.series}
+                      period={chart.period}
+                      groupBy={chart.groupBy}
+                      aggregate={chart.aggregate}
+                      unit={chart.unit}
+                      title={chart.title}
                       onEnlarge={() => setEnlargedItem({ type: 'timeseries', ...chart })}
                     />
                   );
@@ -874,7 +1130,9 @@ ${sessionSummary}${slimCsvBlock}
                           <span className="tool-call-result">→ rendered chart/image</span>
                         )}
                         {tc.result?._videoType && (
-                          <span className="tool-call-result">→ video card rendered</span>
+                          <span className="tool-call-result">
+                            → {tc.result.videos ? `${tc.result.videos.length} video cards` : 'video card'} rendered
+                          </span>
                         )}
                       </div>
                     ))}
@@ -907,7 +1165,7 @@ ${sessionSummary}${slimCsvBlock}
           <div ref={bottomRef} />
         </div>
 
-        {dragOver && <div className="chat-drop-overlay">Drop CSV, JSON, or images here</div>}
+        {dragOver && <div className="chat-drop-overlay">Drop CSV, Excel, TSV, NDJSON, Parquet, JSON, or images here</div>}
 
         {/* ── Input area ── */}
         <div className="chat-input-area">
@@ -916,26 +1174,59 @@ ${sessionSummary}${slimCsvBlock}
             <div className="csv-chip">
               <span className="csv-chip-icon">📄</span>
               <span className="csv-chip-name">{csvContext.name}</span>
+              {csvContext.sheets && (
+                <select
+                  className="csv-chip-sheet"
+                  value={csvContext.sheet}
+                  onChange={(e) => switchSheet(e.target.value)}
+                  aria-label="Sheet"
+                >
+                  {csvContext.sheets.map((name) => (
+                    <option key={name} value={name}>{name}</option>
+                  ))}
+                </select>
+              )}
               <span className="csv-chip-meta">
                 {csvContext.rowCount} rows · {csvContext.headers.length} cols
+                {csvContext.errorCount > 0 && (
+                  <span
+                    className="csv-chip-warning"
+                    title={csvContext.errors.map((e) => `Line ${e.row}: ${e.message}`).join('\n')}
+                  >
+                    {` · ${csvContext.errorCount} malformed`}
+                  </span>
+                )}
               </span>
               <button className="csv-chip-remove" onClick={() => setCsvContext(null)} aria-label="Remove CSV">×</button>
             </div>
           )}
 
-          {/* JSON chip */}
-          {jsonFileName && (
-            <div className="json-chip">
-              <span className="json-chip-icon">📊</span>
-              <span className="json-chip-name">{jsonFileName}</span>
-              <span className="json-chip-meta">
-                {jsonData?.length} videos
-              </span>
-              <button
-                className="json-chip-remove"
-                onClick={() => { setJsonData(null); setJsonFileName(null); }}
-                aria-label="Remove JSON"
-              >×</button>
+          {/* JSON chips — one per channel; the last one shows the shared index status */}
+          {channels.length > 0 && (
+            <div className="json-chips">
+              {channels.map((c, i) => (
+                <div key={c.label} className="json-chip">
+                  <span className="json-chip-icon">📊</span>
+                  <span className="json-chip-name" title={c.fileName}>{c.label}</span>
+                  <span className="json-chip-meta">
+                    {c.data.length} videos
+                    {i === channels.length - 1 &&
+                      (contentIndexInfo ? ` · ${contentIndexInfo.passages} passages indexed` : ' · indexing…')}
+                  </span>
+                  <button
+                    className="json-chip-remove"
+                    onClick={() => setChannels((prev) => prev.filter((x) => x.label !== c.label))}
+                    aria-label={`Remove ${c.label}`}
+                  >×</button>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {datasetWarning && (
+            <div className="dataset-warning" role="alert">
+              <span>⚠️ {datasetWarning}</span>
+              <button className="dataset-warning-dismiss" onClick={() => setDatasetWarning(null)} aria-label="Dismiss">×</button>
             </div>
           )}
 
@@ -955,7 +1246,7 @@ ${sessionSummary}${slimCsvBlock}
           <input
             ref={fileInputRef}
             type="file"
-            accept="image/*,.csv,text/csv,.json,application/json"
+            accept={`image/*,${TABLE_ACCEPT},text/csv,.json,application/json`}
             multiple
             style={{ display: 'none' }}
             onChange={handleFileSelect}
@@ -1028,6 +1319,13 @@ ${sessionSummary}${slimCsvBlock}
                     metric={enlargedItem.metric}
                     chartType={enlargedItem._chartType}
                     yMetric={enlargedItem.yMetric}
+                    fitLine={enlargedItem.fitLine}
+                    series={enlargedItem.series}
+                    period={enlargedItem.period}
+                    groupBy={enlargedItem.groupBy}
+                    aggregate={enlargedItem.aggregate}
+                    unit={enlargedItem.unit}
+                    title={enlargedItem.title}
                   />
                 </div>
                 <div className="generated-image-actions">
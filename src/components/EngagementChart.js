@@ -9,43 +9,53 @@ import {
   ResponsiveContainer,
 } from 'recharts';
 
-const WITH_COLOR = '#818cf8';    // indigo-400
-const WITHOUT_COLOR = '#34d399'; // emerald-400
+const WITH_COLOR = '#6366f1';    // indigo-500
+const WITHOUT_COLOR = '#cbd5e1'; // slate-300
+
+const axisText = { fill: '#94a3b8', fontSize: 11, fontFamily: 'Inter,sans-serif' };
+
+const tickFmt = (v) => {
+  if (v >= 1_000_000) return `${(v / 1_000_000).toFixed(1)}M`;
+  if (v >= 1_000) return `${(v / 1_000).toFixed(0)}K`;
+  return v;
+};
 
 function CustomTooltip({ active, payload, label }) {
   if (!active || !payload?.length) return null;
+  const { p } = payload[0].payload;
   return (
     <div style={{
-      background: 'rgba(15, 15, 35, 0.92)',
-      border: '1px solid rgba(255,255,255,0.12)',
+      background: '#ffffff',
+      border: '1px solid rgba(15,23,42,0.1)',
       borderRadius: 10,
-      padding: '0.65rem 0.9rem',
-      fontSize: '0.82rem',
+      padding: '0.6rem 0.9rem',
+      fontSize: '0.8rem',
       fontFamily: 'Inter, sans-serif',
-      color: '#e2e8f0',
-      boxShadow: '0 8px 24px rgba(0,0,0,0.4)',
+      color: '#334155',
+      boxShadow: '0 4px 16px rgba(15,23,42,0.1)',
     }}>
-      <p style={{ margin: '0 0 0.4rem', fontWeight: 700, color: '#fff' }}>{label}</p>
-      {payload.map((p) => (
-        <p key={p.dataKey} style={{ margin: '0.15rem 0', color: p.fill }}>
-          {p.name}: <strong>{p.value.toLocaleString()}</strong>
-          {p.payload[p.dataKey === 'withKeyword' ? 'withCount' : 'withoutCount'] !== undefined && (
+      <p style={{ margin: '0 0 0.4rem', fontWeight: 700, color: '#0f172a' }}>{label}</p>
+      {payload.map((item) => (
+        <p key={item.dataKey} style={{ margin: '0.15rem 0', color: item.dataKey === 'withKeyword' ? WITH_COLOR : '#64748b' }}>
+          {item.name}: <strong>{item.value.toLocaleString()}</strong>
+          {item.payload[item.dataKey === 'withKeyword' ? 'withCount' : 'withoutCount'] !== undefined && (
             <span style={{ opacity: 0.55, marginLeft: 6 }}>
-              (n={p.payload[p.dataKey === 'withKeyword' ? 'withCount' : 'withoutCount']})
+              (n={item.payload[item.dataKey === 'withKeyword' ? 'withCount' : 'withoutCount']})
             </span>
           )}
         </p>
       ))}
+      {p !== undefined && (
+        <p style={{ margin: '0.35rem 0 0', color: '#94a3b8', fontSize: '0.72rem' }}>
+          {p === null ? 'Too few rows to test' : `Welch p = ${p} — ${p < 0.05 ? 'significant' : 'not significant'}`}
+        </p>
+      )}
     </div>
   );
 }
 
 export default function EngagementChart({ data, metricColumn = 'Favorite Count' }) {
-  console.log('[EngagementChart] render called, data:', data);
-  if (!data?.length) {
-    console.warn('[EngagementChart] no data — chart will not render');
-    return null;
-  }
+  if (!data?.length) return null;
 
   return (
     <div className="engagement-chart-wrap">
@@ -61,31 +71,32 @@ export default function EngagementChart({ data, metricColumn = 'Favorite Count'
         >
           <CartesianGrid
             strokeDasharray="3 3"
-            stroke="rgba(255,255,255,0.07)"
+            stroke="rgba(15,23,42,0.06)"
             vertical={false}
           />
           <XAxis
             dataKey="name"
-            tick={{ fill: 'rgba(255,255,255,0.6)', fontSize: 11, fontFamily: 'Inter,sans-serif' }}
-            axisLine={{ stroke: 'rgba(255,255,255,0.12)' }}
+            tick={axisText}
+            axisLine={{ stroke: 'rgba(15,23,42,0.1)' }}
             tickLine={false}
             angle={-30}
             textAnchor="end"
             interval={0}
           />
           <YAxis
-            tick={{ fill: 'rgba(255,255,255,0.5)', fontSize: 11, fontFamily: 'Inter,sans-serif' }}
+            tick={axisText}
+            tickFormatter={tickFmt}
             axisLine={false}
             tickLine={false}
             width={55}
           />
-          <Tooltip content={<CustomTooltip />} cursor={{ fill: 'rgba(255,255,255,0.04)' }} />
+          <Tooltip content={<CustomTooltip />} cursor={{ fill: 'rgba(15,23,42,0.04)' }} />
           <Legend
             wrapperStyle={{
               paddingTop: 12,
               fontSize: 12,
               fontFamily: 'Inter,sans-serif',
-              color: 'rgba(255,255,255,0.65)',
+              color: '#64748b',
             }}
           />
           <Bar dataKey="withKeyword" name="With keyword" fill={WITH_COLOR} radius={[5, 5, 0, 0]} />
@@ -10,6 +10,7 @@ import {
   YAxis,
   CartesianGrid,
   Tooltip,
+  Legend,
   ResponsiveContainer,
   ZAxis,
 } from 'recharts';
@@ -24,6 +25,23 @@ const fmtNum = (v) => {
 
 const metricLabel = (m) => (m || '').replace(/_/g, ' ');
 
+const capitalize = (s) => s.replace(/^./, (c) => c.toUpperCase());
+
+// category_bar values: how each group's rows were combined. A count is
+// labelled with the chart's unit ('videos', or 'rows' for CSV data).
+const AGGREGATE_LABELS = { mean: 'avg', median: 'median', sum: 'total', min: 'min', max: 'max' };
+
+const aggregateLabel = (aggregate, metric, unit = 'videos') =>
+  aggregate === 'count' ? unit : `${AGGREGATE_LABELS[aggregate] || 'avg'} ${metricLabel(metric)}`;
+
+// multi_line series, one per channel
+const SERIES_COLORS = ['#6366f1', '#f59e0b', '#10b981', '#ef4444', '#0ea5e9', '#a855f7', '#64748b'];
+
+// outliers chart: breakouts and underperformers
+const OUTLIER_COLORS = { high: '#16a34a', low: '#dc2626' };
+// feature_compare bars
+const FEATURE_COLORS = { with: '#6366f1', without: '#cbd5e1' };
+
 const tickFmt = (v) => {
   if (v >= 1_000_000) return `${(v / 1_000_000).toFixed(1)}M`;
   if (v >= 1_000) return `${(v / 1_000).toFixed(0)}K`;
@@ -98,7 +116,7 @@ function ScatterTooltipContent({ active, payload }) {
   );
 }
 
-function HistTooltip({ active, payload }) {
+function HistTooltip({ active, payload, unit }) {
   if (!active || !payload?.length) return null;
   const d = payload[0].payload;
   return (
@@ -107,12 +125,76 @@ function HistTooltip({ active, payload }) {
         Range: {d.bin}
       </p>
       <p style={{ margin: 0, color: '#6366f1' }}>
-        Videos: <strong>{d.count}</strong>
+        {capitalize(unit)}: <strong>{d.count}</strong>
       </p>
     </div>
   );
 }
 
+function CategoryTooltip({ active, payload, unit }) {
+  if (!active || !payload?.length) return null;
+  const d = payload[0].payload;
+  return (
+    <div style={tooltipBox}>
+      <p style={{ margin: '0 0 0.3rem', fontWeight: 700, color: '#0f172a', fontSize: '0.78rem', lineHeight: 1.3 }}>
+        {d.label}
+      </p>
+      <p style={{ margin: 0, color: '#6366f1' }}>
+        {payload[0].name}: <strong>{Number(d.value).toLocaleString()}</strong>
+      </p>
+      {d.count != null && (
+        <p style={{ margin: '0.2rem 0 0', color: '#334155' }}>
+          {capitalize(unit)}: <strong>{d.count}</strong>
+        </p>
+      )}
+      {d.detail && <p style={{ margin: '0.2rem 0 0', color: '#94a3b8', fontSize: '0.72rem' }}>{d.detail}</p>}
+    </div>
+  );
+}
+
+function OutlierTooltip({ active, payload }) {
+  if (!active || !payload?.length) return null;
+  const d = payload[0].payload;
+  return (
+    <div style={tooltipBox}>
+      {d.title && (
+        <p style={{ margin: '0 0 0.3rem', fontWeight: 700, color: '#0f172a', fontSize: '0.78rem', lineHeight: 1.3 }}>
+          {d.title.slice(0, 60)}{d.title.length > 60 ? '…' : ''}
+        </p>
+      )}
+      <p style={{ margin: 0, color: OUTLIER_COLORS[d.outlier] || '#6366f1' }}>
+        {payload[0].name}: <strong>{Number(d.value).toLocaleString()}</strong>
+        {d.outlier && ` (${d.outlier === 'high' ? 'breakout' : 'underperformer'})`}
+      </p>
+      <p style={{ margin: '0.2rem 0 0', color: '#64748b' }}>baseline: {Number(d.baseline).toLocaleString()}</p>
+      {d.date && <p style={{ margin: '0.2rem 0 0', color: '#94a3b8', fontSize: '0.72rem' }}>{d.date}</p>}
+    </div>
+  );
+}
+
+function FeatureTooltip({ active, payload }) {
+  if (!active || !payload?.length) return null;
+  const d = payload[0].payload;
+  return (
+    <div style={tooltipBox}>
+      <p style={{ margin: '0 0 0.3rem', fontWeight: 700, color: '#0f172a', fontSize: '0.78rem', lineHeight: 1.3 }}>
+        {d.label}
+      </p>
+      <p style={{ margin: 0, color: FEATURE_COLORS.with }}>
+        With: <strong>{Number(d.with).toLocaleString()}</strong> ({d.n_with} videos)
+      </p>
+      <p style={{ margin: '0.2rem 0 0', color: '#64748b' }}>
+        Without: <strong>{Number(d.without).toLocaleString()}</strong> ({d.n_without} videos)
+      </p>
+      {d.lift != null && (
+        <p style={{ margin: '0.2rem 0 0', color: '#94a3b8', fontSize: '0.72rem' }}>
+          {d.lift}× · p={d.p}{d.p < 0.05 ? ' (significant)' : ''}
+        </p>
+      )}
+    </div>
+  );
+}
+
 // ── PNG download ──────────────────────────────────────────────────────────────
 
 export function downloadChartAsPng(container, filename) {
@@ -281,7 +363,8 @@ function RankingChart({ data, metric }) {
   );
 }
 
-function ScatterPlot({ data, metric, yMetric }) {
+// fitLine: optional [{ x, y }] samples of a fitted regression line.
+function ScatterPlot({ data, metric, yMetric, fitLine }) {
   return (
     <ResponsiveContainer width="100%" height={300}>
       <ScatterChart margin={{ top: 8, right: 24, left: 0, bottom: 32 }}>
@@ -310,12 +393,22 @@ function ScatterPlot({ data, metric, yMetric }) {
         <ZAxis range={[36, 36]} />
         <Tooltip content={<ScatterTooltipContent />} cursor={{ strokeDasharray: '3 3' }} />
         <Scatter data={data} fill="#6366f1" fillOpacity={0.65} />
+        {fitLine?.length > 1 && (
+          <Scatter
+            data={fitLine}
+            line={{ stroke: '#f59e0b', strokeWidth: 2 }}
+            shape={() => null}
+            legendType="none"
+            tooltipType="none"
+            isAnimationActive={false}
+          />
+        )}
       </ScatterChart>
     </ResponsiveContainer>
   );
 }
 
-function HistogramChart({ data, metric }) {
+function HistogramChart({ data, metric, unit }) {
   return (
     <ResponsiveContainer width="100%" height={300}>
       <BarChart data={data} barCategoryGap="4%" margin={{ top: 8, right: 16, left: 0, bottom: 56 }}>
@@ -334,18 +427,280 @@ function HistogramChart({ data, metric }) {
           axisLine={false}
           tickLine={false}
           width={36}
-          label={{ value: 'videos', angle: -90, position: 'insideLeft', offset: 14, fill: '#94a3b8', fontSize: 10, fontFamily: 'Inter,sans-serif' }}
+          label={{ value: unit, angle: -90, position: 'insideLeft', offset: 14, fill: '#94a3b8', fontSize: 10, fontFamily: 'Inter,sans-serif' }}
+        />
+        <Tooltip content={<HistTooltip unit={unit} />} cursor={{ fill: 'rgba(99,102,241,0.04)' }} />
+        <Bar dataKey="count" name={unit} fill="#6366f1" radius={[4, 4, 0, 0]} />
+      </BarChart>
+    </ResponsiveContainer>
+  );
+}
+
+// One bar per group (topic, weekday, content type…) — value is usually a mean.
+function CategoryBarChart({ data, metric, aggregate, unit }) {
+  return (
+    <ResponsiveContainer width="100%" height={320}>
+      <BarChart data={data} margin={{ top: 20, right: 16, left: 0, bottom: 88 }}>
+        <CartesianGrid strokeDasharray="3 3" stroke="rgba(15,23,42,0.06)" vertical={false} />
+        <XAxis
+          dataKey="label"
+          tick={{ ...axisText, fontSize: 9 }}
+          axisLine={{ stroke: 'rgba(15,23,42,0.08)' }}
+          tickLine={false}
+          angle={-30}
+          textAnchor="end"
+          interval={0}
+          tickFormatter={(v) => (v.length > 28 ? `${v.slice(0, 27)}…` : v)}
+        />
+        <YAxis
+          tick={{ ...axisText, fontSize: 11 }}
+          axisLine={false}
+          tickLine={false}
+          width={55}
+          tickFormatter={tickFmt}
+        />
+        <Tooltip content={<CategoryTooltip unit={unit} />} cursor={{ fill: 'rgba(99,102,241,0.04)' }} />
+        <Bar
+          dataKey="value"
+          name={aggregateLabel(aggregate, metric, unit)}
+          fill="#6366f1"
+          radius={[4, 4, 0, 0]}
+          label={{ position: 'top', formatter: tickFmt, fill: '#94a3b8', fontSize: 10, fontFamily: 'Inter,sans-serif' }}
+        />
+      </BarChart>
+    </ResponsiveContainer>
+  );
+}
+
+// Median metric for videos with vs without each thumbnail/title feature,
+// one pair of bars per feature, biggest lift first.
+function FeatureCompareChart({ data, metric }) {
+  const height = Math.max(280, data.length * 48);
+  return (
+    <ResponsiveContainer width="100%" height={height}>
+      <BarChart data={data} layout="vertical" margin={{ top: 8, right: 56, left: 8, bottom: 8 }}>
+        <CartesianGrid strokeDasharray="3 3" stroke="rgba(15,23,42,0.06)" horizontal={false} />
+        <XAxis
+          type="number"
+          tick={{ ...axisText, fontSize: 11 }}
+          axisLine={false}
+          tickLine={false}
+          tickFormatter={tickFmt}
         />
-        <Tooltip content={<HistTooltip />} cursor={{ fill: 'rgba(99,102,241,0.04)' }} />
-        <Bar dataKey="count" name="videos" fill="#6366f1" radius={[4, 4, 0, 0]} />
+        <YAxis
+          type="category"
+          dataKey="label"
+          tick={{ ...axisText, fontSize: 10 }}
+          axisLine={false}
+          tickLine={false}
+          width={150}
+        />
+        <Tooltip content={<FeatureTooltip />} cursor={{ fill: 'rgba(99,102,241,0.04)' }} />
+        <Legend wrapperStyle={{ fontSize: 11, fontFamily: 'Inter,sans-serif' }} />
+        <Bar
+          dataKey="with"
+          name={`median ${metricLabel(metric)} with`}
+          fill={FEATURE_COLORS.with}
+          radius={[0, 4, 4, 0]}
+          label={{ position: 'right', formatter: tickFmt, fill: '#94a3b8', fontSize: 10, fontFamily: 'Inter,sans-serif' }}
+        />
+        <Bar dataKey="without" name="without" fill={FEATURE_COLORS.without} radius={[0, 4, 4, 0]} />
       </BarChart>
     </ResponsiveContainer>
   );
 }
 
+// Metric over time against its rolling baseline (dashed); outliers are the
+// large coloured dots.
+
+function OutlierDot({ cx, cy, payload }) {
+  if (cx == null || cy == null) return null;
+  return payload.outlier ? (
+    <circle cx={cx} cy={cy} r={5} fill={OUTLIER_COLORS[payload.outlier]} stroke="#ffffff" strokeWidth={1.5} />
+  ) : (
+    <circle cx={cx} cy={cy} r={2} fill="#a5b4fc" />
+  );
+}
+
+function OutlierChart({ data, metric }) {
+  const formatted = data.map((d, i) => ({ ...d, displayDate: d.date ? fmtDate(d.date) : `#${i + 1}` }));
+  return (
+    <ResponsiveContainer width="100%" height={300}>
+      <LineChart data={formatted} margin={{ top: 8, right: 16, left: 0, bottom: 40 }}>
+        <CartesianGrid strokeDasharray="3 3" stroke="rgba(15,23,42,0.06)" vertical={false} />
+        <XAxis
+          dataKey="displayDate"
+          tick={axisText}
+          axisLine={{ stroke: 'rgba(15,23,42,0.08)' }}
+          tickLine={false}
+          angle={-45}
+          textAnchor="end"
+          minTickGap={12}
+        />
+        <YAxis
+          tick={{ ...axisText, fontSize: 11 }}
+          axisLine={false}
+          tickLine={false}
+          width={55}
+          tickFormatter={tickFmt}
+        />
+        <Tooltip content={<OutlierTooltip />} />
+        <Line
+          dataKey="value"
+          name={metricLabel(metric)}
+          stroke="#c7d2fe"
+          strokeWidth={1.5}
+          dot={<OutlierDot />}
+          activeDot={{ r: 5, fill: '#4f46e5' }}
+          isAnimationActive={false}
+        />
+        <Line
+          dataKey="baseline"
+          name="baseline"
+          stroke="#94a3b8"
+          strokeWidth={1.5}
+          strokeDasharray="5 4"
+          dot={false}
+          activeDot={false}
+          isAnimationActive={false}
+        />
+      </LineChart>
+    </ResponsiveContainer>
+  );
+}
+
+// One line per series (e.g. channel) over shared periods; gaps where a
+// series has no value for a period are bridged.
+function MultiLineChart({ data, series }) {
+  return (
+    <ResponsiveContainer width="100%" height={320}>
+      <LineChart data={data} margin={{ top: 8, right: 16, left: 0, bottom: 48 }}>
+        <CartesianGrid strokeDasharray="3 3" stroke="rgba(15,23,42,0.06)" vertical={false} />
+        <XAxis
+          dataKey="period"
+          tick={axisText}
+          axisLine={{ stroke: 'rgba(15,23,42,0.08)' }}
+          tickLine={false}
+          angle={-45}
+          textAnchor="end"
+          minTickGap={8}
+        />
+        <YAxis
+          tick={{ ...axisText, fontSize: 11 }}
+          axisLine={false}
+          tickLine={false}
+          width={55}
+          tickFormatter={tickFmt}
+        />
+        <Tooltip
+          contentStyle={tooltipBox}
+          formatter={(v, name) => [fmtNum(v), name]}
+          labelStyle={{ fontWeight: 700, color: '#0f172a' }}
+        />
+        <Legend verticalAlign="top" height={28} wrapperStyle={{ fontSize: '0.75rem', fontFamily: 'Inter,sans-serif' }} />
+        {series.map((name, i) => (
+          <Line
+            key={name}
+            dataKey={name}
+            name={name}
+            stroke={SERIES_COLORS[i % SERIES_COLORS.length]}
+            strokeWidth={2}
+            dot={{ r: 2, strokeWidth: 0, fill: SERIES_COLORS[i % SERIES_COLORS.length] }}
+            connectNulls
+            isAnimationActive={false}
+          />
+        ))}
+      </LineChart>
+    </ResponsiveContainer>
+  );
+}
+
+// Upload calendar: one row of week columns per year, a cell per day. Days
+// with uploads are shaded by the summed metric on a log scale so a single
+// viral video doesn't wash out the rest.
+const CELL = 11;
+const CELL_GAP = 2;
+const WEEK_LABELS = ['Mon', '', 'Wed', '', 'Fri', '', ''];
+const MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const HEAT_COLORS = ['#e0e7ff', '#a5b4fc', '#818cf8', '#6366f1', '#4338ca'];
+
+function CalendarHeatmap({ data, metric }) {
+  const byDate = new Map(data.map((d) => [d.date, d]));
+  const years = [...new Set(data.map((d) => Number(d.date.slice(0, 4))))].sort();
+  const logs = data.map((d) => Math.log1p(d.value || 0));
+  const maxLog = Math.max(...logs, 1e-9);
+  const shade = (d) => HEAT_COLORS[Math.min(HEAT_COLORS.length - 1, Math.floor((Math.log1p(d.value || 0) / maxLog) * HEAT_COLORS.length))];
+
+  const step = CELL + CELL_GAP;
+  const left = 34;
+  const yearHeight = 7 * step + 26;
+  const width = left + 54 * step;
+
+  return (
+    <svg viewBox={`0 0 ${width} ${years.length * yearHeight}`} width="100%" style={{ display: 'block' }}>
+      {years.map((year, yi) => {
+        const top = yi * yearHeight + 24;
+        const jan1 = Date.UTC(year, 0, 1);
+        const offset = (new Date(jan1).getUTCDay() + 6) % 7; // Monday-first
+        const days = (Date.UTC(year + 1, 0, 1) - jan1) / 86_400_000;
+        const cells = [];
+        for (let i = 0; i < days; i++) {
+          const date = new Date(jan1 + i * 86_400_000).toISOString().slice(0, 10);
+          const entry = byDate.get(date);
+          const x = left + Math.floor((i + offset) / 7) * step;
+          const y = top + ((i + offset) % 7) * step;
+          cells.push(
+            <rect key={date} x={x} y={y} width={CELL} height={CELL} rx={2} fill={entry ? shade(entry) : '#f1f5f9'}>
+              <title>
+                {entry
+                  ? `${date}: ${entry.count} upload${entry.count === 1 ? '' : 's'}, ${fmtNum(entry.value)} ${metricLabel(metric)}\n${entry.titles.join('\n')}`
+                  : `${date}: no uploads`}
+              </title>
+            </rect>
+          );
+        }
+        return (
+          <g key={year}>
+            <text x={0} y={top - 12} style={{ ...axisText, fontSize: 11, fontWeight: 600 }}>
+              {year}
+            </text>
+            {MONTH_LABELS.map((m, mi) => {
+              const dayOfYear = (Date.UTC(year, mi, 1) - jan1) / 86_400_000;
+              return (
+                <text key={m} x={left + Math.floor((dayOfYear + offset) / 7) * step} y={top - 3} style={axisText}>
+                  {m}
+                </text>
+              );
+            })}
+            {WEEK_LABELS.map((d, di) => (
+              <text key={di} x={0} y={top + di * step + CELL - 1} style={{ ...axisText, fontSize: 9 }}>
+                {d}
+              </text>
+            ))}
+            {cells}
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
 // ── Main export ───────────────────────────────────────────────────────────────
 
-export default function TimeSeriesChart({ data, metric, chartType = 'timeseries', yMetric, onEnlarge }) {
+export default function TimeSeriesChart({
+  data,
+  metric,
+  chartType = 'timeseries',
+  yMetric,
+  fitLine,
+  series,
+  period,
+  groupBy,
+  aggregate,
+  unit = 'videos',
+  title,
+  onEnlarge,
+}) {
   const chartRef = useRef(null);
 
   if (!data?.length) return null;
@@ -355,20 +710,30 @@ export default function TimeSeriesChart({ data, metric, chartType = 'timeseries'
     downloadChartAsPng(chartRef.current, `${slug}.png`);
   };
 
-  const chartLabel = {
+  const chartLabel = title || {
     timeseries: `${metricLabel(metric)} over time`,
     timeseries_bar: `${metricLabel(metric)} over time`,
     timeseries_line: `${metricLabel(metric)} trend`,
-    ranking: `Top videos by ${metricLabel(metric)}`,
-    scatter: `${metricLabel(metric)} vs ${metricLabel(yMetric)}`,
+    ranking: `Top ${unit} by ${metricLabel(metric)}`,
+    scatter: `${metricLabel(yMetric)} vs ${metricLabel(metric)}${fitLine ? ' with fitted line' : ''}`,
     histogram: `${metricLabel(metric)} distribution`,
+    multi_line: `${capitalize(aggregateLabel(aggregate, metric, unit))} per ${period || 'month'} by channel`,
+    outliers: `${metricLabel(metric)} outliers vs rolling baseline`,
+    calendar_heatmap: `Upload calendar (shaded by ${metricLabel(metric)})`,
+    feature_compare: `Thumbnail and title features vs ${metricLabel(metric)}`,
+    category_bar: `${capitalize(aggregateLabel(aggregate, metric, unit))} by ${metricLabel(groupBy) || 'category'}`,
   }[chartType] || `${metricLabel(metric)} over time`;
 
   const renderChart = () => {
     if (chartType === 'timeseries_line') return <TimeseriesLineChart data={data} metric={metric} />;
     if (chartType === 'ranking') return <RankingChart data={data} metric={metric} />;
-    if (chartType === 'scatter') return <ScatterPlot data={data} metric={metric} yMetric={yMetric} />;
-    if (chartType === 'histogram') return <HistogramChart data={data} metric={metric} />;
+    if (chartType === 'scatter') return <ScatterPlot data={data} metric={metric} yMetric={yMetric} fitLine={fitLine} />;
+    if (chartType === 'histogram') return <HistogramChart data={data} metric={metric} unit={unit} />;
+    if (chartType === 'multi_line') return <MultiLineChart data={data} series={series || []} />;
+    if (chartType === 'outliers') return <OutlierChart data={data} metric={metric} />;
+    if (chartType === 'feature_compare') return <FeatureCompareChart data={data} metric={metric} />;
+    if (chartType === 'calendar_heatmap') return <CalendarHeatmap data={data} metric={metric} />;
+    if (chartType === 'category_bar') return <CategoryBarChart data={data} metric={metric} aggregate={aggregate} unit={unit} />;
     return <TimeseriesBarChart data={data} metric={metric} />;
   };
 
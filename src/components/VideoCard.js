@@ -1,4 +1,8 @@
-export default function VideoCard({ videoId, title, thumbnail, url, duration, view_count }) {
+// `timestamp` and `snippet` are set for transcript search results — the url
+// then already deep-links to that moment. `source` says where a content search
+// passage came from ('title', 'description' or 'transcript'). `note` is a
+// one-line reason the card was picked, e.g. how far a breakout beat its baseline.
+export default function VideoCard({ videoId, title, thumbnail, url, duration, view_count, timestamp, snippet, source, note }) {
   const targetUrl = url || (videoId ? `https://www.youtube.com/watch?v=${videoId}` : '#');
 
   const formatViews = (n) => {
@@ -22,14 +26,26 @@ export default function VideoCard({ videoId, title, thumbnail, url, duration, vi
         ) : (
           <div className="video-card-thumb-placeholder">▶</div>
         )}
-        {duration && <span className="video-card-duration">{duration}</span>}
+        {timestamp ? (
+          <span className="video-card-duration video-card-timestamp">▶ {timestamp}</span>
+        ) : (
+          duration && <span className="video-card-duration">{duration}</span>
+        )}
       </div>
       <div className="video-card-info">
         <div className="video-card-title">{title}</div>
+        {snippet && (
+          <div className="video-card-snippet">
+            {source === 'description' && <span className="video-card-source">Description: </span>}“{snippet}”
+          </div>
+        )}
         {view_count && (
           <div className="video-card-meta">{formatViews(view_count)}</div>
         )}
-        <div className="video-card-play-hint">Click to open on YouTube ↗</div>
+        {note && <div className="video-card-note">{note}</div>}
+        <div className="video-card-play-hint">
+          {timestamp ? `Click to open at ${timestamp} ↗` : 'Click to open on YouTube ↗'}
+        </div>
       </div>
     </a>
   );
@@ -1,100 +1,311 @@
-import { useState } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  listChannels,
+  loadChannel,
+  deleteChannel,
+  analyzeChannel,
+  createDownloadJob,
+  listDownloadJobs,
+  followDownloadJob,
+  cancelDownloadJob,
+  retryDownloadJob,
+  deleteDownloadJob,
+  errorMessage,
+} from '../services/mongoApi';
 import './YouTubeDownload.css';
 
-export default function YouTubeDownload() {
+const downloadJson = (videos, filename) => {
+  const blob = new Blob([JSON.stringify(videos, null, 2)], { type: 'application/json' });
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(a.href);
+};
+
+const fmtDate = (d) =>
+  new Date(d).toLocaleDateString([], { year: 'numeric', month: 'short', day: 'numeric' });
+
+const JOB_STATUS_LABELS = {
+  queued: 'Queued',
+  running: 'Running',
+  done: 'Done',
+  failed: 'Failed',
+  cancelled: 'Cancelled',
+};
+
+const isActiveJob = (job) => job?.status === 'queued' || job?.status === 'running';
+
+// "auto" lets the server pick from the URL (playlist, single video or channel tab)
+const SOURCE_OPTIONS = [
+  { value: 'auto', label: 'Auto-detect' },
+  { value: 'videos', label: 'Videos tab' },
+  { value: 'shorts', label: 'Shorts tab' },
+  { value: 'streams', label: 'Live tab' },
+  { value: 'playlist', label: 'Playlist' },
+  { value: 'video', label: 'Single video' },
+];
+
+const SOURCE_LABELS = { shorts: 'Shorts', streams: 'Live', playlist: 'Playlist', video: 'Video' };
+
+// Listing pages through the whole channel, so this is only a sanity cap
+const MAX_VIDEOS = 5000;
+// Top comments per video; matches the server's cap
+const MAX_COMMENTS = 100;
+
+// Background jobs aren't streamed, so the list is re-polled while any is active
+const JOB_POLL_MS = 4000;
+
+const jobLabel = (job) =>
+  [
+    job.params?.name || job.params?.url || 'channel',
+    SOURCE_LABELS[job.params?.source],
+    job.params?.mode === 'refresh' && 'refresh',
+  ]
+    .filter(Boolean)
+    .join(' · ');
+
+const jobProgressText = (job) => {
+  if (job.status === 'queued') return 'Queued — waiting for a free slot…';
+  const p = job.progress;
+  if (!p || (p.phase === 'listing' && !p.page)) return 'Fetching channel data…';
+  if (p.phase === 'listing') return `Listing videos — page ${p.page}, ${p.found} found…`;
+  return `${p.current} / ${p.total} videos (${p.percent}%)`;
+};
+
+export default function YouTubeDownload({ onAnalyze }) {
   const [url, setUrl] = useState('');
+  const [name, setName] = useState('');
   const [maxVideos, setMaxVideos] = useState(10);
-  const [downloading, setDownloading] = useState(false);
-  const [progress, setProgress] = useState(null);
+  const [source, setSource] = useState('auto');
+  // Caption language preference, e.g. "es, en" — first available wins
+  const [transcriptLanguages, setTranscriptLanguages] = useState('en');
+  // 0 = don't download comments
+  const [maxComments, setMaxComments] = useState(0);
+  const [submitting, setSubmitting] = useState(false);
   const [videos, setVideos] = useState(null);
+  const [snapshot, setSnapshot] = useState(null);
   const [error, setError] = useState('');
+  // Saved channel snapshots
+  const [library, setLibrary] = useState([]);
+  const [busyChannelId, setBusyChannelId] = useState(null);
+  // Download jobs — the watched one streams its progress and shows its result
+  const [jobs, setJobs] = useState([]);
+  const [watchedJobId, setWatchedJobId] = useState(null);
+  const followAbortRef = useRef(null);
+
+  const watchedJob = jobs.find((j) => j.id === watchedJobId) || null;
+  const hasActiveJobs = jobs.some(isActiveJob);
+
+  const refreshLibrary = useCallback(
+    () =>
+      listChannels()
+        .then(setLibrary)
+        .catch((err) => console.warn('[Channel library] load failed:', err.message)),
+    []
+  );
 
-  const handleDownload = async () => {
-    if (!url.trim() || downloading) return;
-    setDownloading(true);
-    setProgress(null);
+  const refreshJobs = useCallback(
+    () =>
+      listDownloadJobs()
+        .then((list) => {
+          setJobs(list);
+          return list;
+        })
+        .catch((err) => {
+          console.warn('[Download jobs] load failed:', err.message);
+          return [];
+        }),
+    []
+  );
+
+  const upsertJob = useCallback(
+    (job) =>
+      setJobs((prev) =>
+        prev.some((j) => j.id === job.id) ? prev.map((j) => (j.id === job.id ? job : j)) : [job, ...prev]
+      ),
+    []
+  );
+
+  // Attaches to a job's event stream (replacing any previous one) and shows
+  // its videos once it finishes. Works for finished jobs too.
+  const followJob = useCallback(async (jobId) => {
+    followAbortRef.current?.abort();
+    const controller = new AbortController();
+    followAbortRef.current = controller;
+    setWatchedJobId(jobId);
     setVideos(null);
+    setSnapshot(null);
     setError('');
 
     try {
-      const response = await fetch('/api/youtube/channel', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ url: url.trim(), maxVideos: Number(maxVideos) }),
-      });
-
-      if (!response.ok) {
-        const text = await response.text();
-        throw new Error(text || `HTTP ${response.status}`);
-      }
-
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
-      let buffer = '';
-
-      while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
-        buffer += decoder.decode(value, { stream: true });
-        const lines = buffer.split('\n');
-        buffer = lines.pop();
-        for (const line of lines) {
-          if (line.startsWith('data: ')) {
-            try {
-              const event = JSON.parse(line.slice(6));
-              if (event.type === 'progress') {
-                setProgress({ current: event.current, total: event.total, percent: event.percent });
-              } else if (event.type === 'done') {
-                setVideos(event.videos);
-                setProgress({ current: event.videos.length, total: event.videos.length, percent: 100 });
-              } else if (event.type === 'error') {
-                setError(event.message);
-              }
-            } catch {
-              // ignore malformed SSE lines
-            }
-          }
+      for await (const job of followDownloadJob(jobId, controller.signal)) {
+        upsertJob(job);
+        if (job.status === 'done' && job.result?.snapshot) {
+          const full = await loadChannel(job.result.snapshot.id);
+          if (controller.signal.aborted) return;
+          setVideos(full.videos);
+          setSnapshot({ ...job.result.snapshot, added: job.result.added, refreshed: job.result.refreshed });
+          refreshLibrary();
+        } else if (job.status === 'failed') {
+          setError(job.error || 'Download failed');
         }
       }
     } catch (err) {
-      setError(err.message || 'Download failed');
+      if (!controller.signal.aborted) setError(errorMessage(err) || 'Lost connection to the download job');
+    }
+  }, [upsertJob, refreshLibrary]);
+
+  // Reattach to the newest running job after a reload
+  useEffect(() => {
+    refreshLibrary();
+    refreshJobs().then((list) => {
+      const active = list.find(isActiveJob);
+      if (active) followJob(active.id);
+    });
+    return () => followAbortRef.current?.abort();
+  }, [refreshLibrary, refreshJobs, followJob]);
+
+  useEffect(() => {
+    if (!hasActiveJobs) return;
+    const timer = setInterval(refreshJobs, JOB_POLL_MS);
+    return () => clearInterval(timer);
+  }, [hasActiveJobs, refreshJobs]);
+
+  // Queues a download or refresh job and follows it.
+  const startJob = async (params) => {
+    setSubmitting(true);
+    setError('');
+    try {
+      const job = await createDownloadJob(params);
+      upsertJob(job);
+      followJob(job.id);
+    } catch (err) {
+      setError(errorMessage(err) || 'Could not start the download');
     } finally {
-      setDownloading(false);
+      setSubmitting(false);
     }
   };
 
+  const handleDownload = () => {
+    if (!url.trim() || submitting) return;
+    startJob({ url: url.trim(), source, maxVideos: Number(maxVideos), name: name.trim(), transcriptLanguages, maxComments });
+  };
+
+  // Re-fetches stats for every saved video plus any new uploads (up to Max videos)
+  const handleRefresh = (channel) => {
+    if (submitting) return;
+    startJob({ mode: 'refresh', channelId: channel.id, maxVideos: Number(maxVideos), transcriptLanguages, maxComments });
+  };
+
+  const withJob = async (action) => {
+    setError('');
+    try {
+      await action();
+    } catch (err) {
+      setError(errorMessage(err) || 'Something went wrong');
+    }
+    refreshJobs();
+  };
+
+  const handleCancelJob = (job) => withJob(() => cancelDownloadJob(job.id));
+
+  const handleRetryJob = (job) =>
+    withJob(async () => {
+      await retryDownloadJob(job.id);
+      followJob(job.id);
+    });
+
+  const handleDeleteJob = (job) =>
+    withJob(async () => {
+      await deleteDownloadJob(job.id);
+      if (job.id === watchedJobId) setWatchedJobId(null);
+    });
+
   const handleDownloadJson = () => {
     if (!videos) return;
-    const blob = new Blob([JSON.stringify(videos, null, 2)], { type: 'application/json' });
-    const a = document.createElement('a');
-    a.href = URL.createObjectURL(blob);
-    a.download = 'channel_videos.json';
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(a.href);
+    downloadJson(videos, snapshot ? `${snapshot.name}-v${snapshot.version}.json` : 'channel_videos.json');
   };
 
+  // ── Library actions ─────────────────────────────────────────────────────────
+
+  const withChannel = async (channelId, action) => {
+    setBusyChannelId(channelId);
+    setError('');
+    try {
+      await action();
+    } catch (err) {
+      setError(errorMessage(err) || 'Something went wrong');
+    } finally {
+      setBusyChannelId(null);
+    }
+  };
+
+  const handleAnalyze = (channel) =>
+    withChannel(channel.id, async () => {
+      const { sessionId } = await analyzeChannel(channel.id);
+      onAnalyze?.(sessionId);
+    });
+
+  const handleLibraryDownload = (channel) =>
+    withChannel(channel.id, async () => {
+      const full = await loadChannel(channel.id);
+      downloadJson(full.videos, `${channel.name}-v${channel.version}.json`);
+    });
+
+  const handleLibraryDelete = (channel) =>
+    withChannel(channel.id, async () => {
+      await deleteChannel(channel.id);
+      setLibrary((prev) => prev.filter((c) => c.id !== channel.id));
+    });
+
   return (
     <div className="yt-download">
       <div className="yt-download-card">
         <h2 className="yt-download-title">YouTube Channel Download</h2>
         <p className="yt-download-subtitle">
-          Download video metadata, descriptions, and transcripts from a YouTube channel.
-          Drag the JSON into the Chat tab to analyze with AI.
+          Download video metadata, descriptions, and transcripts from a YouTube channel's
+          videos, Shorts or live streams, a playlist, or a single video.
+          Downloads run in the background, so you can close this tab and come back later.
+          Every download is saved to your library — open it in Chat with one click.
         </p>
 
         <div className="yt-download-form">
           <input
             type="text"
             className="yt-download-input"
-            placeholder="Channel URL — e.g. https://www.youtube.com/@veritasium"
+            placeholder="Channel, playlist or video URL — e.g. https://www.youtube.com/@veritasium"
             value={url}
             onChange={(e) => setUrl(e.target.value)}
             onKeyDown={(e) => e.key === 'Enter' && handleDownload()}
-            disabled={downloading}
+            disabled={submitting}
+          />
+          <input
+            type="text"
+            className="yt-download-input"
+            placeholder="Library name (optional) — defaults to the channel handle"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            disabled={submitting}
           />
           <div className="yt-form-row">
+            <label className="yt-label">
+              Source
+              <select
+                className="yt-select"
+                value={source}
+                onChange={(e) => setSource(e.target.value)}
+                disabled={submitting}
+              >
+                {SOURCE_OPTIONS.map((o) => (
+                  <option key={o.value} value={o.value}>
+                    {o.label}
+                  </option>
+                ))}
+              </select>
+            </label>
             <label className="yt-label">
               Max videos
               <input
@@ -102,36 +313,59 @@ export default function YouTubeDownload() {
                 className="yt-number-input"
                 value={maxVideos}
                 onChange={(e) =>
-                  setMaxVideos(Math.min(100, Math.max(1, parseInt(e.target.value) || 10)))
+                  setMaxVideos(Math.min(MAX_VIDEOS, Math.max(1, parseInt(e.target.value) || 10)))
                 }
                 min={1}
-                max={100}
-                disabled={downloading}
+                max={MAX_VIDEOS}
+                disabled={submitting || source === 'video'}
+              />
+            </label>
+            <label className="yt-label" title="Caption languages in order of preference, e.g. &quot;es, en&quot;">
+              Transcript
+              <input
+                type="text"
+                className="yt-number-input yt-lang-input"
+                value={transcriptLanguages}
+                onChange={(e) => setTranscriptLanguages(e.target.value)}
+                placeholder="en"
+                disabled={submitting}
+              />
+            </label>
+            <label className="yt-label" title="Top comments to download per video (0 = none)">
+              Comments
+              <input
+                type="number"
+                className="yt-number-input"
+                value={maxComments}
+                onChange={(e) =>
+                  setMaxComments(Math.min(MAX_COMMENTS, Math.max(0, parseInt(e.target.value) || 0)))
+                }
+                min={0}
+                max={MAX_COMMENTS}
+                disabled={submitting}
               />
             </label>
             <button
               className="yt-download-btn"
               onClick={handleDownload}
-              disabled={downloading || !url.trim()}
+              disabled={submitting || !url.trim()}
             >
-              {downloading ? 'Downloading…' : 'Download'}
+              {submitting ? 'Starting…' : 'Download'}
             </button>
           </div>
         </div>
 
-        {(downloading || progress) && (
+        {isActiveJob(watchedJob) && (
           <div className="yt-progress">
             <div className="yt-progress-bar">
-              {progress ? (
-                <div className="yt-progress-fill" style={{ width: `${progress.percent}%` }} />
+              {watchedJob.progress?.phase === 'videos' ? (
+                <div className="yt-progress-fill" style={{ width: `${watchedJob.progress.percent}%` }} />
               ) : (
                 <div className="yt-progress-fill yt-progress-indeterminate" />
               )}
             </div>
             <span className="yt-progress-text">
-              {progress
-                ? `${progress.current} / ${progress.total} videos (${progress.percent}%)`
-                : 'Fetching channel data…'}
+              {jobLabel(watchedJob)} — {jobProgressText(watchedJob)}
             </span>
           </div>
         )}
@@ -143,6 +377,8 @@ export default function YouTubeDownload() {
             <div className="yt-results-header">
               <span className="yt-results-count">
                 {videos.length} video{videos.length !== 1 ? 's' : ''} downloaded
+                {snapshot && ` · saved as ${snapshot.name} v${snapshot.version}`}
+                {snapshot?.refreshed > 0 && ` (${snapshot.added} new, ${snapshot.refreshed} refreshed)`}
               </span>
               <button className="yt-json-btn" onClick={handleDownloadJson}>
                 Download JSON
@@ -168,6 +404,9 @@ export default function YouTubeDownload() {
                       {v.view_count != null && (
                         <span>{Number(v.view_count).toLocaleString()} views</span>
                       )}
+                      {v.content_type && v.content_type !== 'video' && (
+                        <span className="yt-source-badge">{v.content_type === 'short' ? 'Short' : 'Live'}</span>
+                      )}
                       {v.duration && <span>{v.duration}</span>}
                       {v.release_date && (
                         <span>
@@ -179,7 +418,9 @@ export default function YouTubeDownload() {
                         </span>
                       )}
                       {v.transcript && (
-                        <span className="yt-has-transcript">✓ transcript</span>
+                        <span className="yt-has-transcript">
+                          ✓ transcript{v.transcript_language ? ` (${v.transcript_language})` : ''}
+                        </span>
                       )}
                     </div>
                   </div>
@@ -188,6 +429,138 @@ export default function YouTubeDownload() {
             </div>
           </div>
         )}
+
+        {jobs.length > 0 && (
+          <div className="yt-library">
+            <div className="yt-results-header">
+              <span className="yt-library-title">Download jobs</span>
+              <span className="yt-results-count">
+                {jobs.filter(isActiveJob).length} active · {jobs.length} total
+              </span>
+            </div>
+            <div className="yt-library-list">
+              {jobs.map((j) => (
+                <div
+                  key={j.id}
+                  className={`yt-library-item${j.id === watchedJobId ? ' yt-job-watched' : ''}`}
+                >
+                  <div className="yt-video-info">
+                    <span className="yt-library-name">
+                      {jobLabel(j)}{' '}
+                      <span className={`yt-job-status yt-job-${j.status}`}>
+                        {JOB_STATUS_LABELS[j.status] || j.status}
+                      </span>
+                    </span>
+                    <div className="yt-video-meta">
+                      <span>{fmtDate(j.createdAt)}</span>
+                      {isActiveJob(j) && <span>{jobProgressText(j)}</span>}
+                      {j.status === 'done' && j.result?.snapshot && (
+                        <span>
+                          {j.result.snapshot.name} v{j.result.snapshot.version} ·{' '}
+                          {j.result.snapshot.videoCount} videos
+                        </span>
+                      )}
+                      {j.status === 'failed' && j.error && <span className="yt-job-error">{j.error}</span>}
+                    </div>
+                  </div>
+                  <div className="yt-library-actions">
+                    {j.id !== watchedJobId && (isActiveJob(j) || j.status === 'done') && (
+                      <button className="yt-json-btn" onClick={() => followJob(j.id)}>
+                        View
+                      </button>
+                    )}
+                    {isActiveJob(j) && (
+                      <button className="yt-json-btn" onClick={() => handleCancelJob(j)}>
+                        Cancel
+                      </button>
+                    )}
+                    {(j.status === 'failed' || j.status === 'cancelled') && (
+                      <button
+                        className="yt-json-btn"
+                        onClick={() => handleRetryJob(j)}
+                        title="Resume from the last saved video"
+                      >
+                        Retry
+                      </button>
+                    )}
+                    {!isActiveJob(j) && (
+                      <button
+                        className="yt-delete-btn"
+                        onClick={() => handleDeleteJob(j)}
+                        aria-label={`Delete job ${jobLabel(j)}`}
+                      >
+                        ×
+                      </button>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        <div className="yt-library">
+          <div className="yt-results-header">
+            <span className="yt-library-title">Channel library</span>
+            <span className="yt-results-count">
+              {library.length} snapshot{library.length !== 1 ? 's' : ''}
+            </span>
+          </div>
+          {library.length === 0 ? (
+            <p className="yt-library-empty">Downloaded channels will appear here.</p>
+          ) : (
+            <div className="yt-library-list">
+              {library.map((c) => (
+                <div key={c.id} className="yt-library-item">
+                  <div className="yt-video-info">
+                    <span className="yt-library-name">
+                      {c.name} <span className="yt-library-version">v{c.version}</span>
+                      {SOURCE_LABELS[c.source] && (
+                        <span className="yt-source-badge">{SOURCE_LABELS[c.source]}</span>
+                      )}
+                    </span>
+                    <div className="yt-video-meta">
+                      <span>{c.videoCount} videos</span>
+                      <span>{fmtDate(c.createdAt)}</span>
+                    </div>
+                  </div>
+                  <div className="yt-library-actions">
+                    <button
+                      className="yt-analyze-btn"
+                      onClick={() => handleAnalyze(c)}
+                      disabled={busyChannelId === c.id}
+                    >
+                      Analyze in Chat
+                    </button>
+                    <button
+                      className="yt-json-btn"
+                      onClick={() => handleRefresh(c)}
+                      disabled={submitting || busyChannelId === c.id}
+                      title="Re-fetch stats for saved videos and add new uploads"
+                    >
+                      Refresh
+                    </button>
+                    <button
+                      className="yt-json-btn"
+                      onClick={() => handleLibraryDownload(c)}
+                      disabled={busyChannelId === c.id}
+                    >
+                      JSON
+                    </button>
+                    <button
+                      className="yt-delete-btn"
+                      onClick={() => handleLibraryDelete(c)}
+                      disabled={busyChannelId === c.id}
+                      aria-label={`Delete ${c.name} v${c.version}`}
+                    >
+                      ×
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
       </div>
     </div>
   );
@@ -0,0 +1,266 @@
+// ── CSV parser (RFC 4180) ─────────────────────────────────────────────────────
+// Quoted fields may hold delimiters, "" escapes and line breaks (tweet text
+// often does); \r\n, \n and \r all end a record and a leading BOM is dropped.
+// createCsvParser takes the text in chunks so the worker can stream a file;
+// parseCsv does a whole string. Both give
+//   { headers, rows, delimiter, types, errors, errorCount }
+// where rows are objects keyed by header, types maps each header to
+// 'number' | 'boolean' | 'date' | 'string', and errors lists malformed rows as
+// { row, message } (row = line number the record starts on).
+
+const DELIMITERS = [',', ';', '\t', '|'];
+// Characters of the file's start used to pick the delimiter
+const SNIFF_CHARS = 64 * 1024;
+// Malformed rows listed in `errors`; the rest are only counted
+const MAX_ERRORS = 20;
+
+// Delimiter that splits the first lines of `sample` into the same, largest
+// number of fields (quoted sections ignored). Defaults to a comma.
+export const detectDelimiter = (sample) => {
+  const lines = [];
+  let line = '';
+  let inQuotes = false;
+  for (const ch of sample.replace(/^\uFEFF/, '')) {
+    if (ch === '"') inQuotes = !inQuotes;
+    if ((ch === '\n' || ch === '\r') && !inQuotes) {
+      if (line) lines.push(line);
+      line = '';
+      if (lines.length >= 10) break;
+    } else if (!inQuotes) {
+      line += ch;
+    }
+  }
+  if (line && lines.length < 10) lines.push(line);
+  if (!lines.length) return ',';
+
+  const scored = DELIMITERS.map((d) => {
+    const counts = lines.map((l) => l.split(d).length - 1);
+    const consistent = counts.filter((c) => c === counts[0]).length / counts.length;
+    return { d, fields: counts[0], consistent };
+  }).filter((s) => s.fields > 0);
+  scored.sort((a, b) => b.consistent - a.consistent || b.fields - a.fields);
+  return scored[0]?.d || ',';
+};
+
+// Incremental tokenizer: push(chunk) returns the records completed so far
+// (arrays of strings), end() the last one. `errors` collects quoting problems.
+export const createCsvParser = ({ delimiter } = {}) => {
+  let delim = delimiter;
+  let pending = ''; // text held back until the delimiter is known
+  let started = false;
+  let field = '';
+  let record = [];
+  let inQuotes = false;
+  let afterQuote = false; // just closed a quoted field
+  let skipLf = false; // previous chunk ended on \r
+  let line = 1;
+  let recordLine = 1;
+  const errors = [];
+
+  const endField = () => {
+    record.push(field);
+    field = '';
+    afterQuote = false;
+  };
+
+  const scan = (text, out) => {
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (skipLf) {
+        skipLf = false;
+        if (ch === '\n') continue;
+      }
+      if (inQuotes) {
+        if (ch === '"') {
+          if (text[i + 1] === '"') {
+            field += '"';
+            i++;
+          } else if (i + 1 === text.length) {
+            // Can't tell "" from a closing quote until the next chunk
+            return text.slice(i);
+          } else {
+            inQuotes = false;
+            afterQuote = true;
+          }
+        } else {
+          if (ch === '\n' || (ch === '\r' && text[i + 1] !== '\n')) line++;
+          field += ch;
+        }
+      } else if (ch === delim) {
+        endField();
+      } else if (ch === '\n' || ch === '\r') {
+        endField();
+        out.push({ values: record, line: recordLine });
+        record = [];
+        line++;
+        recordLine = line;
+        if (ch === '\r') {
+          if (i + 1 === text.length) skipLf = true;
+          else if (text[i + 1] === '\n') i++;
+        }
+      } else if (ch === '"' && field === '' && !afterQuote) {
+        inQuotes = true;
+      } else {
+        if (afterQuote) {
+          errors.push({ row: recordLine, message: 'Text after a closing quote' });
+          afterQuote = false;
+        } else if (ch === '"') {
+          errors.push({ row: recordLine, message: 'Quote inside an unquoted field' });
+        }
+        field += ch;
+      }
+    }
+    return '';
+  };
+
+  let carry = '';
+  const feed = (text) => {
+    const out = [];
+    carry = scan(carry + text, out);
+    return out;
+  };
+
+  // Picks the delimiter from the buffered start of the file and parses it
+  const start = () => {
+    started = true;
+    const text = pending.replace(/^\uFEFF/, '');
+    pending = '';
+    delim = delim || detectDelimiter(text);
+    return feed(text);
+  };
+
+  return {
+    errors,
+    get delimiter() {
+      return delim;
+    },
+    push(chunk) {
+      if (started) return feed(chunk);
+      pending += chunk;
+      return delim || pending.length >= SNIFF_CHARS ? start() : [];
+    },
+    end() {
+      const out = started ? [] : start();
+      if (carry) {
+        // The file ended on a closing quote
+        carry = '';
+        inQuotes = false;
+        afterQuote = true;
+      }
+      if (inQuotes) errors.push({ row: recordLine, message: 'Unterminated quoted field' });
+      if (field !== '' || record.length || inQuotes || afterQuote) {
+        endField();
+        out.push({ values: record, line: recordLine });
+      }
+      record = [];
+      return out;
+    },
+  };
+};
+
+// ── Column types ──────────────────────────────────────────────────────────────
+
+const NUMBER_RE = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+const GROUPED_NUMBER_RE = /^[-+]?\d{1,3}(,\d{3})+(\.\d+)?$/;
+const BOOLEAN_RE = /^(true|false)$/i;
+// ISO dates, 18/02/2026-style dates and Twitter's "Wed Feb 18 14:34:17 +0000 2026"
+const DATE_RE =
+  /^(\d{4}-\d{2}-\d{2}([ T]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?|\d{1,2}[/.]\d{1,2}[/.]\d{2,4}( \d{1,2}:\d{2}(:\d{2})?)?|[A-Z][a-z]{2} [A-Z][a-z]{2} \d{1,2} \d{2}:\d{2}:\d{2} [+-]\d{4} \d{4})$/;
+
+// Long digit strings (tweet IDs) and zero-padded codes stay text: as numbers
+// they would lose digits or their leading zeros.
+const isNumber = (v) => {
+  const digits = v.replace(/^[-+]/, '');
+  if (GROUPED_NUMBER_RE.test(v)) return true;
+  if (!NUMBER_RE.test(v)) return false;
+  if (/^0\d/.test(digits)) return false;
+  return !/^\d+$/.test(digits) || Number.isSafeInteger(Number(digits));
+};
+
+const TYPE_TESTS = [
+  ['number', isNumber],
+  ['boolean', (v) => BOOLEAN_RE.test(v)],
+  ['date', (v) => DATE_RE.test(v)],
+];
+
+// header → type, from every non-empty value of the column.
+export const inferColumnTypes = (headers, rows) =>
+  Object.fromEntries(
+    headers.map((h) => {
+      const values = rows.map((r) => String(r[h] ?? '').trim()).filter(Boolean);
+      const match = values.length && TYPE_TESTS.find(([, test]) => values.every(test));
+      return [h, match ? match[0] : 'string'];
+    })
+  );
+
+const CONVERT = {
+  number: (v) => Number(v.replace(/,/g, '')),
+  boolean: (v) => v.toLowerCase() === 'true',
+};
+
+// ── Records → table ───────────────────────────────────────────────────────────
+
+// Blank or repeated header names get "Column 3" / "Views (2)" so every field
+// keeps its own key.
+const uniqueHeaders = (raw) => {
+  const seen = {};
+  return raw.map((h, i) => {
+    const name = h.trim() || `Column ${i + 1}`;
+    seen[name] = (seen[name] || 0) + 1;
+    return seen[name] > 1 ? `${name} (${seen[name]})` : name;
+  });
+};
+
+// Turns tokenizer records into row objects with typed numbers and booleans.
+// Rows with too few fields are padded, extra fields dropped; both are
+// reported. Blank lines are skipped.
+export const buildTable = (records, { delimiter = ',', errors = [] } = {}) => {
+  const problems = [...errors];
+  const filled = records.filter((r) => r.values.length > 1 || r.values[0].trim() !== '');
+  if (!filled.length) return { headers: [], rows: [], delimiter, types: {}, errors: [], errorCount: 0 };
+
+  const headers = uniqueHeaders(filled[0].values);
+  const rows = filled.slice(1).map(({ values, line }) => {
+    if (values.length !== headers.length) {
+      problems.push({
+        row: line,
+        message: `Expected ${headers.length} fields, found ${values.length}`,
+      });
+    }
+    return Object.fromEntries(headers.map((h, i) => [h, values[i] ?? '']));
+  });
+
+  const types = inferColumnTypes(headers, rows);
+  headers.forEach((h) => {
+    const convert = CONVERT[types[h]];
+    if (!convert) return;
+    rows.forEach((r) => {
+      const v = r[h].trim();
+      r[h] = v === '' ? '' : convert(v);
+    });
+  });
+
+  problems.sort((a, b) => a.row - b.row);
+  return { headers, rows, delimiter, types, errors: problems.slice(0, MAX_ERRORS), errorCount: problems.length };
+};
+
+// Parses a whole CSV string. Pass `delimiter` to skip detection.
+export const parseCsv = (text, { delimiter } = {}) => {
+  const parser = createCsvParser({ delimiter });
+  const records = [...parser.push(text), ...parser.end()];
+  return buildTable(records, { delimiter: parser.delimiter, errors: parser.errors });
+};
+
+// ── Writing ───────────────────────────────────────────────────────────────────
+
+// Quotes a value only when it needs it.
+export const formatCsvValue = (value, delimiter = ',') => {
+  const s = String(value ?? '');
+  return s.includes(delimiter) || /["\r\n]/.test(s) || s !== s.trim() ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+// Row objects back to CSV text (parseCsv's inverse).
+export const toCsv = (headers, rows, delimiter = ',') =>
+  [headers, ...rows.map((r) => headers.map((h) => r[h]))]
+    .map((values) => values.map((v) => formatCsvValue(v, delimiter)).join(delimiter))
+    .join('\r\n');
@@ -0,0 +1,62 @@
+import fs from 'fs';
+import path from 'path';
+import { createCsvParser, buildTable, detectDelimiter, parseCsv, toCsv } from './csvParser';
+
+const SAMPLE = path.join(__dirname, '../../public/TwExtract-Clav0Updates-159.csv');
+
+test('parses the TwExtract sample and round-trips it', () => {
+  const text = fs.readFileSync(SAMPLE, 'utf8');
+  const table = parseCsv(text);
+
+  expect(table.headers[0]).toBe('ID'); // BOM dropped
+  expect(table.headers).toHaveLength(19);
+  expect(table.rows).toHaveLength(159);
+  expect(table.errorCount).toBe(0);
+  expect(table.rows.some((r) => r.Text.includes('\n'))).toBe(true);
+  expect(table.rows[0].Source).toBe('<a href="http://twitter.com/download/iphone" rel="nofollow">Twitter for iPhone</a>');
+
+  // 19-digit IDs would lose digits as numbers
+  expect(table.types).toMatchObject({ ID: 'string', 'View Count': 'number', 'Created At': 'date', Text: 'string' });
+  expect(table.rows[0].ID).toBe('2024205851431490005');
+  expect(table.rows[0]['View Count']).toBe(19130);
+
+  const again = parseCsv(toCsv(table.headers, table.rows));
+  expect(again.rows).toEqual(table.rows);
+});
+
+test('detects semicolon and tab delimiters', () => {
+  expect(detectDelimiter('a;b;c\n1;"x;y";3\n')).toBe(';');
+  expect(detectDelimiter('a\tb\n1,5\t2\n')).toBe('\t');
+  expect(detectDelimiter('single\nvalue\n')).toBe(',');
+
+  const table = parseCsv('name;score;ok\r\n"Smith; J.";1,5;TRUE\r\nLee;2;false');
+  expect(table.delimiter).toBe(';');
+  expect(table.rows).toEqual([
+    { name: 'Smith; J.', score: '1,5', ok: true },
+    { name: 'Lee', score: '2', ok: false },
+  ]);
+});
+
+test('streams the same records whatever the chunk boundaries', () => {
+  const text = 'a,b\r\n"x ""quoted""\r\nline",2\r\n"",\r\nlast,"end"';
+  const whole = parseCsv(text, { delimiter: ',' });
+  for (let cut = 1; cut < text.length; cut++) {
+    const parser = createCsvParser({ delimiter: ',' });
+    const records = [...parser.push(text.slice(0, cut)), ...parser.push(text.slice(cut)), ...parser.end()];
+    expect(buildTable(records, { errors: parser.errors }).rows).toEqual(whole.rows);
+  }
+  expect(whole.rows[0].a).toBe('x "quoted"\r\nline');
+});
+
+test('reports malformed rows with their line numbers', () => {
+  const table = parseCsv('a,b\n1,2,3\n"multi\nline",4\n5\nbad"quote,6\n"open,7');
+  expect(table.rows).toHaveLength(5);
+  expect(table.rows[2]).toEqual({ a: '5', b: '' });
+  expect(table.errors).toEqual([
+    { row: 2, message: 'Expected 2 fields, found 3' },
+    { row: 5, message: 'Expected 2 fields, found 1' },
+    { row: 6, message: 'Quote inside an unquoted field' },
+    { row: 7, message: 'Unterminated quoted field' },
+    { row: 7, message: 'Expected 2 fields, found 1' },
+  ]);
+});
@@ -1,3 +1,7 @@
+import { correlationMatrix, describeSlope, fitEquation, fitLinear, flagOutliers, mean } from './stats';
+import { describeKeywordRow, keywordComparison, keywordList } from './keywords';
+import { formatCsvValue, inferColumnTypes } from './csvParser';
+
 // ── Tool declarations (sent to Gemini so it knows what functions exist) ───────
 
 // IMPORTANT NOTE embedded in every description:
@@ -7,7 +11,39 @@
 
 const COL_NOTE = 'Use the exact column name as it appears in the [CSV columns: ...] header at the top of the message — copy it character-for-character, preserving spaces and capitalisation.';
 
-export const CSV_TOOL_DECLARATIONS = [
+const WHERE_OPS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'contains', 'not_contains', 'is_empty', 'not_empty'];
+const AGGREGATE_NAMES = ['mean', 'median', 'sum', 'min', 'max', 'count'];
+
+// Shared optional row filter for the generic tools
+const WHERE_PARAM = {
+  type: 'ARRAY',
+  description:
+    'Optional: keep only rows matching every condition, e.g. [{ "column": "Language", "op": "eq", "value": "en" }, ' +
+    '{ "column": "Created At", "op": "gte", "value": "2025-01" }]. Date columns compare as dates, and "2025" or ' +
+    '"2025-01" stand for the whole year or month.',
+  items: {
+    type: 'OBJECT',
+    properties: {
+      column: { type: 'STRING', description: 'Exact column name. ' + COL_NOTE },
+      op: { type: 'STRING', description: `One of: ${WHERE_OPS.join(', ')}.` },
+      value: { type: 'STRING', description: 'Value to compare with (numbers and dates as text). Omit for is_empty / not_empty.' },
+    },
+    required: ['column', 'op'],
+  },
+};
+
+const AGGREGATE_PARAM = {
+  type: 'STRING',
+  description: '"mean" (default with a metric), "median", "sum", "min", "max" or "count" (rows; default without a metric).',
+};
+
+const DATE_BUCKET_PARAM = {
+  type: 'STRING',
+  description: 'For date columns: "day", "week", "month" or "year". Omit to pick from the date range.',
+};
+
+// Tools for any table; the profile tools below are added when a profile matches.
+const GENERIC_TOOL_DECLARATIONS = [
   {
     name: 'compute_column_stats',
     description:
@@ -39,6 +75,207 @@ export const CSV_TOOL_DECLARATIONS = [
       required: ['column'],
     },
   },
+  {
+    name: 'compute_column_correlation',
+    description:
+      'Correlation matrix between numeric columns, with a p-value and plain-language strength for every pair ' +
+      '(strongest first). Use for "what correlates with views?" or "are likes and retweets related?". ' +
+      'Runs in the browser — no Python needed. ' + COL_NOTE,
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        columns: {
+          type: 'ARRAY',
+          items: { type: 'STRING' },
+          description: 'Exact numeric column names (at least 2). Omit to use every numeric column.',
+        },
+        method: { type: 'STRING', description: '"spearman" (default, rank based) or "pearson" (linear).' },
+      },
+      required: [],
+    },
+  },
+  {
+    name: 'fit_column_regression',
+    description:
+      'Fit a linear regression of y_column on x_column: slope, intercept, R², p-value, residual spread and the ' +
+      'rows furthest from the line. Renders a scatter plot with the fitted line. Use for regression, trend ' +
+      'line or line-of-best-fit questions. Runs in the browser — no Python needed. ' + COL_NOTE,
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        x_column: { type: 'STRING', description: 'Predictor column (X axis). ' + COL_NOTE },
+        y_column: { type: 'STRING', description: 'Outcome column (Y axis). ' + COL_NOTE },
+        log_x: { type: 'BOOLEAN', description: 'Fit on ln(1 + x) — for long-tailed counts like views.' },
+        log_y: { type: 'BOOLEAN', description: 'Fit on ln(1 + y).' },
+      },
+      required: ['x_column', 'y_column'],
+    },
+  },
+  {
+    name: 'find_column_outliers',
+    description:
+      'Find rows (e.g. tweets) whose metric beats — or trails — a rolling baseline: the median of the N rows ' +
+      'around it in time order. Renders the metric over time with the baseline and outliers highlighted, and ' +
+      'returns the outlier rows. Use this when someone asks which posts overperformed, went viral, flopped or ' +
+      'were unusual, instead of a plain top-N list. ' + COL_NOTE,
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        column: {
+          type: 'STRING',
+          description: 'Numeric column to test, e.g. "View Count" or "engagement". ' + COL_NOTE,
+        },
+        date_column: {
+          type: 'STRING',
+          description: 'Column that orders the rows in time. Omit to auto-detect a created-at / date column, else file order.',
+        },
+        window: { type: 'NUMBER', description: 'How many neighbouring rows form the baseline. Default 10.' },
+        method: { type: 'STRING', description: '"zscore" (default) or "iqr".' },
+        threshold: {
+          type: 'NUMBER',
+          description: 'Cut-off: z-score for "zscore" (default 2), IQR multiple for "iqr" (default 1.5).',
+        },
+        direction: { type: 'STRING', description: '"high" (default), "low" or "both".' },
+        n: { type: 'NUMBER', description: 'Most outlier rows to return (default 10).' },
+      },
+      required: ['column'],
+    },
+  },
+  {
+    name: 'compare_keyword_engagement',
+    description:
+      'Compare a metric for rows (tweets) whose text mentions a keyword vs rows that do not: mean and median on ' +
+      'each side, counts, the ratio between them and Welch\'s t-test (p < 0.05 = significant). Renders a ' +
+      'with-vs-without bar chart, one pair of bars per keyword (plus "any keyword" when several are given). ' +
+      'Use for "do tweets mentioning X get more likes?". ' + COL_NOTE,
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        keywords: {
+          type: 'ARRAY',
+          items: { type: 'STRING' },
+          description: 'Words, phrases or #hashtags to test, matched as whole words ignoring case.',
+        },
+        metric_column: {
+          type: 'STRING',
+          description: 'Numeric column to compare. Default "engagement" for tweets, else the first numeric column.',
+        },
+        text_column: {
+          type: 'STRING',
+          description: 'Column holding the text to search. Omit to auto-detect the text column.',
+        },
+      },
+      required: ['keywords'],
+    },
+  },
+  {
+    name: 'filter_rows',
+    description:
+      'List the rows matching conditions on any columns (e.g. rows from 2025 where Language is "en"), optionally ' +
+      'sorted, with how many matched. Use to look up, count or list specific rows of any dataset. ' + COL_NOTE,
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        where: WHERE_PARAM,
+        columns: {
+          type: 'ARRAY',
+          items: { type: 'STRING' },
+          description: 'Columns to return. Omit for the key columns (text, date, categories and metrics).',
+        },
+        sort_by: { type: 'STRING', description: 'Column to sort by. Omit to keep file order.' },
+        ascending: { type: 'BOOLEAN', description: 'true = lowest / earliest first. Default false.' },
+        limit: { type: 'NUMBER', description: 'Most rows to return (default 20, max 100).' },
+      },
+      required: [],
+    },
+  },
+  {
+    name: 'group_by_aggregate',
+    description:
+      'Group rows by a column and aggregate a numeric metric per group (mean, median, sum, min, max or row count). ' +
+      'Date columns group by day, week, month or year. Renders a bar chart, one bar per group. Use for "average ' +
+      'views by language", "posts per month" or "total sales per region". ' + COL_NOTE,
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        group_by: { type: 'STRING', description: 'Column to group by (a category or a date). ' + COL_NOTE },
+        metric: { type: 'STRING', description: 'Numeric column to aggregate. Omit to count rows.' },
+        aggregate: AGGREGATE_PARAM,
+        date_bucket: DATE_BUCKET_PARAM,
+        limit: { type: 'NUMBER', description: 'Most groups to show (default 20, largest first). Dates show every period.' },
+        where: WHERE_PARAM,
+      },
+      required: ['group_by'],
+    },
+  },
+  {
+    name: 'top_n_rows',
+    description:
+      'Return the top or bottom N rows by a numeric column, drawn as a ranking bar chart labelled by each row\'s ' +
+      'text or name. Use for best / worst / most / least questions on any dataset. ' + COL_NOTE,
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        sort_by: { type: 'STRING', description: 'Numeric column to rank by. ' + COL_NOTE },
+        n: { type: 'NUMBER', description: 'Number of rows (default 10, max 50).' },
+        ascending: { type: 'BOOLEAN', description: 'true = lowest first (bottom N). Default false.' },
+        columns: {
+          type: 'ARRAY',
+          items: { type: 'STRING' },
+          description: 'Columns to return for each row. Omit for the key columns.',
+        },
+        where: WHERE_PARAM,
+      },
+      required: ['sort_by'],
+    },
+  },
+  {
+    name: 'pivot_table',
+    description:
+      'Cross-tabulate two columns: one row per value of `rows`, one column per value of `columns`, each cell the ' +
+      'row count or an aggregate of a metric, plus an "all" column. Date columns are bucketed. Returns a table to ' +
+      'show as markdown. Use for "posts per type per month" or "average price by region and category". ' + COL_NOTE,
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        rows: { type: 'STRING', description: 'Column whose values become the table rows. ' + COL_NOTE },
+        columns: { type: 'STRING', description: 'Column whose values become the table columns. ' + COL_NOTE },
+        metric: { type: 'STRING', description: 'Numeric column to aggregate in each cell. Omit to count rows.' },
+        aggregate: AGGREGATE_PARAM,
+        date_bucket: DATE_BUCKET_PARAM,
+        limit: { type: 'NUMBER', description: 'Most values per axis (default 12, most frequent first).' },
+        where: WHERE_PARAM,
+      },
+      required: ['rows', 'columns'],
+    },
+  },
+  {
+    name: 'plot_columns',
+    description:
+      'Chart any columns: a line over time when x is a date, bars per group when x is a category, a scatter when x ' +
+      'and y are numeric, a histogram of x alone. Several y columns draw one line each (or one chart each). ALWAYS ' +
+      'call this when the user asks to plot, chart, graph or visualize CSV data. ' + COL_NOTE,
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        x: { type: 'STRING', description: 'Column for the X axis (a date, category or number). ' + COL_NOTE },
+        y: {
+          type: 'ARRAY',
+          items: { type: 'STRING' },
+          description: 'Numeric columns for the Y axis. Omit to count rows (line / bar) or for a histogram.',
+        },
+        kind: { type: 'STRING', description: '"line", "bar", "scatter" or "histogram". Omit to choose from the column types.' },
+        aggregate: AGGREGATE_PARAM,
+        date_bucket: DATE_BUCKET_PARAM,
+        where: WHERE_PARAM,
+      },
+      required: ['x'],
+    },
+  },
+];
+
+// Tweet exports only (see TWEET_PROFILE)
+const TWEET_TOOL_DECLARATIONS = [
   {
     name: 'get_top_tweets',
     description:
@@ -46,7 +283,7 @@ export const CSV_TOOL_DECLARATIONS = [
       '(Favorite Count / View Count). Returns tweet text + all key metrics in a readable format. ' +
       'Use this when someone asks for the best/worst/most/least performing tweets, ' +
       'e.g. "show me the 10 most engaging tweets" or "what are the least viewed tweets". ' +
-      'The "engagement" column is always available once a CSV is loaded.',
+      'The "engagement" column is always available for a tweet export.',
     parameters: {
       type: 'OBJECT',
       properties: {
@@ -65,43 +302,9 @@ export const CSV_TOOL_DECLARATIONS = [
   },
 ];
 
-// ── Parse a CSV line, respecting quoted fields ────────────────────────────────
-
-const parseLine = (line) => {
-  const result = [];
-  let current = '';
-  let inQuotes = false;
-  for (let i = 0; i < line.length; i++) {
-    const ch = line[i];
-    if (ch === '"') {
-      inQuotes = !inQuotes;
-    } else if (ch === ',' && !inQuotes) {
-      result.push(current.trim());
-      current = '';
-    } else {
-      current += ch;
-    }
-  }
-  result.push(current.trim());
-  return result;
-};
-
-// ── Parse a full CSV text into an array of row objects ────────────────────────
-
-export const parseCsvToRows = (text) => {
-  const lines = text.split('\n').filter((l) => l.trim());
-  if (lines.length < 2) return { headers: [], rows: [] };
-  const headers = parseLine(lines[0]).map((h) => h.replace(/^"|"$/g, ''));
-  const rows = lines.slice(1).map((line) => {
-    const vals = parseLine(line);
-    const obj = {};
-    headers.forEach((h, i) => {
-      obj[h] = (vals[i] || '').replace(/^"|"$/g, '');
-    });
-    return obj;
-  });
-  return { headers, rows };
-};
+// Every tool executeTool handles. Send csvToolDeclarations(headers) to the
+// model instead, so profile tools only appear for matching files.
+export const CSV_TOOL_DECLARATIONS = [...GENERIC_TOOL_DECLARATIONS, ...TWEET_TOOL_DECLARATIONS];
 
 // ── Column lookup (case-insensitive + whitespace-tolerant) ───────────────────
 // Gemini often passes column names in a slightly different case than the CSV header.
@@ -130,10 +333,238 @@ const median = (sorted) =>
 
 const fmt = (n) => +n.toFixed(4);
 
+const AGGREGATES = {
+  mean,
+  median: (vals) => median([...vals].sort((a, b) => a - b)),
+  sum: (vals) => vals.reduce((a, b) => a + b, 0),
+  min: (vals) => vals.reduce((a, b) => Math.min(a, b)),
+  max: (vals) => vals.reduce((a, b) => Math.max(a, b)),
+  count: (vals) => vals.length,
+};
+
+const describeValues = (vals) => {
+  const sorted = [...vals].sort((a, b) => a - b);
+  return {
+    count: vals.length,
+    mean: fmt(mean(vals)),
+    median: fmt(median(sorted)),
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+  };
+};
+
+// ── Column roles ──────────────────────────────────────────────────────────────
+// What each column is for, from the parser's type inference, so the tools have
+// sensible defaults on any table: the date that orders rows, the free-text
+// column that names a row, numeric metrics and low-cardinality categories.
+// Cached per rows array (the session keeps one array per loaded file).
+
+const MAX_CATEGORIES = 50;
+const TEXT_NAME_RE = /^(text|tweet|body|content|message|comment|description|title|name)$/i;
+const roleCache = new WeakMap();
+
+export const columnRoles = (rows) => {
+  if (roleCache.has(rows)) return roleCache.get(rows);
+  const headers = rows.length ? Object.keys(rows[0]) : [];
+  const types = inferColumnTypes(headers, rows);
+  const ofType = (type) => headers.filter((h) => types[h] === type);
+  const filled = (h) => rows.map((r) => r[h]).filter((v) => v !== '' && v != null).map(String);
+  const avgLength = Object.fromEntries(
+    ofType('string').map((h) => {
+      const vals = filled(h);
+      return [h, vals.length ? vals.reduce((n, v) => n + v.length, 0) / vals.length : 0];
+    })
+  );
+
+  const dates = ofType('date');
+  const text =
+    ofType('string').find((h) => TEXT_NAME_RE.test(h)) ||
+    ofType('string')
+      .filter((h) => avgLength[h] >= 20)
+      .sort((a, b) => avgLength[b] - avgLength[a])[0] ||
+    null;
+  const roles = {
+    types,
+    date: dates.find((h) => /created|date|time|publish/i.test(h)) || dates[0] || null,
+    text,
+    metrics: ofType('number'),
+    categories: headers.filter((h) => {
+      if (h === text || (types[h] !== 'string' && types[h] !== 'boolean')) return false;
+      const distinct = new Set(filled(h)).size;
+      return distinct >= 2 && distinct <= MAX_CATEGORIES;
+    }),
+  };
+  roleCache.set(rows, roles);
+  return roles;
+};
+
+// Columns worth showing for a row when none are asked for.
+const keyColumns = (roles, headers) => {
+  const picked = new Set(
+    [roles.text, roles.date, ...roles.categories.slice(0, 3), ...roles.metrics.slice(0, 6)].filter(Boolean)
+  );
+  return headers.filter((h) => picked.has(h));
+};
+
+const rowView = (r, cols) =>
+  Object.fromEntries(
+    cols.map((c) => [c, typeof r[c] === 'string' && r[c].length > 200 ? `${r[c].slice(0, 200)}…` : r[c]])
+  );
+
+// Short label for a row in charts: its text, else its first category.
+const rowLabel = (r, roles, i) => String(r[roles.text || roles.categories[0]] ?? '') || `Row ${i + 1}`;
+
+// ── Dates ─────────────────────────────────────────────────────────────────────
+
+// 18/02/2026-style dates read day first (month first when the day can't be a
+// month); everything else goes to Date.parse.
+const DMY_RE = /^(\d{1,2})[/.](\d{1,2})[/.](\d{2,4})(?: (\d{1,2}):(\d{2})(?::(\d{2}))?)?$/;
+
+const timeOf = (value) => {
+  if (value === '' || value == null) return NaN;
+  const m = DMY_RE.exec(String(value).trim());
+  if (!m) return Date.parse(value);
+  let [day, month] = [Number(m[1]), Number(m[2])];
+  if (month > 12) [day, month] = [month, day];
+  const year = m[3].length === 2 ? 2000 + Number(m[3]) : Number(m[3]);
+  return Date.UTC(year, month - 1, day, Number(m[4] || 0), Number(m[5] || 0), Number(m[6] || 0));
+};
+
+const DAY_MS = 86_400_000;
+const isoDay = (t) => new Date(t).toISOString().slice(0, 10);
+
+// bucket name → label for a time; weeks are labelled by their Monday
+const DATE_BUCKETS = {
+  day: isoDay,
+  week: (t) => isoDay(t - ((new Date(t).getUTCDay() + 6) % 7) * DAY_MS),
+  month: (t) => isoDay(t).slice(0, 7),
+  year: (t) => isoDay(t).slice(0, 4),
+};
+
+// The asked-for bucket, else one that gives a readable number of periods.
+const dateBucket = (rows, col, asked) => {
+  if (DATE_BUCKETS[asked]) return asked;
+  const times = rows.map((r) => timeOf(r[col])).filter((t) => !isNaN(t));
+  const days = times.length ? (times.reduce((a, b) => Math.max(a, b)) - times.reduce((a, b) => Math.min(a, b))) / DAY_MS : 0;
+  if (days <= 45) return 'day';
+  if (days <= 200) return 'week';
+  return days <= 365 * 5 ? 'month' : 'year';
+};
+
+// "2025" or "2025-03" as a bound: its first instant, or its last with `end`.
+const dateBound = (value, end) => {
+  const m = /^(\d{4})(?:-(\d{2}))?$/.exec(String(value).trim());
+  if (!end || !m) return timeOf(value);
+  return (m[2] ? Date.UTC(Number(m[1]), Number(m[2]), 1) : Date.UTC(Number(m[1]) + 1, 0, 1)) - 1;
+};
+
+// ── Row filters (`where`) ─────────────────────────────────────────────────────
+
+// Test for one condition, or null when its value can't be compared with the
+// column (e.g. "abc" against a number column).
+const conditionTest = ({ op, value }, col, type) => {
+  const isEmpty = (r) => r[col] === '' || r[col] == null;
+  if (op === 'is_empty') return isEmpty;
+  if (op === 'not_empty') return (r) => !isEmpty(r);
+  const text = String(value ?? '').trim().toLowerCase();
+  if (op === 'contains') return (r) => String(r[col] ?? '').toLowerCase().includes(text);
+  if (op === 'not_contains') return (r) => !String(r[col] ?? '').toLowerCase().includes(text);
+
+  // eq … lte compare dates as instants (a bound may span a month or year),
+  // numbers as numbers and anything else as case-insensitive text
+  let cell = (r) => String(r[col] ?? '').toLowerCase();
+  let [from, to] = [text, text];
+  if (type === 'date') {
+    cell = (r) => timeOf(r[col]);
+    [from, to] = [dateBound(value, false), dateBound(value, true)];
+  } else if (type === 'number') {
+    cell = (r) => parseFloat(r[col]);
+    from = to = parseFloat(value);
+  }
+  if (Number.isNaN(from) || Number.isNaN(to)) return null;
+  const compare = {
+    eq: (x) => x >= from && x <= to,
+    ne: (x) => !(x >= from && x <= to),
+    gt: (x) => x > to,
+    gte: (x) => x >= from,
+    lt: (x) => x < from,
+    lte: (x) => x <= to,
+  }[op];
+  return (r) => {
+    const x = cell(r);
+    return Number.isNaN(x) ? op === 'ne' : compare(x);
+  };
+};
+
+// { rows } matching every condition of a `where` list, or { error }.
+const applyWhere = (rows, where) => {
+  if (!Array.isArray(where) || !where.length) return { rows };
+  const { types } = columnRoles(rows);
+  const headers = Object.keys(types);
+  const tests = [];
+  for (const condition of where) {
+    const col = resolveCol(rows, condition.column);
+    if (!headers.includes(col))
+      return { error: `Unknown column "${condition.column}" in where. Available columns: ${headers.join(', ')}` };
+    if (!WHERE_OPS.includes(condition.op))
+      return { error: `Unknown op "${condition.op}" in where. Use one of: ${WHERE_OPS.join(', ')}.` };
+    const test = conditionTest(condition, col, types[col]);
+    if (!test) return { error: `"${condition.value}" can't be compared with ${types[col]} column "${col}".` };
+    tests.push(test);
+  }
+  const matched = rows.filter((r) => tests.every((test) => test(r)));
+  if (!matched.length) return { error: `No rows match ${JSON.stringify(where)}.` };
+  return { rows: matched };
+};
+
+// ── Grouping ──────────────────────────────────────────────────────────────────
+
+// Group label for a cell: its date bucket for date columns, else its text.
+const groupKey = (value, bucket) => {
+  if (value === '' || value == null) return null;
+  if (!bucket) return String(value);
+  const t = timeOf(value);
+  return isNaN(t) ? null : DATE_BUCKETS[bucket](t);
+};
+
+// key → metric values (1 per row when counting). Rows without a key, or
+// without a numeric metric, are counted in `leftOut`.
+const groupRows = (rows, col, { metric, bucket }) => {
+  const groups = new Map();
+  let leftOut = 0;
+  for (const r of rows) {
+    const key = groupKey(r[col], bucket);
+    const x = metric ? parseFloat(r[metric]) : 1;
+    if (key == null || isNaN(x)) {
+      leftOut++;
+      continue;
+    }
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(x);
+  }
+  return { groups, leftOut };
+};
+
+// Resolves metric / aggregate arguments: { metric, aggregate } or { error }.
+const metricArgs = (rows, args, headers) => {
+  const metric = args.metric ? resolveCol(rows, args.metric) : null;
+  const aggregate = args.aggregate || (metric ? 'mean' : 'count');
+  if (!AGGREGATE_NAMES.includes(aggregate))
+    return { error: `Unknown aggregate "${aggregate}". Use one of: ${AGGREGATE_NAMES.join(', ')}.` };
+  if (aggregate !== 'count' && !metric) return { error: `aggregate "${aggregate}" needs a numeric metric.` };
+  if (metric && !headers.includes(metric))
+    return { error: `Unknown metric "${args.metric}". Available columns: ${headers.join(', ')}` };
+  return { metric: aggregate === 'count' ? null : metric, aggregate };
+};
+
 // ── Build a slim CSV with only the key analytical columns ────────────────────
-// Extracts text, language, type, engagement metrics, and the computed engagement
-// ratio. Returns a plain CSV string Gemini can read directly in its context —
+// A profile names its columns (tweets: text, language, type, engagement
+// metrics and the computed engagement ratio); other tables send their key
+// columns. Returns a plain CSV string Gemini can read directly in its context —
 // no base64 or Python needed. ~6-10k tokens for a 250-row tweet dataset.
+// Larger tables rely on the tools and the summary instead.
+
+const MAX_SLIM_ROWS = 1000;
 
 const SLIM_PATTERNS = [
   /^text$/i,
@@ -149,22 +580,18 @@ const SLIM_PATTERNS = [
 ];
 
 export const buildSlimCsv = (rows, headers) => {
-  if (!rows.length || !headers.length) return '';
+  if (!rows.length || !headers.length || rows.length > MAX_SLIM_ROWS) return '';
 
-  // Pick columns that match any slim pattern, preserving header order
-  const slimHeaders = headers.filter((h) => SLIM_PATTERNS.some((re) => re.test(h)));
+  // Pick the profile's columns, else the key columns, preserving header order
+  const patterns = detectProfile(headers)?.slimPatterns;
+  const slimHeaders = patterns
+    ? headers.filter((h) => patterns.some((re) => re.test(h)))
+    : keyColumns(columnRoles(rows), headers).slice(0, 10);
   if (!slimHeaders.length) return '';
 
-  const escapeCell = (v) => {
-    const s = String(v ?? '');
-    return s.includes(',') || s.includes('"') || s.includes('\n')
-      ? `"${s.replace(/"/g, '""')}"`
-      : s;
-  };
-
   const lines = [
-    slimHeaders.join(','),
-    ...rows.map((r) => slimHeaders.map((h) => escapeCell(r[h])).join(',')),
+    slimHeaders.map((h) => formatCsvValue(h)).join(','),
+    ...rows.map((r) => slimHeaders.map((h) => formatCsvValue(r[h])).join(',')),
   ];
   return lines.join('\n');
 };
@@ -174,16 +601,17 @@ export const buildSlimCsv = (rows, headers) => {
 // Returns { rows: enrichedRows, headers: updatedHeaders }.
 // Safe to call even if the columns aren't present (skips gracefully).
 
+const favoriteColumn = (headers) =>
+  headers.find((h) => /favorite.?count/i.test(h)) || headers.find((h) => /^likes?$/i.test(h));
+const viewColumn = (headers) =>
+  headers.find((h) => /view.?count/i.test(h)) || headers.find((h) => /^views?$/i.test(h));
+
 export const enrichWithEngagement = (rows, headers) => {
   if (!rows.length) return { rows, headers };
 
   // Auto-detect favorite and view columns
-  const favCol =
-    headers.find((h) => /favorite.?count/i.test(h)) ||
-    headers.find((h) => /^likes?$/i.test(h));
-  const viewCol =
-    headers.find((h) => /view.?count/i.test(h)) ||
-    headers.find((h) => /^views?$/i.test(h));
+  const favCol = favoriteColumn(headers);
+  const viewCol = viewColumn(headers);
 
   if (!favCol || !viewCol) return { rows, headers };
   if (headers.includes('engagement')) return { rows, headers }; // already added
@@ -200,23 +628,65 @@ export const enrichWithEngagement = (rows, headers) => {
   return { rows: enriched, headers: [...headers, 'engagement'] };
 };
 
+// ── Profiles ──────────────────────────────────────────────────────────────────
+// Extras for a known kind of export, recognised by its column names: its own
+// tools, computed columns and slim-CSV columns. The generic tools cover every
+// table; a profile only adds to them.
+
+const TWEET_PROFILE = {
+  name: 'tweets',
+  detect: (headers) => !!(favoriteColumn(headers) && viewColumn(headers) && headers.some((h) => /retweet/i.test(h))),
+  tools: TWEET_TOOL_DECLARATIONS,
+  slimPatterns: SLIM_PATTERNS,
+  enrich: enrichWithEngagement,
+};
+
+const PROFILES = [TWEET_PROFILE];
+
+export const detectProfile = (headers) => PROFILES.find((p) => p.detect(headers)) || null;
+
+// Declarations to send for a table with these headers.
+export const csvToolDeclarations = (headers = []) => [
+  ...GENERIC_TOOL_DECLARATIONS,
+  ...(detectProfile(headers)?.tools || []),
+];
+
+// Rows and headers with the matching profile's computed columns added.
+export const applyProfile = (rows, headers) => detectProfile(headers)?.enrich(rows, headers) || { rows, headers };
+
 // ── Dataset summary (auto-computed when CSV is loaded) ───────────────────────
 // Returns a compact markdown string describing every column so Gemini always
 // has exact column names, types, and value distributions in its context.
+// `types` (from the CSV parser) settles numeric vs text and lists date
+// columns by their range; `errorCount` notes rows the parser found malformed.
 
-export const computeDatasetSummary = (rows, headers) => {
+export const computeDatasetSummary = (rows, headers, { types = {}, errorCount = 0 } = {}) => {
   if (!rows.length || !headers.length) return '';
 
   const lines = [`**Dataset: ${rows.length} rows × ${headers.length} columns**\n`];
   const numericCols = [];
   const categoricalCols = [];
+  const dateCols = [];
 
   headers.forEach((h) => {
+    if (types[h] === 'date') {
+      const times = rows.map((r) => timeOf(r[h])).filter((t) => !isNaN(t));
+      if (times.length) {
+        dateCols.push({
+          name: h,
+          from: isoDay(times.reduce((a, b) => Math.min(a, b))),
+          to: isoDay(times.reduce((a, b) => Math.max(a, b))),
+        });
+        return;
+      }
+    }
     const vals = rows.map((r) => r[h]).filter((v) => v !== '' && v !== undefined && v !== null);
     const numVals = vals.map((v) => parseFloat(v)).filter((v) => !isNaN(v));
     const numericRatio = numVals.length / (vals.length || 1);
 
-    if (numericRatio >= 0.8 && numVals.length > 0) {
+    // Parsed types win: digit-only IDs are text, not numbers
+    const numeric = types[h] ? types[h] === 'number' : numericRatio >= 0.8;
+    if (numeric && numVals.length > 0) {
       const mean = numVals.reduce((a, b) => a + b, 0) / numVals.length;
       numericCols.push({
         name: h,
@@ -251,9 +721,352 @@ export const computeDatasetSummary = (rows, headers) => {
     });
   }
 
+  if (dateCols.length) {
+    lines.push('\n**Date columns** (exact names — use these verbatim in tool calls):');
+    dateCols.forEach((c) => lines.push(`  • "${c.name}": ${c.from} to ${c.to}`));
+  }
+
+  if (errorCount) {
+    lines.push(`\n⚠ ${errorCount} malformed row${errorCount === 1 ? '' : 's'} (wrong field count or stray quotes) — figures may be slightly off.`);
+  }
+
   return lines.join('\n');
 };
 
+// ── Generic tools ─────────────────────────────────────────────────────────────
+// Work on any table through columnRoles; each takes an optional `where`.
+
+const MAX_POINTS = 2000;
+
+const filterRows = (rows, args) => {
+  const headers = Object.keys(rows[0] || {});
+  const scoped = applyWhere(rows, args.where);
+  if (scoped.error) return scoped;
+  const cols = args.columns?.length
+    ? args.columns.map((c) => resolveCol(rows, c)).filter((c) => headers.includes(c))
+    : keyColumns(columnRoles(rows), headers);
+  const sortCol = args.sort_by ? resolveCol(rows, args.sort_by) : null;
+  if (sortCol && !headers.includes(sortCol))
+    return { error: `Unknown sort_by column "${args.sort_by}". Available columns: ${headers.join(', ')}` };
+
+  let matched = scoped.rows;
+  if (sortCol) {
+    const { types } = columnRoles(rows);
+    const value = types[sortCol] === 'date' ? (r) => timeOf(r[sortCol]) : (r) => r[sortCol];
+    const dir = args.ascending ? 1 : -1;
+    matched = [...matched].sort((a, b) => {
+      const [x, y] = [value(a), value(b)];
+      if (x === '' || x == null || Number.isNaN(x)) return 1; // blanks last
+      if (y === '' || y == null || Number.isNaN(y)) return -1;
+      return (typeof x === 'number' && typeof y === 'number' ? x - y : String(x).localeCompare(String(y))) * dir;
+    });
+  }
+  const limit = Math.min(100, Math.max(1, Math.round(args.limit || 20)));
+  return {
+    total_rows: rows.length,
+    rows_matched: matched.length,
+    ...(sortCol && { sorted_by: sortCol, direction: args.ascending ? 'ascending' : 'descending' }),
+    returned: Math.min(limit, matched.length),
+    rows: matched.slice(0, limit).map((r) => rowView(r, cols)),
+  };
+};
+
+const groupByAggregate = (rows, args) => {
+  const headers = Object.keys(rows[0] || {});
+  const { types } = columnRoles(rows);
+  const groupCol = resolveCol(rows, args.group_by);
+  if (!headers.includes(groupCol))
+    return { error: `Unknown group_by column "${args.group_by}". Available columns: ${headers.join(', ')}` };
+  const { metric, aggregate, error } = metricArgs(rows, args, headers);
+  if (error) return { error };
+  const scoped = applyWhere(rows, args.where);
+  if (scoped.error) return scoped;
+
+  const bucket = types[groupCol] === 'date' ? dateBucket(scoped.rows, groupCol, args.date_bucket) : null;
+  const { groups, leftOut } = groupRows(scoped.rows, groupCol, { metric, bucket });
+  if (!groups.size)
+    return { error: `No rows have a "${groupCol}" value${metric ? ` and a numeric "${metric}"` : ''}.` };
+
+  const all = [...groups].map(([group, vals]) => ({
+    group,
+    value: fmt(AGGREGATES[aggregate](vals)),
+    ...(metric ? describeValues(vals) : { count: vals.length }),
+  }));
+  // Periods stay in time order; other groups are ranked by value
+  const shown = bucket
+    ? all.sort((a, b) => a.group.localeCompare(b.group))
+    : all.sort((a, b) => b.value - a.value).slice(0, Math.max(1, Math.round(args.limit || 20)));
+  return {
+    _chartType: 'category_bar',
+    data: shown.map((g) => ({ label: g.group, value: g.value, count: g.count })),
+    metric: metric || groupCol,
+    groupBy: groupCol,
+    aggregate,
+    unit: 'rows',
+    summary: {
+      group_by: groupCol,
+      ...(bucket && { date_bucket: bucket }),
+      ...(metric && { metric }),
+      aggregate,
+      rows_matched: scoped.rows.length,
+      groups_total: all.length,
+      groups: shown,
+      ...(leftOut && { rows_left_out: leftOut }),
+    },
+  };
+};
+
+const topNRows = (rows, args) => {
+  const headers = Object.keys(rows[0] || {});
+  const roles = columnRoles(rows);
+  const sortCol = resolveCol(rows, args.sort_by);
+  if (!roles.metrics.includes(sortCol))
+    return { error: `"${args.sort_by}" is not a numeric column. Numeric columns: ${roles.metrics.join(', ')}` };
+  const scoped = applyWhere(rows, args.where);
+  if (scoped.error) return scoped;
+
+  const n = Math.min(50, Math.max(1, Math.round(args.n || 10)));
+  const dir = args.ascending ? 1 : -1;
+  const ranked = scoped.rows
+    .filter((r) => !isNaN(parseFloat(r[sortCol])))
+    .sort((a, b) => (parseFloat(a[sortCol]) - parseFloat(b[sortCol])) * dir)
+    .slice(0, n);
+  if (!ranked.length) return { error: `No rows have a numeric "${sortCol}".` };
+  const cols = args.columns?.length
+    ? args.columns.map((c) => resolveCol(rows, c)).filter((c) => headers.includes(c))
+    : keyColumns(roles, headers);
+
+  return {
+    _chartType: 'ranking',
+    data: ranked.map((r, i) => {
+      const label = rowLabel(r, roles, i);
+      return {
+        label: label.length > 38 ? `${label.slice(0, 38)}…` : label,
+        value: parseFloat(r[sortCol]),
+        fullTitle: label,
+      };
+    }),
+    metric: sortCol,
+    unit: 'rows',
+    ...(args.ascending && { title: `Bottom ${ranked.length} rows by ${sortCol}` }),
+    summary: {
+      sort_by: sortCol,
+      direction: args.ascending ? 'ascending (lowest first)' : 'descending (highest first)',
+      rows_matched: scoped.rows.length,
+      rows: ranked.map((r, i) => ({ rank: i + 1, ...rowView(r, cols.includes(sortCol) ? cols : [...cols, sortCol]) })),
+    },
+  };
+};
+
+const pivotTable = (rows, args) => {
+  const headers = Object.keys(rows[0] || {});
+  const { types } = columnRoles(rows);
+  const rowCol = resolveCol(rows, args.rows);
+  const colCol = resolveCol(rows, args.columns);
+  const unknown = [[args.rows, rowCol], [args.columns, colCol]].find(([, c]) => !headers.includes(c));
+  if (unknown) return { error: `Unknown column "${unknown[0]}". Available columns: ${headers.join(', ')}` };
+  if (rowCol === colCol) return { error: 'rows and columns must be different columns.' };
+  const { metric, aggregate, error } = metricArgs(rows, args, headers);
+  if (error) return { error };
+  const scoped = applyWhere(rows, args.where);
+  if (scoped.error) return scoped;
+
+  const bucketOf = (col) => (types[col] === 'date' ? dateBucket(scoped.rows, col, args.date_bucket) : null);
+  const [rowBucket, colBucket] = [bucketOf(rowCol), bucketOf(colCol)];
+  const cells = new Map(); // row key → column key → values
+  const frequency = { row: new Map(), col: new Map() };
+  let leftOut = 0;
+  for (const r of scoped.rows) {
+    const rk = groupKey(r[rowCol], rowBucket);
+    const ck = groupKey(r[colCol], colBucket);
+    const x = metric ? parseFloat(r[metric]) : 1;
+    if (rk == null || ck == null || isNaN(x)) {
+      leftOut++;
+      continue;
+    }
+    if (!cells.has(rk)) cells.set(rk, new Map());
+    const row = cells.get(rk);
+    if (!row.has(ck)) row.set(ck, []);
+    row.get(ck).push(x);
+    frequency.row.set(rk, (frequency.row.get(rk) || 0) + 1);
+    frequency.col.set(ck, (frequency.col.get(ck) || 0) + 1);
+  }
+  if (!cells.size) return { error: `No rows have values for both "${rowCol}" and "${colCol}".` };
+
+  // Most frequent values per axis; periods then go back into time order
+  const limit = Math.max(1, Math.round(args.limit || 12));
+  const axis = (counts, bucket) => {
+    const top = [...counts].sort((a, b) => b[1] - a[1]).slice(0, limit).map(([k]) => k);
+    return bucket ? top.sort() : top;
+  };
+  const rowKeys = axis(frequency.row, rowBucket);
+  const colKeys = axis(frequency.col, colBucket);
+  const combine = (vals) => (vals.length ? fmt(AGGREGATES[aggregate](vals)) : null);
+  const hidden = frequency.row.size > rowKeys.length || frequency.col.size > colKeys.length;
+
+  return {
+    rows: rowCol,
+    columns: colCol,
+    ...(metric && { metric }),
+    aggregate,
+    ...(rowBucket && { rows_date_bucket: rowBucket }),
+    ...(colBucket && { columns_date_bucket: colBucket }),
+    rows_matched: scoped.rows.length,
+    column_values: colKeys,
+    table: rowKeys.map((rk) => {
+      const row = cells.get(rk);
+      return {
+        [rowCol]: rk,
+        ...Object.fromEntries(colKeys.map((ck) => [ck, combine(row.get(ck) || [])])),
+        all: combine([...row.values()].flat()),
+      };
+    }),
+    ...(hidden && {
+      note: `Only the ${limit} most frequent values per axis are shown (of ${frequency.row.size} × ${frequency.col.size}); "all" covers every column.`,
+    }),
+    ...(leftOut && { rows_left_out: leftOut }),
+    tip: 'Show this as a markdown table; empty cells (null) had no rows.',
+  };
+};
+
+// Histogram bins for a column: 5-10 equal-width bins.
+const histogram = (vals) => {
+  const min = vals.reduce((a, b) => Math.min(a, b));
+  const max = vals.reduce((a, b) => Math.max(a, b));
+  const binCount = Math.min(10, Math.max(5, Math.ceil(Math.sqrt(vals.length))));
+  const binSize = (max - min) / binCount || 1;
+  const bins = Array.from({ length: binCount }, (_, i) => ({ lo: min + i * binSize, hi: min + (i + 1) * binSize, count: 0 }));
+  vals.forEach((v) => bins[Math.min(Math.floor((v - min) / binSize), binCount - 1)].count++);
+  const short = (v) => {
+    if (Math.abs(v) >= 1_000_000) return `${(v / 1_000_000).toFixed(1)}M`;
+    if (Math.abs(v) >= 1_000) return `${(v / 1_000).toFixed(0)}K`;
+    return String(+v.toPrecision(3));
+  };
+  return bins.map((b) => ({ bin: `${short(b.lo)}–${short(b.hi)}`, count: b.count, lo: b.lo, hi: b.hi }));
+};
+
+const plotColumns = (rows, args) => {
+  const headers = Object.keys(rows[0] || {});
+  const roles = columnRoles(rows);
+  const { types } = roles;
+  const asked = [args.x, ...(Array.isArray(args.y) ? args.y : args.y ? [args.y] : [])];
+  const unknown = asked.find((c) => !headers.includes(resolveCol(rows, c)));
+  if (unknown !== undefined) return { error: `Unknown column "${unknown}". Available columns: ${headers.join(', ')}` };
+  const [x, ...ys] = asked.map((c) => resolveCol(rows, c));
+  const notNumeric = ys.find((y) => types[y] !== 'number');
+  if (notNumeric) return { error: `y column "${notNumeric}" is not numeric. Numeric columns: ${roles.metrics.join(', ')}` };
+  const scoped = applyWhere(rows, args.where);
+  if (scoped.error) return scoped;
+  const data = scoped.rows;
+
+  const xNumeric = types[x] === 'number';
+  const kind =
+    args.kind || (types[x] === 'date' ? 'line' : xNumeric ? (ys.length ? 'scatter' : 'histogram') : 'bar');
+
+  if (kind === 'histogram') {
+    if (!xNumeric) return { error: `A histogram needs a numeric x; "${x}" is ${types[x]}.` };
+    const vals = numericValues(data, x);
+    if (!vals.length) return { error: `No numeric values in "${x}".` };
+    const bins = histogram(vals);
+    return {
+      _chartType: 'histogram',
+      data: bins,
+      metric: x,
+      unit: 'rows',
+      summary: { x, rows_plotted: vals.length, ...describeValues(vals), bins: bins.map(({ bin, count }) => ({ bin, count })) },
+    };
+  }
+
+  if (kind === 'scatter') {
+    if (!xNumeric || !ys.length) return { error: 'A scatter plot needs a numeric x and at least one numeric y.' };
+    const charts = ys.map((y) => {
+      const points = data
+        .map((r, i) => ({ x: parseFloat(r[x]), y: parseFloat(r[y]), label: rowLabel(r, roles, i) }))
+        .filter((p) => !isNaN(p.x) && !isNaN(p.y));
+      const step = Math.ceil(points.length / MAX_POINTS);
+      return {
+        _chartType: 'scatter',
+        data: step > 1 ? points.filter((_, i) => i % step === 0) : points,
+        metric: x,
+        yMetric: y,
+        summary: { x, y, points: points.length, ...(step > 1 && { note: `Every ${step}th point drawn.` }) },
+      };
+    });
+    const empty = charts.find((c) => !c.data.length);
+    if (empty) return { error: `No rows have numeric "${x}" and "${empty.yMetric}".` };
+    return charts.length === 1 ? charts[0] : { _chartType: 'bundle', charts, summary: charts.map((c) => c.summary) };
+  }
+
+  if (kind !== 'line' && kind !== 'bar') return { error: `Unknown kind "${kind}". Use line, bar, scatter or histogram.` };
+  const aggregate = args.aggregate || (ys.length ? 'mean' : 'count');
+  if (!AGGREGATE_NAMES.includes(aggregate))
+    return { error: `Unknown aggregate "${aggregate}". Use one of: ${AGGREGATE_NAMES.join(', ')}.` };
+  if (aggregate !== 'count' && !ys.length) return { error: `aggregate "${aggregate}" needs at least one y column.` };
+  const bucket = types[x] === 'date' ? dateBucket(data, x, args.date_bucket) : null;
+  const series = aggregate === 'count' ? ['rows'] : ys;
+  const grouped = series.map((y) => groupRows(data, x, { metric: aggregate === 'count' ? null : y, bucket }).groups);
+  if (grouped.every((g) => !g.size)) return { error: `No rows have a "${x}" value${ys.length ? ` and numeric ${ys.join(', ')}` : ''}.` };
+  const combined = grouped.map((g) => new Map([...g].map(([k, vals]) => [k, fmt(AGGREGATES[aggregate](vals))])));
+  const aggregateText = aggregate === 'count' ? 'rows' : `${aggregate} of ${ys.join(', ')}`;
+
+  // Over time: one line per y column
+  if (kind === 'line' && bucket) {
+    const periods = [...new Set(combined.flatMap((m) => [...m.keys()]))].sort();
+    return {
+      _chartType: 'multi_line',
+      data: periods.map((period) => ({
+        period,
+        ...Object.fromEntries(series.map((y, i) => [y, combined[i].get(period) ?? null])),
+      })),
+      series,
+      metric: ys[0] || x,
+      aggregate,
+      period: bucket,
+      unit: 'rows',
+      title: `${aggregateText.replace(/^./, (c) => c.toUpperCase())} per ${bucket}`,
+      summary: {
+        x,
+        date_bucket: bucket,
+        aggregate,
+        periods: periods.length,
+        from: periods[0],
+        to: periods[periods.length - 1],
+        by_series: Object.fromEntries(
+          series.map((y, i) => {
+            const vals = [...combined[i].values()];
+            return [y, { min: Math.min(...vals), max: Math.max(...vals), latest: combined[i].get(periods[periods.length - 1]) ?? null }];
+          })
+        ),
+      },
+    };
+  }
+
+  // Bars per group (or period): one chart per y column
+  const charts = series.map((y, i) => {
+    const entries = [...combined[i]];
+    const shown = bucket
+      ? entries.sort(([a], [b]) => a.localeCompare(b))
+      : entries.sort((a, b) => b[1] - a[1]).slice(0, 20);
+    return {
+      _chartType: 'category_bar',
+      data: shown.map(([label, value]) => ({ label, value, count: grouped[i].get(label).length })),
+      metric: aggregate === 'count' ? x : y,
+      groupBy: x,
+      aggregate,
+      unit: 'rows',
+      summary: {
+        x,
+        ...(bucket && { date_bucket: bucket }),
+        ...(aggregate !== 'count' && { y }),
+        aggregate,
+        groups_total: entries.length,
+        groups: shown.map(([label, value]) => ({ group: label, value, count: grouped[i].get(label).length })),
+      },
+    };
+  });
+  return charts.length === 1 ? charts[0] : { _chartType: 'bundle', charts, summary: charts.map((c) => c.summary) };
+};
+
 // ── Client-side tool executor ─────────────────────────────────────────────────
 
 export const executeTool = (toolName, args, rows) => {
@@ -310,10 +1123,8 @@ export const executeTool = (toolName, args, rows) => {
       const n   = args.n || 10;
       const asc = args.ascending ?? false;
 
-      // Detect text column for display
-      const textCol =
-        availableHeaders.find((h) => /^text$/i.test(h)) ||
-        availableHeaders.find((h) => /text|content|tweet|body/i.test(h));
+      // Text column for display
+      const textCol = columnRoles(rows).text;
 
       // Detect key metric columns
       const favCol  = availableHeaders.find((h) => /favorite.?count/i.test(h));
@@ -347,6 +1158,196 @@ export const executeTool = (toolName, args, rows) => {
       };
     }
 
+    case 'compute_column_correlation': {
+      const cols = args.columns?.length
+        ? args.columns.map((c) => resolveCol(rows, c))
+        : columnRoles(rows).metrics;
+      if (cols.length < 2)
+        return { error: `Need at least 2 numeric columns to correlate. Available columns: ${availableHeaders.join(', ')}` };
+      const method = args.method === 'pearson' ? 'pearson' : 'spearman';
+      const series = Object.fromEntries(cols.map((c) => [c, rows.map((r) => parseFloat(r[c]))]));
+      const { matrix, pairs } = correlationMatrix(series, method);
+      if (!pairs.length) return { error: `Fewer than 3 rows have numeric values in: ${cols.join(', ')}` };
+      return {
+        method,
+        rows_analyzed: rows.length,
+        columns: cols,
+        matrix,
+        pairs: pairs.slice(0, 15),
+        note: 'p < 0.05 is significant. Correlation is not causation.',
+      };
+    }
+
+    case 'fit_column_regression': {
+      const xCol = resolveCol(rows, args.x_column);
+      const yCol = resolveCol(rows, args.y_column);
+      const textCol = columnRoles(rows).text;
+      const points = rows
+        .map((r) => ({ row: r, x: parseFloat(r[xCol]), y: parseFloat(r[yCol]) }))
+        .filter((p) => !isNaN(p.x) && !isNaN(p.y));
+      const logX = !!args.log_x;
+      const logY = !!args.log_y;
+      const result = fitLinear(points.map((p) => p.x), points.map((p) => p.y), { logX, logY });
+      if (!result)
+        return { error: `Need at least 3 rows with varying "${xCol}" and a "${yCol}" value (have ${points.length}). Available columns: ${availableHeaders.join(', ')}` };
+      const { fit, used, curve } = result;
+
+      const residualRows = used
+        .map((pi, k) => ({ point: points[pi], residual: fit.residuals[k] }))
+        .sort((a, b) => b.residual - a.residual);
+      const residualRow = ({ point, residual }) => ({
+        ...(textCol && { text: String(point.row[textCol] || '').slice(0, 150) }),
+        [xCol]: point.x,
+        [yCol]: point.y,
+        residual: fmt(residual),
+      });
+
+      return {
+        _chartType: 'scatter',
+        data: used.map((pi) => ({
+          x: points[pi].x,
+          y: points[pi].y,
+          label: textCol ? String(points[pi].row[textCol] || '') : '',
+        })),
+        metric: xCol,
+        yMetric: yCol,
+        fitLine: curve,
+        summary: {
+          x: xCol,
+          y: yCol,
+          log_x: logX,
+          log_y: logY,
+          equation: fitEquation(fit, { x: xCol, y: yCol, logX, logY }),
+          slope: +fit.slope.toPrecision(4),
+          intercept: +fit.intercept.toPrecision(4),
+          r2: fmt(fit.r2),
+          p_value: +fit.p.toPrecision(3),
+          slope_std_error: +fit.slope_se.toPrecision(3),
+          residual_std_error: +fit.residual_se.toPrecision(4),
+          n: fit.n,
+          interpretation: `${describeSlope(fit.slope, { x: xCol, y: yCol, logX, logY })} (${
+            fit.p < 0.05 ? 'significant' : 'not significant'
+          }); the line explains ${Math.round(fit.r2 * 100)}% of the variation in ${yCol}.`,
+          furthest_above_line: residualRows.slice(0, 3).map(residualRow),
+          furthest_below_line: residualRows.slice(-3).reverse().map(residualRow),
+        },
+      };
+    }
+
+    case 'find_column_outliers': {
+      const col = resolveCol(rows, args.column);
+      const dateCol = args.date_column
+        ? resolveCol(rows, args.date_column)
+        : columnRoles(rows).date;
+      const textCol = columnRoles(rows).text;
+
+      const time = (r) => (dateCol ? timeOf(r[dateCol]) : NaN);
+      const valid = rows.filter((r) => !isNaN(parseFloat(r[col])));
+      const ordered = valid.every((r) => !isNaN(time(r)))
+        ? [...valid].sort((a, b) => time(a) - time(b))
+        : valid;
+      if (ordered.length < 5)
+        return { error: `Need at least 5 numeric values in "${col}" (have ${ordered.length}). Available columns: ${availableHeaders.join(', ')}` };
+
+      const method = args.method === 'iqr' ? 'iqr' : 'zscore';
+      const window = Math.max(2, Math.round(args.window || 10));
+      const direction = args.direction || 'high';
+      const flags = flagOutliers(ordered.map((r) => parseFloat(r[col])), {
+        window,
+        method,
+        threshold: args.threshold,
+        direction,
+      });
+      const dateOf = (r) => (isNaN(time(r)) ? null : isoDay(time(r)));
+      const label = (r) => (textCol ? String(r[textCol] || '').slice(0, 150) : null);
+
+      const outliers = ordered
+        .map((r, i) => ({ row: r, ...flags[i] }))
+        .filter((o) => o.outlier)
+        .sort((a, b) => Math.abs(b.score) - Math.abs(a.score));
+
+      return {
+        _chartType: 'outliers',
+        data: ordered.map((r, i) => ({
+          date: dateOf(r),
+          title: label(r),
+          value: parseFloat(r[col]),
+          baseline: fmt(flags[i].baseline),
+          outlier: flags[i].outlier,
+        })),
+        metric: col,
+        summary: {
+          column: col,
+          ordered_by: dateCol && ordered !== valid ? dateCol : 'file order',
+          method,
+          window,
+          threshold: args.threshold ?? (method === 'iqr' ? 1.5 : 2),
+          direction,
+          rows_analyzed: ordered.length,
+          outliers_found: outliers.length,
+          outliers: outliers.slice(0, args.n || 10).map((o) => ({
+            ...(textCol && { text: label(o.row) }),
+            ...(dateCol && { [dateCol]: o.row[dateCol] }),
+            [col]: parseFloat(o.row[col]),
+            baseline: fmt(o.baseline),
+            ratio: o.ratio,
+            score: o.score,
+            direction: o.outlier,
+          })),
+        },
+      };
+    }
+
+    case 'compare_keyword_engagement': {
+      const keywords = keywordList(args.keywords);
+      if (!keywords.length) return { error: 'Give at least one keyword to compare.' };
+      const roles = columnRoles(rows);
+      const metricCol = args.metric_column
+        ? resolveCol(rows, args.metric_column)
+        : availableHeaders.includes('engagement')
+          ? 'engagement'
+          : favoriteColumn(availableHeaders) || roles.metrics[0];
+      const textCol = args.text_column ? resolveCol(rows, args.text_column) : roles.text;
+      if (!metricCol || !textCol)
+        return { error: `Need a numeric metric_column and a text_column. Available columns: ${availableHeaders.join(', ')}` };
+
+      const items = rows
+        .filter((r) => r[metricCol] !== null && r[metricCol] !== '' && !isNaN(parseFloat(r[metricCol])))
+        .map((r) => ({ text: String(r[textCol] || ''), value: parseFloat(r[metricCol]) }));
+      if (items.length < 4)
+        return { error: `Need at least 4 rows with a numeric "${metricCol}" (have ${items.length}). Available columns: ${availableHeaders.join(', ')}` };
+
+      const result = keywordComparison(items, keywords);
+      return {
+        _chartType: 'engagement',
+        data: result.data,
+        metricColumn: metricCol,
+        summary: {
+          metric_column: metricCol,
+          text_column: textCol,
+          rows_analyzed: items.length,
+          keywords: result.keywords,
+          interpretation: result.keywords.map((r) => describeKeywordRow(r, metricCol)),
+          note: 'Welch\'s t-test, two-sided; p < 0.05 is significant. Correlation is not causation.',
+        },
+      };
+    }
+
+    case 'filter_rows':
+      return filterRows(rows, args);
+
+    case 'group_by_aggregate':
+      return groupByAggregate(rows, args);
+
+    case 'top_n_rows':
+      return topNRows(rows, args);
+
+    case 'pivot_table':
+      return pivotTable(rows, args);
+
+    case 'plot_columns':
+      return plotColumns(rows, args);
+
     default:
       return { error: `Unknown tool: ${toolName}` };
   }
@@ -0,0 +1,68 @@
+import { parseCsv } from './csvParser';
+import { applyProfile, buildSlimCsv, columnRoles, csvToolDeclarations, executeTool } from './csvTools';
+
+const SALES = parseCsv(
+  'Region;Product;Sold on;Units;Note\n' +
+    'North;Pen;03/01/2024;5;first order of the year, paid upfront\n' +
+    'South;Pen;15/01/2024;3;\n' +
+    'North;Ink;20/02/2024;7;repeat customer asked for blue ink\n' +
+    'South;Ink;28/02/2024;1;\n' +
+    'North;Pen;02/03/2024;4;'
+);
+
+test('roles come from the column types; tweet tools only for tweet exports', () => {
+  expect(columnRoles(SALES.rows)).toMatchObject({
+    date: 'Sold on',
+    text: 'Note',
+    metrics: ['Units'],
+    categories: ['Region', 'Product'],
+  });
+
+  const names = (headers) => csvToolDeclarations(headers).map((t) => t.name);
+  expect(names(SALES.headers)).not.toContain('get_top_tweets');
+  expect(names(['Text', 'View Count', 'Retweet Count', 'Favorite Count'])).toContain('get_top_tweets');
+
+  const { rows, headers } = applyProfile(SALES.rows, SALES.headers);
+  expect(headers).toEqual(SALES.headers); // no engagement column
+  expect(buildSlimCsv(rows, headers).split('\n')[0]).toBe('Region,Product,Sold on,Units,Note');
+});
+
+test('group_by_aggregate buckets dates and filter_rows reads whole-month bounds', () => {
+  const monthly = executeTool(
+    'group_by_aggregate',
+    { group_by: 'sold on', metric: 'Units', aggregate: 'sum', date_bucket: 'month' },
+    SALES.rows
+  );
+  expect(monthly.data).toEqual([
+    { label: '2024-01', value: 8, count: 2 },
+    { label: '2024-02', value: 8, count: 2 },
+    { label: '2024-03', value: 4, count: 1 },
+  ]);
+
+  const feb = executeTool('filter_rows', { where: [{ column: 'Sold on', op: 'eq', value: '2024-02' }] }, SALES.rows);
+  expect(feb.rows.map((r) => r.Units)).toEqual([7, 1]);
+
+  expect(executeTool('filter_rows', { where: [{ column: 'Units', op: 'gt', value: 'lots' }] }, SALES.rows).error).toMatch(
+    /can't be compared/
+  );
+});
+
+test('pivot_table and top_n_rows', () => {
+  const pivot = executeTool(
+    'pivot_table',
+    { rows: 'Region', columns: 'Product', metric: 'Units', aggregate: 'sum' },
+    SALES.rows
+  );
+  expect(pivot.table).toEqual([
+    { Region: 'North', Pen: 9, Ink: 7, all: 16 },
+    { Region: 'South', Pen: 3, Ink: 1, all: 4 },
+  ]);
+
+  const top = executeTool(
+    'top_n_rows',
+    { sort_by: 'Units', n: 2, where: [{ column: 'Product', op: 'eq', value: 'pen' }] },
+    SALES.rows
+  );
+  expect(top._chartType).toBe('ranking');
+  expect(top.data.map((d) => d.value)).toEqual([5, 4]);
+});
@@ -1,26 +1,31 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
+import { authFetch, readSse } from './mongoApi';
 
-const genAI = new GoogleGenerativeAI(process.env.REACT_APP_GEMINI_API_KEY || '');
-
-const MODEL = 'gemini-2.5-flash-lite';
-
-const SEARCH_TOOL = { googleSearch: {} };
-const CODE_EXEC_TOOL = { codeExecution: {} };
+// All model calls go through the Express backend (see server/index.js) so the
+// Gemini API key never ships in the browser bundle.
 
 export const CODE_KEYWORDS = /\b(plot|chart|graph|analyz|statistic|regression|correlat|histogram|visualiz|calculat|compute|run code|write code|execute|pandas|numpy|matplotlib|csv|data)\b/i;
 
-let cachedPrompt = null;
-
-async function loadSystemPrompt() {
-  if (cachedPrompt) return cachedPrompt;
+// Reads a JSON body, throwing its `error` field (or the raw text) on non-2xx.
+const readJson = async (res) => {
+  const text = await res.text();
+  let json = {};
   try {
-    const res = await fetch('/prompt_chat.txt');
-    cachedPrompt = res.ok ? (await res.text()).trim() : '';
+    json = text ? JSON.parse(text) : {};
   } catch {
-    cachedPrompt = '';
+    json = { error: text };
   }
-  return cachedPrompt;
-}
+  if (!res.ok) throw new Error(json.error || res.statusText || `HTTP ${res.status}`);
+  return json;
+};
+
+const postJson = async (path, body) =>
+  readJson(
+    await authFetch(path, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    })
+  );
 
 // ── Image generation ──────────────────────────────────────────────────────────
 // Calls the Express backend which runs gemini-2.5-flash-image via @google/genai
@@ -28,14 +33,7 @@ async function loadSystemPrompt() {
 // Returns { _imageType: 'generated', mimeType, data, prompt }
 
 export const generateImage = async (prompt, anchorImageParts = []) => {
-  const res = await fetch('/api/generate-image', {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ prompt, anchorImages: anchorImageParts }),
-  });
-
-  const json = await res.json();
-  if (!res.ok) throw new Error(json.error || 'Image generation failed');
+  const json = await postJson('/api/generate-image', { prompt, anchorImages: anchorImageParts });
 
   return {
     _imageType: 'generated',
@@ -45,147 +43,85 @@ export const generateImage = async (prompt, anchorImageParts = []) => {
   };
 };
 
+// ── Embeddings ────────────────────────────────────────────────────────────────
+// Proxies /api/embed (at most 100 texts per call). Returns one vector per text.
+// taskType: 'RETRIEVAL_DOCUMENT' for indexed passages, 'RETRIEVAL_QUERY' for searches
+
+export const embedTexts = async (texts, taskType = 'RETRIEVAL_DOCUMENT') =>
+  (await postJson('/api/embed', { texts, taskType })).vectors;
+
+// ── Thumbnail analysis ────────────────────────────────────────────────────────
+// Proxies /api/thumbnails/analyze (at most 50 videos per call). The server
+// fetches and caches each thumbnail; returns [{ video_id, features } | { video_id, error }].
+
+export const analyzeThumbnails = async (videos) =>
+  (await postJson('/api/thumbnails/analyze', { videos })).results;
+
+// ── Comment classification ────────────────────────────────────────────────────
+// Proxies /api/comments/classify (at most 500 comments per call). Returns one
+// { sentiment, score, kind } per text.
+
+export const classifyComments = async (texts) =>
+  (await postJson('/api/comments/classify', { texts })).labels;
+
 // ── Streaming chat (search or code execution) ─────────────────────────────────
-// Yields:
+// Proxies /api/chat/stream. Yields:
 //   { type: 'text', text }           — streaming text chunks
 //   { type: 'fullResponse', parts }  — when code was executed; replaces streamed text
 //   { type: 'grounding', data }      — Google Search metadata
 //
 // useCodeExecution: pass true to use codeExecution tool (CSV/analysis),
 //                   false (default) to use googleSearch tool.
-// Note: Gemini does not support both tools simultaneously.
 export const streamChat = async function* (history, newMessage, imageParts = [], useCodeExecution = false) {
-  const systemInstruction = await loadSystemPrompt();
-  const tools = useCodeExecution ? [CODE_EXEC_TOOL] : [SEARCH_TOOL];
-  const model = genAI.getGenerativeModel({ model: MODEL, tools });
-
-  const baseHistory = history.map((m) => ({
-    role: m.role === 'user' ? 'user' : 'model',
-    parts: [{ text: m.content || '' }],
-  }));
-
-  const chatHistory = systemInstruction
-    ? [
-        {
-          role: 'user',
-          parts: [{ text: `Follow these instructions in every response:\n\n${systemInstruction}` }],
-        },
-        { role: 'model', parts: [{ text: "Got it! I'll follow those instructions." }] },
-        ...baseHistory,
-      ]
-    : baseHistory;
-
-  const chat = model.startChat({ history: chatHistory });
-
-  const parts = [
-    { text: newMessage },
-    ...imageParts.map((img) => ({
-      inlineData: { mimeType: img.mimeType || 'image/png', data: img.data },
-    })),
-  ].filter((p) => p.text !== undefined || p.inlineData !== undefined);
-
-  const result = await chat.sendMessageStream(parts);
-
-  for await (const chunk of result.stream) {
-    const chunkParts = chunk.candidates?.[0]?.content?.parts || [];
-    for (const part of chunkParts) {
-      if (part.text) yield { type: 'text', text: part.text };
-    }
-  }
-
-  const response = await result.response;
-  const allParts = response.candidates?.[0]?.content?.parts || [];
+  const res = await authFetch('/api/chat/stream', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ history, message: newMessage, imageParts, useCodeExecution }),
+  });
 
-  const hasCodeExecution = allParts.some(
-    (p) =>
-      p.executableCode ||
-      p.codeExecutionResult ||
-      (p.inlineData && p.inlineData.mimeType?.startsWith('image/'))
-  );
+  if (!res.ok) await readJson(res);
 
-  if (hasCodeExecution) {
-    const structuredParts = allParts
-      .map((p) => {
-        if (p.text) return { type: 'text', text: p.text };
-        if (p.executableCode)
-          return {
-            type: 'code',
-            language: p.executableCode.language || 'PYTHON',
-            code: p.executableCode.code,
-          };
-        if (p.codeExecutionResult)
-          return {
-            type: 'result',
-            outcome: p.codeExecutionResult.outcome,
-            output: p.codeExecutionResult.output,
-          };
-        if (p.inlineData)
-          return { type: 'image', mimeType: p.inlineData.mimeType, data: p.inlineData.data };
-        return null;
-      })
-      .filter(Boolean);
-
-    yield { type: 'fullResponse', parts: structuredParts };
-  }
-
-  const grounding = response.candidates?.[0]?.groundingMetadata;
-  if (grounding) {
-    console.log('[Search grounding]', grounding);
-    yield { type: 'grounding', data: grounding };
+  for await (const event of readSse(res)) {
+    if (event.type === 'error') throw new Error(event.message);
+    if (event.type === 'done') return;
+    if (event.type === 'grounding') console.log('[Search grounding]', event.data);
+    yield event;
   }
 };
 
 // ── Function-calling chat (CSV + JSON + image generation tools) ───────────────
-// Accepts any set of tool declarations. executeFn is async.
+// Accepts any set of tool declarations. executeFn is async and runs in the
+// browser; each round trip sends the tool result back via /api/chat/tools.
 // Returns { text, charts, toolCalls, videoCards }
 
 export const chatWithTools = async (history, newMessage, csvHeaders, executeFn, toolDeclarations, imageParts = []) => {
-  const systemInstruction = await loadSystemPrompt();
-  const model = genAI.getGenerativeModel({
-    model: MODEL,
-    tools: [{ functionDeclarations: toolDeclarations }],
-  });
-
-  const baseHistory = history.map((m) => ({
-    role: m.role === 'user' ? 'user' : 'model',
-    parts: [{ text: m.content || '' }],
-  }));
-
-  const chatHistory = systemInstruction
-    ? [
-        {
-          role: 'user',
-          parts: [{ text: `Follow these instructions in every response:\n\n${systemInstruction}` }],
-        },
-        { role: 'model', parts: [{ text: "Got it! I'll follow those instructions." }] },
-        ...baseHistory,
-      ]
-    : baseHistory;
-
-  const chat = model.startChat({ history: chatHistory });
-
   const textContent = csvHeaders?.length
     ? `[CSV columns: ${csvHeaders.join(', ')}]\n\n${newMessage}`
     : newMessage;
 
   // Build the message parts — include any anchor images so Gemini can see them
-  const msgParts = [
-    ...imageParts.map((img) => ({ inlineData: { mimeType: img.mimeType, data: img.data } })),
-    { text: textContent },
+  const turns = [
+    {
+      role: 'user',
+      parts: [
+        ...imageParts.map((img) => ({ inlineData: { mimeType: img.mimeType, data: img.data } })),
+        { text: textContent },
+      ],
+    },
   ];
 
-  let response = (await chat.sendMessage(msgParts)).response;
+  const request = () => postJson('/api/chat/tools', { history, turns, toolDeclarations });
+
+  let response = await request();
 
   const charts = [];
   const toolCalls = [];
   const videoCards = [];
 
   for (let round = 0; round < 8; round++) {
-    const parts = response.candidates?.[0]?.content?.parts || [];
-    const funcCall = parts.find((p) => p.functionCall);
-    if (!funcCall) break;
+    if (!response.functionCall) break;
 
-    const { name, args } = funcCall.functionCall;
+    const { name, args } = response.functionCall;
     console.log('[Tool]', name, args);
 
     const toolResult = await executeFn(name, args);
@@ -193,7 +129,9 @@ export const chatWithTools = async (history, newMessage, csvHeaders, executeFn,
 
     toolCalls.push({ name, args, result: toolResult });
 
-    if (toolResult?._chartType || toolResult?._imageType) {
+    if (toolResult?._chartType === 'bundle') {
+      charts.push(...toolResult.charts);
+    } else if (toolResult?._chartType || toolResult?._imageType) {
       charts.push(toolResult);
     }
     if (toolResult?._videoType) {
@@ -201,23 +139,39 @@ export const chatWithTools = async (history, newMessage, csvHeaders, executeFn,
     }
 
     // Strip large binary data before sending back to Gemini — base64 images can
-    // be 1-2 MB which blows the token limit and crashes the API call.
+    // be 1-2 MB which blows the token limit and crashes the API call. Chart
+    // tools that compute figures the model should talk about put them in
+    // `summary`, which is passed through.
     const resultForGemini = toolResult?._imageType
       ? { success: true, imageGenerated: true, prompt: toolResult.prompt, mimeType: toolResult.mimeType }
       : toolResult?._chartType
-        ? { success: true, chartGenerated: true, chartType: toolResult._chartType, dataPoints: toolResult.data?.length }
-        : toolResult?._videoType
-          ? { success: true, videoFound: true, title: toolResult.title, url: toolResult.url }
-          : toolResult;
-
-    response = (
-      await chat.sendMessage([
-        { functionResponse: { name, response: { result: resultForGemini } } },
-      ])
-    ).response;
+        ? {
+            success: true,
+            chartGenerated: true,
+            chartType: toolResult._chartType,
+            ...(toolResult.charts
+              ? { chartTypes: toolResult.charts.map((c) => c._chartType) }
+              : { dataPoints: toolResult.data?.length }),
+            ...(toolResult.summary && { summary: toolResult.summary }),
+          }
+        : toolResult?._videoType === 'youtube_list'
+          ? {
+              success: true,
+              cardsRendered: toolResult.videos.length,
+              moments: toolResult.videos.map(({ title, timestamp, source, snippet, url }) => ({ title, timestamp, source, snippet, url })),
+            }
+          : toolResult?._videoType
+            ? { success: true, videoFound: true, title: toolResult.title, url: toolResult.url }
+            : toolResult;
+
+    turns.push(response.content, {
+      role: 'user',
+      parts: [{ functionResponse: { name, response: { result: resultForGemini } } }],
+    });
+    response = await request();
   }
 
-  return { text: response.text(), charts, toolCalls, videoCards };
+  return { text: response.text || '', charts, toolCalls, videoCards };
 };
 
 // ── Backwards-compatible alias
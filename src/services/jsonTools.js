@@ -1,22 +1,140 @@
+import { normalizeText, fmtTimestamp, snippetAround, tokenize } from './text';
+import { searchContentIndex, passageStart } from './rag';
+import { clusterVideos } from './topics';
+import { analyzeThumbnails as fetchThumbnailFeatures } from './gemini';
+import { compareFeatures, spreadSample, titleFeatures } from './thumbnails';
+import { classifyComments, recurringThemes } from './sentiment';
+import { describeKeywordRow, keywordComparison, keywordList } from './keywords';
+import {
+  correlation,
+  correlationMatrix,
+  describeSlope,
+  fitEquation,
+  fitLinear,
+  flagOutliers,
+} from './stats';
+
 // ── JSON Tool declarations (YouTube channel data) ─────────────────────────────
 
+// Shared optional argument — restricts any data tool to one kind of upload
+const CONTENT_TYPE_PARAM = {
+  type: 'STRING',
+  description:
+    'Optional: only include videos of this content_type — "video" (long-form), "short" (YouTube Shorts) ' +
+    'or "live" (live streams). Omit to use all videos.',
+};
+
+// Shared optional argument — picks one of several loaded channels
+const CHANNEL_PARAM = {
+  type: 'STRING',
+  description:
+    'Which loaded channel to use — a label from the [Channels: ...] line. Required when more than one ' +
+    'channel is loaded ("all" pools every channel); omit when only one is loaded.',
+};
+
+// Numeric fields every video has once enrichChannelJson has run
+const METRIC_FIELDS =
+  'view_count, like_count, comment_count, views_per_day, like_rate, comment_rate, ' +
+  'duration_seconds, days_since_release';
+
+// Shared optional argument — narrows the videos before any stats or chart
+const FILTER_PARAM = {
+  type: 'OBJECT',
+  description:
+    'Optional: only include videos matching every condition given, e.g. ' +
+    '{ "released_after": "2024-01-01", "released_before": "2024-12-31", "min_duration_minutes": 20 }.',
+  properties: {
+    released_after: {
+      type: 'STRING',
+      description: 'Earliest release date, inclusive: "YYYY-MM-DD", "YYYY-MM" or "YYYY".',
+    },
+    released_before: {
+      type: 'STRING',
+      description: 'Latest release date, inclusive: "YYYY-MM-DD", "YYYY-MM" or "YYYY" (e.g. "2024" = through Dec 31).',
+    },
+    keyword: {
+      type: 'STRING',
+      description: 'Word or phrase that must appear in the title or description.',
+    },
+    min_duration_minutes: { type: 'NUMBER', description: 'Shortest video length in minutes.' },
+    max_duration_minutes: { type: 'NUMBER', description: 'Longest video length in minutes.' },
+    metric: {
+      type: 'STRING',
+      description: `Numeric field for min_value / max_value, e.g. "view_count" (one of ${METRIC_FIELDS}).`,
+    },
+    min_value: { type: 'NUMBER', description: 'Keep videos whose metric is at least this.' },
+    max_value: { type: 'NUMBER', description: 'Keep videos whose metric is at most this.' },
+  },
+};
+
+// Shared optional arguments for per-group results (one bar per group)
+const GROUP_BY_PARAM = {
+  type: 'STRING',
+  description:
+    'Optional: split the videos into groups and chart one bar per group — "month" (e.g. 2024-03), "year", ' +
+    '"weekday", "month_of_year" (Jan–Dec across all years), "hour" (upload hour), "duration_bucket" ' +
+    '(length bands), "content_type" or "channel".',
+};
+
+// Shared optional arguments for find_outliers
+const OUTLIER_PARAMS = {
+  window: {
+    type: 'NUMBER',
+    description: 'How many neighbouring uploads form the baseline (half before, half after). Default 10.',
+  },
+  method: {
+    type: 'STRING',
+    description: '"zscore" (default) or "iqr" — how far from the baseline counts as an outlier.',
+  },
+  threshold: {
+    type: 'NUMBER',
+    description: 'Cut-off: z-score for "zscore" (default 2), IQR multiple for "iqr" (default 1.5). Lower finds more.',
+  },
+  direction: {
+    type: 'STRING',
+    description: '"high" (default — breakouts), "low" (flops) or "both".',
+  },
+};
+
+const AGGREGATE_PARAM = {
+  type: 'STRING',
+  description: 'With group_by: how to combine each group — "mean" (default), "median", "sum" or "count".',
+};
+
+const THUMBNAIL_DEFAULT = 40;
+const THUMBNAIL_MAX = 50;
+// Below this a with/without comparison can't have 3 videos on each side
+const MIN_THUMBNAILS = 6;
+
 export const JSON_TOOL_DECLARATIONS = [
   {
     name: 'compute_stats_json',
     description:
       'Compute descriptive statistics — mean, median, std, min, max, count — for any numeric field ' +
       'in the loaded YouTube channel JSON data. ' +
-      'Available numeric fields: view_count, like_count, comment_count. ' +
+      `Available numeric fields: ${METRIC_FIELDS}. ` +
+      'like_rate and comment_rate are per view (engagement); views_per_day normalises views by video age. ' +
       'ALWAYS call this when the user asks for: statistics, average, averages, mean, median, std, ' +
       'distribution, summary, min, max, range, spread, or any descriptive stat about a numeric metric. ' +
-      'Example: "what is the average view count" → call with field="view_count".',
+      'Example: "what is the average view count" → call with field="view_count". ' +
+      'When the data mixes Shorts, long-form videos and live streams, the result also includes ' +
+      'by_content_type — use it to compare Shorts against long-form performance. ' +
+      'Use filter and group_by to answer narrower questions in one call, e.g. "average views of videos ' +
+      'over 20 minutes released in 2024, by month" → field="view_count", ' +
+      'filter={ min_duration_minutes: 20, released_after: "2024", released_before: "2024" }, group_by="month". ' +
+      'With group_by the per-group stats are also drawn as a bar chart.',
     parameters: {
       type: 'OBJECT',
       properties: {
         field: {
           type: 'STRING',
-          description: 'The numeric field name to analyze, e.g. "view_count", "like_count", "comment_count".',
+          description: 'The numeric field name to analyze, e.g. "view_count", "like_rate", "views_per_day".',
         },
+        content_type: CONTENT_TYPE_PARAM,
+        channel: CHANNEL_PARAM,
+        filter: FILTER_PARAM,
+        group_by: GROUP_BY_PARAM,
+        aggregate: AGGREGATE_PARAM,
       },
       required: ['field'],
     },
@@ -34,13 +152,15 @@ export const JSON_TOOL_DECLARATIONS = [
       '- "timeseries_line": metric vs date as line chart (trends over many videos)\n' +
       '- "ranking": horizontal bar sorted by value (top-N, most/least X, comparisons)\n' +
       '- "scatter": one metric vs another metric (correlations, e.g. views vs likes)\n' +
-      '- "histogram": value distribution across all videos (spread, distribution queries)',
+      '- "histogram": value distribution across all videos (spread, distribution queries)\n' +
+      'With group_by, chart_type is ignored: one bar per group shows the aggregate (mean by default), ' +
+      'e.g. "total views per year" → group_by="year", aggregate="sum".',
     parameters: {
       type: 'OBJECT',
       properties: {
         metric: {
           type: 'STRING',
-          description: 'Primary numeric field: "view_count", "like_count", or "comment_count".',
+          description: `Primary numeric field: one of ${METRIC_FIELDS}.`,
         },
         chart_type: {
           type: 'STRING',
@@ -55,16 +175,349 @@ export const JSON_TOOL_DECLARATIONS = [
         },
         y_metric: {
           type: 'STRING',
-          description: 'For scatter only: the Y-axis metric, e.g. "like_count". X-axis uses metric.',
+          description: 'For scatter only: the Y-axis metric, e.g. "like_rate". X-axis uses metric.',
         },
         limit: {
           type: 'NUMBER',
           description: 'Max videos to include (default: all for timeseries; 15 for ranking).',
         },
+        content_type: CONTENT_TYPE_PARAM,
+        channel: CHANNEL_PARAM,
+        filter: FILTER_PARAM,
+        group_by: GROUP_BY_PARAM,
+        aggregate: AGGREGATE_PARAM,
       },
       required: ['metric'],
     },
   },
+  {
+    name: 'plot_metric_growth',
+    description:
+      'Plot how a metric actually grew over time, using the metrics snapshots recorded each time the ' +
+      'channel was refreshed (the metrics_history field on each video). ' +
+      'ALWAYS call this (not plot_metric_vs_time) when the user asks about growth, views gained, ' +
+      '"since last refresh", trending videos, or how a video\'s views changed over time. ' +
+      'Scopes:\n' +
+      '- "channel": total metric across all videos at each refresh (default)\n' +
+      '- "video": one video\'s history — pass query with a title substring\n' +
+      '- "gainers": videos ranked by how much the metric grew between their first and latest snapshot',
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        metric: {
+          type: 'STRING',
+          description: '"view_count", "like_count", or "comment_count". Default "view_count".',
+        },
+        scope: {
+          type: 'STRING',
+          description: '"channel", "video", or "gainers". Default "channel".',
+        },
+        query: {
+          type: 'STRING',
+          description: 'For scope "video": title substring of the video to plot. Omit to plot the most-viewed tracked video.',
+        },
+        limit: {
+          type: 'NUMBER',
+          description: 'For scope "gainers": how many videos to show (default 15).',
+        },
+        content_type: CONTENT_TYPE_PARAM,
+        channel: CHANNEL_PARAM,
+        filter: FILTER_PARAM,
+      },
+      required: [],
+    },
+  },
+  {
+    name: 'publishing_patterns',
+    description:
+      'Analyse when and how often the channel publishes: uploads per month over time, gaps between uploads, ' +
+      'performance by day of week, month of year and upload hour, and whether cadence (gap before a video, ' +
+      'uploads per month) correlates with performance. Renders an upload calendar heatmap plus bar charts. ' +
+      'ALWAYS call this when the user asks about upload schedule, frequency, consistency, cadence, gaps or ' +
+      'breaks, the best day or time to post, or whether posting more often helps.',
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        metric: {
+          type: 'STRING',
+          description:
+            'Performance metric to compare days and cadence by. Default "views_per_day" (fair across video ages); ' +
+            'e.g. "view_count" or "like_rate".',
+        },
+        content_type: CONTENT_TYPE_PARAM,
+        channel: CHANNEL_PARAM,
+        filter: FILTER_PARAM,
+      },
+      required: [],
+    },
+  },
+  {
+    name: 'compare_channels',
+    description:
+      'Compare two or more loaded channels side by side: videos, upload rate, median and mean of a metric, ' +
+      'median views, views per day, like and comment rates, total views and each channel\'s top video. ' +
+      'Renders a bar chart of the metric per channel and overlaid timeseries of the metric and of uploads ' +
+      'per month. ALWAYS call this for competitor analysis or any "compare X and Y" / "who is doing better" ' +
+      'question when several channels are loaded.',
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        metric: {
+          type: 'STRING',
+          description: `Field to compare. Default "views_per_day" (fair across video ages). One of ${METRIC_FIELDS}.`,
+        },
+        channels: {
+          type: 'ARRAY',
+          items: { type: 'STRING' },
+          description: 'Labels of the channels to compare. Default: every loaded channel.',
+        },
+        content_type: CONTENT_TYPE_PARAM,
+        filter: FILTER_PARAM,
+      },
+      required: [],
+    },
+  },
+  {
+    name: 'compute_correlation',
+    description:
+      'Correlation matrix between numeric video fields, with a p-value and plain-language strength for every ' +
+      'pair (strongest first). Call this for "what correlates with views?", "are likes and comments related?" ' +
+      'or any question about which metrics move together. Runs instantly in the browser — no Python needed.',
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        fields: {
+          type: 'ARRAY',
+          items: { type: 'STRING' },
+          description: `Fields to correlate (at least 2). Default: all of ${METRIC_FIELDS}.`,
+        },
+        method: {
+          type: 'STRING',
+          description: '"spearman" (default — rank based, robust to viral outliers) or "pearson" (linear).',
+        },
+        content_type: CONTENT_TYPE_PARAM,
+        channel: CHANNEL_PARAM,
+        filter: FILTER_PARAM,
+      },
+      required: [],
+    },
+  },
+  {
+    name: 'fit_regression',
+    description:
+      'Fit a linear regression of y on x across the videos: slope, intercept, R², p-value, residual spread and ' +
+      'the videos furthest above and below the line. Renders a scatter plot with the fitted line. Call this for ' +
+      'regression, trend line, line of best fit, "how much does X predict Y" or "how many more likes per 1000 ' +
+      'views" questions. Runs instantly in the browser — no Python needed.',
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        x: { type: 'STRING', description: `Predictor field (X axis), e.g. "duration_seconds". One of ${METRIC_FIELDS}.` },
+        y: { type: 'STRING', description: 'Outcome field (Y axis), e.g. "view_count".' },
+        log_x: {
+          type: 'BOOLEAN',
+          description: 'Fit on ln(1 + x). Use for long-tailed counts such as view_count.',
+        },
+        log_y: {
+          type: 'BOOLEAN',
+          description: 'Fit on ln(1 + y). With log_x too, the slope is an elasticity (% change per 1% change).',
+        },
+        content_type: CONTENT_TYPE_PARAM,
+        channel: CHANNEL_PARAM,
+        filter: FILTER_PARAM,
+      },
+      required: ['x', 'y'],
+    },
+  },
+  {
+    name: 'find_outliers',
+    description:
+      'Find breakout (or flop) videos: each video\'s metric is compared with the median of the uploads around ' +
+      'it, so a video counts as an outlier only if it beat what the channel was getting at the time. Renders ' +
+      'the metric over time with the baseline and outliers highlighted, plus video cards for the outliers. ' +
+      'ALWAYS call this when the user asks which videos overperformed, underperformed, went viral, broke out ' +
+      'or were anomalies — do not guess from a ranking.',
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        metric: {
+          type: 'STRING',
+          description: `Numeric field to test. Default "view_count". One of ${METRIC_FIELDS}.`,
+        },
+        ...OUTLIER_PARAMS,
+        limit: { type: 'NUMBER', description: 'Most outlier video cards to show. Default 6.' },
+        content_type: CONTENT_TYPE_PARAM,
+        channel: CHANNEL_PARAM,
+        filter: FILTER_PARAM,
+      },
+      required: [],
+    },
+  },
+  {
+    name: 'compare_keyword_engagement',
+    description:
+      'Compare a metric for videos that mention a keyword vs videos that do not: mean and median on each side, ' +
+      'counts, the ratio between them and Welch\'s t-test (p < 0.05 = significant). Renders a with-vs-without ' +
+      'bar chart, one pair of bars per keyword (plus "any keyword" when several are given). Call this for ' +
+      '"do videos about X get more views?" or "does putting Y in the title help?".',
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        keywords: {
+          type: 'ARRAY',
+          items: { type: 'STRING' },
+          description: 'Words or phrases to test, matched as whole words ignoring case, e.g. ["tutorial", "react"].',
+        },
+        metric: {
+          type: 'STRING',
+          description: `Numeric field to compare. Default "view_count". One of ${METRIC_FIELDS}.`,
+        },
+        match_in: {
+          type: 'ARRAY',
+          items: { type: 'STRING' },
+          description: 'Where to look for the keywords: any of "title", "description", "transcript". Default title and description.',
+        },
+        content_type: CONTENT_TYPE_PARAM,
+        channel: CHANNEL_PARAM,
+        filter: FILTER_PARAM,
+      },
+      required: ['keywords'],
+    },
+  },
+  {
+    name: 'analyze_thumbnails',
+    description:
+      'Analyse what the thumbnails and titles of the videos have in common with their performance. A vision ' +
+      'model reads each thumbnail (faces and expressions, text overlay, dominant colours, brightness, style, ' +
+      'arrows/circles, a 0–10 clickbait score) and title features are checked (questions, numbers, ALL-CAPS, ' +
+      'emoji…); each feature is then compared with the metric (median with vs without, Spearman r and p). ' +
+      'Renders a feature-vs-metric bar chart. ' +
+      'ALWAYS call this when the user asks what makes a good thumbnail or title for this channel, whether ' +
+      'faces, text or clickbait help, or to A/B compare thumbnail or title styles.',
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        metric: {
+          type: 'STRING',
+          description: `Numeric field to compare against. Default "view_count". One of ${METRIC_FIELDS}.`,
+        },
+        limit: {
+          type: 'NUMBER',
+          description: `Most thumbnails to analyse (default ${THUMBNAIL_DEFAULT}, max ${THUMBNAIL_MAX}). ` +
+            'Larger channels are sampled evenly across the metric.',
+        },
+        content_type: CONTENT_TYPE_PARAM,
+        channel: CHANNEL_PARAM,
+        filter: FILTER_PARAM,
+      },
+      required: [],
+    },
+  },
+  {
+    name: 'analyze_comments',
+    description:
+      'Summarise the downloaded YouTube comments: sentiment (positive / neutral / negative share and a ' +
+      'score), recurring questions and video requests grouped by theme, and the most-liked positive and ' +
+      'negative comments — for one video or across the channel. Renders net sentiment per video (or the ' +
+      'sentiment split for one video). ' +
+      'ALWAYS call this when the user asks what viewers think or say, how the audience reacted, what ' +
+      'people ask or request, or for comment sentiment.',
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        video: {
+          type: 'STRING',
+          description: 'Title substring of one video to analyse. Omit to analyse every video with comments.',
+        },
+        examples: {
+          type: 'NUMBER',
+          description: 'Example comments to quote per group. Default 3.',
+        },
+        content_type: CONTENT_TYPE_PARAM,
+        channel: CHANNEL_PARAM,
+        filter: FILTER_PARAM,
+      },
+      required: [],
+    },
+  },
+  {
+    name: 'cluster_topics',
+    description:
+      'Group the videos into topics (themes) using keywords from their titles, descriptions and transcripts, ' +
+      'label each topic, and compare how the topics perform: video count and mean views, likes and comments ' +
+      'per topic, plus the top videos in each. Renders a bar chart comparing the topics. ' +
+      'ALWAYS call this when the user asks what the channel covers, its main themes, subjects, categories ' +
+      'or content pillars, or which topics/subjects/kinds of videos perform best or worst.',
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        metric: {
+          type: 'STRING',
+          description: 'Metric to compare topics by in the chart, e.g. "view_count" (default), "views_per_day" or "like_rate".',
+        },
+        num_clusters: {
+          type: 'NUMBER',
+          description: 'How many topics to find (2–12). Omit to choose automatically from the number of videos.',
+        },
+        content_type: CONTENT_TYPE_PARAM,
+        channel: CHANNEL_PARAM,
+        filter: FILTER_PARAM,
+      },
+      required: [],
+    },
+  },
+  {
+    name: 'search_transcripts',
+    description:
+      'Search the spoken transcripts of every video for a word, phrase or topic and return the moments ' +
+      'where it is said, as video cards that open at the matching timestamp, with the quoted snippet. ' +
+      'ALWAYS call this when the user asks where, when or in which video something was said, mentioned ' +
+      'or talked about, e.g. "where did he talk about quantum tunneling?", "which videos mention Tesla?", ' +
+      '"find the part where she explains entropy". Quote the snippets and timestamps in your answer.',
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        query: {
+          type: 'STRING',
+          description: 'Words or phrase to look for, e.g. "quantum tunneling".',
+        },
+        limit: {
+          type: 'NUMBER',
+          description: 'How many moments to return (default 5).',
+        },
+        content_type: CONTENT_TYPE_PARAM,
+        channel: CHANNEL_PARAM,
+      },
+      required: ['query'],
+    },
+  },
+  {
+    name: 'search_channel_content',
+    description:
+      'Semantic search over what the videos are about: titles, descriptions and transcript passages of ' +
+      'every video in the channel. Returns the best-matching passages as video cards with citations ' +
+      '(video title, timestamp for transcript passages, and the quoted passage). ' +
+      'ALWAYS call this for questions about the content of the videos that are not an exact phrase lookup, ' +
+      'e.g. "what has he said about climate policy?", "which videos explain how vaccines work?", ' +
+      '"does the channel ever review cameras?". Answer only from the returned passages and cite each one ' +
+      'as [title @ timestamp].',
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        query: {
+          type: 'STRING',
+          description: 'The question or topic to look for, in natural language.',
+        },
+        limit: {
+          type: 'NUMBER',
+          description: 'How many passages to return (default 5).',
+        },
+        content_type: CONTENT_TYPE_PARAM,
+        channel: CHANNEL_PARAM,
+      },
+      required: ['query'],
+    },
+  },
   {
     name: 'play_video',
     description:
@@ -88,9 +541,23 @@ export const JSON_TOOL_DECLARATIONS = [
           type: 'STRING',
           description:
             'Criteria: "most viewed", "most liked", "most commented", "most played", ' +
-            '"least viewed", "least liked", "least commented", "latest", "oldest". ' +
+            '"least viewed", "least liked", "least commented", "latest", "oldest", ' +
+            '"most engaging", "least engaging", "fastest growing" (views per day), "longest", "shortest". ' +
             'Use when the user asks for the best/worst/newest/oldest/most-commented video.',
         },
+        sort_by: {
+          type: 'STRING',
+          description:
+            `Pick the video with the highest value of this numeric field (${METRIC_FIELDS}). ` +
+            'Use for rankings criteria does not cover, e.g. "highest comment rate" → "comment_rate".',
+        },
+        ascending: {
+          type: 'BOOLEAN',
+          description: 'With sort_by: pick the lowest value instead of the highest.',
+        },
+        content_type: CONTENT_TYPE_PARAM,
+        channel: CHANNEL_PARAM,
+        filter: FILTER_PARAM,
       },
       required: [],
     },
@@ -157,10 +624,642 @@ const median = (sorted) =>
 
 const fmt = (n) => +n.toFixed(4);
 
+const describe = (vals) => {
+  const mean = vals.reduce((a, b) => a + b, 0) / vals.length;
+  const sorted = [...vals].sort((a, b) => a - b);
+  const variance = vals.reduce((a, b) => a + (b - mean) ** 2, 0) / vals.length;
+  return {
+    count: vals.length,
+    mean: fmt(mean),
+    median: fmt(median(sorted)),
+    std: fmt(Math.sqrt(variance)),
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+  };
+};
+
+// ── Content type helpers ──────────────────────────────────────────────────────
+
+// Snapshots saved before content types were recorded only hold long-form videos
+const contentTypeOf = (video) => video.content_type || 'video';
+
+const CONTENT_TYPE_ALIASES = {
+  shorts: 'short',
+  videos: 'video',
+  'long-form': 'video',
+  longform: 'video',
+  stream: 'live',
+  streams: 'live',
+  livestream: 'live',
+};
+
+const filterByContentType = (data, contentType) => {
+  if (!contentType || contentType === 'all') return data;
+  const wanted = CONTENT_TYPE_ALIASES[contentType.toLowerCase()] || contentType.toLowerCase();
+  return data.filter((v) => contentTypeOf(v) === wanted);
+};
+
+// ── Channels ──────────────────────────────────────────────────────────────────
+// Each loaded channel JSON is tagged with a `channel` label (see labelChannel)
+// and all channels are passed to the tools as one array.
+
+// "mkbhd-v3.json" → "mkbhd": library downloads are named <channel>-v<version>.json
+export const channelLabelFromFile = (fileName) =>
+  String(fileName).replace(/\.json$/i, '').replace(/-v\d+$/, '') || 'channel';
+
+export const labelChannel = (videos, label) => videos.map((v) => ({ ...v, channel: label }));
+
+const channelsOf = (data) => [...new Set(data.map((v) => v.channel).filter(Boolean))];
+
+// Exact label first, then a label containing the name ("mkb" → "mkbhd").
+const findChannel = (channels, name) => {
+  const wanted = normalizeText(name);
+  return (
+    channels.find((c) => normalizeText(c) === wanted) || channels.find((c) => normalizeText(c).includes(wanted)) || null
+  );
+};
+
+// The videos of one channel. With several loaded, a channel must be named
+// unless `pool` (tools that compare or search across channels).
+const selectChannel = (data, channel, { pool = false } = {}) => {
+  const channels = channelsOf(data);
+  if (!channel || channel === 'all') {
+    if (!channel && !pool && channels.length > 1) {
+      return {
+        error:
+          `Several channels are loaded (${channels.join(', ')}). Pass channel with one of them, ` +
+          'channel "all" to pool them, or call compare_channels.',
+      };
+    }
+    return { data };
+  }
+  const match = findChannel(channels, channel);
+  if (!match) return { error: `No loaded channel "${channel}". Loaded: ${channels.join(', ') || 'one unlabeled channel'}.` };
+  return { data: data.filter((v) => v.channel === match) };
+};
+
+// ── Filters and grouping ──────────────────────────────────────────────────────
+// Shared by every tool that declares filter / group_by. Dates compare as
+// strings on the YYYY-MM-DD part of release_date, i.e. the uploader's date.
+
+const releaseDay = (video) => (/^\d{4}-\d{2}-\d{2}/.test(video.release_date || '') ? video.release_date.slice(0, 10) : null);
+
+// "2024" → 2024-01-01 / 2024-12-31, "2024-03" → 2024-03-01 / 2024-03-31
+const dateBound = (value, end) => {
+  const v = String(value).trim();
+  if (/^\d{4}$/.test(v)) return end ? `${v}-12-31` : `${v}-01-01`;
+  if (/^\d{4}-\d{2}$/.test(v)) return end ? `${v}-31` : `${v}-01`;
+  return v.slice(0, 10);
+};
+
+const durationOf = (video) => video.duration_seconds ?? parseDuration(video.duration);
+
+const applyFilter = (data, filter) => {
+  if (!filter || typeof filter !== 'object') return data;
+  const checks = [];
+  if (filter.released_after) {
+    const from = dateBound(filter.released_after, false);
+    checks.push((v) => releaseDay(v) != null && releaseDay(v) >= from);
+  }
+  if (filter.released_before) {
+    const to = dateBound(filter.released_before, true);
+    checks.push((v) => releaseDay(v) != null && releaseDay(v) <= to);
+  }
+  if (filter.keyword) {
+    const phrase = normalizeText(filter.keyword);
+    checks.push((v) => normalizeText(`${v.title || ''} ${v.description || ''}`).includes(phrase));
+  }
+  if (filter.min_duration_minutes != null) {
+    checks.push((v) => durationOf(v) != null && durationOf(v) >= filter.min_duration_minutes * 60);
+  }
+  if (filter.max_duration_minutes != null) {
+    checks.push((v) => durationOf(v) != null && durationOf(v) <= filter.max_duration_minutes * 60);
+  }
+  if (filter.metric && (filter.min_value != null || filter.max_value != null)) {
+    checks.push((v) => {
+      const x = parseFloat(v[filter.metric]);
+      return !isNaN(x) && (filter.min_value == null || x >= filter.min_value) && (filter.max_value == null || x <= filter.max_value);
+    });
+  }
+  return data.filter((v) => checks.every((check) => check(v)));
+};
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Days since the epoch for a YYYY-MM-DD string — for gaps between uploads.
+const dayNumber = (day) => {
+  const [y, m, d] = day.split('-').map(Number);
+  return Date.UTC(y, m - 1, d) / 86_400_000;
+};
+
+// "09" from "2024-04-08T09:00:00-07:00" — the uploader's local hour, if the date has a time.
+const releaseHour = (video) => {
+  const m = /^\d{4}-\d{2}-\d{2}T(\d{2}):/.exec(video.release_date || '');
+  return m ? m[1] : null;
+};
+
+// [upper bound in minutes, label]
+const DURATION_BUCKETS = [
+  [1, '< 1 min'],
+  [5, '1–5 min'],
+  [10, '5–10 min'],
+  [20, '10–20 min'],
+  [40, '20–40 min'],
+  [60, '40–60 min'],
+  [Infinity, '60+ min'],
+];
+
+// group_by name → { key(video) → label | null, order(a, b) }
+const GROUPINGS = {
+  month: { key: (v) => releaseDay(v)?.slice(0, 7) ?? null },
+  year: { key: (v) => releaseDay(v)?.slice(0, 4) ?? null },
+  weekday: {
+    key: (v) => {
+      const day = releaseDay(v);
+      return day ? WEEKDAYS[(new Date(dayNumber(day) * 86_400_000).getUTCDay() + 6) % 7] : null;
+    },
+    order: (a, b) => WEEKDAYS.indexOf(a) - WEEKDAYS.indexOf(b),
+  },
+  month_of_year: {
+    key: (v) => (releaseDay(v) ? MONTHS[Number(releaseDay(v).slice(5, 7)) - 1] : null),
+    order: (a, b) => MONTHS.indexOf(a) - MONTHS.indexOf(b),
+  },
+  hour: { key: (v) => (releaseHour(v) ? `${releaseHour(v)}:00` : null) },
+  duration_bucket: {
+    key: (v) => {
+      const seconds = durationOf(v);
+      return seconds == null ? null : DURATION_BUCKETS.find(([max]) => seconds < max * 60)[1];
+    },
+    order: (a, b) =>
+      DURATION_BUCKETS.findIndex(([, l]) => l === a) - DURATION_BUCKETS.findIndex(([, l]) => l === b),
+  },
+  content_type: { key: contentTypeOf },
+  channel: { key: (v) => v.channel ?? null },
+};
+
+const AGGREGATES = {
+  mean: (vals) => describe(vals).mean,
+  median: (vals) => describe(vals).median,
+  sum: (vals) => vals.reduce((a, b) => a + b, 0),
+  count: (vals) => vals.length,
+};
+
+// One bar per group with the aggregate of field; summary carries full stats
+// per group. Videos without a group key (e.g. no release_date) are left out.
+const groupedChart = (data, field, groupBy, aggregate = 'mean') => {
+  const grouping = GROUPINGS[groupBy];
+  if (!grouping) return { error: `Unknown group_by "${groupBy}". Use one of: ${Object.keys(GROUPINGS).join(', ')}.` };
+  const combine = AGGREGATES[aggregate];
+  if (!combine) return { error: `Unknown aggregate "${aggregate}". Use one of: ${Object.keys(AGGREGATES).join(', ')}.` };
+
+  const groups = new Map();
+  let ungrouped = 0;
+  for (const v of data) {
+    const key = grouping.key(v);
+    const x = parseFloat(v[field]);
+    if (key == null || (aggregate !== 'count' && isNaN(x))) {
+      ungrouped++;
+      continue;
+    }
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(isNaN(x) ? 0 : x);
+  }
+  if (!groups.size) return { error: `No videos have both "${field}" and a ${groupBy}.` };
+
+  const rows = [...groups]
+    .sort(([a], [b]) => (grouping.order ? grouping.order(a, b) : a.localeCompare(b)))
+    .map(([group, vals]) => ({ group, value: fmt(combine(vals)), ...describe(vals) }));
+  return {
+    _chartType: 'category_bar',
+    data: rows.map((r) => ({ label: r.group, value: r.value, count: r.count })),
+    metric: field,
+    groupBy,
+    aggregate,
+    summary: { field, group_by: groupBy, aggregate, groups: rows, ...(ungrouped && { videos_left_out: ungrouped }) },
+  };
+};
+
+// ── Publishing patterns ───────────────────────────────────────────────────────
+
+// Uploads per month from the first to the last upload, empty months included;
+// per quarter when that would be more than four years of bars.
+const uploadsOverTime = (days) => {
+  const monthIndex = (day) => Number(day.slice(0, 4)) * 12 + Number(day.slice(5, 7)) - 1;
+  const first = monthIndex(days[0]);
+  const byQuarter = monthIndex(days[days.length - 1]) - first + 1 > 48;
+  const label = (m) => {
+    const year = Math.floor(m / 12);
+    return byQuarter ? `${year} Q${Math.floor((m % 12) / 3) + 1}` : `${year}-${String((m % 12) + 1).padStart(2, '0')}`;
+  };
+  const counts = new Map();
+  for (let m = first; m <= monthIndex(days[days.length - 1]); m++) counts.set(label(m), 0);
+  for (const day of days) counts.set(label(monthIndex(day)), counts.get(label(monthIndex(day))) + 1);
+  return { period: byQuarter ? 'quarter' : 'month', counts };
+};
+
+// Upload days of the last three calendar years, for the calendar heatmap.
+const calendarDays = (videos, metric) => {
+  const lastYear = Number(releaseDay(videos[videos.length - 1]).slice(0, 4));
+  const days = new Map();
+  for (const v of videos) {
+    const day = releaseDay(v);
+    if (Number(day.slice(0, 4)) <= lastYear - 3) continue;
+    if (!days.has(day)) days.set(day, { date: day, count: 0, value: 0, titles: [] });
+    const entry = days.get(day);
+    entry.count++;
+    entry.value += parseFloat(v[metric]) || 0;
+    entry.titles.push(v.title || v.video_id);
+  }
+  return [...days.values()].map((d) => ({ ...d, value: fmt(d.value) }));
+};
+
+// Group with the highest value among groups big enough to mean something.
+const bestGroup = (rows, total) => {
+  const minCount = Math.max(2, Math.ceil(total * 0.05));
+  const eligible = rows.filter((r) => r.count >= minCount);
+  return eligible.length ? eligible.reduce((a, b) => (b.value > a.value ? b : a)).group : null;
+};
+
+// videos: sorted by release day, all with one. Returns a chart bundle.
+const publishingPatterns = (videos, metric, now = new Date()) => {
+  const days = videos.map(releaseDay);
+  const gaps = days.slice(1).map((day, i) => dayNumber(day) - dayNumber(days[i]));
+  const longest = gaps.reduce((best, g, i) => (g > best.days ? { days: g, from: days[i], to: days[i + 1] } : best), { days: -1 });
+
+  const { period, counts } = uploadsOverTime(days);
+  const perPeriod = [...counts.values()];
+
+  // Cadence vs performance: the break before each video, and busy vs quiet months
+  const afterGap = videos.slice(1).map((v, i) => [gaps[i], parseFloat(v[metric])]).filter(([, y]) => !isNaN(y));
+  const monthly = new Map();
+  videos.forEach((v) => {
+    const y = parseFloat(v[metric]);
+    if (isNaN(y)) return;
+    const month = releaseDay(v).slice(0, 7);
+    if (!monthly.has(month)) monthly.set(month, []);
+    monthly.get(month).push(y);
+  });
+  const monthRows = [...monthly.values()];
+  const gapCorrelation = correlation(afterGap.map(([x]) => x), afterGap.map(([, y]) => y));
+  const volumeCorrelation = correlation(
+    monthRows.map((ys) => ys.length),
+    monthRows.map((ys) => describe(ys).median)
+  );
+
+  const weekday = groupedChart(videos, metric, 'weekday', 'median');
+  const monthOfYear = groupedChart(videos, metric, 'month_of_year', 'median');
+  const hours = new Set(videos.map(releaseHour).filter(Boolean));
+  const hour = hours.size > 1 ? groupedChart(videos, metric, 'hour', 'median') : null;
+  const slim = (chart) =>
+    chart.summary ? chart.summary.groups.map(({ group, count, value }) => ({ group, uploads: count, [`median_${metric}`]: value })) : [];
+
+  const charts = [
+    { _chartType: 'calendar_heatmap', data: calendarDays(videos, metric), metric },
+    {
+      _chartType: 'category_bar',
+      data: [...counts].map(([label, n]) => ({ label, value: n, count: n })),
+      metric: 'uploads',
+      groupBy: period,
+      aggregate: 'count',
+    },
+    weekday,
+    monthOfYear,
+    ...(hour ? [hour] : []),
+  ].filter((c) => !c.error);
+
+  return {
+    _chartType: 'bundle',
+    charts,
+    summary: {
+      metric,
+      videos_analyzed: videos.length,
+      first_upload: days[0],
+      last_upload: days[days.length - 1],
+      days_since_last_upload: Math.floor(now / 86_400_000 - dayNumber(days[days.length - 1])),
+      [`uploads_per_${period}`]: describe(perPeriod),
+      uploads_per_week: fmt((videos.length / Math.max(1, dayNumber(days[days.length - 1]) - dayNumber(days[0]) + 1)) * 7),
+      gap_days: gaps.length ? describe(gaps) : null,
+      longest_gap: longest.days >= 0 ? longest : null,
+      by_weekday: slim(weekday),
+      best_weekday: weekday.summary ? bestGroup(weekday.summary.groups, videos.length) : null,
+      by_month_of_year: slim(monthOfYear),
+      best_month_of_year: monthOfYear.summary ? bestGroup(monthOfYear.summary.groups, videos.length) : null,
+      ...(hour?.summary && { by_hour: slim(hour), best_hour: bestGroup(hour.summary.groups, videos.length) }),
+      cadence_vs_performance: {
+        gap_before_video_vs_metric: gapCorrelation,
+        uploads_in_month_vs_median_metric: volumeCorrelation,
+        note: 'Spearman rank correlations; p < 0.05 is significant. Correlation is not causation.',
+      },
+    },
+  };
+};
+
+// ── Channel comparison ────────────────────────────────────────────────────────
+
+// "2024-03", or "2024 Q1" when the comparison spans more than four years
+const periodOf = (day, byQuarter) =>
+  byQuarter ? `${day.slice(0, 4)} Q${Math.ceil(Number(day.slice(5, 7)) / 3)}` : day.slice(0, 7);
+
+// One row per period with a column per channel; null where a channel had no uploads.
+const overlaidSeries = (byChannel, combine, byQuarter) => {
+  const rows = new Map();
+  for (const [label, videos] of byChannel) {
+    const groups = new Map();
+    for (const { day, value } of videos) {
+      const period = periodOf(day, byQuarter);
+      if (!groups.has(period)) groups.set(period, []);
+      groups.get(period).push(value);
+    }
+    for (const [period, values] of groups) {
+      if (!rows.has(period)) rows.set(period, { period });
+      rows.get(period)[label] = fmt(combine(values));
+    }
+  }
+  const labels = [...byChannel.keys()];
+  return [...rows.values()]
+    .sort((a, b) => a.period.localeCompare(b.period))
+    .map((row) => ({ ...Object.fromEntries(labels.map((l) => [l, null])), ...row }));
+};
+
+const medianOf = (data, field) => {
+  const vals = numericValues(data, field);
+  return vals.length ? describe(vals).median : null;
+};
+
+// Side-by-side figures for one channel's videos.
+const channelProfile = (label, videos, metric) => {
+  const days = videos.map(releaseDay).filter(Boolean).sort();
+  const span = days.length > 1 ? dayNumber(days[days.length - 1]) - dayNumber(days[0]) + 1 : null;
+  const vals = numericValues(videos, metric);
+  const top = extremeBy(videos, metric, false);
+  return {
+    channel: label,
+    videos: videos.length,
+    first_upload: days[0] || null,
+    last_upload: days[days.length - 1] || null,
+    uploads_per_week: span ? fmt((days.length / span) * 7) : null,
+    [`median_${metric}`]: vals.length ? describe(vals).median : null,
+    [`mean_${metric}`]: vals.length ? describe(vals).mean : null,
+    median_views: medianOf(videos, 'view_count'),
+    median_views_per_day: medianOf(videos, 'views_per_day'),
+    median_like_rate: medianOf(videos, 'like_rate'),
+    median_comment_rate: medianOf(videos, 'comment_rate'),
+    total_views: numericValues(videos, 'view_count').reduce((a, b) => a + b, 0),
+    top_video: top ? { title: top.title, [metric]: parseFloat(top[metric]) } : null,
+  };
+};
+
+const compareChannels = (data, metric, labels) => {
+  const byChannel = new Map(labels.map((l) => [l, data.filter((v) => v.channel === l)]));
+  const points = new Map(
+    [...byChannel].map(([label, videos]) => [
+      label,
+      videos
+        .filter((v) => releaseDay(v) && !isNaN(parseFloat(v[metric])))
+        .map((v) => ({ day: releaseDay(v), value: parseFloat(v[metric]) })),
+    ])
+  );
+  const days = [...points.values()].flat().map((p) => p.day).sort();
+  const months = days.length ? (dayNumber(days[days.length - 1]) - dayNumber(days[0])) / 30.44 : 0;
+  const byQuarter = months > 48;
+  const period = byQuarter ? 'quarter' : 'month';
+
+  const charts = [
+    groupedChart(data, metric, 'channel', 'median'),
+    {
+      _chartType: 'multi_line',
+      data: overlaidSeries(points, (vals) => describe(vals).median, byQuarter),
+      series: labels,
+      metric,
+      aggregate: 'median',
+      period,
+    },
+    {
+      _chartType: 'multi_line',
+      data: overlaidSeries(points, (vals) => vals.length, byQuarter),
+      series: labels,
+      metric: 'uploads',
+      aggregate: 'count',
+      period,
+    },
+  ].filter((c) => !c.error && c.data.length);
+
+  return {
+    _chartType: 'bundle',
+    charts,
+    summary: {
+      metric,
+      channels: [...byChannel].map(([label, videos]) => channelProfile(label, videos, metric)),
+      note: 'Medians are robust to a single viral video; compare views_per_day rather than view_count when channels differ in age.',
+    },
+  };
+};
+
+// ── Metrics history helpers ───────────────────────────────────────────────────
+
+const historyOf = (video, metric) =>
+  (video.metrics_history || [])
+    .filter((h) => h.fetched_at && h[metric] != null)
+    .sort((a, b) => new Date(a.fetched_at) - new Date(b.fetched_at));
+
+const NO_HISTORY_ERROR =
+  'No refresh history yet. Refresh this channel from the library in the YouTube tab to record metrics snapshots over time.';
+
+// "38 video, 12 short" — lets the model know a dataset mixes upload kinds
+export const contentTypeSummary = (data) => {
+  const counts = {};
+  for (const v of data || []) counts[contentTypeOf(v)] = (counts[contentTypeOf(v)] || 0) + 1;
+  return Object.entries(counts)
+    .map(([type, n]) => `${n} ${type}`)
+    .join(', ');
+};
+
+// ── Transcript search helpers ─────────────────────────────────────────────────
+
+// Caption lines are a few seconds long, so phrases often straddle two of
+// them — each match window spans this many consecutive segments.
+const SEARCH_WINDOW = 3;
+
+// Best-matching moments in one video: phrase matches score 2, windows that
+// contain every query term score 1. Returns [{ start, text, score }].
+const searchVideoTranscript = (video, phrase, terms) => {
+  const segments = video.transcript_segments?.length
+    ? video.transcript_segments
+    : video.transcript
+      ? [{ start: null, text: video.transcript }] // snapshots from before timed transcripts
+      : [];
+  const hits = [];
+  for (let i = 0; i < segments.length; i++) {
+    const windowSegs = segments.slice(i, i + SEARCH_WINDOW);
+    const text = windowSegs.map((seg) => seg.text).join(' ');
+    const norm = normalizeText(text);
+    const score = norm.includes(phrase) ? 2 : terms.every((t) => norm.includes(t)) ? 1 : 0;
+    if (!score) continue;
+    // Start the window at the first segment that actually mentions a term
+    const first = windowSegs.find((seg) => terms.some((t) => normalizeText(seg.text).includes(t))) || windowSegs[0];
+    hits.push({ start: first.start, text, score });
+    i += SEARCH_WINDOW - 1; // don't report overlapping windows twice
+  }
+  return hits;
+};
+
+// ── Derived metrics ───────────────────────────────────────────────────────────
+// The JSON counterpart of enrichWithEngagement in csvTools.js: adds per-video
+// fields that make videos of different lengths and ages comparable.
+//   duration_seconds   — "54:46" → 3286
+//   days_since_release — whole days from release_date to now
+//   views_per_day      — view_count / days_since_release (at least one day)
+//   like_rate          — like_count / view_count
+//   comment_rate       — comment_count / view_count
+// Missing inputs give null. Safe to call twice.
+
+// "54:46" → 3286, "1:02:03" → 3723; null for "", "LIVE", "SHORTS"…
+const parseDuration = (text) => {
+  if (typeof text === 'number') return text;
+  if (!/^\d+(:\d{1,2}){0,2}$/.test(String(text || '').trim())) return null;
+  return String(text).trim().split(':').reduce((total, part) => total * 60 + Number(part), 0);
+};
+
+const ratio = (num, den, digits = 6) => {
+  const n = parseFloat(num);
+  const d = parseFloat(den);
+  return !isNaN(n) && !isNaN(d) && d > 0 ? +(n / d).toFixed(digits) : null;
+};
+
+export const enrichChannelJson = (videos, now = new Date()) =>
+  videos.map((v) => {
+    const released = v.release_date ? new Date(v.release_date) : null;
+    const days = released && !isNaN(released) ? Math.max(0, Math.floor((now - released) / 86_400_000)) : null;
+    return {
+      ...v,
+      duration_seconds: parseDuration(v.duration),
+      days_since_release: days,
+      views_per_day: days != null ? ratio(v.view_count, Math.max(1, days), 1) : null,
+      like_rate: ratio(v.like_count, v.view_count),
+      comment_rate: ratio(v.comment_count, v.view_count),
+    };
+  });
+
+// ── play_video ranking ────────────────────────────────────────────────────────
+
+// [criteria pattern, field, lowest?] — checked in order, so rates come before
+// the plain counts they contain ("most views per day" ≠ "most viewed").
+const PLAY_CRITERIA = [
+  [/per.?day|daily|fastest|trending/, 'views_per_day', false],
+  [/(most|highest|best).?engag|(highest|best).?like.?rate/, 'like_rate', false],
+  [/(least|lowest|worst).?engag|(lowest|worst).?like.?rate/, 'like_rate', true],
+  [/(highest|most).?comment.?rate/, 'comment_rate', false],
+  [/longest/, 'duration_seconds', false],
+  [/shortest/, 'duration_seconds', true],
+  [/most.?view|most.?play|most.?watch|most.?popular/, 'view_count', false],
+  [/most.?lik/, 'like_count', false],
+  [/most.?comment/, 'comment_count', false],
+  [/least.?view|least.?play/, 'view_count', true],
+  [/least.?lik/, 'like_count', true],
+  [/least.?comment/, 'comment_count', true],
+];
+
+// The video with the highest (or lowest) numeric value of field, or null.
+const extremeBy = (data, field, lowest) => {
+  let best = null;
+  for (const v of data) {
+    const x = parseFloat(v[field]);
+    if (isNaN(x)) continue;
+    if (!best || (lowest ? x < best.x : x > best.x)) best = { v, x };
+  }
+  return best?.v || null;
+};
+
+// ── Channel content search ────────────────────────────────────────────────────
+// search_channel_content runs against the content index (see rag.js) rather
+// than the raw rows, and is async because the query may be embedded remotely.
+
+export const searchChannelContent = async (index, args) => {
+  if (!index) return { error: 'No titles, descriptions or transcripts to search in this dataset.' };
+  const query = String(args.query || '').trim();
+  if (!query) return { error: 'query is required.' };
+
+  const selected = selectChannel(index.videos, args.channel, { pool: true });
+  if (selected.error) return selected;
+  const videos = new Set(filterByContentType(selected.data, args.content_type));
+  if (!videos.size) return { error: `No videos with content_type "${args.content_type}".` };
+
+  let hits;
+  try {
+    hits = await searchContentIndex(index, query, {
+      limit: args.limit || 5,
+      filter: (chunk) => videos.has(index.videos[chunk.videoIndex]),
+    });
+  } catch (err) {
+    return { error: `Content search failed: ${err.message}` };
+  }
+  if (!hits.length) {
+    return {
+      query,
+      matches: 0,
+      message: `Nothing in the titles, descriptions or transcripts matches "${query}".`,
+    };
+  }
+
+  const terms = tokenize(query);
+  return {
+    _videoType: 'youtube_list',
+    query,
+    videos: hits.map(({ chunk, score }) => {
+      const video = index.videos[chunk.videoIndex];
+      const url = video.video_url || `https://www.youtube.com/watch?v=${video.video_id}`;
+      const start = passageStart(chunk, terms);
+      return {
+        videoId: video.video_id,
+        title: video.title || '',
+        thumbnail: video.thumbnail || '',
+        url: start != null ? `${url}&t=${Math.floor(start)}s` : url,
+        timestamp: start != null ? fmtTimestamp(start) : null,
+        source: chunk.source,
+        snippet: chunk.source === 'title' ? null : snippetAround(chunk.text, terms, 300),
+        score: +score.toFixed(3),
+        view_count: video.view_count || null,
+      };
+    }),
+  };
+};
+
+// Text compare_keyword_engagement can search, by match_in name
+const KEYWORD_FIELDS = {
+  title: (v) => v.title || '',
+  description: (v) => v.description || '',
+  transcript: (v) => v.transcript || (v.transcript_segments || []).map((s) => s.text).join(' '),
+};
+
 // ── Client-side JSON tool executor ───────────────────────────────────────────
 
-export const executeJsonTool = (toolName, args, data) => {
-  if (!data?.length) return { error: 'No JSON data loaded.' };
+// Tools that work across every loaded channel when none is named
+const POOLED_TOOLS = ['compare_channels', 'search_transcripts'];
+
+// The channel, content_type and filter arguments every data tool shares.
+// Returns { data } or { error }.
+const selectVideos = (toolName, args, allData) => {
+  if (!allData?.length) return { error: 'No JSON data loaded.' };
+
+  const selected = selectChannel(allData, args.channel, { pool: POOLED_TOOLS.includes(toolName) });
+  if (selected.error) return selected;
+  const ofType = filterByContentType(selected.data, args.content_type);
+  if (!ofType.length) {
+    const present = [...new Set(selected.data.map(contentTypeOf))].join(', ');
+    return { error: `No videos with content_type "${args.content_type}". This dataset has: ${present}.` };
+  }
+  const data = applyFilter(ofType, args.filter);
+  if (!data.length) {
+    return { error: `No videos match the filter ${JSON.stringify(args.filter)} (${ofType.length} videos before filtering).` };
+  }
+  return { data };
+};
+
+export const executeJsonTool = (toolName, args, allData) => {
+  const selected = selectVideos(toolName, args, allData);
+  if (selected.error) return selected;
+  const { data } = selected;
 
   switch (toolName) {
     case 'compute_stats_json': {
@@ -170,24 +1269,37 @@ export const executeJsonTool = (toolName, args, data) => {
         return {
           error: `No numeric values found for field "${field}". Available fields: ${Object.keys(data[0]).join(', ')}`,
         };
-      const mean = vals.reduce((a, b) => a + b, 0) / vals.length;
-      const sorted = [...vals].sort((a, b) => a - b);
-      const variance = vals.reduce((a, b) => a + (b - mean) ** 2, 0) / vals.length;
-      return {
+      if (args.group_by) {
+        const chart = groupedChart(data, field, args.group_by, args.aggregate);
+        if (chart.summary) Object.assign(chart.summary, { overall: describe(vals), ...(args.filter && { filter: args.filter }) });
+        return chart;
+      }
+      const result = {
         field,
-        count: vals.length,
-        mean: fmt(mean),
-        median: fmt(median(sorted)),
-        std: fmt(Math.sqrt(variance)),
-        min: Math.min(...vals),
-        max: Math.max(...vals),
+        ...(args.content_type && { content_type: args.content_type }),
+        ...(args.filter && { filter: args.filter }),
+        ...describe(vals),
       };
+
+      // Mixed uploads — break the stats down so Shorts and long-form can be compared
+      const types = [...new Set(data.map(contentTypeOf))];
+      if (types.length > 1) {
+        result.by_content_type = Object.fromEntries(
+          types
+            .map((t) => [t, numericValues(data.filter((v) => contentTypeOf(v) === t), field)])
+            .filter(([, v]) => v.length)
+            .map(([t, v]) => [t, describe(v)])
+        );
+      }
+      return result;
     }
 
     case 'plot_metric_vs_time': {
       const { metric, chart_type, y_metric, limit } = args;
       const chartType = chart_type || 'timeseries_bar';
 
+      if (args.group_by) return groupedChart(data, metric, args.group_by, args.aggregate);
+
       // ── Scatter ──────────────────────────────────────────────────────────
       if (chartType === 'scatter') {
         const yField = y_metric || (metric === 'view_count' ? 'like_count' : 'view_count');
@@ -276,24 +1388,378 @@ export const executeJsonTool = (toolName, args, data) => {
       };
     }
 
+    case 'plot_metric_growth': {
+      const metric = args.metric || 'view_count';
+      const scope = args.scope || 'channel';
+      const tracked = data.filter((v) => historyOf(v, metric).length >= 2);
+      if (!tracked.length) return { error: NO_HISTORY_ERROR };
+
+      if (scope === 'video') {
+        // The most-viewed tracked video only when no particular one was asked for
+        const q = String(args.query || '').trim().toLowerCase();
+        const video = q
+          ? tracked.find((v) => v.title?.toLowerCase().includes(q))
+          : [...tracked].sort((a, b) => (b[metric] || 0) - (a[metric] || 0))[0];
+        if (!video) {
+          return {
+            error: `No tracked video matches "${args.query}" (${tracked.length} videos have ${metric} history). ` +
+              'Try a shorter part of the title.',
+          };
+        }
+        return {
+          _chartType: 'timeseries_line',
+          data: historyOf(video, metric).map((h) => ({
+            date: h.fetched_at,
+            value: Number(h[metric]),
+            title: video.title || '',
+          })),
+          metric,
+        };
+      }
+
+      if (scope === 'gainers') {
+        const gains = tracked
+          .map((v) => {
+            const h = historyOf(v, metric);
+            return { video: v, gain: Number(h[h.length - 1][metric]) - Number(h[0][metric]) };
+          })
+          .sort((a, b) => b.gain - a.gain)
+          .slice(0, args.limit || 15);
+        return {
+          _chartType: 'ranking',
+          data: gains.map(({ video, gain }) => ({
+            label: (video.title || '').slice(0, 38) + ((video.title || '').length > 38 ? '…' : ''),
+            value: gain,
+            fullTitle: video.title || '',
+          })),
+          metric: `${metric}_gained`,
+        };
+      }
+
+      // Channel total per refresh day — each video carries its latest value forward
+      const days = [...new Set(
+        tracked.flatMap((v) => historyOf(v, metric).map((h) => h.fetched_at.slice(0, 10)))
+      )].sort();
+      return {
+        _chartType: 'timeseries_line',
+        data: days.map((day) => ({
+          date: day,
+          value: tracked.reduce((sum, v) => {
+            const upTo = historyOf(v, metric).filter((h) => h.fetched_at.slice(0, 10) <= day);
+            return sum + (upTo.length ? Number(upTo[upTo.length - 1][metric]) : 0);
+          }, 0),
+          title: `Channel total (${tracked.length} videos)`,
+        })),
+        metric,
+      };
+    }
+
+    case 'publishing_patterns': {
+      const dated = data
+        .filter(releaseDay)
+        .sort((a, b) => releaseDay(a).localeCompare(releaseDay(b)));
+      if (dated.length < 3) {
+        return { error: `Need at least 3 videos with a release_date to analyse publishing (have ${dated.length}).` };
+      }
+      const metric = args.metric || (numericValues(dated, 'views_per_day').length ? 'views_per_day' : 'view_count');
+      return publishingPatterns(dated, metric);
+    }
+
+    case 'compare_channels': {
+      const loaded = channelsOf(data);
+      const labels = args.channels?.length
+        ? args.channels.map((name) => findChannel(loaded, name))
+        : loaded;
+      const missing = (args.channels || []).filter((_, i) => !labels[i]);
+      if (missing.length) return { error: `No loaded channel ${missing.map((m) => `"${m}"`).join(', ')}. Loaded: ${loaded.join(', ')}.` };
+      if (new Set(labels).size < 2) {
+        return {
+          error:
+            loaded.length < 2
+              ? `compare_channels needs at least 2 channels but only ${loaded[0] || 'one'} is loaded. Drop another channel JSON into the chat.`
+              : `Name at least 2 different channels to compare. Loaded: ${loaded.join(', ')}.`,
+        };
+      }
+      const metric = args.metric || 'views_per_day';
+      if (!numericValues(data, metric).length) return { error: `No numeric values for "${metric}". Use one of: ${METRIC_FIELDS}.` };
+      return compareChannels(data, metric, [...new Set(labels)]);
+    }
+
+    case 'compute_correlation': {
+      const fields = args.fields?.length
+        ? args.fields
+        : METRIC_FIELDS.split(', ').filter((f) => numericValues(data, f).length);
+      if (fields.length < 2) return { error: `Need at least 2 fields to correlate. Use any of: ${METRIC_FIELDS}.` };
+      const method = args.method === 'pearson' ? 'pearson' : 'spearman';
+      const series = Object.fromEntries(fields.map((f) => [f, data.map((v) => parseFloat(v[f]))]));
+      const { matrix, pairs } = correlationMatrix(series, method);
+      if (!pairs.length) return { error: `Fewer than 3 videos have values for these fields: ${fields.join(', ')}.` };
+      return {
+        method,
+        videos_analyzed: data.length,
+        fields,
+        matrix,
+        pairs: pairs.slice(0, 15),
+        note: 'p < 0.05 is significant. Correlation is not causation.',
+      };
+    }
+
+    case 'fit_regression': {
+      const { x, y } = args;
+      const points = data
+        .map((v) => ({ video: v, x: parseFloat(v[x]), y: parseFloat(v[y]) }))
+        .filter((p) => !isNaN(p.x) && !isNaN(p.y));
+      const logX = !!args.log_x;
+      const logY = !!args.log_y;
+      const result = fitLinear(points.map((p) => p.x), points.map((p) => p.y), { logX, logY });
+      if (!result) {
+        return { error: `Need at least 3 videos with different "${x}" values and a "${y}" value (have ${points.length}).` };
+      }
+      const { fit, used, curve } = result;
+
+      // Residuals are on the fitted scale; predicted is shown back in y units
+      const residualRows = used
+        .map((pi, k) => ({ point: points[pi], residual: fit.residuals[k] }))
+        .sort((a, b) => b.residual - a.residual);
+      const residualRow = ({ point, residual }) => {
+        const fitted = fit.slope * (logX ? Math.log1p(point.x) : point.x) + fit.intercept;
+        return {
+          title: point.video.title,
+          [x]: point.x,
+          [y]: point.y,
+          predicted: fmt(logY ? Math.expm1(fitted) : fitted),
+          residual: fmt(residual),
+        };
+      };
+
+      return {
+        _chartType: 'scatter',
+        data: used.map((pi) => ({ x: points[pi].x, y: points[pi].y, label: points[pi].video.title || '' })),
+        metric: x,
+        yMetric: y,
+        fitLine: curve,
+        summary: {
+          x,
+          y,
+          log_x: logX,
+          log_y: logY,
+          equation: fitEquation(fit, { x, y, logX, logY }),
+          slope: +fit.slope.toPrecision(4),
+          intercept: +fit.intercept.toPrecision(4),
+          r2: fmt(fit.r2),
+          p_value: +fit.p.toPrecision(3),
+          slope_std_error: +fit.slope_se.toPrecision(3),
+          residual_std_error: +fit.residual_se.toPrecision(4),
+          n: fit.n,
+          interpretation: `${describeSlope(fit.slope, { x, y, logX, logY })} (${
+            fit.p < 0.05 ? 'significant' : 'not significant'
+          }); the line explains ${Math.round(fit.r2 * 100)}% of the variation in ${y}.`,
+          furthest_above_line: residualRows.slice(0, 3).map(residualRow),
+          furthest_below_line: residualRows.slice(-3).reverse().map(residualRow),
+        },
+      };
+    }
+
+    case 'find_outliers': {
+      const metric = args.metric || 'view_count';
+      // Release order, so the baseline is what the channel was getting at the time
+      const byRelease = data.every(releaseDay)
+        ? [...data].sort((a, b) => releaseDay(a).localeCompare(releaseDay(b)))
+        : data;
+      const ordered = byRelease.filter((v) => !isNaN(parseFloat(v[metric])));
+      if (ordered.length < 5) {
+        return { error: `Need at least 5 videos with "${metric}" to find outliers (have ${ordered.length}).` };
+      }
+      const method = args.method === 'iqr' ? 'iqr' : 'zscore';
+      const window = Math.max(2, Math.round(args.window || 10));
+      const flags = flagOutliers(ordered.map((v) => parseFloat(v[metric])), {
+        window,
+        method,
+        threshold: args.threshold,
+        direction: args.direction || 'high',
+      });
+
+      const rows = ordered.map((v, i) => ({ video: v, value: parseFloat(v[metric]), ...flags[i] }));
+      const outliers = rows
+        .filter((r) => r.outlier)
+        .sort((a, b) => Math.abs(b.score) - Math.abs(a.score));
+      const cards = outliers.slice(0, args.limit || 6);
+      const note = (r) =>
+        r.ratio != null ? `${r.ratio}× the ${+r.baseline.toPrecision(3)} ${metric.replace(/_/g, ' ')} of nearby uploads` : null;
+
+      return {
+        _chartType: 'outliers',
+        data: rows.map((r) => ({
+          date: releaseDay(r.video),
+          title: r.video.title || r.video.video_id,
+          value: r.value,
+          baseline: fmt(r.baseline),
+          outlier: r.outlier,
+        })),
+        metric,
+        ...(cards.length && {
+          _videoType: 'youtube_list',
+          videos: cards.map((r) => ({
+            videoId: r.video.video_id,
+            title: r.video.title || '',
+            thumbnail: r.video.thumbnail || '',
+            url: r.video.video_url || `https://www.youtube.com/watch?v=${r.video.video_id}`,
+            duration: r.video.duration || '',
+            view_count: r.video.view_count || null,
+            note: note(r),
+          })),
+        }),
+        summary: {
+          metric,
+          method,
+          window,
+          threshold: args.threshold ?? (method === 'iqr' ? 1.5 : 2),
+          direction: args.direction || 'high',
+          videos_analyzed: rows.length,
+          outliers_found: outliers.length,
+          outliers: outliers.slice(0, 15).map((r) => ({
+            title: r.video.title,
+            release_date: releaseDay(r.video),
+            [metric]: r.value,
+            baseline: fmt(r.baseline),
+            ratio: r.ratio,
+            score: r.score,
+            direction: r.outlier,
+          })),
+        },
+      };
+    }
+
+    case 'compare_keyword_engagement': {
+      const keywords = keywordList(args.keywords);
+      if (!keywords.length) return { error: 'Give at least one keyword to compare.' };
+      const metric = args.metric || 'view_count';
+      const fields = [].concat(args.match_in || []).filter((f) => KEYWORD_FIELDS[f]);
+      const matchIn = fields.length ? fields : ['title', 'description'];
+      const items = data
+        .filter((v) => !isNaN(parseFloat(v[metric])))
+        .map((v) => ({ text: matchIn.map((f) => KEYWORD_FIELDS[f](v)).join(' '), value: parseFloat(v[metric]) }));
+      if (items.length < 4) {
+        return { error: `Need at least 4 videos with "${metric}" to compare (have ${items.length}). Use one of: ${METRIC_FIELDS}.` };
+      }
+      const result = keywordComparison(items, keywords);
+      return {
+        _chartType: 'engagement',
+        data: result.data,
+        metricColumn: metric,
+        summary: {
+          metric,
+          matched_in: matchIn,
+          videos_analyzed: items.length,
+          keywords: result.keywords,
+          interpretation: result.keywords.map((r) => describeKeywordRow(r, metric)),
+          note: 'Welch\'s t-test, two-sided; p < 0.05 is significant. A keyword can go with other differences (topic, era, length) — this is not causation.',
+        },
+      };
+    }
+
+    case 'cluster_topics': {
+      const metric = args.metric || 'view_count';
+      if (data.length < 4) return { error: `Need at least 4 videos to find topics (have ${data.length}).` };
+      const k = args.num_clusters ? Math.min(12, Math.max(2, Math.round(args.num_clusters))) : undefined;
+      const clusters = clusterVideos(data, { k });
+      if (!clusters.length) {
+        return { error: 'These videos have too little title, description or transcript text to group by topic.' };
+      }
+
+      const meanOf = (videos, field) => {
+        const vals = numericValues(videos, field);
+        if (!vals.length) return null;
+        const mean = vals.reduce((a, b) => a + b, 0) / vals.length;
+        return Math.abs(mean) >= 100 ? Math.round(mean) : fmt(mean); // rates stay fractional
+      };
+      const topics = clusters
+        .map(({ keywords, members }) => {
+          const videos = members.map((i) => data[i]);
+          return {
+            topic: keywords.length ? keywords.slice(0, 3).join(' / ') : '(no text)',
+            keywords,
+            video_count: videos.length,
+            mean_view_count: meanOf(videos, 'view_count'),
+            mean_like_count: meanOf(videos, 'like_count'),
+            mean_comment_count: meanOf(videos, 'comment_count'),
+            [`mean_${metric}`]: meanOf(videos, metric),
+            top_videos: [...videos]
+              .sort((a, b) => (b.view_count || 0) - (a.view_count || 0))
+              .slice(0, 3)
+              .map((v) => v.title),
+          };
+        })
+        .sort((a, b) => (b[`mean_${metric}`] ?? -1) - (a[`mean_${metric}`] ?? -1));
+
+      return {
+        _chartType: 'category_bar',
+        data: topics.map((t) => ({
+          label: t.topic,
+          value: t[`mean_${metric}`] ?? 0,
+          count: t.video_count,
+          detail: t.keywords.join(', '),
+        })),
+        metric,
+        groupBy: 'topic',
+        summary: topics,
+      };
+    }
+
+    case 'search_transcripts': {
+      const phrase = normalizeText(args.query);
+      if (!phrase) return { error: 'query is required.' };
+      const withTranscripts = data.filter((v) => v.transcript_segments?.length || v.transcript);
+      if (!withTranscripts.length) {
+        return { error: 'None of these videos have transcripts. Re-download the channel to fetch captions.' };
+      }
+      const longTerms = phrase.split(' ').filter((t) => t.length > 2);
+      const terms = longTerms.length ? longTerms : phrase.split(' ');
+
+      const moments = withTranscripts
+        .flatMap((video) => searchVideoTranscript(video, phrase, terms).map((hit) => ({ video, ...hit })))
+        .sort((a, b) => b.score - a.score || (b.video.view_count || 0) - (a.video.view_count || 0))
+        .slice(0, args.limit || 5);
+
+      if (!moments.length) {
+        return {
+          query: args.query,
+          matches: 0,
+          searched: withTranscripts.length,
+          message: `No transcript mentions "${args.query}" in ${withTranscripts.length} videos.`,
+        };
+      }
+
+      return {
+        _videoType: 'youtube_list',
+        query: args.query,
+        videos: moments.map(({ video, start, text }) => {
+          const url = video.video_url || `https://www.youtube.com/watch?v=${video.video_id}`;
+          return {
+            videoId: video.video_id,
+            title: video.title || '',
+            thumbnail: video.thumbnail || '',
+            url: start != null ? `${url}&t=${Math.floor(start)}s` : url,
+            timestamp: start != null ? fmtTimestamp(start) : null,
+            snippet: snippetAround(text, terms),
+            view_count: video.view_count || null,
+          };
+        }),
+      };
+    }
+
     case 'play_video': {
-      const { query, ordinal, criteria } = args;
+      const { query, ordinal, criteria, sort_by, ascending } = args;
       let video = null;
 
-      if (criteria) {
+      if (sort_by) {
+        video = extremeBy(data, sort_by, !!ascending);
+        if (!video) return { error: `No numeric values for "${sort_by}". Try one of: ${METRIC_FIELDS}.` };
+      } else if (criteria) {
         const c = criteria.toLowerCase();
-        if (/most.?view|most.?play|most.?watch|most.?popular/i.test(c)) {
-          video = [...data].sort((a, b) => (b.view_count || 0) - (a.view_count || 0))[0];
-        } else if (/most.?lik/i.test(c)) {
-          video = [...data].sort((a, b) => (b.like_count || 0) - (a.like_count || 0))[0];
-        } else if (/most.?comment/i.test(c)) {
-          video = [...data].sort((a, b) => (b.comment_count || 0) - (a.comment_count || 0))[0];
-        } else if (/least.?view|least.?play/i.test(c)) {
-          video = [...data].sort((a, b) => (a.view_count || 0) - (b.view_count || 0))[0];
-        } else if (/least.?lik/i.test(c)) {
-          video = [...data].sort((a, b) => (a.like_count || 0) - (b.like_count || 0))[0];
-        } else if (/least.?comment/i.test(c)) {
-          video = [...data].sort((a, b) => (a.comment_count || 0) - (b.comment_count || 0))[0];
+        const ranked = PLAY_CRITERIA.find(([re]) => re.test(c));
+        if (ranked) {
+          video = extremeBy(data, ranked[1], ranked[2]);
         } else if (/latest|newest|recent/i.test(c)) {
           video = [...data].sort((a, b) => new Date(b.release_date) - new Date(a.release_date))[0];
         } else if (/oldest|earliest/i.test(c)) {
@@ -321,6 +1787,7 @@ export const executeJsonTool = (toolName, args, data) => {
         duration: video.duration || '',
         view_count: video.view_count || null,
         like_count: video.like_count || null,
+        ...(sort_by && { [sort_by]: video[sort_by] }),
       };
     }
 
@@ -328,3 +1795,186 @@ export const executeJsonTool = (toolName, args, data) => {
       return { error: `Unknown JSON tool: ${toolName}` };
   }
 };
+
+// ── Thumbnail analysis ────────────────────────────────────────────────────────
+// analyze_thumbnails is async like search_channel_content: the thumbnails are
+// fetched and read by the vision model on the server (cached there per URL).
+
+export const analyzeChannelThumbnails = async (allData, args) => {
+  const selected = selectVideos('analyze_thumbnails', args, allData);
+  if (selected.error) return selected;
+
+  const metric = args.metric || 'view_count';
+  const candidates = selected.data.filter((v) => v.thumbnail && !isNaN(parseFloat(v[metric])));
+  if (candidates.length < MIN_THUMBNAILS) {
+    return { error: `Need at least ${MIN_THUMBNAILS} videos with a thumbnail and "${metric}" (have ${candidates.length}).` };
+  }
+  const limit = Math.min(THUMBNAIL_MAX, Math.max(MIN_THUMBNAILS, Math.round(args.limit || THUMBNAIL_DEFAULT)));
+  const sample = spreadSample(candidates, (v) => parseFloat(v[metric]), limit);
+
+  let results;
+  try {
+    results = await fetchThumbnailFeatures(sample.map((v) => ({ video_id: v.video_id, thumbnail: v.thumbnail })));
+  } catch (err) {
+    return { error: `Thumbnail analysis failed: ${err.message}` };
+  }
+  const failed = results.filter((r) => r.error);
+  const rows = results
+    .map((r, i) => r.features && {
+      video: sample[i],
+      value: parseFloat(sample[i][metric]),
+      features: { ...r.features, ...titleFeatures(sample[i].title) },
+    })
+    .filter(Boolean);
+  if (rows.length < MIN_THUMBNAILS) {
+    return { error: `Only ${rows.length} of ${sample.length} thumbnails could be analysed${failed.length ? ` (${failed[0].error})` : ''}.` };
+  }
+
+  const { flags, numeric, categories, skipped } = compareFeatures(rows);
+  const byValue = [...rows].sort((a, b) => b.value - a.value);
+  const example = (r) => ({
+    title: r.video.title,
+    [metric]: r.value,
+    text_overlay: r.features.text_overlay,
+    face_emotion: r.features.face_emotion,
+    style: r.features.style,
+    clickbait_score: r.features.clickbait_score,
+  });
+  const significant = flags.filter((f) => f.p < 0.05);
+
+  return {
+    _chartType: 'feature_compare',
+    data: flags,
+    metric,
+    summary: {
+      metric,
+      videos_analyzed: rows.length,
+      of_candidates: candidates.length,
+      ...(failed.length && { thumbnails_failed: failed.length }),
+      features: flags,
+      numeric_correlations: numeric,
+      by_category: categories,
+      ...(skipped.length && { not_enough_variation: skipped }),
+      strongest_effects: significant.length
+        ? significant.map((f) => `${f.label}: median ${f.with} vs ${f.without} without (${f.lift}×, p=${f.p})`)
+        : 'No feature differs significantly (p < 0.05) — treat the lifts as hints, not findings.',
+      top_videos: byValue.slice(0, 3).map(example),
+      bottom_videos: byValue.slice(-3).reverse().map(example),
+      note: `Medians with vs without each feature; r/p is Spearman between having the feature and ${metric}. ` +
+        'Older videos have had longer to collect views, and correlation is not causation.',
+    },
+  };
+};
+
+// ── Comment analysis ──────────────────────────────────────────────────────────
+// analyze_comments is async too: with REACT_APP_SENTIMENT=remote the comments
+// are labelled by the server's model (see sentiment.js).
+
+// Videos in the per-video chart, most-commented first
+const COMMENT_CHART_VIDEOS = 20;
+
+const pct = (n, total) => (total ? Math.round((n / total) * 100) : 0);
+
+const sentimentSplit = (labels) => {
+  const count = (s) => labels.filter((l) => l.sentiment === s).length;
+  const positive = pct(count('positive'), labels.length);
+  const negative = pct(count('negative'), labels.length);
+  return {
+    comments: labels.length,
+    positive_pct: positive,
+    neutral_pct: pct(count('neutral'), labels.length),
+    negative_pct: negative,
+    net_sentiment: positive - negative,
+    mean_score: labels.length ? +(labels.reduce((sum, l) => sum + l.score, 0) / labels.length).toFixed(2) : 0,
+  };
+};
+
+export const analyzeChannelComments = async (allData, args) => {
+  const selected = selectVideos('analyze_comments', args, allData);
+  if (selected.error) return selected;
+
+  let videos = selected.data.filter((v) => v.comments?.length);
+  if (!videos.length) {
+    return { error: 'None of these videos have downloaded comments. Re-download the channel with Comments set above 0.' };
+  }
+  if (args.video) {
+    const query = args.video.toLowerCase();
+    videos = videos.filter((v) => v.title?.toLowerCase().includes(query));
+    if (!videos.length) return { error: `No video with comments has "${args.video}" in its title.` };
+    videos = videos.slice(0, 1);
+  }
+
+  const comments = videos.flatMap((v) => v.comments.map((c) => ({ ...c, video: v })));
+  const { method, labels } = await classifyComments(comments.map((c) => c.text));
+  const rows = comments.map((c, i) => ({ ...c, ...labels[i] }));
+  const examples = Math.max(1, Math.round(args.examples || 3));
+
+  const quote = (c) => ({
+    text: c.text.slice(0, 300),
+    likes: c.like_count,
+    ...(videos.length > 1 && { video: c.video.title }),
+  });
+  const mostLiked = (sentiment) =>
+    rows
+      .filter((c) => c.sentiment === sentiment)
+      .sort((a, b) => (b.like_count || 0) - (a.like_count || 0))
+      .slice(0, examples)
+      .map(quote);
+  const ofKind = (kind) => rows.filter((c) => c.kind === kind);
+
+  const perVideo = videos.map((v) => {
+    const own = rows.filter((c) => c.video === v);
+    return { title: v.title, ...sentimentSplit(own), questions: own.filter((c) => c.kind === 'question').length };
+  });
+  const overall = sentimentSplit(rows);
+
+  const chart =
+    videos.length === 1
+      ? {
+          _chartType: 'category_bar',
+          data: ['positive', 'neutral', 'negative'].map((s) => ({
+            label: s,
+            value: rows.filter((c) => c.sentiment === s).length,
+          })),
+          metric: 'comments',
+          groupBy: 'sentiment',
+          aggregate: 'sum',
+        }
+      : {
+          _chartType: 'category_bar',
+          data: [...perVideo]
+            .sort((a, b) => b.comments - a.comments)
+            .slice(0, COMMENT_CHART_VIDEOS)
+            .sort((a, b) => b.net_sentiment - a.net_sentiment)
+            .map((v) => ({
+              label: v.title,
+              value: v.net_sentiment,
+              detail: `${v.comments} comments · ${v.positive_pct}% positive, ${v.negative_pct}% negative`,
+            })),
+          metric: 'net_sentiment',
+          groupBy: 'video',
+          aggregate: 'mean',
+        };
+
+  return {
+    ...chart,
+    summary: {
+      scope: videos.length === 1 ? videos[0].title : `${videos.length} videos`,
+      comments_analyzed: rows.length,
+      sentiment_method: method === 'model' ? 'language model' : 'offline word lexicon (rough; misses sarcasm)',
+      overall,
+      ...(videos.length > 1 && {
+        per_video: [...perVideo].sort((a, b) => b.net_sentiment - a.net_sentiment),
+        videos_without_comments: selected.data.length - videos.length,
+      }),
+      recurring_questions: recurringThemes(ofKind('question'), { examples }),
+      recurring_requests: recurringThemes(ofKind('request'), { examples }),
+      questions: ofKind('question').length,
+      requests: ofKind('request').length,
+      most_liked_positive: mostLiked('positive'),
+      most_liked_negative: mostLiked('negative'),
+      note: 'Only the top comments were downloaded, so this reflects the most visible opinions, not every viewer. ' +
+        'net_sentiment = % positive − % negative.',
+    },
+  };
+};
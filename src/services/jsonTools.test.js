@@ -0,0 +1,173 @@
+import { analyzeThumbnails } from './gemini';
+import { analyzeChannelThumbnails, executeJsonTool, searchChannelContent } from './jsonTools';
+
+jest.mock('./gemini', () => ({ analyzeThumbnails: jest.fn() }));
+
+// One video per boundary: release dates either side of a month / year edge
+// (the uploader's date counts, not UTC), durations on bucket edges, and one
+// upload without a date.
+const VIDEOS = [
+  { title: 'Intro to React', release_date: '2023-12-31T23:30:00-08:00', duration: '0:59', view_count: 100 },
+  { title: 'React hooks deep dive', release_date: '2024-01-01T00:00:00Z', duration_seconds: 60, view_count: 1000 },
+  { title: 'Vue basics', release_date: '2024-02-29', duration: '5:00', view_count: 5000 },
+  {
+    title: 'Svelte in an hour',
+    description: 'Compared with React',
+    release_date: '2024-12-31',
+    duration: '19:59',
+    view_count: 20000,
+  },
+  { title: 'Live Q&A', release_date: '2025-01-01', duration: '1:00:00', view_count: 50000 },
+  { title: 'Undated clip', duration: '40:00', view_count: 0 },
+];
+
+const [A, B, C, D, E, F] = VIDEOS.map((v) => v.title);
+
+// Titles of the videos a filter keeps, in their original order
+const selected = (filter) => {
+  const result = executeJsonTool(
+    'plot_metric_vs_time',
+    { metric: 'view_count', y_metric: 'view_count', chart_type: 'scatter', filter },
+    VIDEOS
+  );
+  return result.error ? result.error : result.data.map((d) => d.label);
+};
+
+const groups = (groupBy) => {
+  const { data, summary } = executeJsonTool(
+    'compute_stats_json',
+    { field: 'view_count', group_by: groupBy, aggregate: 'count' },
+    VIDEOS
+  );
+  return { groups: data.map((d) => [d.label, d.count]), left_out: summary.videos_left_out ?? 0 };
+};
+
+test.each([
+  ['released_after a year', { released_after: '2024' }, [B, C, D, E]],
+  ['released_after a month', { released_after: '2024-02' }, [C, D, E]],
+  ['released_after a day (inclusive)', { released_after: '2024-02-29' }, [C, D, E]],
+  ['released_before a year (through Dec 31)', { released_before: '2024' }, [A, B, C, D]],
+  ['released_before a month (through its last day)', { released_before: '2024-02' }, [A, B, C]],
+  ['released_before a day ignores the time', { released_before: '2023-12-31' }, [A]],
+  ['keyword in title or description', { keyword: 'react' }, [A, B, D]],
+  ['keyword phrase, any case', { keyword: 'REACT hooks' }, [B]],
+  ['min_duration_minutes (inclusive)', { min_duration_minutes: 1 }, [B, C, D, E, F]],
+  ['max_duration_minutes (inclusive)', { max_duration_minutes: 1 }, [A, B]],
+  ['max_duration_minutes keeps 19:59 under 20', { max_duration_minutes: 20 }, [A, B, C, D]],
+  ['metric + min_value', { metric: 'view_count', min_value: 5000 }, [C, D, E]],
+  ['metric + max_value', { metric: 'view_count', max_value: 1000 }, [A, B, F]],
+  ['metric + both bounds', { metric: 'view_count', min_value: 1000, max_value: 20000 }, [B, C, D]],
+  ['min_value without a metric is ignored', { min_value: 5000 }, VIDEOS.map((v) => v.title)],
+])('filter: %s', (_, filter, expected) => {
+  expect(selected(filter)).toEqual(expected);
+});
+
+test.each([
+  ['dates and keyword', { released_after: '2024', released_before: '2024', keyword: 'react' }, [B, D]],
+  [
+    'date, duration and metric',
+    { released_after: '2024', min_duration_minutes: 5, metric: 'view_count', max_value: 20000 },
+    [C, D],
+  ],
+  ['duration band', { min_duration_minutes: 1, max_duration_minutes: 5 }, [B, C]],
+])('combined filters: %s', (_, filter, expected) => {
+  expect(selected(filter)).toEqual(expected);
+});
+
+test('a filter nothing matches is an error that says how many videos there were', () => {
+  expect(selected({ keyword: 'angular' })).toMatch(/No videos match the filter .*\(6 videos before filtering\)/);
+});
+
+test.each([
+  [
+    'month',
+    [
+      ['2023-12', 1],
+      ['2024-01', 1],
+      ['2024-02', 1],
+      ['2024-12', 1],
+      ['2025-01', 1],
+    ],
+    1,
+  ],
+  [
+    'year',
+    [
+      ['2023', 1],
+      ['2024', 3],
+      ['2025', 1],
+    ],
+    1,
+  ],
+  [
+    'weekday',
+    [
+      ['Mon', 1],
+      ['Tue', 1],
+      ['Wed', 1],
+      ['Thu', 1],
+      ['Sun', 1],
+    ],
+    1,
+  ],
+  [
+    'duration_bucket',
+    [
+      ['< 1 min', 1],
+      ['1–5 min', 1],
+      ['5–10 min', 1],
+      ['10–20 min', 1],
+      ['40–60 min', 1],
+      ['60+ min', 1],
+    ],
+    0,
+  ],
+])('group_by %s puts each boundary video in the right bucket', (groupBy, expected, leftOut) => {
+  expect(groups(groupBy)).toEqual({ groups: expected, left_out: leftOut });
+});
+
+test('group_by with a filter and an unknown grouping', () => {
+  const chart = executeJsonTool(
+    'plot_metric_vs_time',
+    { metric: 'view_count', group_by: 'year', aggregate: 'sum', filter: { keyword: 'react' } },
+    VIDEOS
+  );
+  expect(chart.data).toEqual([
+    { label: '2023', value: 100, count: 1 },
+    { label: '2024', value: 21000, count: 2 },
+  ]);
+  expect(executeJsonTool('compute_stats_json', { field: 'view_count', group_by: 'decade' }, VIDEOS).error).toMatch(
+    /Unknown group_by "decade"/
+  );
+});
+
+test('a content search that fails comes back as an error for the model', async () => {
+  const index = {
+    videos: VIDEOS,
+    chunks: [],
+    vectors: [],
+    embedder: { name: 'local', embedQuery: () => Promise.reject(new Error('out of memory')) },
+  };
+  expect(await searchChannelContent(index, { query: 'react' })).toEqual({ error: 'Content search failed: out of memory' });
+});
+
+test('a thumbnail request that fails comes back as an error for the model', async () => {
+  analyzeThumbnails.mockRejectedValue(new Error('The mock provider does not support image analysis'));
+  const videos = VIDEOS.map((v, i) => ({ ...v, video_id: `v${i}`, thumbnail: `https://i.ytimg.com/vi/v${i}/hq.jpg` }));
+  expect(await analyzeChannelThumbnails(videos, {})).toEqual({
+    error: 'Thumbnail analysis failed: The mock provider does not support image analysis',
+  });
+});
+
+test('plot_metric_growth for a video: the queried one, else the most viewed, never a stand-in', () => {
+  const history = (views) => views.map((view_count, i) => ({ fetched_at: `2025-0${i + 1}-01`, view_count }));
+  const tracked = [
+    { title: 'Phone review', view_count: 300, metrics_history: history([100, 300]) },
+    { title: 'Laptop review', view_count: 900, metrics_history: history([500, 900]) },
+  ];
+  const growth = (query) => executeJsonTool('plot_metric_growth', { scope: 'video', query }, tracked);
+
+  expect(growth('phone').data.map((d) => d.value)).toEqual([100, 300]);
+  expect(growth().data[0].title).toBe('Laptop review');
+  expect(growth('tablet').error).toMatch(/^No tracked video matches "tablet" \(2 videos have view_count history\)/);
+});
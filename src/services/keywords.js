@@ -0,0 +1,59 @@
+import { compareGroups } from './stats';
+import { matchesKeyword } from './text';
+
+// ── Keyword engagement comparison ─────────────────────────────────────────────
+// Shared by the CSV and channel JSON versions of compare_keyword_engagement:
+// for each keyword, the metric of items whose text mentions it vs the rest,
+// compared with Welch's t-test. The result's `data` is the shape
+// EngagementChart draws.
+
+// The tool's keywords argument as a clean list — models sometimes send one
+// comma-separated string instead of an array.
+export const keywordList = (raw) => [
+  ...new Set(
+    []
+      .concat(raw || [])
+      .flatMap((k) => String(k).split(','))
+      .map((k) => k.trim())
+      .filter(Boolean)
+  ),
+];
+
+// items: [{ text, value }] with numeric values. Returns
+// { data: [{ name, withKeyword, withoutKeyword, withCount, withoutCount, p }],
+//   keywords: [{ keyword, ...compareGroups }] } — with several keywords an
+// "any keyword" row compares items mentioning at least one of them.
+export const keywordComparison = (items, keywords) => {
+  const rowFor = (keyword, has) => {
+    const withVals = items.filter((_, i) => has[i]).map((it) => it.value);
+    const withoutVals = items.filter((_, i) => !has[i]).map((it) => it.value);
+    return { keyword, ...compareGroups(withVals, withoutVals) };
+  };
+
+  const matches = keywords.map((k) => items.map((it) => matchesKeyword(it.text, k)));
+  const rows = keywords.map((k, ki) => rowFor(k, matches[ki]));
+  if (keywords.length > 1) {
+    rows.push(rowFor('any keyword', items.map((_, i) => matches.some((m) => m[i]))));
+  }
+
+  return {
+    data: rows.map((r) => ({
+      name: r.keyword,
+      withKeyword: r.mean_with ?? 0,
+      withoutKeyword: r.mean_without ?? 0,
+      withCount: r.n_with,
+      withoutCount: r.n_without,
+      p: r.p_value,
+    })),
+    keywords: rows,
+  };
+};
+
+// One-line reading of a comparison row for the model to quote.
+export const describeKeywordRow = (r, metric) => {
+  if (!r.n_with) return `"${r.keyword}": no matches.`;
+  if (r.p_value == null) return `"${r.keyword}": ${r.n_with} matches — too few on one side to test.`;
+  const direction = r.mean_with > r.mean_without ? 'higher' : 'lower';
+  return `"${r.keyword}": mean ${metric} ${r.mean_with} with vs ${r.mean_without} without ` +
+    `(${r.lift ?? '–'}×, ${direction}; Welch p=${r.p_value}, ${r.significant ? 'significant' : 'not significant'}).`;
+};
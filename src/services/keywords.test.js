@@ -0,0 +1,58 @@
+import { describeKeywordRow, keywordComparison, keywordList } from './keywords';
+import { matchesKeyword } from './text';
+import { executeTool } from './csvTools';
+import { executeJsonTool } from './jsonTools';
+
+test.each([
+  ['#AI is here', 'AI', true],
+  ['he said so', 'AI', false],
+  ['Machine-learning basics', 'machine learning', true],
+  ['machines learning', 'machine learning', false],
+  ['Café tour', 'cafe', true],
+  ['AI.', 'ai', true],
+  ['anything', '  ', false],
+])('matchesKeyword(%p, %p) is %p', (text, keyword, expected) => {
+  expect(matchesKeyword(text, keyword)).toBe(expected);
+});
+
+test('keyword list accepts arrays or one comma-separated string', () => {
+  expect(keywordList('ai, crypto,,AI')).toEqual(['ai', 'crypto', 'AI']);
+  expect(keywordList(['ai', 'ai, web3'])).toEqual(['ai', 'web3']);
+  expect(keywordList(undefined)).toEqual([]);
+});
+
+test('comparison rows per keyword plus "any keyword"; a keyword with no matches has no test', () => {
+  const items = [
+    { text: 'AI news', value: 1 },
+    { text: 'more AI', value: 2 },
+    { text: 'crypto', value: 3 },
+    { text: 'said', value: 4 },
+    { text: 'plain', value: 5 },
+  ];
+  const { data, keywords } = keywordComparison(items, ['ai', 'crypto', 'nft']);
+  expect(data.map((d) => [d.name, d.withCount, d.withoutCount])).toEqual([
+    ['ai', 2, 3],
+    ['crypto', 1, 4],
+    ['nft', 0, 5],
+    ['any keyword', 3, 2],
+  ]);
+  expect(keywords[2]).toMatchObject({ mean_with: null, p_value: null });
+  expect(data[2].withKeyword).toBe(0);
+  expect(describeKeywordRow(keywords[2], 'views')).toBe('"nft": no matches.');
+  expect(describeKeywordRow(keywords[1], 'views')).toMatch(/too few on one side/);
+});
+
+test('compare_keyword_engagement on CSV rows and channel JSON', () => {
+  const texts = ['AI wins', 'AI again', 'AI ok', 'AI x', 'AI y', 'said a', 'said b', 'said c', 'said d', 'said e', 'said f'];
+  const values = [1, 2, 3, 4, 5, 2, 4, 6, 8, 10, 12];
+
+  const csv = executeTool('compare_keyword_engagement', { keywords: ['ai'] }, texts.map((t, i) => ({ Text: t, Likes: values[i] })));
+  expect(csv.summary).toMatchObject({ metric_column: 'Likes', text_column: 'Text', rows_analyzed: 11 });
+  expect(csv.summary.keywords[0]).toMatchObject({ n_with: 5, n_without: 6, t: -2.376, p_value: 0.0493 });
+
+  const videos = texts.map((title, i) => ({ title, view_count: values[i] }));
+  const json = executeJsonTool('compare_keyword_engagement', { keywords: 'ai' }, videos);
+  expect(json._chartType).toBe('engagement');
+  expect(json.summary.keywords[0]).toMatchObject({ n_with: 5, p_value: 0.0493 });
+  expect(executeJsonTool('compare_keyword_engagement', { keywords: [] }, videos).error).toMatch(/at least one keyword/);
+});
@@ -1,9 +1,130 @@
 const API = process.env.REACT_APP_API_URL || '';
 
+// ── Auth tokens
+// Login returns a short-lived access token plus a refresh token. Both live in
+// localStorage; every request carries the access token and a 401 triggers one
+// refresh attempt before the user is logged out.
+
+const AUTH_KEY = 'chatapp_auth';
+const REFRESH_MARGIN_MS = 30 * 1000;
+
+let authExpiredHandler = null;
+let refreshing = null;
+
+const readAuth = () => {
+  try {
+    return JSON.parse(localStorage.getItem(AUTH_KEY)) || null;
+  } catch {
+    return null;
+  }
+};
+
+const storeAuth = ({ token, refreshToken, expiresAt }) => {
+  localStorage.setItem(AUTH_KEY, JSON.stringify({ token, refreshToken, expiresAt }));
+};
+
+export const hasAuth = () => !!readAuth()?.refreshToken;
+
+export const clearAuth = () => localStorage.removeItem(AUTH_KEY);
+
+// Called when the session can no longer be refreshed (App logs the user out).
+export const setAuthExpiredHandler = (fn) => {
+  authExpiredHandler = fn;
+};
+
+const refreshAuth = () => {
+  const auth = readAuth();
+  if (!auth?.refreshToken) return Promise.resolve(false);
+  // Concurrent requests share a single in-flight refresh
+  refreshing =
+    refreshing ||
+    fetch(`${API}/api/auth/refresh`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken: auth.refreshToken }),
+    })
+      .then(async (res) => {
+        if (!res.ok) return false;
+        storeAuth(await res.json());
+        return true;
+      })
+      .catch(() => false)
+      .finally(() => {
+        refreshing = null;
+      });
+  return refreshing;
+};
+
+// fetch() against the backend with the access token attached. Returns the raw
+// Response so streaming (SSE) callers can read the body themselves.
+export const authFetch = async (path, options = {}) => {
+  const auth = readAuth();
+  if (auth?.expiresAt && auth.expiresAt - Date.now() < REFRESH_MARGIN_MS) await refreshAuth();
+
+  const send = () => {
+    const token = readAuth()?.token;
+    return fetch(`${API}${path}`, {
+      ...options,
+      headers: {
+        ...options.headers,
+        ...(token && { Authorization: `Bearer ${token}` }),
+      },
+    });
+  };
+
+  let res = await send();
+  if (res.status === 401 && (await refreshAuth())) res = await send();
+  if (res.status === 401 && hasAuth()) {
+    clearAuth();
+    authExpiredHandler?.();
+  }
+  return res;
+};
+
+// Yields each `data: {...}` event of a server-sent-events response body.
+export async function* readSse(response) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      for (const line of lines) {
+        if (!line.startsWith('data: ')) continue;
+        let event;
+        try {
+          event = JSON.parse(line.slice(6));
+        } catch {
+          continue; // ignore malformed SSE lines
+        }
+        yield event;
+      }
+    }
+  } finally {
+    // Consumer stopped early (Stop button, unmount) — close the connection
+    reader.cancel().catch(() => {});
+  }
+}
+
+// The readable part of an api() failure, whose message is the response body:
+// the server's `{ "error": … }` field, or the message as is.
+export const errorMessage = (err) => {
+  try {
+    return JSON.parse(err.message).error || err.message;
+  } catch {
+    return err.message;
+  }
+};
+
 const api = async (path, options = {}) => {
-  const res = await fetch(`${API}${path}`, {
-    headers: { 'Content-Type': 'application/json', ...options.headers },
+  const res = await authFetch(path, {
     ...options,
+    headers: { 'Content-Type': 'application/json', ...options.headers },
   });
   const text = await res.text();
   if (!res.ok) throw new Error(text || res.statusText);
@@ -24,20 +145,20 @@ export const findUser = async (username, password) => {
     method: 'POST',
     body: JSON.stringify({ username, password }),
   });
-  return data.ok
-    ? { username: data.username, firstName: data.firstName || '', lastName: data.lastName || '' }
-    : null;
+  if (!data.ok) return null;
+  storeAuth(data);
+  return { username: data.username, firstName: data.firstName || '', lastName: data.lastName || '' };
 };
 
 // ── Sessions
-export const getSessions = async (username) => {
-  return api(`/api/sessions?username=${encodeURIComponent(username)}`);
+export const getSessions = async () => {
+  return api('/api/sessions');
 };
 
-export const createSession = async (username, agent = null, title = null) => {
+export const createSession = async (agent = null, title = null) => {
   return api('/api/sessions', {
     method: 'POST',
-    body: JSON.stringify({ username, agent, title }),
+    body: JSON.stringify({ agent, title }),
   });
 };
 
@@ -52,6 +173,82 @@ export const updateSessionTitle = async (sessionId, title) => {
   });
 };
 
+// ── Datasets
+// Same cap as the server; checked here so an oversized file fails before it is
+// uploaded.
+export const MAX_DATASET_BYTES = 8 * 1024 * 1024;
+
+export const saveDataset = async (sessionId, name, kind, content) => {
+  if (new Blob([content]).size > MAX_DATASET_BYTES)
+    throw new Error(`Datasets are limited to ${MAX_DATASET_BYTES / 1024 / 1024} MB`);
+  return api(`/api/sessions/${sessionId}/datasets`, {
+    method: 'POST',
+    body: JSON.stringify({ name, kind, content }),
+  });
+};
+
+export const listDatasets = async (sessionId) => {
+  return api(`/api/sessions/${sessionId}/datasets`);
+};
+
+export const loadDataset = async (datasetId) => {
+  return api(`/api/datasets/${datasetId}`);
+};
+
+export const deleteDataset = async (datasetId) => {
+  return api(`/api/datasets/${datasetId}`, { method: 'DELETE' });
+};
+
+// ── Channel library
+export const listChannels = async () => {
+  return api('/api/channels');
+};
+
+export const loadChannel = async (channelId) => {
+  return api(`/api/channels/${channelId}`);
+};
+
+export const deleteChannel = async (channelId) => {
+  return api(`/api/channels/${channelId}`, { method: 'DELETE' });
+};
+
+// Creates a chat session with the snapshot attached; returns { sessionId }
+export const analyzeChannel = async (channelId) => {
+  return api(`/api/channels/${channelId}/analyze`, { method: 'POST' });
+};
+
+// ── Download jobs
+export const createDownloadJob = async (params) => {
+  return api('/api/youtube/jobs', { method: 'POST', body: JSON.stringify(params) });
+};
+
+export const listDownloadJobs = async () => {
+  return api('/api/youtube/jobs');
+};
+
+export const cancelDownloadJob = async (jobId) => {
+  return api(`/api/youtube/jobs/${jobId}/cancel`, { method: 'POST' });
+};
+
+export const retryDownloadJob = async (jobId) => {
+  return api(`/api/youtube/jobs/${jobId}/retry`, { method: 'POST' });
+};
+
+export const deleteDownloadJob = async (jobId) => {
+  return api(`/api/youtube/jobs/${jobId}`, { method: 'DELETE' });
+};
+
+// Yields the job after every change until it finishes. Safe to call again
+// after a reload — the job keeps running on the server either way.
+export async function* followDownloadJob(jobId, signal) {
+  const res = await authFetch(`/api/youtube/jobs/${jobId}/events`, { signal });
+  if (!res.ok) throw new Error((await res.text()) || res.statusText);
+  for await (const event of readSse(res)) {
+    if (event.type === 'error') throw new Error(event.message);
+    if (event.type === 'job') yield event.job;
+  }
+}
+
 // ── Messages
 export const saveMessage = async (
   sessionId,
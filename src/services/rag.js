@@ -0,0 +1,233 @@
+import { embedTexts } from './gemini';
+import { tokenize } from './text';
+
+// ── Channel content index ─────────────────────────────────────────────────────
+// Retrieval over everything a loaded channel JSON says: titles, descriptions
+// and transcripts are cut into passages, embedded once when the JSON loads,
+// and searched by similarity to the user's question.
+//
+// An embedder is { name, embedDocuments(texts) → vectors, embedQuery(text) →
+// vector, similarity(query, vector) → number }. REACT_APP_EMBEDDER selects it:
+// "local" (default) is a TF-IDF model built from the passages themselves and
+// works offline; "remote" asks the server's LLM provider (/api/embed) and
+// falls back to local when the provider can't embed.
+
+// Passages are about this many words — roughly 30–45 seconds of speech.
+const CHUNK_WORDS = 120;
+// Passages scoring below this share nothing meaningful with the query.
+const MIN_SIMILARITY = 0.05;
+
+// Yields to the browser between batches so a big channel doesn't freeze the UI.
+const pause = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+// ── Chunking ──────────────────────────────────────────────────────────────────
+
+const wordChunks = (text, size = CHUNK_WORDS) => {
+  const words = String(text || '').split(/\s+/).filter(Boolean);
+  const chunks = [];
+  for (let i = 0; i < words.length; i += size) chunks.push(words.slice(i, i + size).join(' '));
+  return chunks;
+};
+
+// Consecutive caption segments packed into passages. `marks` keeps each
+// segment's [character offset, start seconds] so a hit can be linked to the
+// line it was found in rather than the start of the passage.
+const transcriptChunks = (segments) => {
+  const chunks = [];
+  let current = null;
+  const flush = () => {
+    chunks.push({ start: current.marks[0][1], text: current.words.join(' '), marks: current.marks });
+    current = null;
+  };
+  for (const seg of segments) {
+    const words = String(seg.text || '').split(/\s+/).filter(Boolean);
+    if (!words.length) continue;
+    if (!current) current = { words: [], marks: [], length: 0 };
+    current.marks.push([current.length, seg.start]);
+    current.words.push(...words);
+    current.length += words.join(' ').length + 1;
+    if (current.words.length >= CHUNK_WORDS) flush();
+  }
+  if (current) flush();
+  return chunks;
+};
+
+// One video → [{ videoIndex, source: 'title' | 'description' | 'transcript', start, text, marks? }].
+// start (seconds) is only known for timed transcripts.
+export const chunkVideo = (video, videoIndex) => {
+  const chunks = [];
+  if (video.title) chunks.push({ videoIndex, source: 'title', start: null, text: video.title });
+  for (const text of wordChunks(video.description)) {
+    chunks.push({ videoIndex, source: 'description', start: null, text });
+  }
+  const timed = video.transcript_segments?.length
+    ? transcriptChunks(video.transcript_segments)
+    : wordChunks(video.transcript).map((text) => ({ start: null, text })); // older snapshots
+  for (const chunk of timed) chunks.push({ videoIndex, source: 'transcript', ...chunk });
+  return chunks;
+};
+
+// Start time of the caption line where the first of `terms` appears in a
+// transcript passage; the passage start when none does.
+export const passageStart = (chunk, terms) => {
+  if (!chunk.marks) return chunk.start;
+  const lower = chunk.text.toLowerCase();
+  const at = terms.map((t) => lower.indexOf(t)).find((i) => i >= 0);
+  if (at == null) return chunk.start;
+  let start = chunk.start;
+  for (const [offset, seconds] of chunk.marks) {
+    if (offset > at) break;
+    start = seconds;
+  }
+  return start;
+};
+
+// ── Embedders ─────────────────────────────────────────────────────────────────
+
+// TF-IDF over the indexed passages. Vectors are sparse ({ ids, weights },
+// L2-normalised); a query is a Map of term id → weight.
+export const createLocalEmbedder = () => {
+  const vocab = new Map(); // term → { id }
+  let idfs = []; // by term id
+
+  const weigh = (text) => {
+    const counts = new Map();
+    for (const term of tokenize(text)) {
+      const entry = vocab.get(term);
+      if (entry) counts.set(entry.id, (counts.get(entry.id) || 0) + 1);
+    }
+    const weights = new Map();
+    let norm = 0;
+    for (const [id, n] of counts) {
+      const w = (1 + Math.log(n)) * idfs[id];
+      weights.set(id, w);
+      norm += w * w;
+    }
+    norm = Math.sqrt(norm) || 1;
+    for (const [id, w] of weights) weights.set(id, w / norm);
+    return weights;
+  };
+
+  return {
+    name: 'local',
+
+    // Builds the vocabulary from these texts, then embeds them. Each call
+    // replaces the previous vocabulary, so pass the whole corpus at once.
+    async embedDocuments(texts) {
+      vocab.clear();
+      const df = [];
+      for (let i = 0; i < texts.length; i++) {
+        for (const term of new Set(tokenize(texts[i]))) {
+          if (!vocab.has(term)) vocab.set(term, { id: df.push(0) - 1 });
+          df[vocab.get(term).id]++;
+        }
+        if (i % 1000 === 999) await pause();
+      }
+      idfs = df.map((n) => Math.log((1 + texts.length) / (1 + n)) + 1);
+
+      const vectors = [];
+      for (let i = 0; i < texts.length; i++) {
+        const weights = weigh(texts[i]);
+        vectors.push({ ids: Int32Array.from(weights.keys()), weights: Float32Array.from(weights.values()) });
+        if (i % 1000 === 999) await pause();
+      }
+      return vectors;
+    },
+
+    async embedQuery(text) {
+      return weigh(text);
+    },
+
+    similarity(query, { ids, weights }) {
+      let sum = 0;
+      for (let i = 0; i < ids.length; i++) sum += (query.get(ids[i]) || 0) * weights[i];
+      return sum;
+    },
+  };
+};
+
+const normalise = (values) => {
+  const vector = Float32Array.from(values);
+  const norm = Math.sqrt(vector.reduce((s, v) => s + v * v, 0)) || 1;
+  return vector.map((v) => v / norm);
+};
+
+// Dense vectors from the server's LLM provider, sent in batches of 100.
+export const createRemoteEmbedder = () => ({
+  name: 'remote',
+
+  async embedDocuments(texts) {
+    const vectors = [];
+    for (let i = 0; i < texts.length; i += 100) {
+      vectors.push(...(await embedTexts(texts.slice(i, i + 100))).map(normalise));
+    }
+    return vectors;
+  },
+
+  async embedQuery(text) {
+    return normalise((await embedTexts([text], 'RETRIEVAL_QUERY'))[0]);
+  },
+
+  similarity(query, vector) {
+    let sum = 0;
+    for (let i = 0; i < vector.length; i++) sum += query[i] * vector[i];
+    return sum;
+  },
+});
+
+export const createEmbedder = () =>
+  process.env.REACT_APP_EMBEDDER === 'remote' ? createRemoteEmbedder() : createLocalEmbedder();
+
+// ── Index ─────────────────────────────────────────────────────────────────────
+
+// Resolves to { videos, chunks, vectors, embedder }, or null when the videos
+// have no text to index.
+export const buildContentIndex = async (videos, embedder = createEmbedder()) => {
+  const chunks = videos.flatMap(chunkVideo);
+  if (!chunks.length) return null;
+  try {
+    const vectors = await embedder.embedDocuments(chunks.map((c) => c.text));
+    return { videos, chunks, vectors, embedder };
+  } catch (err) {
+    if (embedder.name === 'local') throw err;
+    console.warn(`[RAG] ${embedder.name} embedder failed, using local TF-IDF:`, err.message);
+    return buildContentIndex(videos, createLocalEmbedder());
+  }
+};
+
+// Local indexes of the same videos, built the first time a remote embedder
+// can't embed a query (by index).
+const localFallbacks = new WeakMap();
+
+// Best passages for a query, at most `perVideo` from any one video.
+// filter(chunk) can exclude passages. Returns [{ chunk, score }].
+export const searchContentIndex = async (index, query, { limit = 5, perVideo = 2, filter } = {}) => {
+  const { chunks, vectors, embedder } = index;
+  let q;
+  try {
+    q = await embedder.embedQuery(query);
+  } catch (err) {
+    if (embedder.name === 'local') throw err;
+    console.warn(`[RAG] ${embedder.name} query embedding failed, using local TF-IDF:`, err.message);
+    if (!localFallbacks.has(index)) localFallbacks.set(index, buildContentIndex(index.videos, createLocalEmbedder()));
+    return searchContentIndex(await localFallbacks.get(index), query, { limit, perVideo, filter });
+  }
+  const scored = [];
+  for (let i = 0; i < chunks.length; i++) {
+    if (filter && !filter(chunks[i])) continue;
+    const score = embedder.similarity(q, vectors[i]);
+    if (score >= MIN_SIMILARITY) scored.push({ chunk: chunks[i], score });
+  }
+  scored.sort((a, b) => b.score - a.score);
+
+  const taken = new Map(); // videoIndex → passages returned
+  const hits = [];
+  for (const hit of scored) {
+    const n = taken.get(hit.chunk.videoIndex) || 0;
+    if (n >= perVideo) continue;
+    taken.set(hit.chunk.videoIndex, n + 1);
+    hits.push(hit);
+    if (hits.length >= limit) break;
+  }
+  return hits;
+};
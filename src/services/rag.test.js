@@ -0,0 +1,83 @@
+import { buildContentIndex, chunkVideo, createLocalEmbedder, passageStart, searchContentIndex } from './rag';
+
+const SEGMENTS = [
+  { start: 0, text: 'Hey everyone, welcome back' },
+  { start: 12.5, text: 'today we review the new camera' },
+  { start: 30, text: 'and the battery life is great' },
+];
+
+const VIDEOS = [
+  { title: 'Phone review', description: 'Full review of the phone.', transcript_segments: SEGMENTS },
+  { title: 'Sourdough bread at home', description: 'Flour, water, salt and patience.' },
+  { title: 'Laptop battery test', transcript: 'we ran the laptop until the battery died after ten hours' },
+];
+
+test('a video becomes title, description and timed transcript passages', () => {
+  const [title, description, transcript] = chunkVideo(VIDEOS[0], 4);
+  expect(title).toEqual({ videoIndex: 4, source: 'title', start: null, text: 'Phone review' });
+  expect(description).toMatchObject({ source: 'description', start: null });
+  expect(transcript).toMatchObject({ videoIndex: 4, source: 'transcript', start: 0 });
+  expect(transcript.text).toBe(SEGMENTS.map((s) => s.text).join(' '));
+  expect(transcript.marks.map(([, seconds]) => seconds)).toEqual([0, 12.5, 30]);
+
+  // Older snapshots: untimed transcript text
+  expect(chunkVideo(VIDEOS[2], 0)[1]).toEqual({
+    videoIndex: 0,
+    source: 'transcript',
+    start: null,
+    text: VIDEOS[2].transcript,
+  });
+
+  // Long descriptions are cut into passages of about 120 words
+  const long = chunkVideo({ description: Array.from({ length: 250 }, (_, i) => `w${i}`).join(' ') }, 0);
+  expect(long.map((c) => c.text.split(' ').length)).toEqual([120, 120, 10]);
+});
+
+test('passageStart links a hit to the caption line it was found in', () => {
+  const transcript = chunkVideo(VIDEOS[0], 0)[2];
+  expect(passageStart(transcript, ['battery'])).toBe(30);
+  expect(passageStart(transcript, ['camera'])).toBe(12.5);
+  expect(passageStart(transcript, ['welcome'])).toBe(0);
+  expect(passageStart(transcript, ['tripod', 'review'])).toBe(12.5); // first term that appears
+  expect(passageStart(transcript, ['tripod'])).toBe(0); // none: the passage start
+  expect(passageStart({ start: null, text: 'battery' }, ['battery'])).toBeNull(); // untimed
+});
+
+test('the local embedder ranks the matching passage first', async () => {
+  const index = await buildContentIndex(VIDEOS, createLocalEmbedder());
+  expect(index.embedder.name).toBe('local');
+
+  const [best, ...rest] = await searchContentIndex(index, 'how long does the battery last');
+  expect(best.chunk).toMatchObject({ videoIndex: 2 });
+  expect(rest.every((hit) => hit.score <= best.score)).toBe(true);
+
+  const [bread] = await searchContentIndex(index, 'baking sourdough bread');
+  expect(bread.chunk).toMatchObject({ videoIndex: 1, source: 'title' });
+
+  expect(await searchContentIndex(index, 'quantum chromodynamics')).toEqual([]);
+  const onePerVideo = await searchContentIndex(index, 'review battery', { perVideo: 1 });
+  expect(new Set(onePerVideo.map((h) => h.chunk.videoIndex)).size).toBe(onePerVideo.length);
+});
+
+test('a failing remote embedder falls back to local; no text means no index', async () => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  const remote = {
+    name: 'remote',
+    embedDocuments: () => Promise.reject(new Error('no embedding model')),
+  };
+  const index = await buildContentIndex(VIDEOS, remote);
+  expect(index.embedder.name).toBe('local');
+  expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('remote embedder failed'), 'no embedding model');
+
+  expect(await buildContentIndex([{ view_count: 5 }], createLocalEmbedder())).toBeNull();
+});
+
+test('a remote index whose query embedding fails is searched with a local one', async () => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  const local = await buildContentIndex(VIDEOS, createLocalEmbedder());
+  const remote = { ...local, embedder: { name: 'remote', embedQuery: () => Promise.reject(new Error('HTTP 500')) } };
+
+  const [bread] = await searchContentIndex(remote, 'baking sourdough bread');
+  expect(bread.chunk).toMatchObject({ videoIndex: 1, source: 'title' });
+  expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('remote query embedding failed'), 'HTTP 500');
+});
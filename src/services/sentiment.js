@@ -0,0 +1,136 @@
+import { classifyComments as classifyRemote } from './gemini';
+import { contentWords, normalizeText, stem } from './text';
+
+// ── Comment sentiment ─────────────────────────────────────────────────────────
+// Labels comments for analyze_comments as { sentiment, score, kind }:
+// sentiment positive / neutral / negative, score in [-1, 1], kind question /
+// request / praise / criticism / other. REACT_APP_SENTIMENT selects the
+// classifier: "local" (default) is a word lexicon that works offline;
+// "remote" asks the server's LLM provider (/api/comments/classify) and falls
+// back to local when the provider can't classify.
+
+// Word → valence from -3 to 3 (AFINN-style). Stems are matched, so plurals
+// and "'s" forms count too.
+const LEXICON = Object.fromEntries(
+  Object.entries({
+    3: 'amazing awesome brilliant excellent fantastic incredible love loved masterpiece outstanding perfect phenomenal superb wonderful best legend legendary goat',
+    2: 'beautiful clear cool enjoy enjoyed fun glad good great happy helpful impressive informative interesting inspiring insightful like liked nice recommend thank thanks underrated useful valuable wow fascinating favorite favourite clever genius',
+    1: 'agree better easy fine ok okay solid support well worth appreciate respect',
+    '-1': 'confusing disagree doubt long meh slow wrong unclear missing mistake',
+    '-2': 'annoying bad boring clickbait disappointed disappointing fake misleading poor sad stupid ugly useless waste worse lazy cringe',
+    '-3': 'awful disgusting garbage hate hated horrible pathetic scam terrible trash worst',
+  }).flatMap(([score, words]) => words.split(' ').map((w) => [stem(w), Number(score)]))
+);
+
+const EMOJI_VALENCE = [
+  [/[❤💕💯👏🙌😍🥰😊😁👍🔥🤩]/gu, 2],
+  [/[😂🤣]/gu, 1],
+  [/[👎😡🤬😠🤮💩]/gu, -2],
+  [/[😢😞😒🙄]/gu, -1],
+];
+
+const NEGATIONS = new Set(['not', 'no', 'never', 'nothing', 'dont', 'didnt', 'doesnt', 'isnt', 'wasnt', 'cant', 'wont', 'aint']);
+const INTENSIFIERS = new Set(['very', 'so', 'really', 'super', 'extremely', 'absolutely', 'truly', 'incredibly']);
+// How many words after a negation it still flips
+const NEGATION_REACH = 3;
+
+const REQUEST_RE =
+  /\b(please|pls|plz)\b.*\b(make|do|cover|review|talk|upload|try)\b|\b(can|could|would|will) you (please )?(make|do|cover|review|talk|upload|react|try)\b|\b(do|make) (a|an|another) (video|part|series|tutorial|follow.?up)\b|\bpart \d+\b|\bnext video\b|\byou should (make|do|cover|try|review)\b|\b(love|like) to see\b|\bmore (videos|content) (on|about)\b/i;
+const QUESTION_START = /^(who|what|when|where|why|how|is|are|does|do|did|can|could|should|will|would|which)\b/i;
+
+// Lexicon sentiment of one comment.
+const lexiconLabel = (text) => {
+  // Apostrophes dropped so "don't" reads as the negation "dont"
+  const words = normalizeText(text).replace(/'/g, '').split(' ');
+  let sum = 0;
+  let negatedFor = 0;
+  let boost = 1;
+  for (const word of words) {
+    const valence = LEXICON[stem(word)];
+    if (valence) {
+      sum += valence * boost * (negatedFor > 0 ? -0.75 : 1);
+      boost = 1;
+    }
+    if (NEGATIONS.has(word)) negatedFor = NEGATION_REACH;
+    else negatedFor -= 1;
+    if (INTENSIFIERS.has(word)) boost = 1.5;
+  }
+  for (const [re, valence] of EMOJI_VALENCE) sum += (text.match(re) || []).length * valence;
+  if (sum && /!/.test(text)) sum *= 1.2;
+
+  // Squashed into [-1, 1] the way VADER normalises its sums
+  const score = sum / Math.sqrt(sum * sum + 15);
+  const sentiment = score > 0.1 ? 'positive' : score < -0.1 ? 'negative' : 'neutral';
+  return { sentiment, score: +score.toFixed(2), kind: commentKind(text, score) };
+};
+
+// question / request / praise / criticism / other — requests first, since
+// most of them are phrased as questions ("can you do one on…?").
+const commentKind = (text, score) => {
+  if (REQUEST_RE.test(text)) return 'request';
+  if (text.includes('?') || QUESTION_START.test(text.trim())) return 'question';
+  if (score >= 0.4) return 'praise';
+  if (score <= -0.4) return 'criticism';
+  return 'other';
+};
+
+// Server batches are capped at 500 comments
+const REMOTE_BATCH = 500;
+
+// texts → { method: 'model' | 'lexicon', labels: [{ sentiment, score, kind }] }
+export const classifyComments = async (texts) => {
+  if (process.env.REACT_APP_SENTIMENT === 'remote') {
+    try {
+      const labels = [];
+      for (let i = 0; i < texts.length; i += REMOTE_BATCH) {
+        labels.push(...(await classifyRemote(texts.slice(i, i + REMOTE_BATCH))));
+      }
+      return { method: 'model', labels };
+    } catch (err) {
+      console.warn('[Sentiment] remote classifier failed, using the lexicon:', err.message);
+    }
+  }
+  return { method: 'lexicon', labels: texts.map(lexiconLabel) };
+};
+
+// ── Recurring themes ──────────────────────────────────────────────────────────
+
+// Words every request or question uses, which say nothing about the topic
+const FILLER = new Set(
+  'video videos make made please pls plz could would like next one channel know think get really love see want ' +
+    'part also much well thank thanks guy people thing way time even still need good great'
+    .split(' ')
+);
+
+// Terms (words and word pairs) shared by at least `min` comments, most
+// common first: [{ theme, count, examples }] with the most-liked examples.
+export const recurringThemes = (comments, { min = 2, limit = 6, examples = 2 } = {}) => {
+  const byTerm = new Map();
+  comments.forEach((c) => {
+    const words = contentWords(c.text).map(stem).filter((w) => !FILLER.has(w));
+    const terms = new Set([...words, ...words.slice(1).map((w, i) => `${words[i]} ${w}`)]);
+    terms.forEach((t) => byTerm.set(t, [...(byTerm.get(t) || []), c]));
+  });
+
+  const themes = [];
+  const covered = new Set();
+  [...byTerm]
+    .filter(([, list]) => list.length >= min)
+    // Pairs first on ties: "black hole" says more than "hole"
+    .sort((a, b) => b[1].length - a[1].length || b[0].split(' ').length - a[0].split(' ').length)
+    .forEach(([theme, list]) => {
+      if (themes.length >= limit) return;
+      // Skip a term whose comments an earlier theme already covers
+      if (list.every((c) => covered.has(c))) return;
+      list.forEach((c) => covered.add(c));
+      themes.push({
+        theme,
+        count: list.length,
+        examples: [...list]
+          .sort((a, b) => (b.like_count || 0) - (a.like_count || 0))
+          .slice(0, examples)
+          .map((c) => c.text.slice(0, 200)),
+      });
+    });
+  return themes;
+};
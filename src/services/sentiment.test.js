@@ -0,0 +1,73 @@
+import { classifyComments as classifyRemote } from './gemini';
+import { classifyComments, recurringThemes } from './sentiment';
+
+jest.mock('./gemini', () => ({ classifyComments: jest.fn() }));
+
+const label = async (text) => (await classifyComments([text])).labels[0];
+
+test.each([
+  ['This is amazing, I love it!', 'positive', 'praise'],
+  ['Terrible video, total waste of time', 'negative', 'criticism'],
+  ['🔥🔥🔥', 'positive', 'praise'],
+  ['Uploaded on a Tuesday', 'neutral', 'other'],
+])('obvious comments: %s', async (text, sentiment, kind) => {
+  expect(await label(text)).toMatchObject({ sentiment, kind });
+});
+
+test.each([
+  ['not good', 'negative'],
+  ["I don't like this", 'negative'],
+  ['not bad at all', 'positive'],
+  ['never boring', 'positive'],
+])('negation flips the words after it: %s', async (text, sentiment) => {
+  expect((await label(text)).sentiment).toBe(sentiment);
+});
+
+test('negation only reaches a few words; intensifiers and "!" strengthen', async () => {
+  expect((await label('no time to watch yet, but the editing looks good')).sentiment).toBe('positive');
+  expect((await label('really good')).score).toBeGreaterThan((await label('good')).score);
+  expect((await label('good!')).score).toBeGreaterThan((await label('good')).score);
+});
+
+test.each([
+  ['Can you make a video on black holes?', 'request'],
+  ['Please do a part 2', 'request'],
+  ['How do you edit these?', 'question'],
+  ['what camera is this', 'question'],
+])('kind: %s', async (text, kind) => {
+  expect((await label(text)).kind).toBe(kind);
+});
+
+test('uses the lexicon unless the remote classifier is selected and works', async () => {
+  expect(await classifyComments(['great'])).toMatchObject({ method: 'lexicon' });
+  expect(classifyRemote).not.toHaveBeenCalled();
+
+  process.env.REACT_APP_SENTIMENT = 'remote';
+  try {
+    classifyRemote.mockResolvedValue([{ sentiment: 'neutral', score: 0, kind: 'other' }]);
+    expect(await classifyComments(['great'])).toEqual({
+      method: 'model',
+      labels: [{ sentiment: 'neutral', score: 0, kind: 'other' }],
+    });
+
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    classifyRemote.mockRejectedValue(new Error('provider cannot classify'));
+    const fallback = await classifyComments(['great']);
+    expect(fallback.method).toBe('lexicon');
+    expect(fallback.labels[0].sentiment).toBe('positive');
+  } finally {
+    delete process.env.REACT_APP_SENTIMENT;
+  }
+});
+
+test('recurring themes prefer word pairs and show the most-liked examples', () => {
+  const comments = [
+    { text: 'Black holes are terrifying', like_count: 3 },
+    { text: 'More on black holes please', like_count: 40 },
+    { text: 'The black hole animation was great', like_count: 10 },
+    { text: 'Love the music', like_count: 1 },
+  ];
+  expect(recurringThemes(comments)).toEqual([
+    { theme: 'black hole', count: 3, examples: ['More on black holes please', 'The black hole animation was great'] },
+  ]);
+});
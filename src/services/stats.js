@@ -0,0 +1,320 @@
+// ── Statistics helpers ────────────────────────────────────────────────────────
+// Small, dependency-free implementations for the analysis tools. Inputs are
+// plain arrays of numbers; callers drop missing values first.
+
+export const mean = (xs) => xs.reduce((a, b) => a + b, 0) / xs.length;
+
+// 1-based ranks, ties share their average rank.
+export const ranks = (xs) => {
+  const order = xs.map((x, i) => [x, i]).sort((a, b) => a[0] - b[0]);
+  const result = new Array(xs.length);
+  for (let i = 0; i < order.length; ) {
+    let j = i;
+    while (j + 1 < order.length && order[j + 1][0] === order[i][0]) j++;
+    for (let k = i; k <= j; k++) result[order[k][1]] = (i + j) / 2 + 1;
+    i = j + 1;
+  }
+  return result;
+};
+
+export const pearson = (xs, ys) => {
+  const mx = mean(xs);
+  const my = mean(ys);
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (let i = 0; i < xs.length; i++) {
+    sxy += (xs[i] - mx) * (ys[i] - my);
+    sxx += (xs[i] - mx) ** 2;
+    syy += (ys[i] - my) ** 2;
+  }
+  return sxx && syy ? sxy / Math.sqrt(sxx * syy) : 0;
+};
+
+// Rank correlation — robust to the long tail of view counts.
+export const spearman = (xs, ys) => pearson(ranks(xs), ranks(ys));
+
+// ── Distributions ─────────────────────────────────────────────────────────────
+
+// Lanczos approximation of ln Γ(x)
+const lnGamma = (x) => {
+  const g = [
+    676.5203681218851, -1259.1392167224028, 771.32342877765313, -176.61502916214059,
+    12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7,
+  ];
+  if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - lnGamma(1 - x);
+  let a = 0.99999999999980993;
+  const t = x + 6.5;
+  for (let i = 0; i < g.length; i++) a += g[i] / (x + i);
+  return 0.5 * Math.log(2 * Math.PI) + (x - 0.5) * Math.log(t) - t + Math.log(a);
+};
+
+// Continued fraction for the incomplete beta function (Numerical Recipes betacf)
+const betaFraction = (x, a, b) => {
+  const tiny = 1e-30;
+  let c = 1;
+  let d = 1 - ((a + b) * x) / (a + 1);
+  if (Math.abs(d) < tiny) d = tiny;
+  d = 1 / d;
+  let h = d;
+  for (let m = 1; m <= 200; m++) {
+    const m2 = 2 * m;
+    let aa = (m * (b - m) * x) / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    h *= d * c;
+    aa = (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-12) break;
+  }
+  return h;
+};
+
+// Regularized incomplete beta I_x(a, b)
+const betaInc = (x, a, b) => {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(lnGamma(a + b) - lnGamma(a) - lnGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  return x < (a + 1) / (a + b + 2)
+    ? (front * betaFraction(x, a, b)) / a
+    : 1 - (front * betaFraction(1 - x, b, a)) / b;
+};
+
+// Two-sided p-value of a Student t statistic with df degrees of freedom.
+export const tTestPValue = (t, df) => {
+  if (!isFinite(t)) return 0;
+  return betaInc(df / (df + t * t), df / 2, 0.5);
+};
+
+// p-value for H0: no correlation, from r over n pairs.
+export const correlationPValue = (r, n) => {
+  if (n < 3) return 1;
+  if (Math.abs(r) >= 1) return 0;
+  return tTestPValue(r * Math.sqrt((n - 2) / (1 - r * r)), n - 2);
+};
+
+// { r, p, n, strength } for paired samples; null with fewer than 3 pairs.
+export const correlation = (xs, ys, method = 'spearman') => {
+  if (xs.length < 3) return null;
+  const r = method === 'pearson' ? pearson(xs, ys) : spearman(xs, ys);
+  const p = correlationPValue(r, xs.length);
+  return { r: +r.toFixed(3), p: +p.toPrecision(3), n: xs.length, strength: describeCorrelation(r, p) };
+};
+
+// "moderate negative (significant)" — plain-language reading of r and p.
+export const describeCorrelation = (r, p) => {
+  const size = Math.abs(r);
+  const label = size < 0.1 ? 'no' : size < 0.3 ? 'weak' : size < 0.5 ? 'moderate' : 'strong';
+  const direction = size < 0.1 ? '' : r > 0 ? ' positive' : ' negative';
+  return `${label}${direction} correlation (${p < 0.05 ? 'significant' : 'not significant'}, p=${p.toPrecision(2)})`;
+};
+
+// ── Correlation and regression ───────────────────────────────────────────────
+
+// series: { name → number[] } aligned by item, NaN where missing. Each pair
+// uses the items that have both values.
+// Returns { fields, matrix: { a: { b: r } }, pairs: [{ a, b, r, p, n, strength }] }
+// with pairs strongest first.
+export const correlationMatrix = (series, method = 'spearman') => {
+  const fields = Object.keys(series);
+  const matrix = Object.fromEntries(fields.map((f) => [f, { [f]: 1 }]));
+  const pairs = [];
+  fields.forEach((a, i) => {
+    fields.slice(i + 1).forEach((b) => {
+      const both = series[a].map((x, k) => [x, series[b][k]]).filter(([x, y]) => !isNaN(x) && !isNaN(y));
+      const c = correlation(both.map(([x]) => x), both.map(([, y]) => y), method);
+      matrix[a][b] = matrix[b][a] = c ? c.r : null;
+      if (c) pairs.push({ a, b, ...c });
+    });
+  });
+  pairs.sort((x, y) => Math.abs(y.r) - Math.abs(x.r));
+  return { fields, matrix, pairs };
+};
+
+// Ordinary least squares y = slope·x + intercept; null with fewer than 3
+// points or no spread in x. p is the two-sided p-value for slope ≠ 0.
+export const linearRegression = (xs, ys) => {
+  const n = xs.length;
+  if (n < 3) return null;
+  const mx = mean(xs);
+  const my = mean(ys);
+  let sxx = 0;
+  let sxy = 0;
+  let syy = 0;
+  for (let i = 0; i < n; i++) {
+    sxx += (xs[i] - mx) ** 2;
+    sxy += (xs[i] - mx) * (ys[i] - my);
+    syy += (ys[i] - my) ** 2;
+  }
+  if (!sxx) return null;
+  const slope = sxy / sxx;
+  const intercept = my - slope * mx;
+  const residuals = ys.map((y, i) => y - (slope * xs[i] + intercept));
+  const sse = residuals.reduce((a, r) => a + r * r, 0);
+  const residualSe = Math.sqrt(sse / (n - 2));
+  const slopeSe = residualSe / Math.sqrt(sxx);
+  return {
+    slope,
+    intercept,
+    r2: syy ? 1 - sse / syy : 1,
+    n,
+    slope_se: slopeSe,
+    p: slopeSe ? tTestPValue(slope / slopeSe, n - 2) : 0,
+    residual_se: residualSe,
+    residuals,
+  };
+};
+
+// Regression on optionally log-transformed axes (ln(1 + v), for long-tailed
+// counts like views). Points with a negative value on a log axis are dropped.
+// Returns { fit, used, curve } — `used` are the indices of the points fitted
+// and `curve` samples the fitted line back in the original units for charting.
+export const fitLinear = (xs, ys, { logX = false, logY = false } = {}) => {
+  const tx = (v) => (logX ? Math.log1p(v) : v);
+  const ty = (v) => (logY ? Math.log1p(v) : v);
+  const used = xs.map((_, i) => i).filter((i) => (!logX || xs[i] >= 0) && (!logY || ys[i] >= 0));
+  const fit = linearRegression(used.map((i) => tx(xs[i])), used.map((i) => ty(ys[i])));
+  if (!fit) return null;
+  const lo = Math.min(...used.map((i) => xs[i]));
+  const hi = Math.max(...used.map((i) => xs[i]));
+  const steps = logX || logY ? 40 : 1;
+  const curve = Array.from({ length: steps + 1 }, (_, k) => {
+    const x = lo + ((hi - lo) * k) / steps;
+    const y = fit.slope * tx(x) + fit.intercept;
+    return { x, y: logY ? Math.expm1(y) : y };
+  });
+  return { fit, used, curve };
+};
+
+// "ln(1 + like_count) = 0.8756 × ln(1 + view_count) − 2.032"
+export const fitEquation = ({ slope, intercept }, { x, y, logX = false, logY = false }) => {
+  const name = (f, log) => (log ? `ln(1 + ${f})` : f);
+  const sign = intercept < 0 ? '−' : '+';
+  return `${name(y, logY)} = ${+slope.toPrecision(4)} × ${name(x, logX)} ${sign} ${+Math.abs(intercept).toPrecision(4)}`;
+};
+
+// "each extra 1 view count goes with 0.031 more like count" — plain reading of
+// a slope, on whichever scales were fitted.
+export const describeSlope = (slope, { x, y, logX = false, logY = false }) => {
+  const name = (f) => String(f).replace(/_/g, ' ');
+  const num = (v) => +v.toPrecision(3);
+  if (logX && logY) return `1% more ${name(x)} goes with about ${num(slope)}% more ${name(y)}`;
+  if (logY) return `each extra 1 ${name(x)} goes with about ${num((Math.exp(slope) - 1) * 100)}% more ${name(y)}`;
+  if (logX) return `doubling ${name(x)} goes with ${num(slope * Math.LN2)} more ${name(y)}`;
+  return `each extra 1 ${name(x)} goes with ${num(slope)} more ${name(y)}`;
+};
+
+// ── Outliers ──────────────────────────────────────────────────────────────────
+
+const medianOf = (xs) => {
+  const s = [...xs].sort((a, b) => a - b);
+  return s.length % 2 ? s[(s.length - 1) / 2] : (s[s.length / 2 - 1] + s[s.length / 2]) / 2;
+};
+
+// Linear-interpolated quantile, q in [0, 1].
+export const quantile = (xs, q) => {
+  const s = [...xs].sort((a, b) => a - b);
+  const pos = (s.length - 1) * q;
+  const lo = Math.floor(pos);
+  return s[lo] + (s[Math.min(lo + 1, s.length - 1)] - s[lo]) * (pos - lo);
+};
+
+// Median of the `window` neighbours around each value (half before, half
+// after, fewer at the ends), not counting the value itself.
+export const rollingBaseline = (values, window = 10) => {
+  const half = Math.max(1, Math.floor(window / 2));
+  return values.map((_, i) => {
+    const around = [...values.slice(Math.max(0, i - half), i), ...values.slice(i + 1, i + 1 + half)];
+    return around.length ? medianOf(around) : values[i];
+  });
+};
+
+// Flags values that beat (or trail) their rolling baseline. Values are compared
+// on the log scale — ln((value + 1) / (baseline + 1)) — so "3× the usual" counts
+// the same for a small and a big channel. method "zscore" flags |z| above
+// threshold (default 2); "iqr" flags beyond the quartiles ± threshold × IQR
+// (default 1.5). direction is "high", "low" or "both".
+// Returns [{ baseline, ratio, score, outlier: 'high' | 'low' | null }] in input order.
+export const flagOutliers = (values, { window = 10, method = 'zscore', threshold, direction = 'high' } = {}) => {
+  const baselines = rollingBaseline(values, window);
+  const residuals = values.map((v, i) => Math.log((Math.max(v, 0) + 1) / (Math.max(baselines[i], 0) + 1)));
+
+  let score;
+  let limit;
+  if (method === 'iqr') {
+    const q1 = quantile(residuals, 0.25);
+    const q3 = quantile(residuals, 0.75);
+    const iqr = q3 - q1 || 1e-9;
+    limit = threshold ?? 1.5;
+    // Distance beyond the nearer quartile, in IQRs
+    score = (r) => (r > q3 ? (r - q3) / iqr : r < q1 ? (r - q1) / iqr : 0);
+  } else {
+    const m = mean(residuals);
+    const sd = Math.sqrt(mean(residuals.map((r) => (r - m) ** 2))) || 1e-9;
+    limit = threshold ?? 2;
+    score = (r) => (r - m) / sd;
+  }
+
+  return values.map((v, i) => {
+    const s = score(residuals[i]);
+    const outlier =
+      s > limit && direction !== 'low' ? 'high' : s < -limit && direction !== 'high' ? 'low' : null;
+    return {
+      baseline: baselines[i],
+      ratio: baselines[i] > 0 ? +(v / baselines[i]).toFixed(2) : null,
+      score: +s.toFixed(2),
+      outlier,
+    };
+  });
+};
+
+// ── Group comparison ──────────────────────────────────────────────────────────
+
+const sampleVariance = (xs) => {
+  const m = mean(xs);
+  return xs.reduce((a, x) => a + (x - m) ** 2, 0) / (xs.length - 1);
+};
+
+// Welch's t-test for a difference in means without assuming equal variances.
+// Returns { t, df, p } (two-sided), or null when either group has fewer than
+// 2 values or neither varies.
+export const welchTTest = (a, b) => {
+  if (a.length < 2 || b.length < 2) return null;
+  const va = sampleVariance(a) / a.length;
+  const vb = sampleVariance(b) / b.length;
+  if (va + vb === 0) return null;
+  const t = (mean(a) - mean(b)) / Math.sqrt(va + vb);
+  const df = (va + vb) ** 2 / (va ** 2 / (a.length - 1) + vb ** 2 / (b.length - 1));
+  return { t, df, p: tTestPValue(t, df) };
+};
+
+// Means, counts and Welch's test for items with vs without some property.
+export const compareGroups = (withVals, withoutVals) => {
+  const test = welchTTest(withVals, withoutVals);
+  const meanOf = (xs) => (xs.length ? +mean(xs).toPrecision(4) : null);
+  const medianOf = (xs) => (xs.length ? +quantile(xs, 0.5).toPrecision(4) : null);
+  const withMean = meanOf(withVals);
+  const withoutMean = meanOf(withoutVals);
+  return {
+    n_with: withVals.length,
+    n_without: withoutVals.length,
+    mean_with: withMean,
+    mean_without: withoutMean,
+    median_with: medianOf(withVals),
+    median_without: medianOf(withoutVals),
+    lift: withMean != null && withoutMean ? +(withMean / withoutMean).toFixed(2) : null,
+    t: test ? +test.t.toFixed(3) : null,
+    df: test ? +test.df.toFixed(1) : null,
+    p_value: test ? +test.p.toPrecision(3) : null,
+    significant: test ? test.p < 0.05 : false,
+  };
+};
@@ -0,0 +1,109 @@
+import {
+  compareGroups,
+  correlation,
+  correlationMatrix,
+  fitLinear,
+  linearRegression,
+  ranks,
+  tTestPValue,
+  welchTTest,
+} from './stats';
+import { executeTool } from './csvTools';
+import { executeJsonTool } from './jsonTools';
+
+// Reference values from R: cor.test(x, y) and lm(y ~ x)
+const X = [1, 2, 3, 4, 5];
+const Y = [2, 4, 5, 4, 5];
+const NEAR_2X = [2.1, 3.9, 6.2, 7.8, 10.1];
+
+test('Pearson and Spearman r and p match R', () => {
+  expect(correlation(X, Y, 'pearson')).toMatchObject({ r: 0.775, p: 0.124, n: 5 });
+  expect(ranks(Y)).toEqual([1, 2.5, 4.5, 2.5, 4.5]); // ties share their average rank
+  expect(correlation(X, Y, 'spearman')).toMatchObject({ r: 0.738, p: 0.155, n: 5 });
+  expect(correlation(X, Y.map((v) => -v), 'pearson').strength).toMatch(/^strong negative/);
+});
+
+test('OLS recovers y ≈ 2x', () => {
+  const fit = linearRegression(X, NEAR_2X);
+  expect(fit.slope).toBeCloseTo(1.99, 10);
+  expect(fit.intercept).toBeCloseTo(0.05, 10);
+  expect(fit.r2).toBeCloseTo(0.99731, 5);
+  expect(fit.p).toBeLessThan(0.001);
+  expect(fit.residuals).toHaveLength(5);
+
+  // ln(1 + y) on ln(1 + x): the curve comes back in original units
+  const { curve } = fitLinear(X, NEAR_2X, { logX: true, logY: true });
+  expect(curve[0].x).toBe(1);
+  expect(curve[curve.length - 1].x).toBe(5);
+});
+
+test('degenerate inputs: fewer than 3 points, constant columns, NaN cells', () => {
+  expect(correlation([1, 2], [3, 4])).toBeNull();
+  expect(linearRegression([1, 2], [3, 4])).toBeNull();
+
+  expect(correlation(X, [3, 3, 3, 3, 3], 'pearson')).toMatchObject({ r: 0, p: 1 });
+  expect(linearRegression([2, 2, 2, 2], [1, 2, 3, 4])).toBeNull(); // no spread in x
+  expect(linearRegression(X, [7, 7, 7, 7, 7])).toMatchObject({ slope: 0, r2: 1 });
+
+  // Each pair uses only the items with both values
+  const { pairs, matrix } = correlationMatrix({ a: [1, 2, NaN, 4, 5], b: [2, 4, 6, NaN, 10], c: [NaN, NaN, 1, 2, NaN] });
+  expect(pairs).toEqual([expect.objectContaining({ a: 'a', b: 'b', r: 1, n: 3 })]);
+  expect(matrix.a.c).toBeNull();
+});
+
+test('correlation and regression tools on channel JSON and CSV rows', () => {
+  const videos = X.map((x, i) => ({ title: `v${i}`, view_count: x * 1000, like_count: NEAR_2X[i], comment_count: NaN }));
+  const json = executeJsonTool('compute_correlation', { fields: ['view_count', 'like_count'], method: 'pearson' }, videos);
+  expect(json.pairs[0]).toMatchObject({ a: 'view_count', b: 'like_count', n: 5 });
+  expect(executeJsonTool('compute_correlation', { fields: ['view_count', 'comment_count'] }, videos).error).toMatch(
+    /Fewer than 3/
+  );
+  const jsonFit = executeJsonTool('fit_regression', { x: 'like_count', y: 'view_count' }, videos);
+  expect(jsonFit._chartType).toBe('scatter');
+  expect(jsonFit.summary.n).toBe(5);
+
+  const rows = X.map((x, i) => ({ Text: `row ${i}`, X: x, Y: NEAR_2X[i], Flat: 1 }));
+  const csvFit = executeTool('fit_column_regression', { x_column: 'x', y_column: 'Y' }, rows);
+  expect(csvFit.summary).toMatchObject({ slope: 1.99, intercept: 0.05, n: 5 });
+  expect(executeTool('fit_column_regression', { x_column: 'Flat', y_column: 'Y' }, rows).error).toMatch(/varying/);
+  const csvCorr = executeTool('compute_column_correlation', { columns: ['X', 'Y'], method: 'pearson' }, rows);
+  expect(csvCorr.pairs[0].r).toBeCloseTo(0.999, 3);
+});
+
+test("Welch's t-test matches R", () => {
+  // t.test(1:5, seq(2, 12, 2))
+  const { t, df, p } = welchTTest([1, 2, 3, 4, 5], [2, 4, 6, 8, 10, 12]);
+  expect(t).toBeCloseTo(-2.376, 3);
+  expect(df).toBeCloseTo(6.97, 2);
+  expect(p).toBeCloseTo(0.0493, 4);
+  expect(tTestPValue(2, 10)).toBeCloseTo(0.0734, 4);
+  expect(tTestPValue(0, 10)).toBe(1);
+  expect(tTestPValue(Infinity, 10)).toBe(0);
+});
+
+test('group comparison with an empty or one-value group has no test', () => {
+  expect(welchTTest([], [1, 2, 3])).toBeNull();
+  expect(welchTTest([5], [1, 2, 3])).toBeNull();
+  expect(welchTTest([2, 2], [2, 2, 2])).toBeNull(); // neither varies
+
+  expect(compareGroups([], [1, 2, 3])).toEqual({
+    n_with: 0,
+    n_without: 3,
+    mean_with: null,
+    mean_without: 2,
+    median_with: null,
+    median_without: 2,
+    lift: null,
+    t: null,
+    df: null,
+    p_value: null,
+    significant: false,
+  });
+  expect(compareGroups([1, 2, 3, 4, 5], [2, 4, 6, 8, 10, 12])).toMatchObject({
+    lift: 0.43,
+    t: -2.376,
+    df: 7,
+    p_value: 0.0493,
+    significant: true,
+  });
+});
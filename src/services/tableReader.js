@@ -0,0 +1,138 @@
+import { buildTable, createCsvParser } from './csvParser';
+
+// ── Tabular uploads ───────────────────────────────────────────────────────────
+// Reads every file kind the chat accepts as a dataset into the CSV parser's
+// table shape ({ headers, rows, delimiter, types, errors, errorCount }), so
+// the CSV tools work on all of them. Excel and Parquet readers are imported
+// on first use. Runs inside tableReader.worker.js.
+
+const FORMATS = [
+  { format: 'csv', ext: /\.csv$/i, mime: ['text/csv'] },
+  { format: 'tsv', ext: /\.(tsv|tab)$/i, mime: ['text/tab-separated-values'] },
+  { format: 'xlsx', ext: /\.xlsx$/i, mime: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'] },
+  { format: 'ndjson', ext: /\.(ndjson|jsonl)$/i, mime: ['application/x-ndjson', 'application/jsonl'] },
+  { format: 'parquet', ext: /\.parquet$/i, mime: ['application/vnd.apache.parquet'] },
+];
+
+// File input `accept` list for the tabular formats
+export const TABLE_ACCEPT = '.csv,.tsv,.tab,.xlsx,.ndjson,.jsonl,.parquet';
+
+// 'csv' | 'tsv' | 'xlsx' | 'ndjson' | 'parquet', or null for anything else.
+export const tableFormat = (file) =>
+  FORMATS.find((f) => f.ext.test(file.name) || f.mime.includes(file.type))?.format || null;
+
+// Formats kept as their original text when saved with the session; the rest
+// are saved as CSV converted from the parsed table.
+export const isTextFormat = (format) => format === 'csv' || format === 'tsv';
+
+const TEXT_CHUNK = 1024 * 1024;
+
+// The source as text chunks: a File is streamed, a string sliced.
+async function* chunksOf({ file, text }) {
+  if (file) {
+    const reader = file.stream().pipeThrough(new TextDecoderStream()).getReader();
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) return;
+      yield value;
+    }
+  }
+  for (let i = 0; i < text.length; i += TEXT_CHUNK) yield text.slice(i, i + TEXT_CHUNK);
+}
+
+// A spreadsheet or Parquet cell as CSV text. Dates become ISO text the type
+// inference reads as dates; nested values become JSON.
+export const cellText = (value) => {
+  if (value == null) return '';
+  if (value instanceof Date) {
+    if (isNaN(value)) return '';
+    return value.toISOString().replace(/T00:00:00\.000Z$/, '').replace(/T(\d{2}:\d{2}:\d{2})\.\d+Z$/, ' $1');
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value, (_, v) => (typeof v === 'bigint' ? String(v) : v));
+  }
+  return String(value);
+};
+
+// NDJSON objects → records; columns in order of first appearance.
+const recordsFromObjects = (objects) => {
+  const headers = [...new Set(objects.flatMap(({ value }) => Object.keys(value)))];
+  return [
+    { values: headers, line: 1 },
+    ...objects.map(({ value, line }) => ({ values: headers.map((h) => cellText(value[h])), line })),
+  ];
+};
+
+const readDelimited = async (source, delimiter) => {
+  const parser = createCsvParser({ delimiter });
+  const records = [];
+  for await (const chunk of chunksOf(source)) records.push(...parser.push(chunk));
+  records.push(...parser.end());
+  return buildTable(records, { delimiter: parser.delimiter, errors: parser.errors });
+};
+
+const readNdjson = async (source) => {
+  const objects = [];
+  const errors = [];
+  let rest = '';
+  let line = 0;
+  const take = (text) => {
+    line++;
+    if (!text.trim()) return;
+    try {
+      const value = JSON.parse(text);
+      if (value && typeof value === 'object' && !Array.isArray(value)) objects.push({ value, line });
+      else errors.push({ row: line, message: 'Not a JSON object' });
+    } catch {
+      errors.push({ row: line, message: 'Invalid JSON' });
+    }
+  };
+  for await (const chunk of chunksOf(source)) {
+    const lines = (rest + chunk).split('\n');
+    rest = lines.pop();
+    lines.forEach(take);
+  }
+  take(rest);
+  return buildTable(objects.length ? recordsFromObjects(objects) : [], { errors });
+};
+
+// Every sheet's name, plus the table of `sheet` (default: the first with data).
+const readWorkbook = async (file, sheet) => {
+  const { default: readXlsxFile } = await import('read-excel-file/web-worker');
+  const sheets = await readXlsxFile(file);
+  const filled = (s) => s.data.some((row) => row.some((cell) => cell != null && cell !== ''));
+  const chosen = sheets.find((s) => s.sheet === sheet) || sheets.find(filled) || sheets[0];
+  const records = (chosen?.data || [])
+    .map((row, i) => ({ values: row.map(cellText), line: i + 1 }))
+    .filter((r) => r.values.some((v) => v.trim()));
+  return { ...buildTable(records), sheets: sheets.map((s) => s.sheet), sheet: chosen?.sheet };
+};
+
+const readParquet = async (file) => {
+  const { parquetMetadata, parquetReadObjects, parquetSchema } = await import('hyparquet');
+  const buffer = await file.arrayBuffer();
+  const headers = parquetSchema(parquetMetadata(buffer)).children.map((c) => c.element.name);
+  const rows = await parquetReadObjects({ file: buffer });
+  return buildTable([
+    { values: headers, line: 1 },
+    ...rows.map((row, i) => ({ values: headers.map((h) => cellText(row[h])), line: i + 2 })),
+  ]);
+};
+
+// source: { file } or { text }, with `format` (default from the file name,
+// else csv) and, for workbooks, `sheet`.
+export const readTable = async ({ file, text, format, sheet }) => {
+  const kind = format || (file && tableFormat(file)) || 'csv';
+  switch (kind) {
+    case 'tsv':
+      return readDelimited({ file, text }, '\t');
+    case 'ndjson':
+      return readNdjson({ file, text });
+    case 'xlsx':
+      return readWorkbook(file, sheet);
+    case 'parquet':
+      return readParquet(file);
+    default:
+      return readDelimited({ file, text });
+  }
+};
@@ -0,0 +1,33 @@
+import { cellText, readTable, tableFormat } from './tableReader';
+
+test('tableFormat picks the format from the extension or MIME type', () => {
+  expect(tableFormat({ name: 'export.TSV', type: '' })).toBe('tsv');
+  expect(tableFormat({ name: 'events.jsonl', type: '' })).toBe('ndjson');
+  expect(tableFormat({ name: 'book.xlsx', type: '' })).toBe('xlsx');
+  expect(tableFormat({ name: 'part-0.parquet', type: '' })).toBe('parquet');
+  expect(tableFormat({ name: 'data', type: 'text/csv' })).toBe('csv');
+  expect(tableFormat({ name: 'channel.json', type: 'application/json' })).toBe(null);
+});
+
+test('NDJSON lines become rows, with bad lines reported', async () => {
+  const text = '{"id":"a","views":10,"live":true}\r\n{"id":"b","tags":["x"]}\n\nnot json\n[1]\n{"views":30}';
+  const table = await readTable({ text, format: 'ndjson' });
+  expect(table.headers).toEqual(['id', 'views', 'live', 'tags']);
+  expect(table.rows[1]).toEqual({ id: 'b', views: '', live: '', tags: '["x"]' });
+  expect(table.types).toMatchObject({ views: 'number', live: 'boolean' });
+  expect(table.errors).toEqual([
+    { row: 4, message: 'Invalid JSON' },
+    { row: 5, message: 'Not a JSON object' },
+  ]);
+});
+
+test('TSV splits on tabs only, and cells from typed readers become CSV text', async () => {
+  const table = await readTable({ text: 'name\tnote\nAda\t"a, b"\n', format: 'tsv' });
+  expect(table.rows).toEqual([{ name: 'Ada', note: 'a, b' }]);
+  expect(table.delimiter).toBe('\t');
+
+  expect(cellText(new Date(Date.UTC(2024, 0, 5)))).toBe('2024-01-05');
+  expect(cellText(new Date('2024-03-01T10:00:00.250Z'))).toBe('2024-03-01 10:00:00');
+  expect(cellText(2024205851431490005n)).toBe('2024205851431490005');
+  expect(cellText(null)).toBe('');
+});
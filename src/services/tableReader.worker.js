@@ -0,0 +1,18 @@
+import { readTable } from './tableReader';
+
+// ── Dataset parsing worker ────────────────────────────────────────────────────
+// Receives readTable's source ({ file } or { text }, with format / sheet) and
+// posts back { table } or { error }. Files are streamed or read here, so big
+// uploads never block the chat.
+
+// The worker's global scope (CRA's lint config doesn't define globalThis)
+// eslint-disable-next-line no-restricted-globals
+const scope = self;
+
+scope.onmessage = async ({ data }) => {
+  try {
+    scope.postMessage({ table: await readTable(data) });
+  } catch (err) {
+    scope.postMessage({ error: err.message });
+  }
+};
@@ -0,0 +1,20 @@
+import { readTable } from './tableReader';
+
+// ── Dataset parsing off the main thread ───────────────────────────────────────
+// Runs readTable in tableReader.worker.js so a large upload doesn't freeze the
+// chat; resolves to its table. Where workers aren't available it reads in place.
+
+export const readTableInWorker = async (source) => {
+  if (typeof Worker === 'undefined') return readTable(source);
+
+  const worker = new Worker(new URL('./tableReader.worker.js', import.meta.url));
+  try {
+    return await new Promise((resolve, reject) => {
+      worker.onmessage = ({ data }) => (data.error ? reject(new Error(data.error)) : resolve(data.table));
+      worker.onerror = (e) => reject(new Error(e.message || 'Dataset worker failed'));
+      worker.postMessage(source);
+    });
+  } finally {
+    worker.terminate();
+  }
+};
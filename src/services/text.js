@@ -0,0 +1,57 @@
+// ── Text helpers shared by the transcript search and the content index ───────
+
+// Lowercases, strips accents and punctuation, collapses whitespace.
+export const normalizeText = (text) =>
+  String(text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\p{L}\p{N}'\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+// 754 → "12:34", 3723 → "1:02:03"
+export const fmtTimestamp = (seconds) => {
+  const s = Math.floor(seconds);
+  const h = Math.floor(s / 3600);
+  const mm = String(Math.floor((s % 3600) / 60)).padStart(h ? 2 : 1, '0');
+  const ss = String(s % 60).padStart(2, '0');
+  return h ? `${h}:${mm}:${ss}` : `${mm}:${ss}`;
+};
+
+const STOPWORDS = new Set(
+  ('a an and are as at be been but by can did do does for from had has have he her his how i if in into ' +
+    'is it its just me my no not of on or our she so than that the their them then there these they this ' +
+    'to too was we were what when where which who why will with you your im its dont thats youre')
+    .split(' ')
+);
+
+// Lowercased words of a text without stopwords or single letters.
+export const contentWords = (text) =>
+  normalizeText(text)
+    .replace(/'/g, '')
+    .split(' ')
+    .filter((w) => w.length > 1 && !STOPWORDS.has(w));
+
+// Folds plural endings, so "rockets" and "rocket's" match "rocket".
+export const stem = (word) =>
+  word.length > 3 && word.endsWith('s') && !/(ss|us|is)$/.test(word) ? word.slice(0, -1) : word;
+
+export const tokenize = (text) => contentWords(text).map(stem);
+
+// Whole-word (or whole-phrase) match ignoring case, accents and punctuation:
+// "AI" matches "#AI is here" but not "said"; "machine learning" matches
+// "Machine-learning".
+export const matchesKeyword = (text, keyword) => {
+  const phrase = normalizeText(keyword);
+  return !!phrase && ` ${normalizeText(text)} `.includes(` ${phrase} `);
+};
+
+// Trims text to `length` characters centred near the first of `terms`.
+export const snippetAround = (text, terms, length = 180) => {
+  const lower = text.toLowerCase();
+  const at = terms.map((t) => lower.indexOf(t)).find((i) => i >= 0) ?? 0;
+  const from = Math.max(0, at - Math.floor(length / 3));
+  const to = Math.min(text.length, from + length);
+  return `${from > 0 ? '…' : ''}${text.slice(from, to).trim()}${to < text.length ? '…' : ''}`;
+};
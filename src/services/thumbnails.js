@@ -0,0 +1,120 @@
+import { correlation, quantile } from './stats';
+
+// ── Thumbnail and title features ──────────────────────────────────────────────
+// Used by analyze_thumbnails. Thumbnail features come from the vision model
+// (see server/thumbnails.js); title features are computed here. Each video is
+// reduced to yes/no flags so every feature reads the same way: median metric
+// for videos with it vs without it.
+
+const EXPRESSIVE = ['excited', 'surprised', 'shocked'];
+const WARM_COLORS = ['red', 'orange', 'yellow'];
+const EMOJI = /\p{Extended_Pictographic}/u;
+
+// Numeric features correlated directly (Spearman) as well as flagged.
+const NUMERIC_FEATURES = ['face_count', 'text_words', 'clickbait_score', 'title_length'];
+
+export const titleFeatures = (title = '') => ({
+  title_length: title.length,
+  title_question: title.includes('?'),
+  title_exclamation: title.includes('!'),
+  title_number: /\d/.test(title),
+  title_caps_word: /\b[A-Z]{3,}\b/.test(title),
+  title_brackets: /[([][^)\]]+[)\]]/.test(title),
+  title_emoji: EMOJI.test(title),
+});
+
+// [label, test(features)] — features is the vision output merged with titleFeatures
+const FLAGS = [
+  ['Face in thumbnail', (f) => f.face_count > 0],
+  ['2+ faces', (f) => f.face_count >= 2],
+  ['Expressive face', (f) => EXPRESSIVE.includes(f.face_emotion)],
+  ['Text overlay', (f) => f.text_words > 0],
+  ['4+ words of text', (f) => f.text_words >= 4],
+  ['Arrow or circle', (f) => f.has_arrow_or_circle],
+  ['Warm dominant colour', (f) => WARM_COLORS.includes(f.dominant_colors?.[0])],
+  ['Bright thumbnail', (f) => f.brightness === 'bright'],
+  ['Clickbait score 6+', (f) => f.clickbait_score >= 6],
+  ['Question in title', (f) => f.title_question],
+  ['Number in title', (f) => f.title_number],
+  ['ALL-CAPS word in title', (f) => f.title_caps_word],
+  ['"!" in title', (f) => f.title_exclamation],
+  ['Brackets in title', (f) => f.title_brackets],
+  ['Emoji in title', (f) => f.title_emoji],
+];
+
+const CATEGORIES = {
+  face_emotion: (f) => f.face_emotion,
+  style: (f) => f.style,
+  brightness: (f) => f.brightness,
+  main_colour: (f) => f.dominant_colors?.[0] || 'unknown',
+};
+
+// Each side needs a few videos before a median means anything
+const MIN_GROUP = 3;
+
+const round = (n) => +n.toPrecision(4);
+
+// rows: [{ features, value }]. Returns
+//   flags        [{ label, with, without, n_with, n_without, lift, r, p }] biggest lift first
+//   numeric      [{ feature, r, p, n, strength }]
+//   categories   { name: [{ value, median, n }] } best median first
+//   skipped      labels with fewer than 3 videos on either side
+export const compareFeatures = (rows) => {
+  const skipped = [];
+  const flags = [];
+  const values = rows.map((r) => r.value);
+
+  for (const [label, test] of FLAGS) {
+    const has = rows.map((r) => !!test(r.features));
+    const withVals = values.filter((_, i) => has[i]);
+    const withoutVals = values.filter((_, i) => !has[i]);
+    if (withVals.length < MIN_GROUP || withoutVals.length < MIN_GROUP) {
+      skipped.push(label);
+      continue;
+    }
+    const medWith = quantile(withVals, 0.5);
+    const medWithout = quantile(withoutVals, 0.5);
+    const corr = correlation(has.map(Number), values);
+    flags.push({
+      label,
+      with: round(medWith),
+      without: round(medWithout),
+      n_with: withVals.length,
+      n_without: withoutVals.length,
+      lift: medWithout > 0 ? +(medWith / medWithout).toFixed(2) : null,
+      r: corr.r,
+      p: corr.p,
+    });
+  }
+  flags.sort((a, b) => (b.lift ?? 0) - (a.lift ?? 0));
+
+  const numeric = NUMERIC_FEATURES.map((feature) => {
+    const corr = correlation(rows.map((r) => r.features[feature] ?? 0), values);
+    return corr && { feature, ...corr };
+  }).filter(Boolean);
+
+  const categories = Object.fromEntries(
+    Object.entries(CATEGORIES).map(([name, pick]) => {
+      const groups = new Map();
+      rows.forEach((r) => {
+        const key = pick(r.features);
+        groups.set(key, [...(groups.get(key) || []), r.value]);
+      });
+      const summary = [...groups]
+        .filter(([, vals]) => vals.length >= MIN_GROUP)
+        .map(([value, vals]) => ({ value, median: round(quantile(vals, 0.5)), n: vals.length }))
+        .sort((a, b) => b.median - a.median);
+      return [name, summary];
+    })
+  );
+
+  return { flags, numeric, categories, skipped };
+};
+
+// Evenly spaced picks across the metric's range, so a capped sample still
+// covers flops and hits instead of only the newest uploads.
+export const spreadSample = (items, valueOf, limit) => {
+  if (items.length <= limit) return items;
+  const sorted = [...items].sort((a, b) => valueOf(a) - valueOf(b));
+  return Array.from({ length: limit }, (_, i) => sorted[Math.round((i * (sorted.length - 1)) / (limit - 1))]);
+};
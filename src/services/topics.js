@@ -0,0 +1,177 @@
+import { contentWords, stem } from './text';
+
+// ── Topic clustering ──────────────────────────────────────────────────────────
+// Groups videos into themes for cluster_topics. Each video becomes a TF-IDF
+// vector of the words and word pairs in its title (counted three times),
+// description and the opening of its transcript; spherical k-means then
+// groups the vectors and each cluster is named after the terms that set it
+// apart from the rest of the channel.
+
+const TITLE_WEIGHT = 3;
+// Only the start of long transcripts is used — enough to say what a video
+// is about without letting two-hour streams dominate the vocabulary.
+const TRANSCRIPT_TERMS = 1500;
+const ITERATIONS = 25;
+
+// Stemmed words plus adjacent word pairs ("machine learning"), so labels read
+// naturally. `surface` counts the spellings seen for each stem.
+const termsOf = (text, surface, limit = Infinity) => {
+  const words = contentWords(text).slice(0, limit);
+  const stems = words.map((w) => {
+    const s = stem(w);
+    if (!surface.has(s)) surface.set(s, new Map());
+    surface.get(s).set(w, (surface.get(s).get(w) || 0) + 1);
+    return s;
+  });
+  const pairs = stems.slice(1).map((w, i) => `${stems[i]} ${w}`);
+  return [...stems, ...pairs];
+};
+
+const videoTerms = (video, surface) => {
+  const title = termsOf(video.title, surface);
+  return [
+    ...Array.from({ length: TITLE_WEIGHT }, () => title).flat(),
+    ...termsOf(video.description, surface),
+    ...termsOf(video.transcript, surface, TRANSCRIPT_TERMS),
+  ];
+};
+
+// "camera len" → "camera lens": each stem shown in its most common spelling.
+const displayTerm = (term, surface) =>
+  term
+    .split(' ')
+    .map((s) => [...(surface.get(s) || [[s, 0]])].reduce((a, b) => (b[1] > a[1] ? b : a))[0])
+    .join(' ');
+
+// Sparse L2-normalised TF-IDF vectors ({ ids, weights }) over the terms that
+// appear in at least two videos but not in most of them (those are channel
+// boilerplate: sponsor lines, social links, the channel's own name).
+const vectorize = (videos, surface) => {
+  const docs = videos.map((v) => videoTerms(v, surface));
+  const df = new Map();
+  for (const terms of docs) for (const t of new Set(terms)) df.set(t, (df.get(t) || 0) + 1);
+
+  const minDf = videos.length >= 8 ? 2 : 1;
+  const maxDf = Math.max(2, videos.length * 0.4);
+  const vocab = [...df].filter(([, n]) => n >= minDf && n <= maxDf).map(([t]) => t);
+  const ids = new Map(vocab.map((t, i) => [t, i]));
+  const idf = vocab.map((t) => Math.log(videos.length / df.get(t)) + 1);
+
+  const vectors = docs.map((terms) => {
+    const counts = new Map();
+    for (const t of terms) if (ids.has(t)) counts.set(ids.get(t), (counts.get(ids.get(t)) || 0) + 1);
+    const entries = [...counts].map(([id, n]) => [id, (1 + Math.log(n)) * idf[id]]);
+    const norm = Math.sqrt(entries.reduce((s, [, w]) => s + w * w, 0)) || 1;
+    return { ids: entries.map(([id]) => id), weights: entries.map(([, w]) => w / norm) };
+  });
+  return { vocab, vectors };
+};
+
+const dot = (vector, centroid) => {
+  let sum = 0;
+  for (let i = 0; i < vector.ids.length; i++) sum += vector.weights[i] * centroid[vector.ids[i]];
+  return sum;
+};
+
+// Deterministic k-means++ style seeding: start from the video with the most
+// distinct terms, then repeatedly take the video least similar to any seed.
+const seedCentroids = (vectors, k, size) => {
+  const toDense = (v) => {
+    const c = new Float64Array(size);
+    v.ids.forEach((id, i) => { c[id] = v.weights[i]; });
+    return c;
+  };
+  const first = vectors.reduce((best, v, i) => (v.ids.length > vectors[best].ids.length ? i : best), 0);
+  const centroids = [toDense(vectors[first])];
+  const closest = vectors.map((v) => dot(v, centroids[0]));
+  while (centroids.length < k) {
+    let next = -1;
+    for (let i = 0; i < vectors.length; i++) {
+      if (vectors[i].ids.length && (next === -1 || closest[i] < closest[next])) next = i;
+    }
+    if (next === -1 || closest[next] >= 0.999) break; // fewer distinct videos than k
+    const c = toDense(vectors[next]);
+    centroids.push(c);
+    vectors.forEach((v, i) => { closest[i] = Math.max(closest[i], dot(v, c)); });
+  }
+  return centroids;
+};
+
+// Index of the nearest centroid for each vector (-1 for empty vectors).
+const assign = (vectors, centroids) =>
+  vectors.map((v) => {
+    if (!v.ids.length) return -1;
+    let best = 0;
+    let bestScore = -Infinity;
+    centroids.forEach((c, ci) => {
+      const score = dot(v, c);
+      if (score > bestScore) [best, bestScore] = [ci, score];
+    });
+    return best;
+  });
+
+const sameAssignment = (a, b) => a.every((c, i) => c === b[i]);
+
+// Normalised mean vector of each cluster.
+const recenter = (vectors, assignment, k, size) => {
+  const centroids = Array.from({ length: k }, () => new Float64Array(size));
+  vectors.forEach((v, i) => {
+    if (assignment[i] === -1) return;
+    const c = centroids[assignment[i]];
+    v.ids.forEach((id, j) => { c[id] += v.weights[j]; });
+  });
+  return centroids.map((c) => {
+    const norm = Math.sqrt(c.reduce((s, w) => s + w * w, 0)) || 1;
+    return c.map((w) => w / norm);
+  });
+};
+
+// Suggested number of themes for n videos: about √(n/2), between 2 and 8.
+export const defaultClusterCount = (n) => Math.min(8, Math.max(2, Math.round(Math.sqrt(n / 2))));
+
+// videos → [{ keywords: string[], members: number[] }] sorted by size, plus a
+// final { keywords: [], members } group for videos with no usable text.
+export const clusterVideos = (videos, { k = defaultClusterCount(videos.length), keywords = 4 } = {}) => {
+  const surface = new Map(); // stem → Map(spelling → count)
+  const { vocab, vectors } = vectorize(videos, surface);
+  const textless = vectors.map((v, i) => (v.ids.length ? -1 : i)).filter((i) => i >= 0);
+  if (vectors.length - textless.length < 2) return [];
+
+  let centroids = seedCentroids(vectors, k, vocab.length);
+  let assignment = assign(vectors, centroids);
+  for (let iter = 1; iter < ITERATIONS; iter++) {
+    centroids = recenter(vectors, assignment, centroids.length, vocab.length);
+    const next = assign(vectors, centroids);
+    const settled = sameAssignment(next, assignment);
+    assignment = next;
+    if (settled) break;
+  }
+
+  // Label terms: highest in the cluster's mean vector relative to the channel's
+  const overall = new Float64Array(vocab.length);
+  vectors.forEach((v) => v.ids.forEach((id, j) => { overall[id] += v.weights[j] / vectors.length; }));
+
+  const clusters = centroids
+    .map((_, ci) => {
+      const members = assignment.map((a, i) => (a === ci ? i : -1)).filter((i) => i >= 0);
+      const mean = new Float64Array(vocab.length);
+      for (const i of members) vectors[i].ids.forEach((id, j) => { mean[id] += vectors[i].weights[j] / members.length; });
+      const ranked = [...mean.keys()]
+        .filter((id) => mean[id] > 0)
+        .sort((a, b) => mean[b] - overall[b] - (mean[a] - overall[a]));
+      // Skip a word when a pair containing it is already a keyword
+      const chosen = [];
+      for (const id of ranked) {
+        const term = vocab[id];
+        if (chosen.some((c) => c.split(' ').includes(term) || term.split(' ').includes(c))) continue;
+        chosen.push(term);
+        if (chosen.length >= keywords) break;
+      }
+      return { keywords: chosen.map((t) => displayTerm(t, surface)), members };
+    })
+    .filter((c) => c.members.length)
+    .sort((a, b) => b.members.length - a.members.length);
+
+  if (textless.length) clusters.push({ keywords: [], members: textless });
+  return clusters;
+};
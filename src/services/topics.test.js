@@ -0,0 +1,45 @@
+import { clusterVideos, defaultClusterCount } from './topics';
+
+const CAMERA = [
+  'Camera lens review: the best prime lens',
+  'Cheap camera lens for portraits',
+  'Zoom lens vs prime lens camera test',
+  'Camera lens buying guide for beginners',
+];
+const PASTA = ['Easy pasta sauce recipe', 'Fresh pasta recipe at home', 'Pasta carbonara recipe', 'Tomato sauce for pasta'];
+// Every video carries the channel's sign-off; the last two have no usable text
+const VIDEOS = [...CAMERA, ...PASTA, '', '!!!'].map((title) => ({ title, description: 'Subscribe to Dave for more' }));
+
+test('videos split into their themes, named by the terms that set them apart', () => {
+  expect(clusterVideos(VIDEOS, { k: 2 })).toEqual([
+    { keywords: ['lens', 'camera', 'prime'], members: [0, 1, 2, 3] },
+    { keywords: ['pasta', 'recipe', 'sauce'], members: [4, 5, 6, 7] },
+    { keywords: [], members: [8, 9] }, // no title, only the sign-off
+  ]);
+});
+
+test('keywords use the most common spelling of each stem', () => {
+  const videos = [
+    'Machine learning basics',
+    'Machine learning with Python',
+    'Rocket launch today',
+    'Rockets: a rocket launch recap',
+  ].map((title) => ({ title }));
+  expect(clusterVideos(videos, { k: 2, keywords: 2 })).toEqual([
+    { keywords: ['rocket', 'launch'], members: [2, 3] },
+    { keywords: ['machine', 'learning'], members: [0, 1] },
+  ]);
+});
+
+test('nothing to cluster with fewer than two videos that have text', () => {
+  expect(clusterVideos([{ title: 'Only one' }, { title: '' }])).toEqual([]);
+  expect(clusterVideos([])).toEqual([]);
+});
+
+test.each([
+  [4, 2],
+  [50, 5],
+  [200, 8],
+])('defaultClusterCount(%i) is %i', (n, k) => {
+  expect(defaultClusterCount(n)).toBe(k);
+});
@@ -3,3 +3,12 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+// The tool executors log every call (console.group / console.log) for the
+// browser console; keep that out of the test output. Spies are re-created per
+// test because resetMocks clears them.
+beforeEach(() => {
+  jest.spyOn(console, 'group').mockImplementation(() => {});
+  jest.spyOn(console, 'groupEnd').mockImplementation(() => {});
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});